@@ -0,0 +1,228 @@
+/**
+ * STORED DATA
+ * ===========
+ *
+ * What the app remembers in localStorage from one visit to the next:
+ * - session: the last rendezvous (role, meeting point, pickup stops,
+ *   route options and expected stay), restored when the page loads
+ * - favourites: ids of the parking zones the user starred
+ * - history: recent meeting points with the time they were picked
+ * - routes: routes found lately, so the same trip isn't asked of the
+ *   router again after a reload
+ * - vehicle: the driver's vehicle profile (see zone-amenities.js)
+ *
+ * Everything is kept under one key, with a schema version:
+ *
+ *     {
+ *         "version": 1,
+ *         "session": { "role": "driver", "meetingPoint": { "zoneId": "city-hall-parkade", ... }, ... },
+ *         "favourites": ["city-hall-parkade"],
+ *         "history": [{ "zoneId": "city-hall-parkade", "name": "City Hall Parkade", "lat": 51.04, "lng": -114.06, "usedAt": "2026-10-19T15:05:00Z" }],
+ *         "routes": [{ "key": "osrm|car||en", "waypoints": [[51.05, -114.07], [51.04, -114.06]], "routes": [...], "savedAt": "2026-10-19T15:05:00Z" }],
+ *         "vehicle": { "height": 2.4, "electric": true, "connector": "ccs", "accessiblePermit": false }
+ *     }
+ *
+ * When the shape has to change, raise STORAGE_VERSION and add a step to
+ * STORAGE_MIGRATIONS that turns data of the previous version into the
+ * new shape. Data that can't be read, or that comes from a newer version
+ * of the app, is dropped. A new field that can simply start out empty,
+ * like routes or vehicle, doesn't need a new version: older data gets the empty
+ * value, and an older copy of the app (still cached for offline use)
+ * can keep reading newer data.
+ *
+ * Storage can be turned off or full; the app then forgets everything
+ * when the page closes.
+ */
+
+const STORAGE_KEY = 'parking-rendezvous-data';
+const STORAGE_VERSION = 1;
+
+// STORAGE_MIGRATIONS[n] takes data of version n and returns it in the
+// shape of version n + 1
+const STORAGE_MIGRATIONS = {};
+
+// Two meeting points closer than this (meters) are the same place
+const SAME_PLACE_DISTANCE = 10;
+
+let storedData = null; // Read from localStorage on first use
+
+// ----- READ AND WRITE -----
+
+function getStoredData() {
+    if (!storedData) {
+        storedData = readStoredData();
+    }
+    return storedData;
+}
+
+function emptyStoredData() {
+    return { version: STORAGE_VERSION, session: null, favourites: [], history: [], routes: [], vehicle: null };
+}
+
+function readStoredData() {
+    try {
+        const data = JSON.parse(localStorage.getItem(STORAGE_KEY));
+        return data ? migrateStoredData(data) : emptyStoredData();
+    } catch (error) {
+        console.warn("Ignoring stored app data that could not be read:", error);
+        return emptyStoredData();
+    }
+}
+
+// Brings data from an older version up to date, one version at a time
+function migrateStoredData(data) {
+    if (typeof data.version !== 'number' || data.version > STORAGE_VERSION) {
+        throw new Error(`Unknown stored data version ${data.version}`);
+    }
+
+    for (let version = data.version; version < STORAGE_VERSION; version++) {
+        const migrate = STORAGE_MIGRATIONS[version];
+        if (!migrate) {
+            throw new Error(`No migration from stored data version ${version}`);
+        }
+        data = migrate(data);
+        data.version = version + 1;
+    }
+
+    return L.extend(emptyStoredData(), data);
+}
+
+function writeStoredData() {
+    try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(getStoredData()));
+    } catch (error) {
+        console.warn("Could not save the app data:", error);
+    }
+}
+
+// ----- LAST SESSION -----
+// { role, meetingPoint, stops, avoid, stayMinutes, savedAt } or null.
+// meetingPoint is { zoneId, lat, lng, name } (zoneId null for custom
+// points), and each stop is { name, lat, lng, visited }.
+
+function getSavedSession() {
+    return getStoredData().session;
+}
+
+function saveSession(session) {
+    getStoredData().session = L.extend({}, session, { savedAt: new Date().toISOString() });
+    writeStoredData();
+}
+
+// ----- FAVOURITES -----
+
+function isFavouriteZone(zoneId) {
+    return getStoredData().favourites.includes(zoneId);
+}
+
+function setFavouriteZone(zoneId, favourite) {
+    const data = getStoredData();
+
+    data.favourites = data.favourites.filter(id => id !== zoneId);
+    if (favourite) {
+        data.favourites.push(zoneId);
+    }
+    writeStoredData();
+}
+
+function clearFavouriteZones() {
+    getStoredData().favourites = [];
+    writeStoredData();
+}
+
+// Puts favourite zones in front and leaves the order alone otherwise.
+// zoneIdOf gives the zone id of an item of the list.
+function favouritesFirst(items, zoneIdOf) {
+    const favourites = getStoredData().favourites;
+    const rank = item => (favourites.includes(zoneIdOf(item)) ? 0 : 1);
+
+    return items.slice().sort((a, b) => rank(a) - rank(b));
+}
+
+// ----- RECENT MEETING POINTS -----
+// Newest first. Meeting at the same place again moves it to the top.
+
+// [{ zoneId, name, latlng, usedAt }], usedAt being a Date
+function getRecentMeetingPoints() {
+    return getStoredData().history.map(entry => ({
+        zoneId: entry.zoneId,
+        name: entry.name,
+        latlng: L.latLng(entry.lat, entry.lng),
+        usedAt: new Date(entry.usedAt)
+    }));
+}
+
+function addRecentMeetingPoint(zoneId, name, latlng) {
+    const data = getStoredData();
+    const position = L.latLng(latlng);
+
+    const others = data.history.filter(entry => {
+        if (zoneId || entry.zoneId) {
+            return entry.zoneId !== zoneId;
+        }
+        return position.distanceTo([entry.lat, entry.lng]) > SAME_PLACE_DISTANCE;
+    });
+
+    data.history = [{
+        zoneId: zoneId || null,
+        name: name,
+        lat: position.lat,
+        lng: position.lng,
+        usedAt: new Date().toISOString()
+    }].concat(others).slice(0, APP_CONFIG.storage.historyLength);
+    writeStoredData();
+}
+
+function clearRecentMeetingPoints() {
+    getStoredData().history = [];
+    writeStoredData();
+}
+
+// ----- VEHICLE PROFILE -----
+// { height, electric, connector, accessiblePermit }, or null before the
+// driver has described their vehicle
+
+function getVehicleProfile() {
+    return getStoredData().vehicle;
+}
+
+function saveVehicleProfile(vehicle) {
+    getStoredData().vehicle = vehicle;
+    writeStoredData();
+}
+
+// ----- RECENT ROUTES -----
+// The store behind CachingRouter (routing-providers.js). key names the
+// router, travel mode and preferences; routes are plain JSON. A trip
+// counts as the same when every waypoint is within
+// APP_CONFIG.offline.routeMatchDistance of the earlier one, so a GPS
+// fix that moved a few meters still finds its route.
+
+// The routes for the trip, or null when there are none recent enough
+function findRecentRoutes(key, latlngs) {
+    const oldest = Date.now() - APP_CONFIG.offline.routeMaxAge * 60000;
+
+    const entry = getStoredData().routes.find(candidate =>
+        isSameTrip(candidate, key, latlngs) && new Date(candidate.savedAt).getTime() >= oldest
+    );
+    return entry ? entry.routes : null;
+}
+
+function addRecentRoutes(key, latlngs, routes) {
+    const data = getStoredData();
+
+    data.routes = [{
+        key: key,
+        waypoints: latlngs.map(latlng => [latlng.lat, latlng.lng]),
+        routes: routes,
+        savedAt: new Date().toISOString()
+    }].concat(data.routes.filter(entry => !isSameTrip(entry, key, latlngs)))
+        .slice(0, APP_CONFIG.offline.routeCacheSize);
+    writeStoredData();
+}
+
+function isSameTrip(entry, key, latlngs) {
+    return entry.key === key &&
+        entry.waypoints.length === latlngs.length &&
+        entry.waypoints.every((point, i) => L.latLng(latlngs[i]).distanceTo(point) <= APP_CONFIG.offline.routeMatchDistance);
+}
@@ -0,0 +1,57 @@
+/**
+ * ARRIVAL GEOFENCE
+ * ================
+ *
+ * The area around the meeting point that counts as being there. For a
+ * parking zone that is the zone itself, its circle or its lot outline;
+ * for any other meeting point it is a small circle around the point.
+ * A margin is added all round, so a GPS fix that lands on the street
+ * next to the lot still counts.
+ *
+ * Like the turn-by-turn navigator, the geofence doesn't care where
+ * positions come from: GPS fixes, a dragged marker and a simulated drive
+ * all go through update(latlng).
+ */
+
+// ----- GEOFENCE -----
+// Events fired:
+// - arrived { latlng } the first time a position falls inside
+
+const ArrivalGeofence = L.Evented.extend({
+
+    // zone is the parking zone at the meeting point, or null for a
+    // meeting point that isn't one
+    initialize: function(latlng, zone, options) {
+        this.latlng = L.latLng(latlng);
+        this.zone = zone;
+        this.options = L.extend({
+            // Meters added around the area
+            margin: 20
+        }, options);
+
+        this.hasArrived = false;
+    },
+
+    contains: function(latlng) {
+        const zone = this.zone;
+        const margin = this.options.margin;
+
+        if (zone && zone.shape === 'polygon') {
+            const outline = zone.latlngs[0];
+            return isPointInPolygon(latlng, zone.latlngs) ||
+                closestPointOnRoute(latlng, outline.concat([outline[0]])).distance <= margin;
+        }
+
+        const radius = zone ? zone.radius : 0;
+        return this.latlng.distanceTo(latlng) <= radius + margin;
+    },
+
+    update: function(latlng) {
+        if (this.hasArrived || !this.contains(latlng)) {
+            return;
+        }
+
+        this.hasArrived = true;
+        this.fire('arrived', { latlng: L.latLng(latlng) });
+    }
+});
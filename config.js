@@ -0,0 +1,265 @@
+/**
+ * APPLICATION CONFIGURATION
+ * =========================
+ *
+ * Settings shared by every page of the parking rendezvous app.
+ * Change values here instead of editing the code that uses them.
+ */
+
+const APP_CONFIG = {
+    // Where the parking zones come from. This can be the bundled file
+    // or the URL of any service that returns a GeoJSON FeatureCollection.
+    parkingZones: {
+        url: 'data/parking-zones.geojson',
+        // Radius (in meters) used for zones given as a single point
+        defaultRadius: 50
+    },
+
+    // Live parking availability. See parking-occupancy.js for the feed format.
+    occupancy: {
+        // 'poll' fetches url every pollInterval milliseconds,
+        // 'push' listens for updates on a WebSocket at url,
+        // 'mock' makes up changing numbers starting from mockUrl
+        source: 'mock',
+        url: '',
+        pollInterval: 30000,
+        mockUrl: 'data/mock-occupancy.json',
+        mockInterval: 5000,
+        // Zones at least this full (0 to 1) are drawn as nearly full
+        busyThreshold: 0.8
+    },
+
+    // Parking cost estimates. Rates come from each zone, see parking-rates.js.
+    parkingCost: {
+        // Choices (in minutes) for how long the car will stay parked
+        stayOptions: [30, 60, 120, 180, 240, 480],
+        defaultStayMinutes: 120
+    },
+
+    // Parking timer, started when the driver reaches the meeting point
+    parkingTimer: {
+        // Warn (and send a browser notification) this many minutes
+        // before the chosen maximum stay runs out
+        warnBeforeMinutes: 10
+    },
+
+    // The driver's vehicle and the zones it can use. See zone-amenities.js.
+    vehicle: {
+        // Hide the zones the vehicle can't use, or that are closed when
+        // the driver gets there, instead of greying them out
+        hideUnusableZones: false,
+        // How often (in milliseconds) opening hours are checked again
+        refreshInterval: 60000
+    },
+
+    // Address search and names for custom meeting points. See geocoding.js.
+    geocoding: {
+        // 'nominatim' for any Nominatim-compatible service,
+        // 'stub' for the places in stubUrl (no network needed)
+        provider: 'nominatim',
+        url: 'https://nominatim.openstreetmap.org',
+        stubUrl: 'data/geocoding-stub.json',
+        // Results per search
+        limit: 5,
+        // Prefer results in this country and box (west, north, east, south)
+        countryCodes: 'ca',
+        viewbox: [-114.25, 51.15, -113.9, 50.95],
+        // Language of place names; empty follows the interface language
+        language: '',
+        // Give up on a request after this many milliseconds
+        timeout: 8000,
+        // Parking zones within this many meters of a search result are
+        // offered along with it
+        nearbyZoneRadius: 1000
+    },
+
+    // Interface language and units. See i18n.js and the locales folder.
+    locale: {
+        // Used when none of the browser's languages has a translation
+        defaultLanguage: 'en',
+        // 'metric', 'imperial', or 'auto' to go by the browser's region
+        units: 'auto'
+    },
+
+    // What the app remembers between visits. See app-storage.js.
+    storage: {
+        // Carry on with the last rendezvous when the page is opened
+        // without a rendezvous link
+        restoreSession: true,
+        // How many recent meeting points to keep
+        historyLength: 8
+    },
+
+    // Working without a connection. See service-worker.js and offline-cache.js.
+    offline: {
+        // The map tiles. OpenStreetMap's tile servers only allow light use
+        // (https://operations.osmfoundation.org/policies/tiles/), so keep
+        // the service area small or use a tile server of your own.
+        tileUrl: 'https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png',
+        tileSubdomains: 'abc',
+        // Room (in megabytes) for the tiles kept offline, viewed or
+        // downloaded ahead. The oldest go first when it runs out.
+        maxTileMegabytes: 50,
+        // The downtown area whose tiles can be downloaded ahead, as
+        // [[south, west], [north, east]], and the zoom levels to fetch.
+        // It matches the street graph used for offline routing.
+        serviceArea: {
+            bounds: [[51.04, -114.086], [51.0556, -114.0512]],
+            minZoom: 12,
+            maxZoom: 17
+        },
+        // Routes found lately are kept, so asking for the same trip again
+        // (after a reload or switching roles) doesn't query the router:
+        // how many, for how long (minutes), and how far (meters) the
+        // waypoints can be from the earlier ones to count as the same trip
+        routeCacheSize: 20,
+        routeMaxAge: 60,
+        routeMatchDistance: 25
+    },
+
+    // Finding the user's position. See location-finder.js.
+    location: {
+        // Give up on a single attempt after this many milliseconds
+        timeout: 10000,
+        // Attempts after a timeout or a missing position, and the wait
+        // (in milliseconds) before the first; each wait is twice the last
+        retries: 3,
+        retryDelay: 2000,
+        // Positions less accurate than this (in meters) are flagged, as a
+        // route from them may not start where the user really is
+        lowAccuracy: 100
+    },
+
+    // Live driver tracking
+    tracking: {
+        // How far (in meters) the driver can be from the route line
+        // before the position counts as off route
+        offRouteDistance: 40,
+        // Number of off-route fixes in a row needed before rerouting,
+        // so a single noisy GPS reading doesn't trigger a new route
+        offRouteConfirmations: 3,
+        // Minimum time (in milliseconds) between two reroute requests
+        rerouteMinInterval: 15000,
+        // How far (in meters) the user moves before the distances in
+        // the zone list are redrawn
+        zoneListDistance: 100,
+        // Options passed to watchPosition
+        positionTimeout: 10000,
+        maximumPositionAge: 2000
+    },
+
+    // Simulated positions, for trying routes out without moving.
+    // See position-simulator.js.
+    simulation: {
+        // Speed (km/h) along the route for each travel mode
+        routeSpeeds: { car: 40, foot: 5 },
+        // Playback speeds offered, 1 being real time
+        playbackSpeeds: [1, 2, 5, 10, 30],
+        // How often (in milliseconds) a simulated fix is sent
+        interval: 1000,
+        // Accuracy (meters) reported for simulated fixes
+        accuracy: 5
+    },
+
+    // Pickup routes with several stops
+    pickups: {
+        // The driver counts as having reached a stop within this many meters
+        stopRadius: 40
+    },
+
+    // Turn-by-turn navigation mode
+    navigation: {
+        // Announce the next turn at these distances (in meters, largest first).
+        // At the last one the instruction itself is read out.
+        announceDistances: [500, 150, 30],
+        // This close (in meters) to the destination counts as arrived
+        arrivalDistance: 20,
+        // Empty follows the interface language
+        voiceLanguage: '',
+        // Offered while the browser hasn't listed its own voices
+        voiceLanguages: ['en-US', 'en-GB', 'en-CA', 'fr-CA', 'fr-FR']
+    },
+
+    // Shared rendezvous sessions between the driver and the passenger
+    session: {
+        // 'broadcast' works between tabs of the same browser.
+        // 'websocket' goes through server/relay-server.js.
+        transport: 'broadcast',
+        relayUrl: 'ws://localhost:8080',
+        // How long (in milliseconds) to wait for an answer when joining
+        joinTimeout: 5000
+    },
+
+    // "Leave by" times for a target meeting time
+    departure: {
+        // Minutes added to each travel time, for parking, lifts and the like
+        bufferMinutes: 5,
+        // Suggested meeting times are rounded up to this many minutes
+        roundToMinutes: 5,
+        // Warn this many minutes before it is time to leave
+        warnBeforeMinutes: 2,
+        // How often (in milliseconds) the countdown is redrawn and the
+        // other person's travel time is looked up again
+        refreshInterval: 15000
+    },
+
+    // ETA panels on the navigation pages
+    eta: {
+        // How often (in milliseconds) the countdown is redrawn
+        refreshInterval: 5000,
+        // Warn when one person arrives this many seconds before the other
+        waitWarningThreshold: 300
+    },
+
+    // Routing backend for every page. See routing-providers.js.
+    routing: {
+        // 'osrm', 'graphhopper', 'valhalla', 'local' or 'mock'
+        provider: 'osrm',
+        // Give up on a request after this many milliseconds
+        timeout: 10000,
+        // Route on the bundled street graph when the backend fails
+        offlineFallback: true,
+        providers: {
+            // OSRM serves a single profile per server, so every travel mode
+            // needs its own server. These are the FOSSGIS public servers;
+            // for a self-hosted OSRM use e.g. 'http://localhost:5000/route/v1'.
+            osrm: {
+                car: { serviceUrl: 'https://routing.openstreetmap.de/routed-car/route/v1', profile: 'driving' },
+                foot: { serviceUrl: 'https://routing.openstreetmap.de/routed-foot/route/v1', profile: 'driving' },
+                bike: { serviceUrl: 'https://routing.openstreetmap.de/routed-bike/route/v1', profile: 'driving' },
+                // The sets of road classes the car profile can leave out of
+                // one route (its "excludable" list). OSRM's stock car.lua
+                // has one class per set, so only one at a time can be avoided.
+                excludable: [['motorway'], ['toll'], ['ferry']]
+            },
+            graphhopper: {
+                serviceUrl: 'http://localhost:8989',
+                // Only needed for the hosted GraphHopper API
+                apiKey: '',
+                // The hosted API has a matrix service, a self-hosted server does not
+                matrix: false,
+                profiles: { car: 'car', foot: 'foot', bike: 'bike' }
+            },
+            valhalla: {
+                serviceUrl: 'http://localhost:8002',
+                profiles: { car: 'auto', foot: 'pedestrian', bike: 'bicycle' }
+            },
+            // Routing on the bundled street graph (local-router.js), also
+            // used as the offline fallback
+            local: {
+                graphUrl: 'data/downtown-graph.json',
+                // Positions further than this (in meters) from any road
+                // are outside the area the graph covers
+                maxSnapDistance: 300
+            },
+            // Offline development: canned routes from a file, made-up ones otherwise
+            mock: {
+                responsesUrl: 'data/mock-routes.json',
+                // Simulated server delay in milliseconds
+                delay: 300,
+                // Average speeds in km/h for made-up routes
+                speeds: { car: 30, foot: 5, bike: 15 }
+            }
+        }
+    }
+};
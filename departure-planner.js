@@ -0,0 +1,98 @@
+/**
+ * DEPARTURE PLANNER
+ * =================
+ *
+ * Works backwards from a target meeting time: when the driver and the
+ * passenger each have to set off to be at the meeting point on time.
+ * Every departure keeps a buffer on top of the travel time, for finding
+ * the entrance, parking or a slow lift.
+ *
+ * When the target can't be made any more, the plan says so and offers
+ * the earliest time both people can still make it.
+ */
+
+// ----- PLAN DEPARTURES -----
+// travelTimes: seconds to the meeting point per role, null where unknown
+// options: { bufferMinutes, roundToMinutes }
+//
+// Returns {
+//     departures: { driver: { travelTime, leaveBy, slack }, passenger: ... },
+//     feasible: false when someone should already have left,
+//     earliest: the earliest meeting time both can make, as a Date
+// }
+// A departure is null when that travel time is unknown. slack is the
+// number of seconds left before leaveBy (negative once it has passed).
+
+function planDepartures(target, travelTimes, options, now) {
+    const current = now || new Date();
+    const buffer = options.bufferMinutes * 60;
+    const departures = {};
+    let feasible = true;
+
+    Object.keys(travelTimes).forEach(role => {
+        const travelTime = travelTimes[role];
+
+        if (typeof travelTime !== 'number') {
+            departures[role] = null;
+            return;
+        }
+
+        const leaveBy = new Date(target.getTime() - (travelTime + buffer) * 1000);
+        const slack = (leaveBy.getTime() - current.getTime()) / 1000;
+
+        departures[role] = { travelTime: travelTime, leaveBy: leaveBy, slack: slack };
+        if (slack < 0) {
+            feasible = false;
+        }
+    });
+
+    return {
+        departures: departures,
+        feasible: feasible,
+        earliest: earliestMeetingTime(travelTimes, options, current)
+    };
+}
+
+// The first time both could be there if they left now, rounded up to a
+// time that is easy to agree on
+function earliestMeetingTime(travelTimes, options, now) {
+    const known = Object.keys(travelTimes)
+        .map(role => travelTimes[role])
+        .filter(time => typeof time === 'number');
+
+    const longest = known.length > 0 ? Math.max.apply(null, known) : 0;
+    const earliest = now.getTime() + (longest + options.bufferMinutes * 60) * 1000;
+    const step = Math.max(1, options.roundToMinutes) * 60000;
+
+    return new Date(Math.ceil(earliest / step) * step);
+}
+
+// ----- TARGET TIME -----
+// A time of day typed as "HH:MM" (what <input type="time"> gives) as the
+// Date closest to now: "00:30" typed late in the evening is tomorrow,
+// "17:55" typed at 18:00 is five minutes ago. Null if it can't be read.
+
+function resolveClockTime(text, now) {
+    const match = /^(\d{1,2}):(\d{2})$/.exec(String(text || '').trim());
+    if (!match) {
+        return null;
+    }
+
+    const current = now || new Date();
+    const time = new Date(current.getTime());
+    time.setHours(Number(match[1]), Number(match[2]), 0, 0);
+
+    const halfDay = 12 * 3600 * 1000;
+    if (time.getTime() - current.getTime() < -halfDay) {
+        time.setDate(time.getDate() + 1);
+    } else if (time.getTime() - current.getTime() > halfDay) {
+        time.setDate(time.getDate() - 1);
+    }
+
+    return time;
+}
+
+// The other way round, for filling in <input type="time">
+function toClockInputValue(date) {
+    return `${String(date.getHours()).padStart(2, '0')}:${String(date.getMinutes()).padStart(2, '0')}`;
+}
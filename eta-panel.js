@@ -0,0 +1,122 @@
+/**
+ * ETA PANEL
+ * =========
+ *
+ * The "Estimated Time of Arrival" box on the navigation pages. It shows
+ * a countdown for the driver and for the passenger, refreshed every few
+ * seconds, and warns when one of them will be waiting for the other.
+ *
+ * The pages feed it travel times from their routing controls:
+ *
+ *     const etaPanel = createEtaPanel(element, 'passenger');
+ *     etaPanel.setTravelTime('driver', route.summary.totalTime);
+ */
+
+// ----- CREATE ETA PANEL -----
+// ownRole decides whose row comes first and who "You" is
+
+function createEtaPanel(container, ownRole) {
+    const config = APP_CONFIG.eta;
+
+    // Expected arrival (ms timestamp) per role; null while unknown,
+    // false when the route could not be calculated
+    const arrivals = { driver: null, passenger: null };
+
+    const otherRole = ownRole === 'driver' ? 'passenger' : 'driver';
+    const icons = {
+        driver: 'fa-car-side',
+        passenger: 'fa-person-walking'
+    };
+
+    container.innerHTML = `
+        <h2 data-i18n="eta.title"></h2>
+        <div class="eta-rows"></div>
+        <p class="eta-warning" role="status" hidden></p>
+    `;
+    translatePage(container);
+
+    const rows = container.querySelector('.eta-rows');
+    const warning = container.querySelector('.eta-warning');
+
+    function describeArrival(role) {
+        const arrival = arrivals[role];
+
+        if (arrival === null) {
+            return t('eta.calculating');
+        }
+        if (arrival === false) {
+            return t('eta.unavailable');
+        }
+
+        const remaining = arrival - Date.now();
+        if (remaining <= 0) {
+            return t('eta.arrivingNow');
+        }
+        return `${formatCountdown(remaining)} <span class="eta-clock">(${formatClockTime(new Date(arrival))})</span>`;
+    }
+
+    function render() {
+        rows.innerHTML = [ownRole, otherRole].map(role => `
+            <div class="eta-row">
+                <i class="fa-solid ${icons[role]}"></i>
+                <span class="eta-label">${role === ownRole ? t('eta.you') : roleLabel(role)}:</span>
+                <i class="eta-value">${describeArrival(role)}</i>
+            </div>
+        `).join('');
+
+        renderWaitWarning();
+    }
+
+    // Warns when one person will stand around for a while
+    function renderWaitWarning() {
+        const driver = arrivals.driver;
+        const passenger = arrivals.passenger;
+
+        if (!driver || !passenger) {
+            warning.hidden = true;
+            return;
+        }
+
+        const difference = Math.abs(driver - passenger);
+        if (difference < config.waitWarningThreshold * 1000) {
+            warning.hidden = true;
+            return;
+        }
+
+        const waiter = driver < passenger ? 'driver' : 'passenger';
+
+        // Either we wait for the other person or they wait for us
+        warning.textContent = waiter === ownRole ?
+            t(`eta.youWait.${otherRole}`, { time: formatCountdown(difference) }) :
+            t(`eta.otherWaits.${otherRole}`, { time: formatCountdown(difference) });
+        warning.hidden = false;
+    }
+
+    render();
+    setInterval(render, config.refreshInterval);
+    onLocaleChange(render);
+
+    return {
+        // Travel time in seconds from now, from a routesfound summary
+        setTravelTime: function(role, seconds) {
+            arrivals[role] = Date.now() + seconds * 1000;
+            render();
+        },
+
+        // The route for this role failed
+        setUnavailable: function(role) {
+            arrivals[role] = false;
+            render();
+        }
+    };
+}
+
+// ----- FORMAT COUNTDOWN -----
+// Milliseconds as "less than a minute", "12 min" or "1 h 5 min"
+
+function formatCountdown(milliseconds) {
+    if (Math.round(milliseconds / 60000) < 1) {
+        return t('eta.lessThanMinute');
+    }
+    return formatDuration(milliseconds / 1000);
+}
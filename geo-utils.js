@@ -0,0 +1,149 @@
+/**
+ * GEOMETRY HELPERS
+ * ================
+ *
+ * Distance calculations along route polylines. Routes in this app are
+ * at city scale, so points are projected onto a flat plane around the
+ * area of interest (an equirectangular projection). The error is well
+ * under a meter over a few kilometers.
+ */
+
+const EARTH_RADIUS_METERS = 6371000;
+
+// ----- PROJECT POINT -----
+// Converts a lat/lng into x/y meters relative to a reference latitude
+
+function projectToMeters(latlng, referenceLat) {
+    const toRadians = Math.PI / 180;
+    return {
+        x: latlng.lng * toRadians * EARTH_RADIUS_METERS * Math.cos(referenceLat * toRadians),
+        y: latlng.lat * toRadians * EARTH_RADIUS_METERS
+    };
+}
+
+// ----- CLOSEST POINT ON ROUTE -----
+// Finds where a position sits on a polyline.
+// Returns the index of the segment it falls on, the snapped point,
+// and how far (in meters) the position is from the line.
+
+function closestPointOnRoute(latlng, coordinates) {
+    const referenceLat = latlng.lat;
+    const p = projectToMeters(latlng, referenceLat);
+
+    let best = null;
+
+    for (let i = 0; i < coordinates.length - 1; i++) {
+        const a = projectToMeters(coordinates[i], referenceLat);
+        const b = projectToMeters(coordinates[i + 1], referenceLat);
+
+        const dx = b.x - a.x;
+        const dy = b.y - a.y;
+        const lengthSquared = dx * dx + dy * dy;
+
+        // How far along the segment the closest point is (0 = start, 1 = end)
+        let t = lengthSquared === 0 ? 0 : ((p.x - a.x) * dx + (p.y - a.y) * dy) / lengthSquared;
+        t = Math.max(0, Math.min(1, t));
+
+        const cx = a.x + t * dx;
+        const cy = a.y + t * dy;
+        const distance = Math.sqrt((p.x - cx) * (p.x - cx) + (p.y - cy) * (p.y - cy));
+
+        if (!best || distance < best.distance) {
+            best = {
+                index: i,
+                fraction: t,
+                distance: distance,
+                point: L.latLng(
+                    coordinates[i].lat + t * (coordinates[i + 1].lat - coordinates[i].lat),
+                    coordinates[i].lng + t * (coordinates[i + 1].lng - coordinates[i].lng)
+                )
+            };
+        }
+    }
+
+    // A route with a single point: the point itself is the closest
+    if (!best && coordinates.length === 1) {
+        best = {
+            index: 0,
+            fraction: 0,
+            distance: L.latLng(coordinates[0]).distanceTo(latlng),
+            point: L.latLng(coordinates[0])
+        };
+    }
+
+    return best;
+}
+
+// ----- ROUTE LENGTH -----
+// Total length of a polyline in meters
+
+function routeLength(coordinates) {
+    let total = 0;
+    for (let i = 0; i < coordinates.length - 1; i++) {
+        total += L.latLng(coordinates[i]).distanceTo(coordinates[i + 1]);
+    }
+    return total;
+}
+
+// ----- REMAINING ROUTE -----
+// The part of a polyline still ahead of a snapped position
+// (as returned by closestPointOnRoute)
+
+function remainingRoute(coordinates, closest) {
+    return [closest.point].concat(coordinates.slice(closest.index + 1));
+}
+
+// ----- POINT IN POLYGON -----
+// Whether a position is inside a polygon given as rings of lat/lngs:
+// the outline first, then any holes. Casts a ray along the latitude and
+// counts the edges it crosses, which is exact enough at city scale.
+
+function isPointInPolygon(latlng, rings) {
+    const inRing = function(ring) {
+        let inside = false;
+        for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+            const a = ring[i];
+            const b = ring[j];
+            if ((a.lat > latlng.lat) !== (b.lat > latlng.lat) &&
+                latlng.lng < a.lng + (latlng.lat - a.lat) * (b.lng - a.lng) / (b.lat - a.lat)) {
+                inside = !inside;
+            }
+        }
+        return inside;
+    };
+
+    return inRing(rings[0]) && !rings.slice(1).some(inRing);
+}
+
+// ----- DECODE POLYLINE -----
+// Decodes an encoded polyline (Google's format) into L.LatLng points.
+// OSRM and GraphHopper use precision 5, Valhalla uses precision 6.
+
+function decodePolyline(encoded, precision) {
+    const factor = Math.pow(10, precision || 5);
+    const points = [];
+    let index = 0;
+    let lat = 0;
+    let lng = 0;
+
+    while (index < encoded.length) {
+        // Each value is a variable-length run of 5-bit chunks
+        const values = [0, 0].map(function() {
+            let result = 0;
+            let shift = 0;
+            let byte;
+            do {
+                byte = encoded.charCodeAt(index++) - 63;
+                result |= (byte & 0x1f) << shift;
+                shift += 5;
+            } while (byte >= 0x20);
+            return (result & 1) ? ~(result >> 1) : (result >> 1);
+        });
+
+        lat += values[0];
+        lng += values[1];
+        points.push(L.latLng(lat / factor, lng / factor));
+    }
+
+    return points;
+}
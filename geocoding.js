@@ -0,0 +1,139 @@
+/**
+ * GEOCODING
+ * =========
+ *
+ * Turns addresses and place names into positions (search) and positions
+ * back into readable names (reverse), for meeting points that are not
+ * one of the parking zones.
+ *
+ * Two geocoders speak the same interface:
+ * - 'nominatim': any Nominatim-compatible service (the OpenStreetMap one
+ *   by default, or a self-hosted server)
+ * - 'stub': a small list of places from a local file, for development
+ *   and tests without network access
+ *
+ * search(query) resolves to a list of { name, address, latlng }, best
+ * match first. reverse(latlng) resolves to a name, or null when there is
+ * nothing useful to call the place.
+ */
+
+// ----- CREATE GEOCODER -----
+// Picks the geocoder named in the configuration
+
+function createGeocoder(config) {
+    if (config.provider === 'stub') {
+        return createStubGeocoder(config.stubUrl, config.limit);
+    }
+    return createNominatimGeocoder(config);
+}
+
+// ----- NOMINATIM -----
+// https://nominatim.org/release-docs/latest/api/Overview/
+// The public server allows about one request per second, so searches
+// only run when the user asks for them, never while typing.
+
+function createNominatimGeocoder(config) {
+    const baseUrl = config.url.replace(/\/$/, '');
+
+    function query(path, params) {
+        params.format = 'jsonv2';
+        params['accept-language'] = config.language || getLanguage();
+        return fetchJson(`${baseUrl}/${path}?${new URLSearchParams(params)}`, {}, config.timeout);
+    }
+
+    return {
+        search: function(text) {
+            const params = { q: text, limit: config.limit, addressdetails: 1 };
+            if (config.countryCodes) {
+                params.countrycodes = config.countryCodes;
+            }
+            // Prefer, but don't limit to, places in the area we serve
+            if (config.viewbox) {
+                params.viewbox = config.viewbox.join(',');
+            }
+
+            return query('search', params).then(function(results) {
+                return results.map(result => ({
+                    name: nominatimPlaceName(result),
+                    address: result.display_name,
+                    latlng: L.latLng(Number(result.lat), Number(result.lon))
+                }));
+            });
+        },
+
+        reverse: function(latlng) {
+            return query('reverse', { lat: latlng.lat, lon: latlng.lng, zoom: 18, addressdetails: 1 })
+                .then(function(result) {
+                    // Nominatim answers { error } for places in the middle of nowhere
+                    return result && !result.error ? nominatimPlaceName(result) : null;
+                });
+        }
+    };
+}
+
+// A short name for a result: the place's own name, otherwise the street
+// address, otherwise the start of the long display name
+function nominatimPlaceName(result) {
+    if (result.name) {
+        return result.name;
+    }
+
+    const address = result.address || {};
+    if (address.road) {
+        return address.house_number ? `${address.house_number} ${address.road}` : address.road;
+    }
+
+    return (result.display_name || '').split(',').slice(0, 2).join(',').trim() || null;
+}
+
+// ----- STUB -----
+// Searches a fixed list of places: { "places": [{ name, address, lat, lng }] }.
+// Reverse geocoding names the closest place within STUB_REVERSE_DISTANCE.
+
+const STUB_REVERSE_DISTANCE = 250;
+
+function createStubGeocoder(url, limit) {
+    let places = null;
+
+    function loadPlaces() {
+        if (!places) {
+            places = fetchJson(url).then(data => data.places.map(place => ({
+                name: place.name,
+                address: place.address || place.name,
+                latlng: L.latLng(place.lat, place.lng)
+            })));
+        }
+        return places;
+    }
+
+    return {
+        search: function(text) {
+            const words = text.toLowerCase().split(/\s+/).filter(Boolean);
+
+            return loadPlaces().then(function(list) {
+                return list
+                    .filter(place => {
+                        const haystack = `${place.name} ${place.address}`.toLowerCase();
+                        return words.length > 0 && words.every(word => haystack.includes(word));
+                    })
+                    .slice(0, limit);
+            });
+        },
+
+        reverse: function(latlng) {
+            return loadPlaces().then(function(list) {
+                let closest = null;
+                list.forEach(place => {
+                    if (!closest || latlng.distanceTo(place.latlng) < latlng.distanceTo(closest.latlng)) {
+                        closest = place;
+                    }
+                });
+
+                if (!closest || latlng.distanceTo(closest.latlng) > STUB_REVERSE_DISTANCE) {
+                    return null;
+                }
+                return latlng.distanceTo(closest.latlng) < 30 ? closest.name : t('geocoding.near', { name: closest.name });
+            });
+        }
+    };
+}
@@ -0,0 +1,294 @@
+/**
+ * LOCALE
+ * ======
+ *
+ * Translations, and number, time and distance formatting, for every page.
+ *
+ * Each language has a bundle of strings (locales/en.js, locales/fr.js ...)
+ * registered with registerLocaleBundle(). Code asks for a string by key,
+ * with {name} placeholders filled in from the second argument:
+ *
+ *     t('status.selectZone')
+ *     t('status.arrived', { name: 'City Hall Parkade' })
+ *
+ * Keys a bundle doesn't have fall back to English. Static text in the
+ * pages carries a data-i18n attribute (or data-i18n-placeholder,
+ * data-i18n-title, data-i18n-aria-label) and is filled in by
+ * translatePage().
+ *
+ * The language and the units (metric or imperial) follow the browser
+ * until the user picks others with createLocaleControls(); that choice
+ * is remembered in localStorage. Text built by code is redrawn by the
+ * pages from onLocaleChange() listeners.
+ */
+
+const LOCALE_BUNDLES = {};
+const LOCALE_STORAGE_KEY = 'parking-rendezvous-locale';
+const LOCALE_UNITS = ['metric', 'imperial'];
+
+// Regions whose road signs are in miles
+const IMPERIAL_REGIONS = ['US', 'GB', 'LR', 'MM'];
+
+const METERS_PER_MILE = 1609.344;
+const FEET_PER_METER = 3.28084;
+
+let localeLanguage = null; // Picked on first use, once the bundles are registered
+let localeUnits = null;
+const localeListeners = [];
+
+// ----- BUNDLES -----
+
+function registerLocaleBundle(language, strings) {
+    LOCALE_BUNDLES[language] = Object.assign(LOCALE_BUNDLES[language] || {}, strings);
+}
+
+// Languages that have a bundle, e.g. ['en', 'fr']
+function getAvailableLanguages() {
+    return Object.keys(LOCALE_BUNDLES);
+}
+
+// ----- TRANSLATE -----
+// A string can also be { one, other } for text that depends on
+// params.count; the browser's plural rules pick the form.
+
+function t(key, params) {
+    const values = params || {};
+    const bundle = LOCALE_BUNDLES[getLanguage()] || {};
+    const fallback = LOCALE_BUNDLES.en || {};
+    let text = key in bundle ? bundle[key] : fallback[key];
+
+    if (text === undefined) {
+        console.warn(`Missing translation for "${key}"`);
+        return key;
+    }
+
+    if (typeof text === 'object') {
+        const form = new Intl.PluralRules(getLocale()).select(values.count);
+        text = text[form] || text.other;
+    }
+
+    return text.replace(/\{(\w+)\}/g, (match, name) => (name in values ? String(values[name]) : match));
+}
+
+// ----- TRANSLATE PAGE -----
+// Fills in every element under root that is marked for translation
+
+function translatePage(root) {
+    const scope = root || document;
+
+    scope.querySelectorAll('[data-i18n]').forEach(element => {
+        element.textContent = t(element.dataset.i18n);
+    });
+    scope.querySelectorAll('[data-i18n-placeholder]').forEach(element => {
+        element.placeholder = t(element.dataset.i18nPlaceholder);
+    });
+    scope.querySelectorAll('[data-i18n-title]').forEach(element => {
+        element.title = t(element.dataset.i18nTitle);
+    });
+    scope.querySelectorAll('[data-i18n-aria-label]').forEach(element => {
+        element.setAttribute('aria-label', t(element.dataset.i18nAriaLabel));
+    });
+
+    if (scope === document) {
+        document.documentElement.lang = getLanguage();
+    }
+}
+
+// ----- LANGUAGE AND UNITS -----
+
+function getLanguage() {
+    if (!localeLanguage) {
+        const saved = readLocalePreference().language;
+        localeLanguage = LOCALE_BUNDLES[saved] ? saved : detectLanguage();
+    }
+    return localeLanguage;
+}
+
+function getUnits() {
+    if (!localeUnits) {
+        const saved = readLocalePreference().units;
+        localeUnits = LOCALE_UNITS.includes(saved) ? saved : detectUnits();
+    }
+    return localeUnits;
+}
+
+// The browser's own tag when it speaks our language ('fr-CA' rather than
+// 'fr'), so Intl formats numbers and times the way the user expects
+function getLocale() {
+    const language = getLanguage();
+    return browserLanguages().find(tag => tag.split('-')[0].toLowerCase() === language) || language;
+}
+
+function setLanguage(language) {
+    if (!LOCALE_BUNDLES[language] || language === getLanguage()) {
+        return;
+    }
+    localeLanguage = language;
+    saveLocalePreference();
+    notifyLocaleChange();
+}
+
+function setUnits(units) {
+    if (!LOCALE_UNITS.includes(units) || units === getUnits()) {
+        return;
+    }
+    localeUnits = units;
+    saveLocalePreference();
+    notifyLocaleChange();
+}
+
+// listener() runs after the page's static text has been translated
+function onLocaleChange(listener) {
+    localeListeners.push(listener);
+}
+
+function offLocaleChange(listener) {
+    const index = localeListeners.indexOf(listener);
+    if (index !== -1) {
+        localeListeners.splice(index, 1);
+    }
+}
+
+function notifyLocaleChange() {
+    translatePage(document);
+    localeListeners.forEach(listener => listener());
+}
+
+// ----- DETECTION -----
+
+function browserLanguages() {
+    if (navigator.languages && navigator.languages.length > 0) {
+        return navigator.languages;
+    }
+    return navigator.language ? [navigator.language] : [];
+}
+
+// The first browser language we have a bundle for
+function detectLanguage() {
+    const match = browserLanguages()
+        .map(tag => tag.split('-')[0].toLowerCase())
+        .find(language => LOCALE_BUNDLES[language]);
+
+    return match || APP_CONFIG.locale.defaultLanguage;
+}
+
+function detectUnits() {
+    if (LOCALE_UNITS.includes(APP_CONFIG.locale.units)) {
+        return APP_CONFIG.locale.units;
+    }
+
+    const region = (browserLanguages()[0] || '').split('-')[1] || '';
+    return IMPERIAL_REGIONS.includes(region.toUpperCase()) ? 'imperial' : 'metric';
+}
+
+// Storage can be turned off or full; the choice then lasts for the page
+function readLocalePreference() {
+    try {
+        return JSON.parse(localStorage.getItem(LOCALE_STORAGE_KEY)) || {};
+    } catch (error) {
+        return {};
+    }
+}
+
+function saveLocalePreference() {
+    try {
+        localStorage.setItem(LOCALE_STORAGE_KEY, JSON.stringify({ language: localeLanguage, units: localeUnits }));
+    } catch (error) {
+        console.warn("Could not save the language preference:", error);
+    }
+}
+
+// ----- FORMATTING -----
+
+function formatNumber(value, options) {
+    return new Intl.NumberFormat(getLocale(), options).format(value);
+}
+
+// "450 m" and "1.2 km", or "500 ft" and "0.8 mi" in imperial units
+function formatDistance(meters) {
+    if (getUnits() === 'imperial') {
+        const miles = meters / METERS_PER_MILE;
+        if (miles < 0.1) {
+            return formatUnit(Math.round(meters * FEET_PER_METER), 'foot', 0);
+        }
+        return formatUnit(miles, 'mile', miles < 10 ? 1 : 0);
+    }
+
+    if (meters < 1000) {
+        return formatUnit(Math.round(meters), 'meter', 0);
+    }
+    return formatUnit(meters / 1000, 'kilometer', meters < 10000 ? 1 : 0);
+}
+
+function formatUnit(value, unit, decimals) {
+    return formatNumber(value, {
+        style: 'unit',
+        unit: unit,
+        unitDisplay: 'short',
+        minimumFractionDigits: decimals,
+        maximumFractionDigits: decimals
+    });
+}
+
+// Seconds as "12 min" or "1 h 5 min"
+function formatDuration(seconds) {
+    const minutes = Math.round(seconds / 60);
+    const hours = Math.floor(minutes / 60);
+    const rest = minutes % 60;
+
+    if (hours === 0) {
+        return t('time.minutes', { minutes: rest });
+    }
+    return rest ? t('time.hoursMinutes', { hours: hours, minutes: rest }) : t('time.hours', { hours: hours });
+}
+
+// ----- LOCALE CONTROLS -----
+// The language and units menus shared by all pages
+
+function createLocaleControls(container) {
+    container.classList.add('locale-controls');
+    container.innerHTML = `
+        <label>
+            <span data-i18n="locale.language">Language</span>
+            <select class="locale-language"></select>
+        </label>
+        <label>
+            <span data-i18n="locale.units">Units</span>
+            <select class="locale-units"></select>
+        </label>
+    `;
+
+    const languageSelect = container.querySelector('.locale-language');
+    const unitsSelect = container.querySelector('.locale-units');
+
+    // Each language is listed under its own name
+    getAvailableLanguages().forEach(language => {
+        const option = document.createElement('option');
+        option.value = language;
+        option.textContent = LOCALE_BUNDLES[language]['language.name'] || language;
+        languageSelect.appendChild(option);
+    });
+
+    LOCALE_UNITS.forEach(units => {
+        const option = document.createElement('option');
+        option.value = units;
+        option.dataset.i18n = `units.${units}`;
+        unitsSelect.appendChild(option);
+    });
+
+    function showCurrent() {
+        languageSelect.value = getLanguage();
+        unitsSelect.value = getUnits();
+    }
+
+    languageSelect.addEventListener('change', function() {
+        setLanguage(languageSelect.value);
+    });
+    unitsSelect.addEventListener('change', function() {
+        setUnits(unitsSelect.value);
+    });
+
+    onLocaleChange(showCurrent);
+    translatePage(container);
+    showCurrent();
+}
@@ -8,9 +8,26 @@
  * 
  * Features:
  * - Different routing for drivers and pedestrians
- * - Selectable parking zones
+ * - Selectable parking zones, loaded from GeoJSON
  * - Estimated arrival times
  * - Turn-by-turn directions
+ * - Live driver tracking with automatic rerouting
+ * - Shared rendezvous sessions between the driver and the passenger
+ * - Meeting point suggestions that suit both people
+ * - Offline routing on a bundled street graph when the server fails
+ * - Live parking availability, with a warning when the meeting point fills up
+ * - Parking cost estimates from each zone's rate schedule
+ * - Turn-by-turn navigation with spoken instructions
+ * - Several pickup stops for the driver, visited in the fastest order
+ * - Alternative routes to compare, and avoiding highways or tolls
+ * - Shareable links to a rendezvous, and route export as GPX or GeoJSON
+ * - Address search, and custom meeting points dropped anywhere on the map
+ * - English and French, local time formats, and metric or imperial units
+ * - The last rendezvous, favourite zones and recent meeting points kept between visits
+ * - A list of the parking zones to filter and sort, usable with the keyboard
+ * - Clear reasons when the position can't be found, retries, and placing yourself by hand
+ * - Installable, and usable offline: saved map tiles for downtown and recent routes
+ * - A vehicle profile, and zone amenities: EV charging, accessible stalls, height and opening hours
  */
 
 // ----- GLOBAL VARIABLES -----
@@ -23,8 +40,60 @@ let userType = 'driver'; // Current user type (driver or passenger)
 let userLocation = null; // User's current location
 let meetingPoint = null; // Selected meeting point
 let meetingPointMarker = null; // Marker for the meeting point
+let meetingPointName = null; // Name of the selected meeting point
 let passengerLocation = null; // Static location for the passenger
 let estimatedArrivalTime = null; // ETA to the meeting point
+let estimatedArrivalDate = null; // The same ETA as a Date, for the parking cost
+let expectedStayMinutes = APP_CONFIG.parkingCost.defaultStayMinutes; // How long the car stays parked
+let parkingZones = [];  // Zones loaded from the GeoJSON data source
+let activeRoute = null; // The route currently shown (coordinates, summary, instructions)
+let activeRouteLine = null; // The map layer that draws activeRoute
+let trackingWatchId = null; // Id from watchPosition while live tracking is on
+let routeProgress = new RouteProgress(); // Counts the fixes off the route and times the reroutes
+let routeRequestCount = 0; // Increases with every route request, to spot stale answers
+let rendezvousSession = null; // Shared session with the other party, if any
+let partnerMarker = null; // Marker showing the other party's position
+let partnerLocation = null; // The other party's last shared position
+let partnerRole = null; // The other party's role ('driver' or 'passenger')
+let parkingOccupancy = null; // Live occupancy of the parking zones
+let zoneLayers = {};    // Map layer and popup availability line per zone id
+let occupancyAlertKey = null; // What the "meeting point is full" alert currently shows
+let navigationActive = false; // Whether turn-by-turn navigation mode is on
+let turnNavigator = null; // Follows the position along the active route while navigating
+let voiceAnnouncer = null; // Reads navigation instructions out loud
+let pickupStops = [];   // The driver's pickup stops, in visiting order
+let pickupPlanCount = 0; // Increases with every stop order request, to spot stale answers
+let routeAlternatives = []; // Every route the router offered for the current request
+let routePreferences = { avoid: [] }; // What the route should stay away from
+let linkedStart = null; // Start position from a shared link, used instead of the browser's
+let linkedZoneId = null; // Meeting point from a shared link, selected once the zones load
+let linkedMeetingPoint = null; // The same for a meeting point that isn't a parking zone
+let geocoder = null;    // Address search and names for custom meeting points
+let searchMarker = null; // Marker for the search result being looked at
+let customPointCount = 0; // Increases with every dropped pin, to spot stale address lookups
+let routeLanguage = null; // The language the current route's instructions were asked for
+let restoredSession = null; // The last visit's rendezvous, picked up once the zones load
+let zoneList = null;    // The sidebar list of parking zones
+let arrivalGeofence = null; // The area around the meeting point that counts as arrived
+let parkingTimer = null; // Runs while the car is parked at the meeting point
+let targetMeetingTime = null; // When both want to be at the meeting point, for the "leave by" times
+let travelTimeSeconds = null; // Our travel time to the meeting point, from the latest route
+let partnerTravelTime = null; // The other person's travel time to the meeting point, estimated
+let partnerTravelRequestCount = 0; // Increases with every travel time lookup, to spot stale answers
+let departureAlertKey = null; // What the departure alert currently shows
+let positionSimulator = null; // Stands in for the browser's geolocation during a simulation
+let positionRecording = null; // Positions recorded so far, while recording is on
+let recordedTrace = null; // The last finished recording, ready to download
+let locationFinder = null; // Asks the browser where we are, and asks again when it fails
+let userLocationSource = null; // Where userLocation came from: 'gps', 'manual', 'link' or 'static'
+let userAccuracy = null; // How far off (in meters) userLocation may be, null when unknown
+let accuracyCircle = null; // Circle showing userAccuracy around the user marker
+let locationProblem = null; // Why we have no position, or a rough one: { reason, retryIn }
+let placingUserMarker = false; // Whether the next click on the map sets our position
+let tileDownload = null; // Progress of the service area download: { done, total, failed, full }
+let zoneUsability = {};  // Per zone id: why the driver can't park there ({ reasons, arrival }), reasons empty when they can
+let zoneUsabilityKey = null; // What the zones on the map and in the list currently show as usable
+let zoneListOrigin = null; // Where the user was when the zone list distances were last drawn
 
 
 // ----- APPLICATION INITIALIZATION -----
@@ -37,11 +106,15 @@ function initApp() {
     map = L.map('map').setView([51.0525571, -114.0730546], 13);
     
     // Add the OpenStreetMap tile layer - this provides the actual map imagery
-    L.tileLayer('https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png', {
+    L.tileLayer(APP_CONFIG.offline.tileUrl, {
         attribution: '&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors',
+        subdomains: APP_CONFIG.offline.tileSubdomains,
         maxZoom: 19
     }).addTo(map);
     
+    // Translate the page and set up the language and units menus
+    setupLocale();
+    
     // Set up event listeners for our user type toggle buttons
     document.getElementById('driver-btn').addEventListener('click', function() {
         setUserType('driver');
@@ -51,24 +124,139 @@ function initApp() {
         setUserType('passenger');
     });
     
-    // Display parking zones on the map
-    displayParkingZones();
+    document.getElementById('tracking-btn').addEventListener('click', function() {
+        if (isTracking()) {
+            stopTracking();
+        } else {
+            startTracking();
+        }
+    });
+    
+    // Set up the navigation mode button and the voice controls
+    setupNavigationControls();
+    
+    // Set up the simulated drive, trace replay and recording
+    setupSimulation();
+    
+    // Set up finding the user's position, and placing it by hand
+    setupLocationFinder();
+    
+    // Set up the avoid highways / tolls checkboxes
+    setupRouteOptions();
+    
+    // Set up the link and export buttons
+    setupSharePanel();
+    
+    // Set up the address search and dropping pins on the map
+    setupAddressSearch();
+    
+    // Load the parking zones and display them on the map
+    loadAndDisplayParkingZones();
+    
+    // Set up the create/join panel for shared sessions
+    createSessionControls(document.getElementById('session-panel'), {
+        getRole: function() {
+            return userType;
+        },
+        onStart: startSharedSession,
+        onEnd: endSharedSession
+    });
+    
+    // Fill the objective menu and hook up the suggestion button
+    setupMeetingPointSuggestions();
     
     // Initialize passenger location near the parking zone
     // For this tutorial, we'll set this as a static location
     passengerLocation = L.latLng(51.052250, -114.071000);
     
-    // Get the user's location from the browser (for the driver)
-    if (userType === 'driver') {
-        getUserLocation();
-    } else {
-        // For passenger view, use the static passenger location
-        setStaticPassengerView();
+    // Set up the favourites, recent meeting points and settings
+    setupSavedPlaces();
+    
+    // Set up the list of parking zones
+    setupZoneList();
+    
+    // Set up the parking timer that starts on arrival
+    setupParkingTimer();
+    
+    // Set up the target meeting time and the "leave by" countdown
+    setupDeparturePlanner();
+    
+    // Install the service worker and set up the offline map panel
+    setupOfflineMap();
+    
+    // Set up the vehicle profile that decides which zones will do
+    setupVehicleProfile();
+    
+    // A shared link can set the role, the meeting point and the start.
+    // Without one, the rendezvous from the last visit carries on.
+    const link = readRendezvousLink(window.location.search);
+    applyRendezvousLink(link);
+    if (!link.role && !link.zoneId && !link.meetingPoint && APP_CONFIG.storage.restoreSession) {
+        restoreSavedSession(getSavedSession());
     }
     
+    // Find out where the user is
+    locateUser();
+    
     console.log("Application initialized successfully!");
 }
 
+// ----- LANGUAGE AND UNITS -----
+// i18n.js translates the static text of the page. Everything the app
+// writes itself is redrawn here when the user picks another language
+// or other units.
+
+function setupLocale() {
+    translatePage(document);
+    createLocaleControls(document.getElementById('locale-panel'));
+    onLocaleChange(refreshForLocale);
+}
+
+function refreshForLocale() {
+    updateStatusMessage();
+    updateRouteOptionsAvailability();
+    fillStayLengths();
+    updateMeetingPointPopup();
+    parkingZones.forEach(updateZonePopup);
+    renderPickupStops();
+    renderSavedPlaces();
+    zoneList.refresh();
+    renderParkingTimer();
+    renderSimulationPanel();
+    renderRecording();
+    renderLocationPanel();
+    renderOfflinePanel();
+    renderVehicleHeight();
+    
+    // Redraw the usability and the alerts even when they haven't changed
+    zoneUsabilityKey = null;
+    updateZoneUsability();
+    occupancyAlertKey = null;
+    checkMeetingPointOccupancy();
+    departureAlertKey = null;
+    renderDeparturePlan();
+    
+    // The voice follows the language, unless one is configured
+    if (!APP_CONFIG.navigation.voiceLanguage) {
+        const voice = defaultVoiceLanguage();
+        voiceAnnouncer.setLanguage(voice);
+        document.getElementById('voice-language-select').value = voice;
+    }
+    
+    // The router writes the instructions, so a new language needs a new
+    // route. Other units only need the numbers redrawn.
+    if (userLocation && meetingPoint && !hasArrived() && routeLanguage && routeLanguage !== getLanguage()) {
+        routeToMeetingPoint();
+    } else if (activeRoute) {
+        renderRouteAlternatives();
+        displayDirections(activeRoute.instructions);
+    }
+    
+    if (document.getElementById('suggestions').childElementCount > 0) {
+        suggestMeetingPoint();
+    }
+}
+
 // ----- USER TYPE MANAGEMENT -----
 // This function handles switching between driver and passenger modes
 
@@ -79,6 +267,31 @@ function setUserType(type) {
     document.getElementById('driver-btn').classList.toggle('active', type === 'driver');
     document.getElementById('passenger-btn').classList.toggle('active', type === 'passenger');
     
+    // Let the other party know we switched roles
+    if (rendezvousSession) {
+        rendezvousSession.setRole(type);
+    }
+    
+    // Only drivers collect passengers from several stops
+    if (type !== 'driver' && pickupStops.length > 0) {
+        clearPickupStops();
+        meetingPoint = null;
+        meetingPointName = null;
+    }
+    
+    updateTrackingAvailability();
+    updateRouteOptionsAvailability();
+    updateRendezvousLink();
+    
+    // The vehicle is the driver's
+    document.getElementById('vehicle-panel').hidden = type !== 'driver';
+    updateZoneUsability();
+    
+    // Both travel times change with the roles
+    travelTimeSeconds = null;
+    updatePartnerTravelTime();
+    renderDeparturePlan();
+    
     // Reset the map view for the new user type
     resetMapForUserType();
     
@@ -93,10 +306,7 @@ function setUserType(type) {
 
 function resetMapForUserType() {
     // Clear existing route
-    if (routeControl) {
-        map.removeControl(routeControl);
-        routeControl = null;
-    }
+    clearActiveRoute();
     
     // Clear existing markers
     if (userMarker) {
@@ -104,8 +314,27 @@ function resetMapForUserType() {
         userMarker = null;
     }
     
+    // Forget the old position and anything said about it
+    locationFinder.cancel();
+    setPlacingUserMarker(false);
+    userLocation = null;
+    userLocationSource = null;
+    setUserAccuracy(null);
+    
     // Set up the appropriate view
-    if (userType === 'driver') {
+    locateUser();
+}
+
+// ----- LOCATE USER -----
+// Picks where the user starts from: a position from a shared link,
+// the browser's location for the driver (and in a shared session,
+// where the passenger's real position matters too), or the tutorial's
+// static passenger location
+
+function locateUser() {
+    if (linkedStart) {
+        setLinkedStartView();
+    } else if (userType === 'driver' || rendezvousSession) {
         getUserLocation();
     } else {
         setStaticPassengerView();
@@ -118,6 +347,8 @@ function resetMapForUserType() {
 function setStaticPassengerView() {
     // Set user location to the static passenger location
     userLocation = passengerLocation;
+    userLocationSource = 'static';
+    zoneList.refresh();
     
     // Create a marker for the passenger
     const markerIcon = L.divIcon({
@@ -128,7 +359,7 @@ function setStaticPassengerView() {
     
     // Add the passenger marker to the map
     userMarker = L.marker(userLocation, { icon: markerIcon }).addTo(map);
-    userMarker.bindPopup('You (Passenger)').openPopup();
+    userMarker.bindPopup(t('popup.you', { role: roleLabel('passenger') })).openPopup();
     
     // Center the map on the passenger location with a closer zoom
     map.setView(userLocation, 16);
@@ -139,482 +370,2875 @@ function setStaticPassengerView() {
     console.log("Static passenger view set up");
 }
 
-// ----- GET USER LOCATION -----
-// Gets the user's current location from the browser's geolocation API
-
-function getUserLocation() {
-    // Check if geolocation is available in this browser
-    if (navigator.geolocation) {
-        // Show a loading message
-        document.getElementById('status-message').textContent = "Getting your location...";
-        
-        // Request the current position
-        navigator.geolocation.getCurrentPosition(
-            // Success callback
-            function(position) {
-                // Extract coordinates
-                const lat = position.coords.latitude;
-                const lng = position.coords.longitude;
-                
-                // Store the user's location
-                userLocation = L.latLng(lat, lng);
-                
-                // Create a marker icon
-                const markerIcon = L.divIcon({
-                    className: 'user-marker',
-                    html: '<div style="background-color: #3388ff; width: 16px; height: 16px; border-radius: 50%; border: 2px solid white;"></div>',
-                    iconSize: [20, 20]
-                });
-                
-                // Add a marker to the map
-                userMarker = L.marker(userLocation, { icon: markerIcon }).addTo(map);
-                userMarker.bindPopup('You (Driver)').openPopup();
-                
-                // Center the map on the user's location
-                map.setView(userLocation, 15);
-                
-                // Update the status message
-                updateStatusMessage();
-                
-                console.log(`User location: ${lat}, ${lng}`);
-            },
-            // Error callback
-            function(error) {
-                console.error("Error getting location:", error);
-                
-                // Show an error message
-                document.getElementById('status-message').textContent = 
-                    "Could not get your location. Using default location.";
-                
-                // Use a default location (Calgary)
-                userLocation = L.latLng(51.0525571, -114.0730546);
-                
-                // Add a marker for the default location
-                userMarker = L.marker(userLocation).addTo(map);
-                userMarker.bindPopup('Default Location (Could not get your location)').openPopup();
-                
-                // Center the map on the default location
-                map.setView(userLocation, 13);
-            },
-            // Options
-            {
-                enableHighAccuracy: true,
-                timeout: 5000,
-                maximumAge: 0
-            }
-        );
-    } else {
-        // Browser doesn't support geolocation
-        console.error("Geolocation is not supported by this browser");
-        document.getElementById('status-message').textContent = 
-            "Geolocation is not supported by your browser. Using default location.";
-        
-        // Use a default location
-        userLocation = L.latLng(51.0525571, -114.0730546);
-        
-        // Add a marker for the default location
-        userMarker = L.marker(userLocation).addTo(map);
-        userMarker.bindPopup('Default Location (Geolocation not supported)').openPopup();
-        
-        // Center the map on the default location
-        map.setView(userLocation, 13);
-    }
-}
-
-// ----- UPDATE STATUS MESSAGE -----
-// Updates the status message in the UI
+// ----- LINKED START VIEW -----
+// Starts from the position given in a shared link
 
-function updateStatusMessage() {
-    const statusElement = document.getElementById('status-message');
+function setLinkedStartView() {
+    userLocation = linkedStart;
+    userLocationSource = 'link';
+    zoneList.refresh();
     
-    // Different messages based on state
-    if (!userLocation) {
-        statusElement.textContent = "Getting your location...";
-    } else if (!meetingPoint) {
-        statusElement.textContent = "Select a parking zone for your rendezvous.";
-    } else {
-        // Include ETA if available
-        if (estimatedArrivalTime) {
-            if (userType === 'driver') {
-                statusElement.textContent = `We'll help you drive to the selected parking zone. ETA: ${estimatedArrivalTime}`;
-            } else {
-                statusElement.textContent = `We'll help you walk to the selected parking zone. ETA: ${estimatedArrivalTime}`;
-            }
-        } else {
-            if (userType === 'driver') {
-                statusElement.textContent = "We'll help you drive to the selected parking zone.";
-            } else {
-                statusElement.textContent = "We'll help you walk to the selected parking zone.";
-            }
-        }
+    userMarker = L.marker(userLocation, { icon: createUserIcon(userType) }).addTo(map);
+    userMarker.bindPopup(t('popup.youLinked', { role: roleLabel(userType) })).openPopup();
+    
+    map.setView(userLocation, 15);
+    shareUserLocation();
+    
+    // The meeting point may have been chosen before we knew the start
+    if (meetingPoint && !routeControl) {
+        routeToMeetingPoint();
     }
+    
+    updateStatusMessage();
+    
+    console.log(`Starting from the shared link position: ${userLocation}`);
 }
 
-// ----- DISPLAY PARKING ZONES -----
-// Adds parking zones to the map
+// ----- GET USER LOCATION -----
+// Asks for the user's position through the location finder, which tells
+// the reasons for a failure apart and tries again when that can help.
+// Without a position nothing is routed: a route from a made-up start
+// would look right and be wrong. The user can place themselves instead.
 
-function displayParkingZones() {
-    // Example parking zones in Calgary
-    const parkingZones = [
-        {
-            name: "City Hall Parkade",
-            location: L.latLng(51.0453, -114.0585),
-            capacity: 450,
-            hourlyRate: "$3.00"
-        },
-        {
-            name: "Eau Claire Market",
-            location: L.latLng(51.0529, -114.0680),
-            capacity: 350,
-            hourlyRate: "$2.50"
-        },
-        {
-            name: "Chinatown Parking",
-            location: L.latLng(51.0505, -114.0644),
-            capacity: 200,
-            hourlyRate: "$2.00"
-        },
-        {
-            name: "Bow Valley College",
-            location: L.latLng(51.0470, -114.0555),
-            capacity: 300,
-            hourlyRate: "$4.00"
+function setupLocationFinder() {
+    locationFinder = new LocationFinder(getGeolocation, APP_CONFIG.location);
+    
+    locationFinder.on('locating', function(e) {
+        if (!userLocation) {
+            document.getElementById('status-message').textContent =
+                e.attempt > 1 ? t('status.locatingAgain', { attempt: e.attempt }) : t('status.locating');
         }
-    ];
+    });
+    locationFinder.on('found', function(e) {
+        onLocationFound(e.position);
+    });
+    locationFinder.on('failed', function(e) {
+        onLocationFailed(e.reason, e.retryIn);
+    });
     
-    // Loop through each parking zone and add it to the map
-    parkingZones.forEach(zone => {
-        // Create a circle for the parking zone
-        const parkingCircle = L.circle(zone.location, {
-            color: '#FF8C00',
-            fillColor: '#FFA500',
-            fillOpacity: 0.5,
-            radius: 50,
-            className: 'parking-zone'
-        }).addTo(map);
-        
-        // Create popup content
-        const popupContent = document.createElement('div');
-        popupContent.className = 'popup-content';
-        popupContent.innerHTML = `
-            <h3>${zone.name}</h3>
-            <p>Capacity: ${zone.capacity} spots</p>
-            <p>Rate: ${zone.hourlyRate}/hour</p>
-            <button>Select as meeting point</button>
-        `;
-        
-        // Add event listener to the button
-        const button = popupContent.querySelector('button');
-        button.addEventListener('click', function() {
-            selectMeetingPoint(zone.location.lat, zone.location.lng, zone.name);
-            parkingCircle.closePopup();
-        });
-        
-        // Bind the popup to the circle
-        parkingCircle.bindPopup(popupContent);
+    document.getElementById('location-retry-btn').addEventListener('click', getUserLocation);
+    document.getElementById('location-place-btn').addEventListener('click', function() {
+        setPlacingUserMarker(!placingUserMarker);
     });
     
-    console.log(`Added ${parkingZones.length} parking zones to the map`);
+    // While placing, a click on the map says where we are
+    map.on('click', function(e) {
+        if (placingUserMarker) {
+            setManualLocation(e.latlng);
+        }
+    });
 }
 
-// ----- SELECT MEETING POINT -----
-// Handles selecting a meeting point (parking zone)
+function getUserLocation() {
+    locationFinder.locate();
+}
 
-function selectMeetingPoint(lat, lng, name) {
-    // Store the meeting point
-    meetingPoint = L.latLng(lat, lng);
+function onLocationFound(position) {
+    const previousSource = userLocationSource;
     
-    // If we already have a meeting point marker, remove it
-    if (meetingPointMarker) {
-        map.removeLayer(meetingPointMarker);
+    // Extract coordinates
+    const lat = position.coords.latitude;
+    const lng = position.coords.longitude;
+    
+    // Store the user's location
+    userLocation = L.latLng(lat, lng);
+    userLocationSource = 'gps';
+    setPlacingUserMarker(false);
+    zoneList.refresh();
+    
+    // Live tracking, or a failed attempt, may already have placed a marker
+    if (userMarker) {
+        map.removeLayer(userMarker);
     }
     
-    // Create a marker for the meeting point
-    meetingPointMarker = L.marker(meetingPoint, {
-        icon: L.divIcon({
-            className: 'meeting-point-marker',
-            html: '<div style="background-color: #FF8C00; width: 16px; height: 16px; border-radius: 50%; border: 2px solid white;"></div>',
-            iconSize: [20, 20]
-        })
-    }).addTo(map);
+    // Add a marker to the map, with a circle for how far off it may be
+    userMarker = L.marker(userLocation, { icon: createUserIcon(userType) }).addTo(map);
+    userMarker.bindPopup(t('popup.you', { role: roleLabel(userType) })).openPopup();
+    setUserAccuracy(position.coords.accuracy);
     
-    meetingPointMarker.bindPopup(`Meeting Point: ${name}`).openPopup();
+    // Center the map on the user's location
+    map.setView(userLocation, 15);
     
-    // Calculate the route
-    calculateRoute(userLocation, meetingPoint);
+    // Share the position with the other party
+    shareUserLocation(position.coords.accuracy);
     
-    console.log(`Meeting point selected: ${name} at ${lat}, ${lng}`);
+    // A meeting point may have arrived from the other party before we
+    // knew where we were. A route from a position placed by hand is
+    // redone from the real one.
+    if (meetingPoint && (!routeControl || previousSource === 'manual')) {
+        routeToMeetingPoint();
+    }
+    
+    // Update the status message
+    updateStatusMessage();
+    
+    console.log(`User location: ${lat}, ${lng} (within ${Math.round(position.coords.accuracy)} m)`);
 }
 
-// ----- CALCULATE ROUTE -----
-// Uses Leaflet Routing Machine to calculate a route between points
-
-function calculateRoute(start, end) {
-    console.log(`Calculating route from ${start} to ${end}`);
-    
-    // If we already have a route control, remove it
-    if (routeControl) {
-        map.removeControl(routeControl);
+function onLocationFailed(reason, retryIn) {
+    // A fix we already have, or a position placed by hand, is still
+    // better than nothing. The passenger's stand-in location is not.
+    if (userLocationSource === 'static') {
+        map.removeLayer(userMarker);
+        userMarker = null;
+        userLocation = null;
+        userLocationSource = null;
+        zoneList.refresh();
     }
     
-    // Determine which routing profile to use based on user type
-    // These are the profiles available in Leaflet Routing Machine
-    const profile = userType === 'driver' ? 'driving' : 'walking';
-    
-    // Create a new route control
-    routeControl = L.Routing.control({
-        // Set the start and end points
-        waypoints: [
-            L.latLng(start.lat, start.lng),
-            L.latLng(end.lat, end.lng)
-        ],
-        // Customize the route appearance
-        lineOptions: {
-            styles: [{
-                color: userType === 'driver' ? '#3388ff' : '#32CD32',
-                weight: 6,
-                opacity: 0.7
-            }],
-            addWaypoints: false // Don't allow adding extra waypoints
-        },
-        // Enable/disable dragging
-        routeWhileDragging: false,
-        // Use OSRM backend with different profiles
-        router: L.Routing.osrmv1({
-            serviceUrl: 'https://router.project-osrm.org/route/v1',
-            profile: profile // Use the profile we determined
-        }),
-        // Customize the display
-        collapsible: true,
-        fitSelectedRoutes: true,
-        showAlternatives: false,
-        // Custom formatter for instructions
-        formatter: new L.Routing.Formatter({
-            distanceTemplate: '{value} {unit}',
-            timeTemplate: '{time}'
-        })
-    }).addTo(map);
-    
-    // Listen for the routesfound event to get route details
-    routeControl.on('routesfound', function(e) {
-        const routes = e.routes;
-        const summary = routes[0].summary;
-        
-        console.log("Route found:", routes[0]);
-        
-        // Calculate and store the estimated arrival time
-        calculateEstimatedArrivalTime(summary.totalTime);
-        
-        // Update UI
-        updateStatusMessage();
-        
-        // Display turn-by-turn directions
-        displayDirections(routes[0].instructions);
-    });
+    locationProblem = { reason: reason, retryIn: retryIn };
     
-    // Listen for routing errors
-    routeControl.on('routingerror', function(e) {
-        console.error("Routing error:", e.error);
-        
-        // Show error message
-        document.getElementById('status-message').textContent = 
-            "Error calculating route. Creating a straight-line route instead.";
-        
-        // Create a fallback route
-        createFallbackRoute(start, end, profile);
-    });
+    // Without a position there is still a marker to drag to where we are
+    if (!userMarker) {
+        userMarker = L.marker(map.getCenter(), { icon: createUserIcon(userType), opacity: 0.6 }).addTo(map);
+        userMarker.bindPopup(t('popup.placeYourself')).openPopup();
+    }
     
-    // Hide the default Leaflet Routing Machine control panel
-    // We'll use our own custom directions panel
-    setTimeout(function() {
-        const controlContainer = document.querySelector('.leaflet-routing-container');
-        if (controlContainer) {
-            controlContainer.style.display = 'none';
-        }
-    }, 100);
+    updateUserMarkerDragging();
+    renderLocationPanel();
+    updateStatusMessage();
 }
 
-// ----- CREATE FALLBACK ROUTE -----
-// Creates a simple straight-line route when routing fails
-
-function createFallbackRoute(start, end, profile) {
-    console.log("Creating fallback route");
-    
-    // Create a straight line between the points
-    const routeLine = L.polyline([
-        [start.lat, start.lng],
-        [end.lat, end.lng]
-    ], {
-        color: userType === 'driver' ? '#3388ff' : '#32CD32',
-        weight: 6,
-        opacity: 0.7,
-        dashArray: '10, 10' // Make it dashed to indicate it's an approximate route
-    }).addTo(map);
+// ----- MANUAL POSITION -----
+// Where the browser can't tell, or tells roughly, the user says where
+// they are: by dragging their marker, clicking the map or picking a
+// search result. That position is used until the next real fix.
+
+function setManualLocation(latlng) {
+    // No need to keep asking the browser
+    locationFinder.cancel();
+    setPlacingUserMarker(false);
     
-    // Zoom to fit the route
-    map.fitBounds(routeLine.getBounds(), { padding: [50, 50] });
+    userLocation = L.latLng(latlng);
+    userLocationSource = 'manual';
+    zoneList.refresh();
     
-    // Calculate distance in kilometers
-    const distance = start.distanceTo(end) / 1000;
+    if (userMarker) {
+        userMarker.setLatLng(userLocation);
+        userMarker.setOpacity(1);
+    } else {
+        userMarker = L.marker(userLocation, { icon: createUserIcon(userType) }).addTo(map);
+    }
+    userMarker.bindPopup(t('popup.youPlaced', { role: roleLabel(userType) }));
+    setUserAccuracy(null);
     
-    // Estimate time based on user type (driver vs. walker)
-    const speed = profile === 'driving' ? 30 : 5; // km/h
-    const timeInSeconds = (distance / speed) * 3600;
+    shareUserLocation();
     
-    // Calculate ETA
-    calculateEstimatedArrivalTime(timeInSeconds);
+    if (meetingPoint && !hasArrived()) {
+        routeToMeetingPoint();
+    }
     
-    // Update status message
     updateStatusMessage();
+    console.log(`User location placed by hand: ${userLocation}`);
+}
+
+// The "Place me on the map" mode: the next click on the map sets our position
+function setPlacingUserMarker(placing) {
+    placingUserMarker = placing;
+    map.getContainer().classList.toggle('placing-user-marker', placing);
     
-    // Create simple directions
-    const instructions = [
-        {
-            type: "Head",
-            text: "Start at your location",
-            distance: 0,
-            time: 0
-        },
-        {
-            type: "WayPoint",
-            text: profile === 'driving' ? 
-                "Drive to the destination" : 
-                "Walk to the destination",
-            distance: Math.round(distance * 1000), // meters
-            time: Math.round(timeInSeconds) // seconds
-        },
-        {
-            type: "DestinationReached",
-            text: "You have arrived at your destination",
-            distance: 0,
-            time: 0
-        }
-    ];
+    const button = document.getElementById('location-place-btn');
+    button.classList.toggle('active', placing);
+    button.setAttribute('aria-pressed', String(placing));
     
-    // Display directions
-    displayDirections(instructions);
+    if (placing) {
+        document.getElementById('status-message').textContent = t('status.clickToPlace');
+    }
 }
 
-// ----- CALCULATE ETA -----
-// Calculates the estimated arrival time based on route duration
+// Position placed by hand, or a missing or rough one: the marker can be
+// moved to where the user really is
+function canCorrectPosition() {
+    return locationProblem !== null || userLocationSource === 'manual';
+}
 
-function calculateEstimatedArrivalTime(durationInSeconds) {
-    // Get current date/time
-    const now = new Date();
-    
-    // Add the duration (in seconds) to the current time
-    const arrivalTime = new Date(now.getTime() + (durationInSeconds * 1000));
-    
-    // Format the arrival time
-    const hours = arrivalTime.getHours();
-    const minutes = arrivalTime.getMinutes();
+// ----- POSITION ACCURACY -----
+// A circle around the marker shows how far off the position may be.
+// A rough one is drawn in orange and explained in the location panel.
+
+function setUserAccuracy(accuracy) {
+    userAccuracy = typeof accuracy === 'number' ? accuracy : null;
     
-    // Convert to 12-hour format
-    const ampm = hours >= 12 ? 'PM' : 'AM';
-    const hours12 = hours % 12 || 12; // Convert 0 to 12
+    const rough = userAccuracy !== null && userAccuracy > APP_CONFIG.location.lowAccuracy;
+    locationProblem = rough ? { reason: 'inaccurate', retryIn: null } : null;
     
-    // Format the time with leading zeros for minutes
-    const formattedTime = `${hours12}:${minutes < 10 ? '0' + minutes : minutes} ${ampm}`;
+    if (userLocation && userAccuracy) {
+        if (!accuracyCircle) {
+            accuracyCircle = L.circle(userLocation, { radius: userAccuracy, weight: 1, fillOpacity: 0.1, interactive: false }).addTo(map);
+        }
+        accuracyCircle.setLatLng(userLocation);
+        accuracyCircle.setRadius(userAccuracy);
+        accuracyCircle.setStyle({ color: rough ? '#fd7e14' : '#3388ff' });
+    } else if (accuracyCircle) {
+        map.removeLayer(accuracyCircle);
+        accuracyCircle = null;
+    }
     
-    // Calculate travel time in minutes
-    const travelMinutes = Math.round(durationInSeconds / 60);
+    updateUserMarkerDragging();
+    renderLocationPanel();
+}
+
+// ----- LOCATION PANEL -----
+// Says why we have no position, or only a rough one, and what the user
+// can do about it
+
+function renderLocationPanel() {
+    const panel = document.getElementById('location-panel');
+    const reason = locationProblem ? locationProblem.reason : (userLocationSource === 'manual' ? 'manual' : null);
     
-    // Store the ETA with travel duration
-    estimatedArrivalTime = `${formattedTime} (${travelMinutes} min)`;
+    panel.hidden = reason === null;
+    if (reason === null) {
+        return;
+    }
     
-    console.log(`Estimated arrival: ${estimatedArrivalTime}`);
+    let message = t(`location.${reason}`, { distance: formatDistance(userAccuracy || 0) });
+    if (locationProblem && locationProblem.retryIn) {
+        message += ' ' + t('location.retrying', { count: Math.ceil(locationProblem.retryIn / 1000) });
+    }
+    document.getElementById('location-message').textContent = message;
     
-    return estimatedArrivalTime;
+    // Asking again can't help a browser without geolocation
+    const retryButton = document.getElementById('location-retry-btn');
+    retryButton.hidden = reason === 'unsupported';
+    retryButton.dataset.i18n = reason === 'manual' ? 'location.useDevice' : 'location.retry';
+    retryButton.textContent = t(retryButton.dataset.i18n);
 }
 
-// ----- DISPLAY DIRECTIONS -----
-// Shows turn-by-turn navigation instructions in the sidebar
+// ----- USER ICONS -----
+// Blue dot for drivers, green dot for passengers
 
-function displayDirections(instructions) {
-    const directionsContainer = document.getElementById('directions-container');
+function createUserIcon(role) {
+    const color = role === 'driver' ? '#3388ff' : '#32CD32';
+    return L.divIcon({
+        className: 'user-marker',
+        html: `<div style="background-color: ${color}; width: 16px; height: 16px; border-radius: 50%; border: 2px solid white;"></div>`,
+        iconSize: [20, 20]
+    });
+}
+
+// ----- LIVE TRACKING -----
+// Follows the driver's position with watchPosition instead of a single fix.
+// During a simulation the positions come from the simulator instead.
+
+function isTracking() {
+    return trackingWatchId !== null;
+}
+
+// Drivers can always track. Passengers only have a real position
+// to follow while they are in a shared session.
+function canTrack() {
+    return userType === 'driver' || rendezvousSession !== null;
+}
+
+function updateTrackingAvailability() {
+    if (!canTrack()) {
+        stopTracking();
+    }
+    document.getElementById('tracking-btn').disabled = !canTrack();
+}
+
+function startTracking() {
+    const geolocation = getGeolocation();
     
-    // Create HTML for the directions panel
-    let html = '<div class="directions-container">';
+    if (!geolocation) {
+        document.getElementById('status-message').textContent = t('status.trackingUnsupported');
+        return;
+    }
     
-    // Add ETA information at the top
-    if (estimatedArrivalTime) {
-        html += `<div class="eta-info">
-            <h4>Estimated Arrival</h4>
-            <div class="eta-time">${estimatedArrivalTime}</div>
-        </div>`;
+    if (isTracking()) {
+        return;
     }
     
-    html += '<h4>Turn-by-Turn Directions</h4>';
-    html += '<ul class="directions-list">';
+    const options = APP_CONFIG.tracking;
+    routeProgress.reset();
     
-    // Add each step in the route
-    instructions.forEach(instruction => {
-        // Get the text and distance from the instruction
-        const text = instruction.text;
-        
-        // Leaflet Routing Machine provides distance in meters
-        const distance = (instruction.distance / 1000).toFixed(2); // Convert to km
-        
-        // Convert seconds to minutes
-        const duration = Math.round(instruction.time / 60);
-        
-        // Get appropriate icon based on direction type
-        const icon = getDirectionIcon(instruction.type);
-        
-        html += `
-            <li class="direction-step">
-                <div class="direction-icon">
-                    ${icon}
-                </div>
-                <div class="direction-text">
-                    <span class="instruction">${text}</span>
-                    <span class="distance">${distance} km • ${duration} min</span>
-                </div>
-            </li>
-        `;
-    });
+    trackingWatchId = geolocation.watchPosition(
+        onTrackedPosition,
+        onTrackingError,
+        {
+            enableHighAccuracy: true,
+            timeout: options.positionTimeout,
+            maximumAge: options.maximumPositionAge
+        }
+    );
     
-    html += '</ul></div>';
+    updateTrackingButton();
+    console.log("Live tracking started");
+}
+
+function stopTracking() {
+    if (!isTracking()) {
+        return;
+    }
     
-    // Update the directions container
-    directionsContainer.innerHTML = html;
+    getGeolocation().clearWatch(trackingWatchId);
+    trackingWatchId = null;
     
-    console.log(`Displayed ${instructions.length} navigation steps with ETA: ${estimatedArrivalTime}`);
+    updateTrackingButton();
+    console.log("Live tracking stopped");
 }
 
-// ----- GET DIRECTION ICON -----
-// Returns an appropriate icon for each direction type
-
-function getDirectionIcon(type) {
-    // Map instruction types to appropriate symbols
-    // Leaflet Routing Machine uses different types than OpenRouteService
-    
-    switch(type) {
-        case "Head":
-        case "Continue":
-            return '↑';
-        case "SlightRight":
-            return '↗';
-        case "Right":
-            return '→';
-        case "SharpRight":
-            return '↘';
-        case "TurnAround":
-            return '↓';
-        case "SharpLeft":
-            return '↙';
-        case "Left":
-            return '←';
-        case "SlightLeft":
-            return '↖';
-        case "WayPoint":
-        case "DestinationReached":
-            return '🏁';
-        case "Roundabout":
-            return '⭕';
-        default:
-            return '•';
-    }
+function updateTrackingButton() {
+    const button = document.getElementById('tracking-btn');
+    button.dataset.i18n = isTracking() ? 'tracking.stop' : 'tracking.start';
+    button.textContent = t(button.dataset.i18n);
+    button.classList.toggle('active', isTracking());
+}
+
+// ----- SIMULATION AND REPLAY -----
+// The simulator stands in for navigator.geolocation, so simulated fixes
+// take the same path as real ones: getUserLocation(), live tracking,
+// route progress, navigation and arrival. It can drive the route on
+// screen or replay a recorded trace; real sessions can be recorded.
+
+// Where positions come from: the simulator while it has something to
+// play, the browser otherwise
+function getGeolocation() {
+    return positionSimulator.hasTrack() ? positionSimulator : navigator.geolocation;
+}
+
+function setupSimulation() {
+    const config = APP_CONFIG.simulation;
+    const speedSelect = document.getElementById('simulation-speed-select');
+    
+    positionSimulator = new PositionSimulator({ interval: config.interval, accuracy: config.accuracy });
+    positionSimulator.on('play pause end position', renderSimulationPanel);
+    
+    config.playbackSpeeds.forEach(speed => {
+        const option = document.createElement('option');
+        option.value = speed;
+        option.textContent = `${formatNumber(speed)}×`;
+        speedSelect.appendChild(option);
+    });
+    speedSelect.addEventListener('change', function() {
+        positionSimulator.setSpeed(Number(speedSelect.value));
+    });
+    
+    document.getElementById('simulate-route-btn').addEventListener('click', simulateActiveRoute);
+    
+    document.getElementById('trace-file-input').addEventListener('change', function(event) {
+        const file = event.target.files[0];
+        if (file) {
+            loadTraceFile(file);
+        }
+        // Picking the same file again should load it again
+        event.target.value = '';
+    });
+    
+    document.getElementById('simulation-play-btn').addEventListener('click', function() {
+        if (positionSimulator.isPlaying()) {
+            positionSimulator.pause();
+            return;
+        }
+        if (!isTracking()) {
+            startTracking();
+        }
+        positionSimulator.play();
+    });
+    
+    document.getElementById('simulation-stop-btn').addEventListener('click', stopSimulation);
+    
+    document.getElementById('record-btn').addEventListener('click', toggleRecording);
+    document.getElementById('download-trace-gpx-btn').addEventListener('click', function() {
+        downloadRecording('gpx');
+    });
+    document.getElementById('download-trace-json-btn').addEventListener('click', function() {
+        downloadRecording('json');
+    });
+    
+    renderSimulationPanel();
+    renderRecording();
+}
+
+// Swaps the simulator in with a new track. Tracking restarts on the
+// simulator, which puts the marker at the start of the track.
+function startSimulation(loadTrack) {
+    stopTracking();
+    loadTrack();
+    startTracking();
+    renderSimulationPanel();
+}
+
+function stopSimulation() {
+    stopTracking();
+    positionSimulator.clear();
+    renderSimulationPanel();
+    console.log("Simulation stopped");
+}
+
+function simulateActiveRoute() {
+    if (!activeRoute) {
+        document.getElementById('simulation-status').textContent = t('simulation.noRoute');
+        return;
+    }
+    
+    const coordinates = activeRoute.coordinates;
+    const speed = APP_CONFIG.simulation.routeSpeeds[modeForRole(userType)];
+    
+    startSimulation(function() {
+        positionSimulator.setRoute(coordinates, speed);
+    });
+    console.log(`Simulating the route at ${speed} km/h`);
+}
+
+function loadTraceFile(file) {
+    file.text()
+        .then(function(text) {
+            const trace = parseTrace(text);
+            
+            startSimulation(function() {
+                if (trace.timed) {
+                    positionSimulator.setTrace(trace.points);
+                } else {
+                    // No times to replay: drive it like a route
+                    positionSimulator.setRoute(trace.points.map(point => point.latlng), APP_CONFIG.simulation.routeSpeeds[modeForRole(userType)]);
+                }
+            });
+            console.log(`Loaded a trace of ${trace.points.length} points from ${file.name}`);
+        })
+        .catch(function(error) {
+            console.error("Could not load the trace:", error);
+            document.getElementById('simulation-status').textContent = t('simulation.traceFailed', { error: error.message });
+        });
+}
+
+function renderSimulationPanel() {
+    const active = positionSimulator.hasTrack();
+    const playButton = document.getElementById('simulation-play-btn');
+    
+    playButton.disabled = !active;
+    playButton.dataset.i18n = positionSimulator.isPlaying() ? 'simulation.pause' : 'simulation.play';
+    playButton.textContent = t(playButton.dataset.i18n);
+    playButton.classList.toggle('active', positionSimulator.isPlaying());
+    document.getElementById('simulation-stop-btn').disabled = !active;
+    
+    document.getElementById('simulation-status').textContent = active ?
+        t('simulation.progress', {
+            played: formatDuration(positionSimulator.clock),
+            total: formatDuration(positionSimulator.getDuration()),
+            percent: formatNumber(positionSimulator.getProgress(), { style: 'percent', maximumFractionDigits: 0 })
+        }) :
+        t('simulation.off');
+}
+
+// ----- RECORDING -----
+// Keeps every tracked position, to replay the trip later
+
+function toggleRecording() {
+    if (positionRecording) {
+        recordedTrace = positionRecording;
+        positionRecording = null;
+        console.log(`Recorded ${recordedTrace.length} positions`);
+    } else {
+        positionRecording = [];
+        
+        // Nothing to record without tracking
+        if (!isTracking() && canTrack()) {
+            startTracking();
+        }
+    }
+    
+    renderRecording();
+}
+
+function renderRecording() {
+    const button = document.getElementById('record-btn');
+    const canDownload = !positionRecording && recordedTrace !== null && recordedTrace.length >= 2;
+    
+    button.dataset.i18n = positionRecording ? 'recording.stop' : 'recording.start';
+    button.textContent = t(button.dataset.i18n);
+    button.classList.toggle('active', positionRecording !== null);
+    
+    document.getElementById('download-trace-gpx-btn').disabled = !canDownload;
+    document.getElementById('download-trace-json-btn').disabled = !canDownload;
+    
+    const points = positionRecording || recordedTrace;
+    document.getElementById('recording-status').textContent = points ?
+        t(positionRecording ? 'recording.recording' : 'recording.recorded', { count: points.length, positions: formatNumber(points.length) }) :
+        '';
+}
+
+function downloadRecording(format) {
+    const started = new Date(recordedTrace[0].time);
+    const name = `${t('recording.name')} ${formatDateTime(started)}`;
+    
+    if (format === 'gpx') {
+        downloadTextFile(exportFileName(name, 'gpx'), traceToGpx(recordedTrace, name), 'application/gpx+xml');
+    } else {
+        downloadTextFile(exportFileName(name, 'json'), traceToJson(recordedTrace), 'application/json');
+    }
+}
+
+// ----- TRACKED POSITION -----
+// Runs for every new GPS fix while tracking is on
+
+function onTrackedPosition(position) {
+    userLocation = L.latLng(position.coords.latitude, position.coords.longitude);
+    userLocationSource = 'gps';
+    
+    // Redraw the distances in the zone list once they are noticeably off,
+    // not with every fix
+    if (!zoneListOrigin || userLocation.distanceTo(zoneListOrigin) >= APP_CONFIG.tracking.zoneListDistance) {
+        zoneListOrigin = userLocation;
+        zoneList.refresh();
+    }
+    
+    // A fix is in, so there is no need to keep asking for one
+    locationFinder.cancel();
+    setPlacingUserMarker(false);
+    
+    // Move the existing marker rather than creating a new one for each fix
+    if (userMarker) {
+        userMarker.setLatLng(userLocation);
+        userMarker.setOpacity(1);
+    } else {
+        userMarker = L.marker(userLocation, { icon: createUserIcon(userType) }).addTo(map);
+    }
+    userMarker.bindPopup(t('popup.you', { role: roleLabel(userType) }));
+    setUserAccuracy(position.coords.accuracy);
+    
+    // Keep the driver in view
+    map.panTo(userLocation);
+    
+    if (positionRecording) {
+        positionRecording.push({
+            latlng: userLocation,
+            time: position.timestamp || Date.now(),
+            accuracy: position.coords.accuracy
+        });
+        renderRecording();
+    }
+    
+    shareUserLocation(position.coords.accuracy);
+    
+    if (activeRoute && meetingPoint) {
+        updateRouteProgress(position.coords.accuracy);
+    } else {
+        updateStatusMessage();
+    }
+    
+    // The meeting point only counts once every pickup stop is behind us
+    if (arrivalGeofence && meetingPoint && remainingPickupStops().length <= 1) {
+        arrivalGeofence.update(userLocation);
+    }
+}
+
+function onTrackingError(error) {
+    console.error("Live tracking error:", error);
+    
+    // Without permission there will never be another fix, so give up
+    // and explain how to get it back
+    if (locationErrorReason(error) === 'denied') {
+        stopTracking();
+        locationProblem = { reason: 'denied', retryIn: null };
+        updateUserMarkerDragging();
+        renderLocationPanel();
+        document.getElementById('status-message').textContent = t('status.permissionDenied');
+        return;
+    }
+    
+    // Timeouts and temporary signal loss: keep watching, the next fix may work
+    document.getElementById('status-message').textContent = t('status.waitingForGps');
+}
+
+// ----- ROUTE PROGRESS -----
+// Trims the driven part off the route, refreshes the ETA,
+// and asks for a new route when the driver has left the current one
+
+function updateRouteProgress(accuracy) {
+    const progress = routeProgress.update(activeRoute, userLocation, accuracy);
+    
+    if (!progress) {
+        return;
+    }
+    
+    if (progress.offRoute) {
+        console.log(`Off route by ${Math.round(progress.distance)} m (${progress.count} fix(es) in a row)`);
+        
+        if (progress.reroute) {
+            reroute();
+        }
+        return;
+    }
+    
+    markPickupStopsVisited();
+    
+    // Only keep the part of the route that is still ahead
+    setRouteLineLatLngs(activeRouteLine, progress.remaining);
+    
+    calculateEstimatedArrivalTime(progress.remainingTime);
+    updateStatusMessage();
+    refreshEtaDisplay();
+    
+    if (turnNavigator) {
+        turnNavigator.update(userLocation);
+    }
+}
+
+// ----- REROUTING -----
+// routeProgress decides when; a reroute always asks the router
+
+function reroute() {
+    document.getElementById('status-message').textContent = t('status.offRoute');
+    
+    console.log(`Rerouting from ${userLocation}`);
+    routeToMeetingPoint(true);
+}
+
+// ----- ROUTE LINE HELPERS -----
+
+// Removes the current route, whether it came from the router or the fallback
+function clearActiveRoute() {
+    if (routeControl) {
+        map.removeControl(routeControl);
+        routeControl = null;
+    }
+    
+    if (activeRouteLine && map.hasLayer(activeRouteLine)) {
+        map.removeLayer(activeRouteLine);
+    }
+    
+    activeRoute = null;
+    activeRouteLine = null;
+    routeAlternatives = [];
+    renderRouteAlternatives();
+    
+    // Navigation picks up the new route once it arrives
+    turnNavigator = null;
+    updateNavigationButton();
+    updateExportButtons();
+}
+
+// ----- PARKING COST -----
+// What parking at the meeting point costs for the expected stay,
+// starting when we get there
+
+function describeMeetingPointCost() {
+    const zone = meetingPoint ? findZoneAt(meetingPoint) : null;
+    return describeStayCost(zone, estimatedArrivalDate || new Date(), expectedStayMinutes);
+}
+
+function updateMeetingPointPopup() {
+    if (!meetingPointMarker) {
+        return;
+    }
+    
+    let content = t('popup.meetingPoint', { name: escapeHtml(meetingPointName) });
+    
+    const cost = describeMeetingPointCost();
+    if (cost) {
+        content += `<br>${t('popup.parkingCost', { cost: cost })}`;
+    }
+    
+    meetingPointMarker.setPopupContent(content);
+}
+
+// Updates the cost in the popup and the directions panel
+function refreshParkingCostDisplay() {
+    updateMeetingPointPopup();
+    
+    const costElement = document.querySelector('#directions-container .parking-cost');
+    const cost = describeMeetingPointCost();
+    if (costElement && cost) {
+        costElement.textContent = cost;
+    }
+}
+
+// Updates the ETA shown at the top of the directions panel
+function refreshEtaDisplay() {
+    const etaElement = document.querySelector('#directions-container .eta-time');
+    if (etaElement && estimatedArrivalTime) {
+        etaElement.textContent = estimatedArrivalTime;
+    }
+}
+
+// ----- TURN-BY-TURN NAVIGATION -----
+// Follows the position along the active route, shows the next manoeuvre
+// in a large banner and reads upcoming turns out loud
+
+function setupNavigationControls() {
+    voiceAnnouncer = createVoiceAnnouncer(defaultVoiceLanguage());
+    
+    document.getElementById('navigation-btn').addEventListener('click', function() {
+        if (isNavigating()) {
+            stopNavigation();
+        } else {
+            startNavigation();
+        }
+    });
+    
+    const muteButton = document.getElementById('mute-btn');
+    muteButton.addEventListener('click', function() {
+        voiceAnnouncer.setMuted(!voiceAnnouncer.isMuted());
+        muteButton.dataset.i18n = voiceAnnouncer.isMuted() ? 'navigation.unmute' : 'navigation.mute';
+        muteButton.textContent = t(muteButton.dataset.i18n);
+        muteButton.setAttribute('aria-pressed', voiceAnnouncer.isMuted());
+    });
+    
+    document.getElementById('repeat-btn').addEventListener('click', function() {
+        voiceAnnouncer.repeat();
+    });
+    
+    const languageSelect = document.getElementById('voice-language-select');
+    languageSelect.addEventListener('change', function() {
+        voiceAnnouncer.setLanguage(languageSelect.value);
+    });
+    
+    // Browsers load their voices in the background
+    fillVoiceLanguages();
+    if (voiceAnnouncer.isSupported()) {
+        window.speechSynthesis.addEventListener('voiceschanged', fillVoiceLanguages);
+    } else {
+        muteButton.disabled = true;
+        document.getElementById('repeat-btn').disabled = true;
+        languageSelect.disabled = true;
+    }
+    
+    updateNavigationButton();
+}
+
+function fillVoiceLanguages() {
+    const select = document.getElementById('voice-language-select');
+    const current = select.value || defaultVoiceLanguage();
+    const languages = voiceLanguages();
+    
+    select.innerHTML = '';
+    languages.forEach(language => {
+        const option = document.createElement('option');
+        option.value = language;
+        option.textContent = language;
+        option.selected = language === current;
+        select.appendChild(option);
+    });
+}
+
+// Fall back to the configured list while the browser has no voices yet
+function voiceLanguages() {
+    const available = voiceAnnouncer.getLanguages();
+    return available.length > 0 ? available : APP_CONFIG.navigation.voiceLanguages;
+}
+
+// The configured voice, otherwise one that speaks the interface language:
+// the browser's own variant ('fr-CA') if there is one
+function defaultVoiceLanguage() {
+    if (APP_CONFIG.navigation.voiceLanguage) {
+        return APP_CONFIG.navigation.voiceLanguage;
+    }
+    
+    const locale = getLocale();
+    const languages = voiceAnnouncer ? voiceLanguages() : APP_CONFIG.navigation.voiceLanguages;
+    return languages.find(language => language === locale) ||
+        languages.find(language => language.split('-')[0] === getLanguage()) ||
+        locale;
+}
+
+function isNavigating() {
+    return navigationActive;
+}
+
+function startNavigation() {
+    if (!activeRoute) {
+        return;
+    }
+    
+    navigationActive = true;
+    document.getElementById('navigation-panel').hidden = false;
+    
+    // Navigation needs a moving position
+    if (canTrack()) {
+        startTracking();
+    }
+    
+    // Without GPS the marker can be dragged along the route instead
+    updateUserMarkerDragging();
+    
+    followActiveRoute();
+    updateNavigationButton();
+    console.log("Navigation started");
+}
+
+function stopNavigation() {
+    navigationActive = false;
+    turnNavigator = null;
+    voiceAnnouncer.stop();
+    updateUserMarkerDragging();
+    
+    document.getElementById('navigation-panel').hidden = true;
+    document.querySelectorAll('.direction-step').forEach(item => {
+        item.classList.remove('current', 'done');
+    });
+    
+    updateNavigationButton();
+    console.log("Navigation stopped");
+}
+
+function updateNavigationButton() {
+    const button = document.getElementById('navigation-btn');
+    button.dataset.i18n = isNavigating() ? 'navigation.stop' : 'navigation.start';
+    button.textContent = t(button.dataset.i18n);
+    button.classList.toggle('active', isNavigating());
+    button.disabled = !isNavigating() && !activeRoute;
+}
+
+// Starts following the route that is on screen now. Runs again for
+// every new route (a reroute or a new meeting point).
+function followActiveRoute() {
+    if (!isNavigating() || !activeRoute || !activeRoute.instructions) {
+        return;
+    }
+    
+    turnNavigator = new TurnByTurnNavigator(activeRoute, APP_CONFIG.navigation);
+    
+    turnNavigator.on('stepchange', function(e) {
+        highlightDirectionStep(e.index);
+    });
+    turnNavigator.on('progress', showNextTurn);
+    turnNavigator.on('announce', function(e) {
+        voiceAnnouncer.announce(e.text);
+    });
+    turnNavigator.on('arrived', function() {
+        document.getElementById('status-message').textContent = t('status.arrived', { name: meetingPointName });
+    });
+    
+    turnNavigator.start();
+    
+    if (userLocation) {
+        turnNavigator.update(userLocation);
+    }
+}
+
+// The large "next turn" banner
+function showNextTurn(step) {
+    document.getElementById('next-turn-icon').innerHTML = getDirectionIcon(step.instruction.type);
+    document.getElementById('next-turn-distance').textContent = formatNavigationDistance(step.distance);
+    document.getElementById('next-turn-text').textContent = step.instruction.text;
+}
+
+// Marks the upcoming step in the directions list and greys out the ones behind us
+function highlightDirectionStep(index) {
+    document.querySelectorAll('.direction-step').forEach(item => {
+        const step = Number(item.dataset.step);
+        item.classList.toggle('done', step < index);
+        item.classList.toggle('current', step === index);
+        
+        if (step === index && item.scrollIntoView) {
+            item.scrollIntoView({ block: 'nearest' });
+        }
+    });
+}
+
+// The user marker can be dragged while navigating without GPS, to stand
+// in for the fixes, and to correct a missing or rough position
+function updateUserMarkerDragging() {
+    if (!userMarker || !userMarker.dragging) {
+        return;
+    }
+    
+    const enabled = (isNavigating() && !isTracking()) || canCorrectPosition();
+    userMarker.off('dragend', onMarkerDragged);
+    
+    if (enabled) {
+        userMarker.dragging.enable();
+        userMarker.on('dragend', onMarkerDragged);
+    } else {
+        userMarker.dragging.disable();
+    }
+}
+
+function onMarkerDragged() {
+    const latlng = userMarker.getLatLng();
+    
+    if (isNavigating() && !isTracking()) {
+        onTrackedPosition({ coords: { latitude: latlng.lat, longitude: latlng.lng, accuracy: 0 } });
+    } else {
+        setManualLocation(latlng);
+    }
+}
+
+// ----- SHARED SESSION -----
+// Connects the map to a rendezvous session created or joined
+// from the session panel
+
+function startSharedSession(session) {
+    rendezvousSession = session;
+    
+    session.on('partnerposition', function(e) {
+        showPartnerPosition(e.latlng, e.role);
+    });
+    
+    // The other party picked a meeting point: show it here too
+    session.on('meetingpoint', function(e) {
+        selectMeetingPoint(e.latlng.lat, e.latlng.lng, e.name, { fromPartner: true });
+    });
+    
+    // ... or the time to meet
+    session.on('meetingtime', function(e) {
+        setTargetMeetingTime(e.time, { fromPartner: true });
+    });
+    
+    session.on('partnerleft', removePartnerMarker);
+    
+    // Share what we already know
+    if (userLocation && userType === 'driver') {
+        session.sendPosition(userLocation);
+    }
+    if (meetingPoint) {
+        session.sendMeetingPoint(meetingPoint, meetingPointName);
+    }
+    if (targetMeetingTime) {
+        session.sendMeetingTime(targetMeetingTime);
+    }
+    
+    // The static passenger location is only a stand-in; in a session
+    // the other party needs to see where the passenger really is
+    if (userType === 'passenger') {
+        getUserLocation();
+    }
+    
+    updateTrackingAvailability();
+    console.log("Shared session started");
+}
+
+function endSharedSession() {
+    rendezvousSession = null;
+    removePartnerMarker();
+    updateTrackingAvailability();
+    console.log("Shared session ended");
+}
+
+// Sends our position to the other party, if we are in a session
+function shareUserLocation(accuracy) {
+    if (rendezvousSession && userLocation) {
+        rendezvousSession.sendPosition(userLocation, accuracy);
+    }
+}
+
+function showPartnerPosition(latlng, role) {
+    partnerLocation = latlng;
+    partnerRole = role;
+    
+    if (partnerMarker) {
+        partnerMarker.setLatLng(latlng);
+        partnerMarker.setIcon(createUserIcon(role));
+    } else {
+        partnerMarker = L.marker(latlng, {
+            icon: createUserIcon(role),
+            opacity: 0.8
+        }).addTo(map);
+    }
+    
+    partnerMarker.bindPopup(t('popup.partner', { role: roleLabel(role) }));
+}
+
+function removePartnerMarker() {
+    partnerLocation = null;
+    partnerRole = null;
+    
+    if (partnerMarker) {
+        map.removeLayer(partnerMarker);
+        partnerMarker = null;
+    }
+}
+
+// ----- ARRIVAL -----
+// The geofence around the meeting point fires once we are inside it.
+// That ends the trip: navigation stops, the other party hears about it
+// and, for the driver, the parking timer starts.
+
+// A new geofence for a new meeting point. The same meeting point keeps
+// its geofence, so we don't arrive twice when the stops are replanned.
+function setArrivalGeofence() {
+    if (arrivalGeofence && arrivalGeofence.latlng.equals(meetingPoint)) {
+        return;
+    }
+    
+    arrivalGeofence = new ArrivalGeofence(meetingPoint, findZoneAt(meetingPoint), {
+        margin: APP_CONFIG.navigation.arrivalDistance
+    });
+    arrivalGeofence.on('arrived', onArrivedAtMeetingPoint);
+}
+
+function hasArrived() {
+    return arrivalGeofence !== null && arrivalGeofence.hasArrived;
+}
+
+function onArrivedAtMeetingPoint() {
+    console.log(`Arrived at ${meetingPointName}`);
+    
+    if (isNavigating()) {
+        stopNavigation();
+    }
+    
+    // The ETA means nothing any more
+    clearActiveRoute();
+    estimatedArrivalTime = null;
+    document.getElementById('directions-container').innerHTML = '';
+    updateStatusMessage();
+    renderDeparturePlan();
+    
+    if (rendezvousSession) {
+        rendezvousSession.sendArrival(meetingPointName);
+    }
+    
+    if (userType === 'driver') {
+        startParkingTimer(findZoneAt(meetingPoint), meetingPointName);
+    }
+}
+
+// ----- PARKING TIMER -----
+// Elapsed time and running cost while the car is parked, with a warning
+// (and a browser notification, if allowed) before the maximum stay ends
+
+function setupParkingTimer() {
+    const select = document.getElementById('timer-max-stay-select');
+    
+    APP_CONFIG.parkingCost.stayOptions.forEach(minutes => {
+        const option = document.createElement('option');
+        option.value = minutes;
+        select.appendChild(option);
+    });
+    fillStayLengths();
+    
+    select.addEventListener('change', function() {
+        if (parkingTimer) {
+            document.getElementById('timer-warning').textContent = '';
+            parkingTimer.setMaxStay(Number(select.value));
+        }
+    });
+    
+    document.getElementById('timer-notify-btn').addEventListener('click', function() {
+        requestNotifications().then(renderParkingTimer);
+    });
+    
+    document.getElementById('timer-end-btn').addEventListener('click', endParkingTimer);
+}
+
+function startParkingTimer(zone, name) {
+    endParkingTimer();
+    
+    // The expected stay is the obvious first guess for the maximum
+    const select = document.getElementById('timer-max-stay-select');
+    select.value = expectedStayMinutes;
+    
+    const timer = new ParkingTimer({ name: name, rates: zone ? zone.rates : null }, {
+        maxStayMinutes: Number(select.value),
+        warnBeforeMinutes: APP_CONFIG.parkingTimer.warnBeforeMinutes
+    });
+    
+    timer.on('tick', renderParkingTimer);
+    timer.on('warning', function(e) {
+        warnAboutParkingTime(describeParkingWarning(timer, e));
+    });
+    timer.on('expired', function() {
+        warnAboutParkingTime(describeParkingWarning(timer, null));
+    });
+    
+    parkingTimer = timer;
+    document.getElementById('parking-timer-panel').hidden = false;
+    timer.start();
+}
+
+function endParkingTimer() {
+    if (!parkingTimer) {
+        return;
+    }
+    
+    parkingTimer.stop();
+    parkingTimer = null;
+    document.getElementById('parking-timer-panel').hidden = true;
+    document.getElementById('timer-warning').textContent = '';
+}
+
+function warnAboutParkingTime(text) {
+    document.getElementById('timer-warning').textContent = text;
+    showBrowserNotification(t('timer.notificationTitle'), text);
+}
+
+function renderParkingTimer() {
+    if (!parkingTimer) {
+        return;
+    }
+    
+    const lines = describeParkingTimer(parkingTimer);
+    
+    document.getElementById('timer-parked-at').textContent = lines.parkedAt;
+    document.getElementById('timer-elapsed').textContent = lines.elapsed;
+    document.getElementById('timer-cost').textContent = lines.cost;
+    document.getElementById('timer-ends-at').textContent = lines.endsAt;
+    
+    // Only offer notifications while the browser hasn't been asked yet
+    document.getElementById('timer-notify-btn').hidden = !canNotify() || Notification.permission !== 'default';
+}
+
+// ----- LEAVE BY -----
+// With a target meeting time, each person gets the time they have to
+// set off: the target minus their travel time and a buffer. Our travel
+// time comes from the route on screen; the other person's is looked up
+// from their last known position.
+
+function setupDeparturePlanner() {
+    const input = document.getElementById('target-time-input');
+    
+    input.addEventListener('change', function() {
+        setTargetMeetingTime(resolveClockTime(input.value));
+    });
+    
+    document.getElementById('clear-target-time-btn').addEventListener('click', function() {
+        setTargetMeetingTime(null);
+    });
+    
+    // Count down, and follow the other person as they move
+    setInterval(function() {
+        if (targetMeetingTime) {
+            updatePartnerTravelTime();
+            renderDeparturePlan();
+            updateStatusMessage();
+        }
+    }, APP_CONFIG.departure.refreshInterval);
+}
+
+function setTargetMeetingTime(time, options) {
+    const settings = options || {};
+    
+    targetMeetingTime = time;
+    document.getElementById('target-time-input').value = time ? toClockInputValue(time) : '';
+    
+    // Tell the other party, unless they are the ones who set it
+    if (rendezvousSession && !settings.fromPartner) {
+        rendezvousSession.sendMeetingTime(time);
+    }
+    
+    updatePartnerTravelTime();
+    renderDeparturePlan();
+    updateStatusMessage();
+    updateZoneUsability();
+    
+    // Costs in the zone list start at the new arrival time
+    zoneList.refresh();
+}
+
+function otherRole() {
+    return userType === 'driver' ? 'passenger' : 'driver';
+}
+
+// How long the other person needs to the meeting point, from the
+// shared position (or the passenger's static location)
+function updatePartnerTravelTime() {
+    const role = otherRole();
+    const origin = getRendezvousLocations()[role];
+    const requestId = ++partnerTravelRequestCount;
+    
+    if (!targetMeetingTime || !meetingPoint || !origin) {
+        partnerTravelTime = null;
+        return;
+    }
+    
+    fetchTravelTimes(origin, [meetingPoint], modeForRole(role))
+        .then(function(result) {
+            // The meeting point or the roles changed since: drop this one
+            if (requestId !== partnerTravelRequestCount) {
+                return;
+            }
+            partnerTravelTime = result.times[0];
+            renderDeparturePlan();
+        });
+}
+
+// The plan for the current target, or null when there is nothing to plan
+function currentDeparturePlan() {
+    if (!targetMeetingTime || !meetingPoint || hasArrived()) {
+        return null;
+    }
+    
+    const travelTimes = {};
+    travelTimes[userType] = travelTimeSeconds;
+    travelTimes[otherRole()] = partnerTravelTime;
+    
+    return planDepartures(targetMeetingTime, travelTimes, APP_CONFIG.departure);
+}
+
+function ownDeparture() {
+    const plan = currentDeparturePlan();
+    return plan ? plan.departures[userType] : null;
+}
+
+function renderDeparturePlan() {
+    const list = document.getElementById('departure-times');
+    const plan = currentDeparturePlan();
+    
+    list.innerHTML = plan ? departureTimesHtml(plan, userType) : '';
+    showDepartureAlert(departureAdvice(plan, userType), plan);
+}
+
+// advice is from departureAdvice(). Like the occupancy alert, it is only
+// redrawn when it changes, so screen readers hear it once.
+function showDepartureAlert(advice, plan) {
+    const key = departureAdviceKey(advice, targetMeetingTime, plan);
+    
+    if (key === departureAlertKey) {
+        return;
+    }
+    departureAlertKey = key;
+    
+    renderDepartureAlert(document.getElementById('departure-alert'), advice, targetMeetingTime, plan, function(earliest) {
+        setTargetMeetingTime(earliest);
+    });
+}
+
+// ----- UPDATE STATUS MESSAGE -----
+// Updates the status message in the UI
+
+function updateStatusMessage() {
+    const statusElement = document.getElementById('status-message');
+    const departure = isNavigating() ? null : ownDeparture();
+    
+    // Different messages based on state
+    if (!userLocation) {
+        // Nothing is routed until we know where we are
+        statusElement.textContent = t(locationProblem ? 'status.placeYourself' : 'status.locating');
+    } else if (!meetingPoint) {
+        statusElement.textContent = t('status.selectZone');
+    } else if (hasArrived()) {
+        statusElement.textContent = t('status.arrived', { name: meetingPointName });
+    } else {
+        // Counting down to the time we have to set off, or the ETA if available
+        statusElement.textContent = describeTripStatus(userType, estimatedArrivalTime, departure, targetMeetingTime);
+    }
+}
+
+// ----- LOAD PARKING ZONES -----
+// Fetches the zones from the configured GeoJSON source, then draws them
+
+function loadAndDisplayParkingZones() {
+    const source = APP_CONFIG.parkingZones;
+    
+    loadParkingZones(source.url, { defaultRadius: source.defaultRadius })
+        .then(function(result) {
+            parkingZones = result.zones;
+            displayParkingZones();
+            showZoneErrors(result.errors);
+            startOccupancyFeed();
+            selectLinkedMeetingPoint();
+            selectSavedMeetingPoint();
+            renderSavedPlaces();
+        })
+        .catch(function(error) {
+            console.error("Error loading parking zones:", error);
+            showZoneErrors([{ name: source.url, message: error.message }]);
+            
+            // The saved meeting point still has its position
+            selectSavedMeetingPoint();
+        });
+}
+
+// ----- SHOW ZONE ERRORS -----
+// Lists features that could not be loaded under the status message
+
+function showZoneErrors(errors) {
+    const errorContainer = document.getElementById('zone-errors');
+    
+    if (errors.length === 0) {
+        errorContainer.innerHTML = '';
+        return;
+    }
+    
+    let html = `<h4 data-i18n="zones.loadErrors">${t('zones.loadErrors')}</h4><ul>`;
+    errors.forEach(error => {
+        html += `<li><strong>${escapeHtml(error.name)}</strong>: ${escapeHtml(error.message)}</li>`;
+    });
+    html += '</ul>';
+    
+    errorContainer.innerHTML = html;
+    
+    console.warn(`${errors.length} parking zone problem(s):`, errors);
+}
+
+// ----- DISPLAY PARKING ZONES -----
+// Adds the loaded parking zones to the map
+
+function displayParkingZones() {
+    // Loop through each parking zone and add it to the map
+    parkingZones.forEach(zone => {
+        // Create a circle (or the lot outline) for the parking zone,
+        // colored by how full it is once the occupancy feed reports in
+        const parkingCircle = createZoneLayer(zone, L.extend({
+            fillOpacity: 0.5,
+            className: 'parking-zone'
+        }, occupancyStyle(null))).addTo(map);
+        
+        // Create popup content. The text is filled in by updateZonePopup,
+        // which runs again when the language changes.
+        const popupContent = createZonePopup(zone, [
+            { className: 'select-btn', label: 'zone.select' },
+            { className: 'stop-btn', label: 'zone.addStop' },
+            { className: 'favourite-btn', label: 'zone.favourite' }
+        ]);
+        
+        // Add event listeners to the buttons
+        const button = popupContent.querySelector('.select-btn');
+        button.addEventListener('click', function() {
+            selectMeetingPoint(zone.location.lat, zone.location.lng, zone.name);
+            parkingCircle.closePopup();
+        });
+        
+        const stopButton = popupContent.querySelector('.stop-btn');
+        stopButton.addEventListener('click', function() {
+            addPickupStop(zone.name, zone.location);
+            parkingCircle.closePopup();
+        });
+        
+        popupContent.querySelector('.favourite-btn').addEventListener('click', function() {
+            setFavouriteZone(zone.id, !isFavouriteZone(zone.id));
+            updateZonePopup(zone);
+            renderSavedPlaces();
+            zoneList.refresh();
+        });
+        
+        // Bind the popup to the circle
+        parkingCircle.bindPopup(popupContent);
+        
+        // Pickup stops are for drivers only
+        parkingCircle.on('popupopen', function() {
+            stopButton.hidden = userType !== 'driver';
+        });
+        
+        zoneLayers[zone.id] = {
+            layer: parkingCircle,
+            popup: popupContent,
+            occupancyText: popupContent.querySelector('.zone-occupancy')
+        };
+        updateZonePopup(zone);
+    });
+    
+    // Grey out (or hide) the zones the vehicle can't use
+    zoneUsabilityKey = null;
+    updateZoneUsability();
+    
+    console.log(`Added ${parkingZones.length} parking zones to the map`);
+}
+
+// Fills in the text of a zone's popup in the current language
+function updateZonePopup(zone) {
+    const entry = zoneLayers[zone.id];
+    
+    const favourite = isFavouriteZone(zone.id);
+    const favouriteButton = entry.popup.querySelector('.favourite-btn');
+    favouriteButton.dataset.i18n = favourite ? 'zone.unfavourite' : 'zone.favourite';
+    favouriteButton.classList.toggle('active', favourite);
+    favouriteButton.setAttribute('aria-pressed', favourite);
+    
+    fillZonePopup(entry.popup, zone, parkingOccupancy && parkingOccupancy.get(zone.id), describeZoneUsability(zone));
+}
+
+// ----- ZONE LIST -----
+// Every zone as a row in the sidebar, for keyboards, screen readers and
+// fingers too big for the circles on the map
+
+function setupZoneList() {
+    zoneList = createZoneList(document.getElementById('zone-list'), {
+        getOrigin: function() {
+            return userLocation;
+        },
+        isFavourite: function(zone) {
+            return isFavouriteZone(zone.id);
+        },
+        getArrival: zoneArrivalTime,
+        getStayMinutes: function() {
+            return expectedStayMinutes;
+        },
+        getStatus: function(zone) {
+            const reading = parkingOccupancy && parkingOccupancy.get(zone.id);
+            return reading ? describeOccupancy(reading) : null;
+        },
+        getWarning: describeZoneUsability,
+        onHighlight: highlightZone,
+        onSelect: function(zone) {
+            selectMeetingPoint(zone.location.lat, zone.location.lng, zone.name);
+        }
+    });
+}
+
+// Makes a zone stand out on the map while its row is hovered or focused
+function highlightZone(zone) {
+    parkingZones.forEach(other => {
+        const highlighted = zone !== null && other.id === zone.id;
+        zoneLayers[other.id].layer.setStyle({
+            weight: highlighted ? 6 : 3,
+            fillOpacity: highlighted ? 0.8 : zoneUsabilityStyle(canUseZone(other)).fillOpacity
+        });
+    });
+    
+    if (zone && !map.getBounds().contains(zone.location)) {
+        map.panTo(zone.location);
+    }
+}
+
+// ----- VEHICLE PROFILE -----
+// The driver's vehicle decides which zones will do: a ceiling that is
+// too low, no charger for the plug or no accessible stall rule a zone
+// out, and so does a zone that is closed when the driver gets there.
+// Those zones are greyed out on the map and in the list, or hidden
+// (APP_CONFIG.vehicle.hideUnusableZones).
+
+function setupVehicleProfile() {
+    const panel = document.getElementById('vehicle-panel');
+    const connectorSelect = document.getElementById('vehicle-connector-select');
+    const vehicle = getVehicleProfile();
+    
+    Object.keys(VEHICLE_CONNECTORS).forEach(plug => {
+        const option = document.createElement('option');
+        option.value = plug;
+        option.dataset.i18n = VEHICLE_CONNECTORS[plug];
+        option.textContent = t(option.dataset.i18n);
+        connectorSelect.appendChild(option);
+    });
+    
+    if (vehicle) {
+        document.getElementById('vehicle-electric-checkbox').checked = vehicle.electric;
+        document.getElementById('vehicle-permit-checkbox').checked = vehicle.accessiblePermit;
+        connectorSelect.value = vehicle.connector;
+    }
+    connectorSelect.disabled = !document.getElementById('vehicle-electric-checkbox').checked;
+    renderVehicleHeight();
+    
+    panel.querySelectorAll('input, select').forEach(input => {
+        input.addEventListener('change', onVehicleProfileChange);
+    });
+    panel.hidden = userType !== 'driver';
+    
+    // Zones open and close as the day goes by
+    setInterval(updateZoneUsability, APP_CONFIG.vehicle.refreshInterval);
+}
+
+function onVehicleProfileChange() {
+    const height = parseFloat(document.getElementById('vehicle-height-input').value);
+    const electric = document.getElementById('vehicle-electric-checkbox').checked;
+    
+    // The height is typed in the chosen units, and kept in meters
+    saveVehicleProfile({
+        height: height > 0 ? (getUnits() === 'imperial' ? height / FEET_PER_METER : height) : null,
+        electric: electric,
+        connector: document.getElementById('vehicle-connector-select').value,
+        accessiblePermit: document.getElementById('vehicle-permit-checkbox').checked
+    });
+    
+    document.getElementById('vehicle-connector-select').disabled = !electric;
+    updateZoneUsability();
+}
+
+// Shows the saved height in the current units
+function renderVehicleHeight() {
+    const vehicle = getVehicleProfile();
+    const imperial = getUnits() === 'imperial';
+    const label = document.getElementById('vehicle-height-label');
+    
+    label.dataset.i18n = imperial ? 'vehicle.heightFeet' : 'vehicle.heightMeters';
+    label.textContent = t(label.dataset.i18n);
+    document.getElementById('vehicle-height-input').value = vehicle && vehicle.height ?
+        Math.round((imperial ? vehicle.height * FEET_PER_METER : vehicle.height) * 10) / 10 :
+        '';
+}
+
+// When the driver would get to a zone: at the target meeting time if
+// there is one, at the route's ETA for the meeting point, and going by
+// a straight-line estimate for the other zones
+function zoneArrivalTime(zone) {
+    if (targetMeetingTime) {
+        return targetMeetingTime;
+    }
+    
+    if (userType === 'driver' && estimatedArrivalDate && meetingPoint && zone.location.equals(meetingPoint)) {
+        return estimatedArrivalDate;
+    }
+    
+    const driver = getRendezvousLocations().driver;
+    const travelTime = driver ? estimateTravelTime(driver, zone.location, 'car') : 0;
+    return new Date(Date.now() + travelTime * 1000);
+}
+
+function canUseZone(zone) {
+    return isZoneUsable(zoneUsability[zone.id]);
+}
+
+// Why the driver can't park in the zone, or null when they can
+function describeZoneUsability(zone) {
+    return describeUnusableZone(zone, zoneUsability[zone.id]);
+}
+
+// Checks every zone against the vehicle (only the driver has one) and
+// the arrival time, then greys out or hides the ones that won't do.
+// This runs with every new ETA, so the map and the list are only
+// redrawn when the outcome changes.
+function updateZoneUsability() {
+    const vehicle = userType === 'driver' ? getVehicleProfile() : null;
+    const hide = APP_CONFIG.vehicle.hideUnusableZones;
+    const result = checkZoneUsability(parkingZones, vehicle, zoneArrivalTime);
+    const key = result.key + (hide ? '|hidden' : '');
+    
+    zoneUsability = result.usability;
+    if (key === zoneUsabilityKey) {
+        return;
+    }
+    zoneUsabilityKey = key;
+    
+    parkingZones.forEach(zone => {
+        const entry = zoneLayers[zone.id];
+        if (!entry) {
+            return;
+        }
+        
+        const usable = canUseZone(zone);
+        entry.layer.setStyle(zoneUsabilityStyle(usable));
+        entry.popup.querySelector('.zone-unusable').textContent = describeZoneUsability(zone) || '';
+        
+        if (hide && usable !== map.hasLayer(entry.layer)) {
+            if (usable) {
+                entry.layer.addTo(map);
+            } else {
+                map.removeLayer(entry.layer);
+            }
+        }
+    });
+    
+    zoneList.setZones(hide ? parkingZones.filter(canUseZone) : parkingZones);
+    
+    const unusableCount = parkingZones.filter(zone => !canUseZone(zone)).length;
+    document.getElementById('vehicle-summary').textContent = unusableCount === 0 ?
+        t('vehicle.allUsable') :
+        t(hide ? 'vehicle.hidden' : 'vehicle.unusable', { count: unusableCount });
+}
+
+// ----- PICKUP STOPS -----
+// A driver collecting several passengers adds one stop per passenger.
+// The stops are put in the fastest order and the route runs through
+// all of them; the last stop doubles as the meeting point.
+
+function addPickupStop(name, latlng) {
+    if (pickupStops.some(stop => stop.latlng.equals(latlng))) {
+        document.getElementById('status-message').textContent = t('status.alreadyStop', { name: name });
+        return;
+    }
+    
+    // A meeting point picked earlier becomes the first stop
+    if (meetingPoint && pickupStops.length === 0 && !meetingPoint.equals(latlng)) {
+        pickupStops.push(createPickupStop(meetingPointName, meetingPoint));
+    }
+    
+    pickupStops.push(createPickupStop(name, latlng));
+    planPickupStops();
+}
+
+function createPickupStop(name, latlng) {
+    const stop = {
+        name: name,
+        latlng: L.latLng(latlng),
+        visited: false,
+        marker: L.marker(latlng).addTo(map)
+    };
+    
+    stop.marker.bindPopup('');
+    return stop;
+}
+
+function removePickupStop(stop) {
+    map.removeLayer(stop.marker);
+    pickupStops = pickupStops.filter(other => other !== stop);
+    
+    if (remainingPickupStops().length > 0) {
+        planPickupStops();
+        return;
+    }
+    
+    // No stops left to drive to
+    clearPickupStops();
+    meetingPoint = null;
+    meetingPointName = null;
+    clearActiveRoute();
+    document.getElementById('directions-container').innerHTML = '';
+    updateStatusMessage();
+    updateRendezvousLink();
+}
+
+function clearPickupStops() {
+    pickupStops.forEach(stop => map.removeLayer(stop.marker));
+    pickupStops = [];
+    pickupPlanCount++;
+    renderPickupStops();
+}
+
+// Stops we haven't been to yet. The last one is where the trip ends.
+function remainingPickupStops() {
+    return pickupStops.filter(stop => !stop.visited);
+}
+
+// Asks for the fastest order of the remaining stops, then routes through them
+function planPickupStops() {
+    const planId = ++pickupPlanCount;
+    const visited = pickupStops.filter(stop => stop.visited);
+    const remaining = remainingPickupStops();
+    
+    renderPickupStops();
+    document.getElementById('status-message').textContent = t('status.planningStops');
+    
+    const start = userLocation || remaining[0].latlng;
+    
+    planPickupOrder(start, remaining.map(stop => stop.latlng), 'car')
+        .then(function(plan) {
+            if (planId !== pickupPlanCount) {
+                return;
+            }
+            pickupStops = visited.concat(plan.order.map(index => remaining[index]));
+            
+            if (plan.estimated) {
+                console.warn("Stop order is based on straight-line estimates");
+            }
+            routeThroughPickupStops();
+        })
+        .catch(function(error) {
+            if (planId !== pickupPlanCount) {
+                return;
+            }
+            // Keep the order the stops were added in
+            console.error("Could not plan the stop order:", error);
+            routeThroughPickupStops();
+        });
+}
+
+function routeThroughPickupStops() {
+    const last = pickupStops[pickupStops.length - 1];
+    
+    // The numbered stop markers replace the single meeting point marker
+    if (meetingPointMarker) {
+        map.removeLayer(meetingPointMarker);
+        meetingPointMarker = null;
+    }
+    
+    meetingPoint = last.latlng;
+    meetingPointName = last.name;
+    estimatedArrivalDate = null;
+    travelTimeSeconds = null;
+    setArrivalGeofence();
+    updatePartnerTravelTime();
+    
+    renderPickupStops();
+    checkMeetingPointOccupancy();
+    updateRendezvousLink();
+    
+    if (userLocation) {
+        routeToMeetingPoint();
+    } else {
+        updateStatusMessage();
+    }
+    
+    console.log(`Pickup order: ${pickupStops.map(stop => stop.name).join(' → ')}`);
+}
+
+// Routes to the meeting point, through any pickup stops still ahead
+function routeToMeetingPoint(fresh) {
+    const via = remainingPickupStops().slice(0, -1).map(stop => stop.latlng);
+    calculateRoute(userLocation, meetingPoint, via, fresh);
+}
+
+// Ticks off a stop once the driver gets there
+function markPickupStopsVisited() {
+    const next = reachedPickupStop(remainingPickupStops(), userLocation);
+    
+    if (next) {
+        next.visited = true;
+        renderPickupStops();
+        saveSessionState();
+        console.log(`Reached pickup stop ${next.name}`);
+    }
+}
+
+// Numbers the stop markers and lists the stops in the sidebar
+function renderPickupStops() {
+    const container = document.getElementById('pickup-stops');
+    
+    pickupStops.forEach((stop, i) => {
+        stop.marker.setIcon(createStopIcon(i + 1, stop.visited));
+        stop.marker.setPopupContent(t('popup.stop', { number: i + 1, name: escapeHtml(stop.name) }));
+    });
+    
+    if (pickupStops.length === 0) {
+        container.innerHTML = '';
+        return;
+    }
+    
+    let html = `<h4>${t('stops.title')}</h4><ol class="stop-list">`;
+    pickupStops.forEach((stop, i) => {
+        html += `
+            <li class="${stop.visited ? 'visited' : ''}">
+                <span>${escapeHtml(stop.name)}</span>
+                <button data-index="${i}" aria-label="${t('stops.remove', { name: escapeHtml(stop.name) })}">×</button>
+            </li>
+        `;
+    });
+    html += `</ol><button class="clear-stops-btn">${t('stops.clear')}</button>`;
+    
+    container.innerHTML = html;
+    
+    container.querySelectorAll('button[data-index]').forEach(button => {
+        button.addEventListener('click', function() {
+            removePickupStop(pickupStops[Number(button.dataset.index)]);
+        });
+    });
+    
+    container.querySelector('.clear-stops-btn').addEventListener('click', function() {
+        clearPickupStops();
+        meetingPoint = null;
+        meetingPointName = null;
+        clearActiveRoute();
+        document.getElementById('directions-container').innerHTML = '';
+        updateStatusMessage();
+        updateRendezvousLink();
+    });
+}
+
+// ----- PARKING OCCUPANCY -----
+// Follows the availability feed, recolors the zones and keeps an eye
+// on the selected meeting point
+
+function startOccupancyFeed() {
+    if (parkingOccupancy) {
+        parkingOccupancy.stop();
+    }
+    
+    parkingOccupancy = new ParkingOccupancy(createOccupancySource(APP_CONFIG.occupancy), parkingZones);
+    parkingOccupancy.on('update', onOccupancyUpdate);
+    parkingOccupancy.start();
+}
+
+function onOccupancyUpdate() {
+    // Every popup shows when it was last updated, so refresh them all
+    parkingZones.forEach(zone => {
+        const entry = zoneLayers[zone.id];
+        const reading = parkingOccupancy.get(zone.id);
+        
+        entry.layer.setStyle(occupancyStyle(reading));
+        entry.occupancyText.textContent = describeOccupancy(reading);
+    });
+    
+    zoneList.refresh();
+    checkMeetingPointOccupancy();
+}
+
+// The zone whose meeting point is at this position, if any
+function findZoneAt(latlng) {
+    return parkingZones.find(zone => zone.location.equals(latlng)) || null;
+}
+
+// The closest other zone that still has free spots
+function findNearestAvailableZone(fullZone) {
+    let nearest = null;
+    let nearestDistance = Infinity;
+    
+    parkingZones.forEach(zone => {
+        const reading = parkingOccupancy.get(zone.id);
+        if (zone === fullZone || !reading || reading.free === 0 || !canUseZone(zone)) {
+            return;
+        }
+        
+        const distance = fullZone.location.distanceTo(zone.location);
+        if (distance < nearestDistance) {
+            nearest = zone;
+            nearestDistance = distance;
+        }
+    });
+    
+    return nearest;
+}
+
+// Warns when the meeting point fills up and offers the nearest zone
+// that still has room
+function checkMeetingPointOccupancy() {
+    const alertElement = document.getElementById('occupancy-alert');
+    const zone = meetingPoint ? findZoneAt(meetingPoint) : null;
+    
+    if (!zone || !parkingOccupancy || !parkingOccupancy.isFull(zone.id)) {
+        alertElement.innerHTML = '';
+        occupancyAlertKey = null;
+        return;
+    }
+    
+    const alternative = findNearestAvailableZone(zone);
+    
+    // Only redraw when the advice changes, so the button doesn't move
+    // under the user's finger with every feed update
+    const key = `${zone.id}>${alternative ? alternative.id : ''}`;
+    if (key === occupancyAlertKey) {
+        return;
+    }
+    occupancyAlertKey = key;
+    
+    console.warn(`Meeting point ${zone.name} is full`);
+    
+    if (!alternative) {
+        alertElement.innerHTML = `<p>${t('occupancy.fullNoAlternative', { zone: escapeHtml(zone.name) })}</p>`;
+        return;
+    }
+    
+    const distance = zone.location.distanceTo(alternative.location);
+    alertElement.innerHTML = `
+        <p>${t('occupancy.zoneFull', { zone: escapeHtml(zone.name) })}</p>
+        <p>${t('occupancy.alternative', {
+            zone: escapeHtml(alternative.name),
+            distance: formatDistance(distance),
+            count: parkingOccupancy.get(alternative.id).free
+        })}</p>
+        <button>${t('occupancy.meetThere')}</button>
+    `;
+    
+    alertElement.querySelector('button').addEventListener('click', function() {
+        selectMeetingPoint(alternative.location.lat, alternative.location.lng, alternative.name);
+    });
+}
+
+// ----- SUGGEST MEETING POINT -----
+// Ranks every zone by the driving time for the driver and the walking
+// time for the passenger, and lets the user pick from the list
+
+function setupMeetingPointSuggestions() {
+    const select = document.getElementById('objective-select');
+    const staySelect = document.getElementById('stay-select');
+    
+    APP_CONFIG.parkingCost.stayOptions.forEach(minutes => {
+        const option = document.createElement('option');
+        option.value = minutes;
+        option.selected = minutes === expectedStayMinutes;
+        staySelect.appendChild(option);
+    });
+    fillStayLengths();
+    
+    Object.keys(MEETING_POINT_OBJECTIVES).forEach(name => {
+        const option = document.createElement('option');
+        option.value = name;
+        option.dataset.i18n = MEETING_POINT_OBJECTIVES[name].labelKey;
+        option.textContent = t(option.dataset.i18n);
+        select.appendChild(option);
+    });
+    
+    document.getElementById('suggest-btn').addEventListener('click', suggestMeetingPoint);
+    
+    // Re-rank right away when the objective changes and a list is showing
+    select.addEventListener('change', function() {
+        if (document.getElementById('suggestions').childElementCount > 0) {
+            suggestMeetingPoint();
+        }
+    });
+    
+    // A longer stay changes every cost, and maybe the cheapest zone
+    staySelect.addEventListener('change', function() {
+        expectedStayMinutes = Number(staySelect.value);
+        refreshParkingCostDisplay();
+        zoneList.refresh();
+        saveSessionState();
+        
+        if (document.getElementById('suggestions').childElementCount > 0) {
+            suggestMeetingPoint();
+        }
+    });
+}
+
+// "30 min", "1 h" ... in the current language
+function fillStayLengths() {
+    document.querySelectorAll('#stay-select option, #timer-max-stay-select option').forEach(option => {
+        option.textContent = formatStayLength(Number(option.value));
+    });
+}
+
+// Works out where the driver and the passenger are. We know our own
+// position; the other one comes from the shared session or, for the
+// passenger, falls back to the tutorial's static location.
+function getRendezvousLocations() {
+    const locations = { driver: null, passenger: null };
+    
+    locations[userType] = userLocation;
+    
+    if (partnerLocation && partnerRole && partnerRole !== userType) {
+        locations[partnerRole] = partnerLocation;
+    }
+    
+    if (!locations.passenger) {
+        locations.passenger = passengerLocation;
+    }
+    
+    return locations;
+}
+
+function suggestMeetingPoint() {
+    const container = document.getElementById('suggestions');
+    const objective = document.getElementById('objective-select').value;
+    const locations = getRendezvousLocations();
+    
+    if (!locations.driver) {
+        container.innerHTML = `<p class="suggestion-note">${t('suggest.noDriver')}</p>`;
+        return;
+    }
+    
+    // No point suggesting a lot with no room, or one the car can't use
+    const candidates = parkingZones.filter(zone =>
+        (!parkingOccupancy || !parkingOccupancy.isFull(zone.id)) && canUseZone(zone)
+    );
+    
+    if (candidates.length === 0) {
+        container.innerHTML = `<p class="suggestion-note">${t(parkingZones.length === 0 ? 'suggest.noZones' : 'suggest.allFull')}</p>`;
+        return;
+    }
+    
+    container.innerHTML = `<p class="suggestion-note">${t('suggest.comparing')}</p>`;
+    
+    suggestMeetingPoints(candidates, locations.driver, locations.passenger, objective, expectedStayMinutes)
+        .then(function(result) {
+            showSuggestions(result);
+        })
+        .catch(function(error) {
+            console.error("Could not suggest a meeting point:", error);
+            container.innerHTML = `<p class="suggestion-note">${t('suggest.failed')}</p>`;
+        });
+}
+
+function showSuggestions(result) {
+    const container = document.getElementById('suggestions');
+    const now = Date.now();
+    
+    let html = '<ol class="suggestion-list">';
+    
+    result.ranked.forEach((entry, i) => {
+        const driverArrival = formatClockTime(new Date(now + entry.driverTime * 1000));
+        const passengerArrival = formatClockTime(new Date(now + entry.passengerTime * 1000));
+        const cost = entry.cost === null
+            ? t('suggest.costUnknown')
+            : t('suggest.cost', {
+                cost: t('cost.forStay', {
+                    cost: formatCost(entry.cost, entry.zone.rates.currency),
+                    stay: formatStayLength(expectedStayMinutes)
+                })
+            });
+        
+        html += `
+            <li class="suggestion">
+                <div class="suggestion-name">${escapeHtml(entry.zone.name)}</div>
+                <div class="suggestion-eta">${t('suggest.driver', { duration: formatDuration(entry.driverTime), time: driverArrival })}</div>
+                <div class="suggestion-eta">${t('suggest.passenger', { duration: formatDuration(entry.passengerTime), time: passengerArrival })}</div>
+                <div class="suggestion-eta">${describeOccupancy(parkingOccupancy && parkingOccupancy.get(entry.zone.id))}</div>
+                <div class="suggestion-eta">${cost}</div>
+                <button data-index="${i}">${t('common.meetHere')}</button>
+            </li>
+        `;
+    });
+    
+    html += '</ol>';
+    
+    if (result.estimated) {
+        html += `<p class="suggestion-note">${t('suggest.estimated')}</p>`;
+    }
+    
+    container.innerHTML = html;
+    
+    // Picking a suggestion works just like picking a zone on the map
+    container.querySelectorAll('button[data-index]').forEach(button => {
+        button.addEventListener('click', function() {
+            const zone = result.ranked[Number(button.dataset.index)].zone;
+            selectMeetingPoint(zone.location.lat, zone.location.lng, zone.name);
+        });
+    });
+    
+    console.log(`Suggested ${result.ranked.length} meeting points`);
+}
+
+// ----- SELECT MEETING POINT -----
+// Handles selecting a meeting point (parking zone)
+
+function selectMeetingPoint(lat, lng, name, options) {
+    const settings = options || {};
+    
+    // A single meeting point replaces any pickup stops
+    clearPickupStops();
+    
+    // The search result has served its purpose
+    clearSearchMarker();
+    
+    // Store the meeting point
+    meetingPoint = L.latLng(lat, lng);
+    meetingPointName = name;
+    setArrivalGeofence();
+    
+    // The old arrival time was for the previous meeting point
+    estimatedArrivalDate = null;
+    travelTimeSeconds = null;
+    updatePartnerTravelTime();
+    
+    // If we already have a meeting point marker, remove it
+    if (meetingPointMarker) {
+        map.removeLayer(meetingPointMarker);
+    }
+    
+    // Create a marker for the meeting point
+    meetingPointMarker = L.marker(meetingPoint, {
+        icon: L.divIcon({
+            className: 'meeting-point-marker',
+            html: '<div style="background-color: #FF8C00; width: 16px; height: 16px; border-radius: 50%; border: 2px solid white;"></div>',
+            iconSize: [20, 20]
+        })
+    }).addTo(map);
+    
+    meetingPointMarker.bindPopup('');
+    updateMeetingPointPopup();
+    meetingPointMarker.openPopup();
+    
+    // Warn straight away if the new meeting point is already full
+    checkMeetingPointOccupancy();
+    
+    // Keep the address bar pointing at this rendezvous
+    updateRendezvousLink();
+    
+    // Remember it among the recent meeting points, unless it is the
+    // last visit's meeting point coming back
+    if (!settings.restored) {
+        const zone = findZoneAt(meetingPoint);
+        addRecentMeetingPoint(zone ? zone.id : null, name, meetingPoint);
+        renderSavedPlaces();
+    }
+    
+    // Tell the other party, unless they are the ones who picked it
+    if (rendezvousSession && !settings.fromPartner) {
+        rendezvousSession.sendMeetingPoint(meetingPoint, name);
+    }
+    
+    // Calculate the route (once we know where we are)
+    if (userLocation) {
+        calculateRoute(userLocation, meetingPoint);
+    } else {
+        updateStatusMessage();
+    }
+    
+    console.log(`Meeting point selected: ${name} at ${lat}, ${lng}`);
+}
+
+// ----- ADDRESS SEARCH -----
+// Finds addresses and places with the configured geocoder, together with
+// the parking zones near each one. Any result can become the meeting point.
+
+function setupAddressSearch() {
+    geocoder = createGeocoder(APP_CONFIG.geocoding);
+    
+    document.getElementById('search-form').addEventListener('submit', function(event) {
+        event.preventDefault();
+        searchAddress(document.getElementById('search-input').value.trim());
+    });
+    
+    // Right-click, or a long press on touch screens, drops a custom meeting point
+    map.on('contextmenu', function(e) {
+        selectCustomMeetingPoint(e.latlng);
+    });
+}
+
+function searchAddress(text) {
+    const container = document.getElementById('search-results');
+    
+    if (!text) {
+        container.innerHTML = '';
+        return;
+    }
+    
+    container.innerHTML = `<p class="search-note">${t('search.searching')}</p>`;
+    
+    geocoder.search(text)
+        .then(showSearchResults)
+        .catch(function(error) {
+            console.error("Address search failed:", error);
+            container.innerHTML = `<p class="search-note">${t('search.unavailable', { error: escapeHtml(error.message) })}</p>`;
+        });
+}
+
+function showSearchResults(results) {
+    const container = document.getElementById('search-results');
+    
+    if (results.length === 0) {
+        container.innerHTML = `<p class="search-note">${t('search.noResults')}</p>`;
+        return;
+    }
+    
+    let html = '<ul class="search-result-list">';
+    results.forEach((result, i) => {
+        const nearby = findZonesNear(result.latlng, APP_CONFIG.geocoding.nearbyZoneRadius).slice(0, 3);
+        
+        html += `<li class="search-result">
+            <button class="search-result-name" data-index="${i}">${escapeHtml(result.name)}</button>
+            <div class="search-result-address">${escapeHtml(result.address)}</div>
+            <button class="meet-here-btn" data-index="${i}">${t('common.meetHere')}</button>`;
+        
+        // Searching for where we are is one way to set our position
+        if (canTrack()) {
+            html += ` <button class="start-here-btn" data-index="${i}">${t('search.startHere')}</button>`;
+        }
+        
+        if (nearby.length > 0) {
+            html += '<ul class="nearby-zones">';
+            nearby.forEach(entry => {
+                html += `<li>${escapeHtml(entry.zone.name)} (${formatDistance(entry.distance)})
+                    <button class="nearby-zone-btn" data-zone="${escapeHtml(entry.zone.id)}">${t('search.select')}</button></li>`;
+            });
+            html += '</ul>';
+        } else {
+            html += `<div class="search-note">${t('search.noZonesNearby')}</div>`;
+        }
+        
+        html += '</li>';
+    });
+    html += '</ul>';
+    
+    container.innerHTML = html;
+    
+    container.querySelectorAll('.search-result-name').forEach(button => {
+        button.addEventListener('click', function() {
+            showSearchMarker(results[Number(button.dataset.index)]);
+        });
+    });
+    
+    container.querySelectorAll('.meet-here-btn').forEach(button => {
+        button.addEventListener('click', function() {
+            const result = results[Number(button.dataset.index)];
+            selectMeetingPoint(result.latlng.lat, result.latlng.lng, result.name);
+        });
+    });
+    
+    container.querySelectorAll('.start-here-btn').forEach(button => {
+        button.addEventListener('click', function() {
+            clearSearchMarker();
+            setManualLocation(results[Number(button.dataset.index)].latlng);
+        });
+    });
+    
+    container.querySelectorAll('.nearby-zone-btn').forEach(button => {
+        button.addEventListener('click', function() {
+            const zone = parkingZones.find(candidate => candidate.id === button.dataset.zone);
+            selectMeetingPoint(zone.location.lat, zone.location.lng, zone.name);
+        });
+    });
+    
+    // Show the best match straight away
+    showSearchMarker(results[0]);
+}
+
+function showSearchMarker(result) {
+    clearSearchMarker();
+    
+    searchMarker = L.marker(result.latlng).addTo(map);
+    searchMarker.bindPopup(escapeHtml(result.name)).openPopup();
+    map.setView(result.latlng, 16);
+}
+
+function clearSearchMarker() {
+    if (searchMarker) {
+        map.removeLayer(searchMarker);
+        searchMarker = null;
+    }
+}
+
+// Parking zones within radius meters of a place: favourites first,
+// then closest first
+function findZonesNear(latlng, radius) {
+    const nearby = parkingZones
+        .map(zone => ({ zone: zone, distance: latlng.distanceTo(zone.location) }))
+        .filter(entry => entry.distance <= radius)
+        .sort((a, b) => a.distance - b.distance);
+    
+    return favouritesFirst(nearby, entry => entry.zone.id);
+}
+
+// ----- CUSTOM MEETING POINTS -----
+// Any spot on the map can be the meeting point. It gets a readable name
+// from reverse geocoding, or its coordinates when there is none.
+
+function selectCustomMeetingPoint(latlng) {
+    const lookupId = ++customPointCount;
+    
+    document.getElementById('status-message').textContent = t('status.lookingUpAddress');
+    
+    geocoder.reverse(latlng)
+        .catch(function(error) {
+            console.warn("Reverse geocoding failed:", error);
+            return null;
+        })
+        .then(function(name) {
+            // Another pin was dropped in the meantime
+            if (lookupId !== customPointCount) {
+                return;
+            }
+            selectMeetingPoint(latlng.lat, latlng.lng, name || t('search.droppedPin', { position: formatLatLng(latlng) }));
+        });
+}
+
+// ----- CALCULATE ROUTE -----
+// Uses Leaflet Routing Machine to calculate a route between points,
+// passing through the (optional) list of stops in between. A fresh
+// route (a reroute) always asks the router, never the recent routes.
+
+function calculateRoute(start, end, via, fresh) {
+    const stops = via || [];
+    const waypoints = [start].concat(stops, [end]).map(point => L.latLng(point.lat, point.lng));
+    
+    console.log(`Calculating route from ${start} to ${end}` +
+        (stops.length > 0 ? ` via ${stops.length} stop(s)` : ''));
+    
+    // If we already have a route (or a fallback line), remove it
+    clearActiveRoute();
+    const requestId = ++routeRequestCount;
+    routeLanguage = getLanguage();
+    
+    // Determine which travel mode to use based on user type.
+    // The routing provider turns it into the backend's own profile name.
+    const mode = modeForRole(userType);
+    
+    // Create a new route control. Avoid options the backend can't handle
+    // are left out by the routing provider. The line styles, the
+    // alternatives and the instruction formatter are the same as the
+    // widget's (see rendezvous-map.js).
+    routeControl = createRoutingControl(mode, L.extend(routeControlOptions(userType, function(line) {
+        // Keep a reference to the drawn line so live tracking can trim it
+        activeRouteLine = line;
+    }), {
+        // A trip asked for lately (before a reload or a role switch) is
+        // answered from the recent routes instead of the router
+        router: createCachingRouter(mode, routePreferences, fresh ?
+            { add: addRecentRoutes } :
+            { find: findRecentRoutes, add: addRecentRoutes }),
+        // Set the start, the stops and the end point
+        waypoints: waypoints,
+        // Customize the display
+        collapsible: true,
+        // While tracking, the map follows the driver instead
+        fitSelectedRoutes: !isTracking(),
+        // With pickup stops, the numbered stop markers are shown instead
+        createMarker: function() {
+            return stops.length > 0 ? null : L.Routing.Plan.prototype.options.createMarker.apply(this, arguments);
+        }
+    })).addTo(map);
+    
+    // Listen for the routesfound event to get every route the router offers
+    routeControl.on('routesfound', function(e) {
+        console.log(`Found ${e.routes.length} route(s):`, e.routes);
+        routeAlternatives = e.routes;
+    });
+    
+    // The first route is selected right after routesfound; clicking an
+    // alternative line or card selects another one
+    routeControl.on('routeselected', function(e) {
+        const route = e.route;
+        
+        // Remember the route so live tracking can measure progress along it
+        activeRoute = route;
+        
+        // Calculate and store the estimated arrival time
+        calculateEstimatedArrivalTime(route.summary.totalTime);
+        
+        // Update UI
+        updateStatusMessage();
+        renderRouteAlternatives();
+        
+        // Display turn-by-turn directions
+        displayDirections(route.instructions);
+    });
+    
+    // Listen for routing errors
+    routeControl.on('routingerror', function(e) {
+        console.error("Routing error:", e.error);
+        
+        // Try the offline street map first; the straight line is the last resort
+        document.getElementById('status-message').textContent =
+            t(APP_CONFIG.routing.offlineFallback ? 'status.serverUnavailable' : 'status.routingError');
+        createFallbackRoute(waypoints, mode, requestId);
+    });
+    
+    // Hide the default Leaflet Routing Machine control panel
+    // We'll use our own custom directions panel
+    setTimeout(function() {
+        const controlContainer = document.querySelector('.leaflet-routing-container');
+        if (controlContainer) {
+            controlContainer.style.display = 'none';
+        }
+    }, 100);
+}
+
+// ----- ROUTE ALTERNATIVES -----
+// One card per route the router found, to compare them at a glance
+
+function renderRouteAlternatives() {
+    renderRouteCards(document.getElementById('route-alternatives'), routeAlternatives, activeRoute, selectRouteAlternative);
+}
+
+// Does the same as clicking the alternative's line on the map
+function selectRouteAlternative(index) {
+    const route = routeAlternatives[index];
+    
+    if (!routeControl || !route || route === activeRoute) {
+        return;
+    }
+    
+    routeControl.fire('routeselected', {
+        route: route,
+        alternatives: routeAlternatives.filter(other => other !== route)
+    });
+}
+
+// ----- ROUTE OPTIONS -----
+// Checkboxes for what the route should avoid. Options the routing
+// backend can't handle for the current travel mode are disabled, and
+// options it can't avoid together uncheck each other.
+
+function setupRouteOptions() {
+    const container = document.getElementById('route-options');
+    
+    Object.keys(ROUTE_AVOID_OPTIONS).forEach(option => {
+        const label = document.createElement('label');
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.value = option;
+        
+        checkbox.addEventListener('change', function() {
+            let avoid = Array.from(container.querySelectorAll('input:checked'))
+                .map(input => input.value);
+            
+            // A backend that can't take this one with the others keeps only this one
+            if (checkbox.checked && !avoidCombinationSupported(avoid)) {
+                avoid = [option];
+                container.querySelectorAll('input').forEach(input => {
+                    input.checked = input === checkbox;
+                });
+            }
+            
+            routePreferences.avoid = avoid;
+            saveSessionState();
+            
+            // Find the route again with the new preferences
+            if (userLocation && meetingPoint) {
+                routeToMeetingPoint();
+            }
+        });
+        
+        const text = document.createElement('span');
+        text.dataset.i18n = ROUTE_AVOID_OPTIONS[option];
+        text.textContent = t(text.dataset.i18n);
+        
+        label.appendChild(checkbox);
+        label.appendChild(document.createTextNode(' '));
+        label.appendChild(text);
+        container.appendChild(label);
+    });
+    
+    updateRouteOptionsAvailability();
+}
+
+function updateRouteOptionsAvailability() {
+    const supported = supportedAvoidOptions(modeForRole(userType));
+    const exclusive = !avoidCombinationSupported(supported);
+    
+    document.querySelectorAll('#route-options input').forEach(checkbox => {
+        checkbox.disabled = !supported.includes(checkbox.value);
+        
+        if (checkbox.disabled) {
+            checkbox.parentNode.title = t('routes.optionUnavailable');
+        } else {
+            checkbox.parentNode.title = exclusive ? t('routes.optionExclusive') : '';
+        }
+    });
+}
+
+// ----- RENDEZVOUS LINKS -----
+// The role, the meeting point and (optionally) the start position live
+// in the page URL, so the rendezvous can be shared or bookmarked
+
+function applyRendezvousLink(link) {
+    if (link.role) {
+        applyUserType(link.role);
+    }
+    
+    linkedStart = link.start;
+    linkedZoneId = link.zoneId;
+    linkedMeetingPoint = link.meetingPoint;
+}
+
+// Sets the role while the app starts up, before there is anything to reset
+function applyUserType(type) {
+    userType = type;
+    document.getElementById('driver-btn').classList.toggle('active', userType === 'driver');
+    document.getElementById('passenger-btn').classList.toggle('active', userType === 'passenger');
+    updateTrackingAvailability();
+    updateRouteOptionsAvailability();
+}
+
+// Selects the meeting point from the link once the zones have loaded
+function selectLinkedMeetingPoint() {
+    if (linkedMeetingPoint) {
+        selectCustomMeetingPoint(linkedMeetingPoint);
+        linkedMeetingPoint = null;
+        return;
+    }
+    
+    if (!linkedZoneId) {
+        return;
+    }
+    
+    const zone = parkingZones.find(candidate => candidate.id === linkedZoneId);
+    linkedZoneId = null;
+    
+    if (!zone) {
+        document.getElementById('status-message').textContent = t('status.linkedZoneMissing');
+        return;
+    }
+    
+    selectMeetingPoint(zone.location.lat, zone.location.lng, zone.name);
+}
+
+// The link for the current rendezvous, with an optional start position
+function currentRendezvousLink(start) {
+    const zone = meetingPoint ? findZoneAt(meetingPoint) : null;
+    
+    return buildRendezvousLink(window.location.href, {
+        role: userType,
+        zoneId: zone ? zone.id : null,
+        meetingPoint: meetingPoint,
+        start: start
+    });
+}
+
+// Rewrites the address bar without adding a history entry.
+// A start position from the link we were opened with is kept.
+function updateRendezvousLink() {
+    history.replaceState(null, '', currentRendezvousLink(linkedStart));
+    updateShareLink();
+    
+    // The same state is kept for the next visit
+    saveSessionState();
+}
+
+// ----- SAVED PLACES AND THE LAST SESSION -----
+// The rendezvous is saved in the browser whenever it changes and picked
+// up again on the next visit. Starred zones and recent meeting points
+// are listed in the sidebar, and the settings panel can clear them.
+
+function restoreSavedSession(session) {
+    if (!session) {
+        return;
+    }
+    
+    if (LINK_ROLES.includes(session.role)) {
+        applyUserType(session.role);
+    }
+    
+    // Only options that still exist, and that the backend can take together
+    const avoid = (session.avoid || []).filter(option => ROUTE_AVOID_OPTIONS[option]);
+    routePreferences.avoid = combinableAvoidOptions(avoid);
+    document.querySelectorAll('#route-options input').forEach(checkbox => {
+        checkbox.checked = routePreferences.avoid.includes(checkbox.value);
+    });
+    
+    if (APP_CONFIG.parkingCost.stayOptions.includes(session.stayMinutes)) {
+        expectedStayMinutes = session.stayMinutes;
+        document.getElementById('stay-select').value = expectedStayMinutes;
+    }
+    
+    // The meeting point and the stops follow once the zones are in
+    restoredSession = session;
+    
+    console.log(`Restoring the rendezvous saved ${session.savedAt}`);
+}
+
+function selectSavedMeetingPoint() {
+    const session = restoredSession;
+    restoredSession = null;
+    
+    if (!session) {
+        return;
+    }
+    
+    const stops = session.stops || [];
+    if (stops.length > 0 && userType === 'driver') {
+        pickupStops = stops.map(saved => {
+            const stop = createPickupStop(saved.name, L.latLng(saved.lat, saved.lng));
+            stop.visited = Boolean(saved.visited);
+            return stop;
+        });
+        routeThroughPickupStops();
+        return;
+    }
+    
+    const saved = session.meetingPoint;
+    if (!saved) {
+        return;
+    }
+    
+    // A zone that has moved since is met at its new place. One that is
+    // gone is still met where it used to be.
+    const zone = saved.zoneId ? parkingZones.find(candidate => candidate.id === saved.zoneId) : null;
+    const latlng = zone ? zone.location : L.latLng(saved.lat, saved.lng);
+    selectMeetingPoint(latlng.lat, latlng.lng, zone ? zone.name : saved.name, { restored: true });
+}
+
+function saveSessionState() {
+    // Don't overwrite the last visit before it has been picked up
+    if (restoredSession) {
+        return;
+    }
+    
+    const zone = meetingPoint ? findZoneAt(meetingPoint) : null;
+    
+    saveSession({
+        role: userType,
+        meetingPoint: meetingPoint ? {
+            zoneId: zone ? zone.id : null,
+            lat: meetingPoint.lat,
+            lng: meetingPoint.lng,
+            name: meetingPointName
+        } : null,
+        stops: pickupStops.map(stop => ({
+            name: stop.name,
+            lat: stop.latlng.lat,
+            lng: stop.latlng.lng,
+            visited: stop.visited
+        })),
+        avoid: routePreferences.avoid.slice(),
+        stayMinutes: expectedStayMinutes
+    });
+}
+
+function setupSavedPlaces() {
+    document.getElementById('clear-history-btn').addEventListener('click', function() {
+        clearRecentMeetingPoints();
+        renderSavedPlaces();
+    });
+    
+    document.getElementById('clear-favourites-btn').addEventListener('click', function() {
+        clearFavouriteZones();
+        parkingZones.forEach(updateZonePopup);
+        renderSavedPlaces();
+        zoneList.refresh();
+    });
+    
+    renderSavedPlaces();
+}
+
+// Lists the favourite zones, then the recent meeting points with the
+// day and time they were picked
+function renderSavedPlaces() {
+    const favourites = parkingZones.filter(zone => isFavouriteZone(zone.id));
+    const recent = getRecentMeetingPoints();
+    
+    const favouritesContainer = document.getElementById('favourite-zones');
+    if (favourites.length > 0) {
+        let html = `<h4>${t('saved.favourites')}</h4><ul class="saved-list">`;
+        favourites.forEach(zone => {
+            html += `<li><button class="saved-place-btn" data-zone="${escapeHtml(zone.id)}">★ ${escapeHtml(zone.name)}</button></li>`;
+        });
+        favouritesContainer.innerHTML = html + '</ul>';
+    } else {
+        favouritesContainer.innerHTML = '';
+    }
+    
+    const recentContainer = document.getElementById('recent-meeting-points');
+    if (recent.length > 0) {
+        let html = `<h4>${t('saved.recent')}</h4><ul class="saved-list">`;
+        recent.forEach((entry, i) => {
+            html += `<li>
+                <button class="saved-place-btn" data-index="${i}">${escapeHtml(entry.name)}</button>
+                <span class="saved-date">${formatDateTime(entry.usedAt)}</span>
+            </li>`;
+        });
+        recentContainer.innerHTML = html + '</ul>';
+    } else {
+        recentContainer.innerHTML = '';
+    }
+    
+    favouritesContainer.querySelectorAll('button[data-zone]').forEach(button => {
+        button.addEventListener('click', function() {
+            const zone = parkingZones.find(candidate => candidate.id === button.dataset.zone);
+            selectMeetingPoint(zone.location.lat, zone.location.lng, zone.name);
+        });
+    });
+    
+    recentContainer.querySelectorAll('button[data-index]').forEach(button => {
+        button.addEventListener('click', function() {
+            const entry = recent[Number(button.dataset.index)];
+            const zone = entry.zoneId ? parkingZones.find(candidate => candidate.id === entry.zoneId) : null;
+            const latlng = zone ? zone.location : entry.latlng;
+            selectMeetingPoint(latlng.lat, latlng.lng, zone ? zone.name : entry.name);
+        });
+    });
+}
+
+// ----- SHARE AND EXPORT -----
+// Copies the rendezvous link and saves the active route for other apps
+
+function setupSharePanel() {
+    const linkInput = document.getElementById('share-link-input');
+    const copyButton = document.getElementById('copy-link-btn');
+    
+    document.getElementById('share-start-checkbox').addEventListener('change', updateShareLink);
+    
+    copyButton.addEventListener('click', function() {
+        updateShareLink();
+        
+        // Without clipboard access the link is at least selected for copying
+        const copy = navigator.clipboard ?
+            navigator.clipboard.writeText(linkInput.value) :
+            Promise.reject(new Error("Clipboard not available"));
+        
+        copy
+            .then(function() {
+                copyButton.textContent = t('share.copied');
+                setTimeout(() => {
+                    copyButton.textContent = t('share.copy');
+                }, 2000);
+            })
+            .catch(function(error) {
+                console.warn("Could not copy the link:", error);
+                linkInput.select();
+            });
+    });
+    
+    document.getElementById('export-gpx-btn').addEventListener('click', function() {
+        exportActiveRoute('gpx');
+    });
+    
+    document.getElementById('export-geojson-btn').addEventListener('click', function() {
+        exportActiveRoute('geojson');
+    });
+    
+    updateShareLink();
+    updateExportButtons();
+}
+
+function updateShareLink() {
+    const includeStart = document.getElementById('share-start-checkbox').checked;
+    document.getElementById('share-link-input').value =
+        currentRendezvousLink(includeStart ? userLocation : null);
+}
+
+function updateExportButtons() {
+    document.getElementById('export-gpx-btn').disabled = !activeRoute;
+    document.getElementById('export-geojson-btn').disabled = !activeRoute;
+}
+
+function exportActiveRoute(format) {
+    if (!activeRoute) {
+        return;
+    }
+    
+    const name = t('share.routeName', { name: meetingPointName || t('share.theMeetingPoint') });
+    
+    if (format === 'gpx') {
+        downloadTextFile(exportFileName(name, 'gpx'), routeToGpx(activeRoute, name), 'application/gpx+xml');
+    } else {
+        downloadTextFile(exportFileName(name, 'geojson'), routeToGeoJson(activeRoute, name), 'application/geo+json');
+    }
+    
+    console.log(`Exported ${name} as ${format}`);
+}
+
+// ----- OFFLINE MAP -----
+// The service worker keeps the app, the tiles seen so far and the
+// libraries for when the connection drops (see service-worker.js). The
+// tiles of the downtown service area can also be downloaded ahead, so
+// the map is there in a parkade that was never viewed before.
+
+function setupOfflineMap() {
+    document.getElementById('download-area-btn').addEventListener('click', downloadServiceArea);
+    document.getElementById('clear-tiles-btn').addEventListener('click', clearSavedTiles);
+    
+    window.addEventListener('online', renderOfflinePanel);
+    window.addEventListener('offline', renderOfflinePanel);
+    
+    // Service workers only run on pages served over HTTPS (or localhost)
+    if (!canWorkOffline()) {
+        renderOfflinePanel();
+        return;
+    }
+    
+    navigator.serviceWorker.addEventListener('message', onServiceWorkerMessage);
+    registerServiceWorker();
+    
+    renderOfflinePanel();
+}
+
+// The worker is the one that fetches and stores tiles
+function sendToServiceWorker(message) {
+    navigator.serviceWorker.ready.then(function(registration) {
+        registration.active.postMessage(message);
+    });
+}
+
+function downloadServiceArea() {
+    const config = APP_CONFIG.offline;
+    const area = config.serviceArea;
+    const urls = tileUrlsForArea(config.tileUrl, area.bounds, area.minZoom, area.maxZoom, config.tileSubdomains);
+    
+    tileDownload = { done: 0, total: urls.length, failed: 0, full: false };
+    renderOfflinePanel();
+    
+    console.log(`Downloading ${urls.length} tiles of the service area`);
+    sendToServiceWorker({ type: 'download-tiles', urls: urls });
+}
+
+function clearSavedTiles() {
+    tileDownload = null;
+    sendToServiceWorker({ type: 'clear-tiles' });
+}
+
+function onServiceWorkerMessage(event) {
+    const message = event.data || {};
+    
+    if (message.type === 'tile-progress') {
+        tileDownload = message;
+        renderOfflinePanel();
+    } else if (message.type === 'tiles-cleared') {
+        renderOfflinePanel();
+    }
+}
+
+function isDownloadingTiles() {
+    return tileDownload !== null && tileDownload.done < tileDownload.total && !tileDownload.full;
+}
+
+function renderOfflinePanel() {
+    const status = document.getElementById('offline-status');
+    const progress = document.getElementById('tile-download-progress');
+    const downloadButton = document.getElementById('download-area-btn');
+    const clearButton = document.getElementById('clear-tiles-btn');
+    const connection = navigator.onLine ? '' : t('offline.noConnection') + ' ';
+    
+    if (!canWorkOffline()) {
+        status.textContent = connection + t('offline.unsupported');
+        progress.hidden = true;
+        downloadButton.disabled = true;
+        clearButton.disabled = true;
+        return;
+    }
+    
+    const downloading = isDownloadingTiles();
+    downloadButton.disabled = downloading || !navigator.onLine;
+    clearButton.disabled = downloading;
+    progress.hidden = !downloading;
+    
+    if (downloading) {
+        progress.max = tileDownload.total;
+        progress.value = tileDownload.done;
+        status.textContent = connection + t('offline.downloading', { done: tileDownload.done, total: tileDownload.total });
+        return;
+    }
+    
+    tileCacheUsage()
+        .then(function(usage) {
+            let text = connection + t('offline.usage', {
+                count: usage.count,
+                size: formatUnit(usage.bytes / 1048576, 'megabyte', 1),
+                max: formatUnit(APP_CONFIG.offline.maxTileMegabytes, 'megabyte', 0)
+            });
+            
+            if (tileDownload && tileDownload.full) {
+                text += ' ' + t('offline.full');
+            } else if (tileDownload && tileDownload.failed > 0) {
+                text += ' ' + t('offline.failed', { count: tileDownload.failed });
+            } else if (tileDownload) {
+                text += ' ' + t('offline.downloaded');
+            }
+            status.textContent = text;
+        })
+        .catch(function(error) {
+            console.warn("Could not read the tile cache:", error);
+            status.textContent = connection;
+        });
+}
+
+// ----- CREATE FALLBACK ROUTE -----
+// When routing fails: a route on the bundled street graph, or a
+// straight line when that fails too (see findFallbackRoute)
+
+function createFallbackRoute(waypoints, mode, requestId) {
+    // The street graph knows road classes but not tolls
+    const avoid = mode === 'car' ? routePreferences.avoid.filter(option => option === 'highways') : [];
+    
+    findFallbackRoute(waypoints, mode, APP_CONFIG.routing, avoid).then(function(result) {
+        // A newer route request has started since: drop this one
+        if (requestId !== routeRequestCount) {
+            return;
+        }
+        
+        if (result.offlineError) {
+            console.warn("Offline routing failed:", result.offlineError);
+            document.getElementById('status-message').textContent = t('status.offlineFailed', { error: result.offlineError.message });
+        }
+        console.log(result.approximate ? "Created straight-line route" : "Offline route found:", result.route);
+        
+        // Draw it like a normal route, so live tracking and navigation
+        // mode can follow it
+        activeRouteLine = createFallbackRouteLine(result, userType).addTo(map);
+        activeRoute = result.route;
+        
+        // Zoom to fit the route, unless the map is following the driver
+        if (!isTracking()) {
+            map.fitBounds(activeRouteLine.getBounds(), { padding: [50, 50] });
+        }
+        
+        calculateEstimatedArrivalTime(activeRoute.summary.totalTime);
+        updateStatusMessage();
+        displayDirections(activeRoute.instructions);
+    });
+}
+
+// ----- CALCULATE ETA -----
+// Calculates the estimated arrival time based on route duration
+
+function calculateEstimatedArrivalTime(durationInSeconds) {
+    // Get current date/time
+    const now = new Date();
+    
+    // Add the duration (in seconds) to the current time
+    const arrivalTime = new Date(now.getTime() + (durationInSeconds * 1000));
+    
+    // Store the ETA with travel duration, the way the user's locale writes times
+    estimatedArrivalTime = describeEta(arrivalTime, durationInSeconds);
+    estimatedArrivalDate = arrivalTime;
+    travelTimeSeconds = durationInSeconds;
+    
+    // The parking cost depends on when we get there, and so may
+    // whether the zones are open
+    refreshParkingCostDisplay();
+    updateZoneUsability();
+    
+    // And so does the time to leave
+    renderDeparturePlan();
+    
+    console.log(`Estimated arrival: ${estimatedArrivalTime}`);
+    
+    return estimatedArrivalTime;
+}
+
+// ----- DISPLAY DIRECTIONS -----
+// Shows turn-by-turn navigation instructions in the sidebar
+
+function displayDirections(instructions) {
+    const directionsContainer = document.getElementById('directions-container');
+    
+    // With several pickup stops, each gets its own arrival time
+    const stopArrivals = activeRoute ? describeStopArrivals(activeRoute, remainingPickupStops()) : [];
+    
+    // The ETA and the parking cost go above the steps. The steps come
+    // from the router and are escaped (see rendezvous-map.js).
+    const html = '<div class="directions-container">' +
+        directionsHtml(estimatedArrivalTime, stopArrivals, describeMeetingPointCost(), instructions) +
+        '</div>';
+    
+    // Update the directions container
+    directionsContainer.innerHTML = html;
+    
+    console.log(`Displayed ${instructions.length} navigation steps with ETA: ${estimatedArrivalTime}`);
+    
+    // A new list means a new route; navigation follows it from here
+    updateNavigationButton();
+    updateExportButtons();
+    followActiveRoute();
 }
 
 // Initialize the application when the page loads
@@ -0,0 +1,588 @@
+/**
+ * LOCAL ROUTER
+ * ============
+ *
+ * Routes on a street graph bundled with the app, so there is still a
+ * usable route when the routing server can't be reached. It can also be
+ * picked as the main backend ('local' in config.js).
+ *
+ * The graph is a compact JSON file made by tools/export-osm-graph.js:
+ *
+ *     {
+ *         "format": "parking-rendezvous-graph",
+ *         "version": 1,
+ *         "nodes": [[lat, lng], ...],
+ *         "ways": [[name, highway, oneway, [node index, ...]], ...]
+ *     }
+ *
+ * highway is the OpenStreetMap road class ("residential", "footway" ...).
+ * oneway is 1 (only in node order), -1 (only against it) or 0 (both ways).
+ *
+ * Routes are found with A* using travel time as the cost, and come back
+ * in the same shape as the other routers: coordinates, instructions
+ * (type, text, distance, time) and a summary.
+ */
+
+const ROAD_GRAPH_FORMAT = 'parking-rendezvous-graph';
+
+// Speeds in km/h per road class. A class missing from a profile can't
+// be used in that mode (no driving on footways, no walking on motorways).
+const LOCAL_ROUTING_PROFILES = {
+    car: {
+        followsOneway: true,
+        speeds: {
+            motorway: 90, trunk: 70, primary: 50, secondary: 45, tertiary: 40,
+            unclassified: 30, residential: 30, living_street: 10, service: 15
+        }
+    },
+    foot: {
+        followsOneway: false,
+        speeds: {
+            primary: 5, secondary: 5, tertiary: 5, unclassified: 5, residential: 5,
+            living_street: 5, service: 5, pedestrian: 5, footway: 5, path: 5,
+            cycleway: 5, track: 5, steps: 3
+        }
+    },
+    bike: {
+        followsOneway: true,
+        speeds: {
+            primary: 18, secondary: 18, tertiary: 18, unclassified: 16, residential: 16,
+            living_street: 10, service: 12, cycleway: 20, path: 14, track: 12
+        }
+    }
+};
+
+// Road classes left out when the user asks to avoid highways
+const LOCAL_HIGHWAY_CLASSES = ['motorway', 'trunk'];
+
+// Loaded graphs, by URL
+const roadGraphCache = {};
+
+// ----- ROUTE ON LOCAL GRAPH -----
+// Entry point used by the 'local' provider and the offline fallback.
+// avoid is an optional list of avoid options; only 'highways' applies here.
+// routing is the routing configuration to read the graph settings from,
+// APP_CONFIG.routing unless given (see routing-providers.js).
+
+function routeOnLocalGraph(latlngs, mode, avoid, routing) {
+    const config = routing || APP_CONFIG.routing;
+    const settings = config.providers.local;
+
+    return loadRoadGraph(settings.graphUrl, config.timeout).then(function(graph) {
+        return findGraphRoute(graph, latlngs.map(latlng => L.latLng(latlng)), mode, settings, avoid);
+    });
+}
+
+// Travel times (in seconds) from one origin to each destination,
+// or null for destinations the graph can't reach
+function localDurationRow(origin, destinations, mode, routing) {
+    const config = routing || APP_CONFIG.routing;
+    const settings = config.providers.local;
+
+    return loadRoadGraph(settings.graphUrl, config.timeout).then(function(graph) {
+        return destinations.map(destination => {
+            try {
+                return findGraphRoute(graph, [L.latLng(origin), L.latLng(destination)], mode, settings).summary.totalTime;
+            } catch (error) {
+                return null;
+            }
+        });
+    });
+}
+
+// ----- LOAD ROAD GRAPH -----
+
+function loadRoadGraph(url, timeout) {
+    if (!roadGraphCache[url]) {
+        roadGraphCache[url] = fetchJson(url, {}, timeout)
+            .then(buildRoadGraph)
+            .catch(function(error) {
+                // Let the next request try again
+                delete roadGraphCache[url];
+                throw error;
+            });
+    }
+    return roadGraphCache[url];
+}
+
+// Turns the compact file into nodes plus an adjacency list
+function buildRoadGraph(data) {
+    if (!data || data.format !== ROAD_GRAPH_FORMAT || data.version !== 1) {
+        throw new Error("Not a road graph file (or an unsupported version)");
+    }
+
+    const nodes = data.nodes.map(node => L.latLng(node[0], node[1]));
+    const edges = [];
+    const adjacency = nodes.map(() => []);
+
+    data.ways.forEach(way => {
+        const name = way[0];
+        const highway = way[1];
+        const oneway = way[2];
+        const wayNodes = way[3];
+
+        for (let i = 0; i < wayNodes.length - 1; i++) {
+            const edge = {
+                from: wayNodes[i],
+                to: wayNodes[i + 1],
+                name: name,
+                highway: highway,
+                oneway: oneway,
+                length: nodes[wayNodes[i]].distanceTo(nodes[wayNodes[i + 1]])
+            };
+            edges.push(edge);
+            adjacency[edge.from].push({ edge: edge, to: edge.to, forward: true });
+            adjacency[edge.to].push({ edge: edge, to: edge.from, forward: false });
+        }
+    });
+
+    console.log(`Loaded road graph "${data.name}" (${nodes.length} nodes, ${edges.length} edges)`);
+
+    return { name: data.name, nodes: nodes, edges: edges, adjacency: adjacency };
+}
+
+// ----- EDGE RULES -----
+
+// The profile for a mode, without the road classes the user avoids
+function localProfile(mode, avoid) {
+    const profile = LOCAL_ROUTING_PROFILES[mode];
+
+    if (!profile || !avoid || !avoid.includes('highways')) {
+        return profile;
+    }
+
+    const speeds = L.extend({}, profile.speeds);
+    LOCAL_HIGHWAY_CLASSES.forEach(highway => {
+        delete speeds[highway];
+    });
+    return L.extend({}, profile, { speeds: speeds });
+}
+
+// Speed in meters per second, or 0 if the edge can't be used this way
+function edgeSpeed(edge, forward, profile) {
+    const kmh = profile.speeds[edge.highway];
+    if (!kmh) {
+        return 0;
+    }
+    if (profile.followsOneway && ((edge.oneway === 1 && !forward) || (edge.oneway === -1 && forward))) {
+        return 0;
+    }
+    return kmh / 3.6;
+}
+
+function maxProfileSpeed(profile) {
+    return Math.max.apply(null, Object.keys(profile.speeds).map(key => profile.speeds[key])) / 3.6;
+}
+
+// ----- SNAP TO GRAPH -----
+// Finds the closest usable edge to a position
+
+function snapToGraph(graph, latlng, profile, maxDistance) {
+    let best = null;
+
+    graph.edges.forEach(edge => {
+        // Edges that can't be used in either direction are no good
+        if (!edgeSpeed(edge, true, profile) && !edgeSpeed(edge, false, profile)) {
+            return;
+        }
+
+        const closest = closestPointOnRoute(latlng, [graph.nodes[edge.from], graph.nodes[edge.to]]);
+        if (!best || closest.distance < best.distance) {
+            best = { edge: edge, fraction: closest.fraction, point: closest.point, distance: closest.distance };
+        }
+    });
+
+    if (!best || best.distance > maxDistance) {
+        throw new Error(t('offline.outsideArea'));
+    }
+    return best;
+}
+
+// ----- FIND GRAPH ROUTE -----
+// Routes through every waypoint in order and joins the legs
+
+function findGraphRoute(graph, latlngs, mode, settings, avoid) {
+    const profile = localProfile(mode, avoid);
+    if (!profile) {
+        throw new Error(`The offline router has no profile for ${mode}`);
+    }
+
+    const coordinates = [];
+    const instructions = [];
+    let totalDistance = 0;
+    let totalTime = 0;
+
+    for (let i = 0; i < latlngs.length - 1; i++) {
+        const leg = findGraphLeg(graph, latlngs[i], latlngs[i + 1], profile, settings.maxSnapDistance);
+        const offset = Math.max(coordinates.length - 1, 0);
+
+        // Legs share their end and start point
+        leg.coordinates.forEach((point, j) => {
+            if (i === 0 || j > 0) {
+                coordinates.push(point);
+            }
+        });
+
+        buildLegInstructions(leg).forEach((instruction, j) => {
+            // Only the first leg starts with "Head ..."; the others continue from a stop
+            if (i > 0 && j === 0) {
+                instruction.type = 'Continue';
+                instruction.text = t('instruction.Continue', { road: instruction.road || t('instruction.thePath') });
+            }
+            instruction.index += offset;
+            instructions.push(instruction);
+        });
+
+        instructions.push({
+            type: i < latlngs.length - 2 ? 'WayPoint' : 'DestinationReached',
+            text: i < latlngs.length - 2 ? t('instruction.stopReached') : t('instruction.arrived'),
+            distance: 0,
+            time: 0,
+            index: coordinates.length - 1
+        });
+
+        totalDistance += leg.distance;
+        totalTime += leg.time;
+    }
+
+    return {
+        name: t('route.offlineName', { name: graph.name }),
+        coordinates: coordinates,
+        instructions: instructions,
+        summary: {
+            totalDistance: totalDistance,
+            totalTime: totalTime
+        }
+    };
+}
+
+// ----- FIND GRAPH LEG -----
+// A* between two positions. The positions usually sit in the middle of
+// an edge, so each gets a temporary node joined to that edge's ends.
+
+function findGraphLeg(graph, from, to, profile, maxSnapDistance) {
+    const start = snapToGraph(graph, from, profile, maxSnapDistance);
+    const end = snapToGraph(graph, to, profile, maxSnapDistance);
+
+    const startId = graph.nodes.length;
+    const endId = graph.nodes.length + 1;
+    const extraLinks = {};
+
+    function addLink(fromId, link) {
+        (extraLinks[fromId] = extraLinks[fromId] || []).push(link);
+    }
+
+    // Partial edges from the start point to the ends of its edge
+    addPartialLinks(start, profile, function(nodeId, edge, fraction, forward) {
+        addLink(startId, { to: nodeId, edge: edge, length: fraction * edge.length, forward: forward });
+    }, true);
+
+    // Partial edges from the ends of the end point's edge to the end point
+    addPartialLinks(end, profile, function(nodeId, edge, fraction, forward) {
+        addLink(nodeId, { to: endId, edge: edge, length: fraction * edge.length, forward: forward });
+    }, false);
+
+    // Start and end on the same edge: maybe just drive along it
+    if (start.edge === end.edge) {
+        const forward = end.fraction >= start.fraction;
+        if (edgeSpeed(start.edge, forward, profile)) {
+            addLink(startId, {
+                to: endId,
+                edge: start.edge,
+                length: Math.abs(end.fraction - start.fraction) * start.edge.length,
+                forward: forward
+            });
+        }
+    }
+
+    function position(id) {
+        if (id === startId) {
+            return start.point;
+        }
+        if (id === endId) {
+            return end.point;
+        }
+        return graph.nodes[id];
+    }
+
+    function links(id) {
+        const base = id < graph.nodes.length ? graph.adjacency[id].map(link => ({
+            to: link.to,
+            edge: link.edge,
+            length: link.edge.length,
+            forward: link.forward
+        })) : [];
+        return base.concat(extraLinks[id] || []);
+    }
+
+    const path = aStar(startId, endId, position, links, profile);
+    if (!path) {
+        throw new Error(t('offline.noRoute'));
+    }
+
+    // The walk from the exact positions onto the road counts as part of the leg
+    const coordinates = [from];
+    const segments = [];
+    let distance = from.distanceTo(start.point);
+    let time = 0;
+
+    coordinates.push(start.point);
+    path.forEach(step => {
+        // A position snapped right onto a node gives an empty partial edge
+        if (step.length < 0.5) {
+            return;
+        }
+
+        const speed = edgeSpeed(step.edge, step.forward, profile);
+        coordinates.push(position(step.to));
+        segments.push({
+            name: step.edge.name,
+            length: step.length,
+            time: step.length / speed,
+            coordinateIndex: coordinates.length - 2
+        });
+        distance += step.length;
+        time += step.length / speed;
+    });
+    coordinates.push(to);
+    distance += end.point.distanceTo(to);
+
+    return {
+        coordinates: coordinates,
+        segments: segments,
+        distance: distance,
+        time: time,
+        // Off-road bits at each end, between the position and the road
+        approach: from.distanceTo(start.point),
+        departure: end.point.distanceTo(to)
+    };
+}
+
+// Calls add(nodeId, edge, fraction of the edge, forward?) for each end of
+// the snapped edge that can be reached (leaving) or arrived from (arriving)
+function addPartialLinks(snap, profile, add, leaving) {
+    const edge = snap.edge;
+
+    // Leaving: point -> edge.to is forward, point -> edge.from is backward.
+    // Arriving: edge.from -> point is forward, edge.to -> point is backward.
+    if (edgeSpeed(edge, true, profile)) {
+        if (leaving) {
+            add(edge.to, edge, 1 - snap.fraction, true);
+        } else {
+            add(edge.from, edge, snap.fraction, true);
+        }
+    }
+    if (edgeSpeed(edge, false, profile)) {
+        if (leaving) {
+            add(edge.from, edge, snap.fraction, false);
+        } else {
+            add(edge.to, edge, 1 - snap.fraction, false);
+        }
+    }
+}
+
+// ----- A* SEARCH -----
+// Returns the list of links from start to goal, or null
+
+function aStar(startId, goalId, position, links, profile) {
+    const fastest = maxProfileSpeed(profile);
+    const goal = position(goalId);
+
+    const bestTime = {};
+    const cameFrom = {};
+    const open = new MinHeap();
+
+    bestTime[startId] = 0;
+    open.push(startId, position(startId).distanceTo(goal) / fastest);
+
+    while (open.size() > 0) {
+        const current = open.pop();
+
+        if (current === goalId) {
+            // Walk back along cameFrom to build the path
+            const path = [];
+            let id = goalId;
+            while (id !== startId) {
+                path.unshift(cameFrom[id]);
+                id = cameFrom[id].from;
+            }
+            return path;
+        }
+
+        links(current).forEach(link => {
+            const speed = edgeSpeed(link.edge, link.forward, profile);
+            if (!speed) {
+                return;
+            }
+
+            const time = bestTime[current] + link.length / speed;
+            if (bestTime[link.to] === undefined || time < bestTime[link.to]) {
+                bestTime[link.to] = time;
+                cameFrom[link.to] = {
+                    from: current,
+                    to: link.to,
+                    edge: link.edge,
+                    length: link.length,
+                    forward: link.forward
+                };
+                open.push(link.to, time + position(link.to).distanceTo(goal) / fastest);
+            }
+        });
+    }
+
+    return null;
+}
+
+// A small binary heap. Stale entries are skipped rather than updated.
+function MinHeap() {
+    const items = [];
+    const seen = {};
+
+    this.size = function() {
+        return items.length;
+    };
+
+    this.push = function(id, priority) {
+        items.push({ id: id, priority: priority });
+        let i = items.length - 1;
+        while (i > 0) {
+            const parent = (i - 1) >> 1;
+            if (items[parent].priority <= items[i].priority) {
+                break;
+            }
+            [items[parent], items[i]] = [items[i], items[parent]];
+            i = parent;
+        }
+    };
+
+    this.pop = function() {
+        while (items.length > 0) {
+            const top = items[0];
+            const last = items.pop();
+
+            if (items.length > 0) {
+                items[0] = last;
+                let i = 0;
+                while (true) {
+                    const left = 2 * i + 1;
+                    const right = left + 1;
+                    let smallest = i;
+                    if (left < items.length && items[left].priority < items[smallest].priority) {
+                        smallest = left;
+                    }
+                    if (right < items.length && items[right].priority < items[smallest].priority) {
+                        smallest = right;
+                    }
+                    if (smallest === i) {
+                        break;
+                    }
+                    [items[smallest], items[i]] = [items[i], items[smallest]];
+                    i = smallest;
+                }
+            }
+
+            // A node can be pushed several times; only its best entry counts
+            if (!seen[top.id]) {
+                seen[top.id] = true;
+                return top.id;
+            }
+        }
+        return undefined;
+    };
+}
+
+// ----- INSTRUCTIONS -----
+// Groups the path by street name and turns each change of street into
+// an instruction, with the turn worked out from the change of heading
+
+function buildLegInstructions(leg) {
+    const groups = [];
+
+    leg.segments.forEach(segment => {
+        const last = groups[groups.length - 1];
+        if (last && last.name === segment.name) {
+            last.length += segment.length;
+            last.time += segment.time;
+            last.endIndex = segment.coordinateIndex + 1;
+        } else {
+            groups.push({
+                name: segment.name,
+                length: segment.length,
+                time: segment.time,
+                startIndex: segment.coordinateIndex,
+                endIndex: segment.coordinateIndex + 1
+            });
+        }
+    });
+
+    const coordinates = leg.coordinates;
+
+    // Count the off-road bits at either end as part of the first and last steps
+    if (groups.length > 0) {
+        groups[0].length += leg.approach;
+        groups[0].startIndex = 0;
+        groups[groups.length - 1].length += leg.departure;
+    }
+
+    return groups.map((group, i) => {
+        const road = group.name || t('instruction.thePath');
+        if (i === 0) {
+            // Head along the road itself, not along the short approach to it
+            const heading = bearingBetween(coordinates[1], coordinates[Math.min(2, coordinates.length - 1)]);
+            return {
+                type: 'Head',
+                text: t('instruction.headOn', { direction: compassDirection(heading), road: road }),
+                road: group.name,
+                distance: group.length,
+                time: group.time,
+                index: group.startIndex
+            };
+        }
+
+        const previous = groups[i - 1];
+        const outBearing = bearingBetween(coordinates[group.startIndex], coordinates[group.startIndex + 1]);
+        const inBearing = bearingBetween(coordinates[previous.endIndex - 1], coordinates[previous.endIndex]);
+        const type = turnType(outBearing - inBearing);
+
+        return {
+            type: type,
+            text: t(`instruction.${type}`, { road: road }),
+            road: group.name,
+            distance: group.length,
+            time: group.time,
+            index: group.startIndex
+        };
+    });
+}
+
+// Change of heading in degrees (positive is clockwise) to a turn type
+function turnType(change) {
+    const angle = ((change % 360) + 540) % 360 - 180; // -180 .. 180
+
+    if (Math.abs(angle) < 20) {
+        return 'Continue';
+    }
+    if (Math.abs(angle) > 170) {
+        return 'TurnAround';
+    }
+    const side = angle > 0 ? 'Right' : 'Left';
+    if (Math.abs(angle) < 60) {
+        return 'Slight' + side;
+    }
+    if (Math.abs(angle) < 135) {
+        return side;
+    }
+    return 'Sharp' + side;
+}
+
+// Heading from one point to another, in degrees clockwise from north
+function bearingBetween(a, b) {
+    const p = projectToMeters(a, a.lat);
+    const q = projectToMeters(b, a.lat);
+    return (Math.atan2(q.x - p.x, q.y - p.y) * 180 / Math.PI + 360) % 360;
+}
+
+function compassDirection(bearing) {
+    const names = ['north', 'northeast', 'east', 'southeast', 'south', 'southwest', 'west', 'northwest'];
+    return t(`compass.${names[Math.round(bearing / 45) % 8]}`);
+}
@@ -0,0 +1,386 @@
+/**
+ * ENGLISH
+ * =======
+ *
+ * Every string of the interface. Other bundles fall back to these
+ * for keys they don't have. See i18n.js.
+ */
+
+registerLocaleBundle('en', {
+    'language.name': "English",
+
+    // ----- Shared -----
+    'locale.language': "Language",
+    'locale.units': "Units",
+    'units.metric': "Metric (km)",
+    'units.imperial': "Imperial (mi)",
+    'time.minutes': "{minutes} min",
+    'time.hours': "{hours} h",
+    'time.hoursMinutes': "{hours} h {minutes} min",
+    'role.driver': "Driver",
+    'role.passenger': "Passenger",
+    'cost.free': "Free",
+    'cost.forStay': "{cost} for {stay}",
+    'occupancy.unknown': "Availability unknown",
+    'occupancy.full': "Full",
+    'occupancy.free': "{free} of {capacity} free",
+    'occupancy.updated': "{availability} (updated {time})",
+    'geocoding.near': "Near {name}",
+
+    // ----- Route instructions made by the app -----
+    'compass.north': "north",
+    'compass.northeast': "northeast",
+    'compass.east': "east",
+    'compass.southeast': "southeast",
+    'compass.south': "south",
+    'compass.southwest': "southwest",
+    'compass.west': "west",
+    'compass.northwest': "northwest",
+    'instruction.head': "Head {direction}",
+    'instruction.headOn': "Head {direction} on {road}",
+    'instruction.Continue': "Continue onto {road}",
+    'instruction.SlightRight': "Keep slightly right onto {road}",
+    'instruction.Right': "Turn right onto {road}",
+    'instruction.SharpRight': "Turn sharp right onto {road}",
+    'instruction.TurnAround': "Make a U-turn onto {road}",
+    'instruction.SharpLeft': "Turn sharp left onto {road}",
+    'instruction.Left': "Turn left onto {road}",
+    'instruction.SlightLeft': "Keep slightly left onto {road}",
+    'instruction.turnRightHead': "Turn right and head {direction}",
+    'instruction.turnLeftHead': "Turn left and head {direction}",
+    'instruction.thePath': "the path",
+    'instruction.start': "Start at your location",
+    'instruction.driveToDestination': "Drive to the destination",
+    'instruction.walkToDestination': "Walk to the destination",
+    'instruction.driveToStop': "Drive to stop {number}",
+    'instruction.stopNumberReached': "You have reached stop {number}",
+    'instruction.stopReached': "You have reached a stop",
+    'instruction.arrived': "You have arrived at your destination",
+    'route.offlineName': "Offline route ({name})",
+    'route.mockName': "Mock route",
+    'offline.outsideArea': "This location is outside the offline map area",
+    'offline.noRoute': "No route found on the offline map",
+
+    // ----- Navigation -----
+    'navigation.destinationAhead': "Your destination is {distance} ahead",
+    'navigation.inDistance': "In {distance}, {instruction}",
+
+    // ----- Route options and meeting point objectives -----
+    'avoid.highways': "Avoid highways",
+    'avoid.tolls': "Avoid tolls",
+    'objective.latestArrival': "Earliest meeting (whoever arrives last)",
+    'objective.totalTime': "Least total travel time",
+    'objective.leastWaiting': "Least waiting for each other",
+    'objective.lowestCost': "Lowest parking cost",
+
+    // ----- Shared sessions -----
+    'session.create': "Create session",
+    'session.codePlaceholder': "Code",
+    'session.codeLabel': "Session code",
+    'session.join': "Join",
+    'session.codeTitle': "Session code:",
+    'session.leave': "Leave",
+    'session.connected.driver': "Connected with the driver.",
+    'session.connected.passenger': "Connected with the passenger.",
+    'session.partnerLeft.driver': "The driver left the session.",
+    'session.partnerLeft.passenger': "The passenger left the session.",
+    'session.partnerLeft.unknown': "The other person left the session.",
+    'session.partnerArrived.driver': "The driver has arrived at {name}.",
+    'session.partnerArrived.passenger': "The passenger has arrived at {name}.",
+    'session.partnerArrived.unknown': "The other person has arrived at {name}.",
+    'session.creating': "Creating session...",
+    'session.waiting': "Waiting for the other person to join...",
+    'session.joining': "Joining...",
+    'session.youLeft': "You left the session.",
+    'session.disconnected': "Lost the connection. The session has ended.",
+    'session.codeLength': "Session codes have {length} characters",
+    'session.notFound': "No session found with code {code}",
+
+    // ----- ETA panel -----
+    'eta.title': "Estimated Time of Arrival",
+    'eta.you': "You",
+    'eta.calculating': "calculating...",
+    'eta.unavailable': "unavailable",
+    'eta.arrivingNow': "arriving now",
+    'eta.lessThanMinute': "less than a minute",
+    'eta.youWait.driver': "You will arrive first and wait about {time} for the driver.",
+    'eta.youWait.passenger': "You will arrive first and wait about {time} for the passenger.",
+    'eta.otherWaits.driver': "The driver will arrive first and wait about {time} for you.",
+    'eta.otherWaits.passenger': "The passenger will arrive first and wait about {time} for you.",
+
+    // ----- Navigation pages -----
+    'pages.driverTitle': "Navigation Window Example",
+    'pages.passengerTitle': "Passenger Navigation Window Example",
+    'pages.heading': "Passenger Navigation",
+    'pages.pickupPopup': "This is your pickup location",
+    'pages.pickupNamed': "Pickup: {name}",
+    'pages.dragPickup': "Drag the flag to move the pickup location.",
+    'pages.simulateTrip': "Simulate my trip",
+    'pages.passengerPopup': "This is the passenger location",
+    'pages.driverPopup': "This is the driver location",
+    'pages.pickupLayer': "Pickup",
+    'pages.recenterPassenger': "Recenter on passenger",
+    'pages.recenterDriver': "Recenter on driver",
+    'pages.widgetTitle': "Rendezvous Widget Example",
+    'pages.widgetHeading': "Two Rendezvous Widgets",
+
+    // ----- Routing page -----
+    'app.title': "Simple Routing with Leaflet Routing Machine",
+    'tracking.start': "Start live tracking",
+    'tracking.stop': "Stop live tracking",
+    'navigation.start': "Start navigation",
+    'navigation.stop': "Stop navigation",
+    'navigation.mute': "Mute",
+    'navigation.unmute': "Unmute",
+    'navigation.repeat': "Repeat",
+    'navigation.voice': "Voice",
+    'navigation.hint': "No GPS? Drag your marker along the route.",
+    'share.linkLabel': "Rendezvous link",
+    'share.copy': "Copy",
+    'share.copied': "Copied",
+    'share.includeStart': "Include my position",
+    'share.exportGpx': "Export GPX",
+    'share.exportGeoJson': "Export GeoJSON",
+    'share.routeName': "Route to {name}",
+    'share.theMeetingPoint': "the meeting point",
+    'search.placeholder': "Address or place",
+    'search.label': "Search for an address or place",
+    'search.submit': "Search",
+    'search.hint': "Right-click or long-press the map to meet anywhere else.",
+    'search.searching': "Searching...",
+    'search.unavailable': "Search is not available right now ({error}).",
+    'search.noResults': "No places found.",
+    'search.select': "Select",
+    'search.noZonesNearby': "No parking zones nearby",
+    'search.droppedPin': "Dropped pin ({position})",
+    'search.startHere': "Start here",
+    'common.meetHere': "Meet here",
+    'suggest.stay': "Expected stay",
+    'suggest.objective': "Best meeting point by",
+    'suggest.button': "Suggest meeting point",
+    'suggest.noDriver': "The driver's position is not known yet.",
+    'suggest.noZones': "No parking zones are loaded.",
+    'suggest.allFull': "Every parking zone is full.",
+    'suggest.comparing': "Comparing parking zones...",
+    'suggest.failed': "Could not compare parking zones.",
+    'suggest.costUnknown': "Parking cost unknown",
+    'suggest.cost': "Parking: {cost}",
+    'suggest.driver': "Driver: {duration} ({time})",
+    'suggest.passenger': "Passenger: {duration} walk ({time})",
+    'suggest.estimated': "Some times are straight-line estimates.",
+    'instructions.title': "Instructions",
+    'saved.favourites': "Favourite parking zones",
+    'saved.recent': "Recent meeting points",
+    'settings.title': "Settings",
+    'settings.clearHistory': "Clear recent meeting points",
+    'settings.clearFavourites': "Clear favourites",
+
+    'zoneList.title': "Parking zones",
+    'zoneList.filter': "Filter by name",
+    'zoneList.sortBy': "Sort by",
+    'zoneList.byDistance': "Distance",
+    'zoneList.byRate': "Price",
+    'zoneList.byCapacity': "Capacity",
+    'zoneList.count': "{count} of {total} zones shown",
+    'zoneList.noMatch': "No parking zone matches this name.",
+    'zoneList.away': "{distance} away",
+    'zoneList.spots': {
+        one: "{spots} spot",
+        other: "{spots} spots"
+    },
+    'zoneList.selectNamed': "Select {name} as meeting point",
+
+    'status.locating': "Getting your location...",
+    'status.locatingAgain': "Getting your location (attempt {attempt})...",
+    'status.placeYourself': "We don't know where you are yet. Place yourself on the map to get directions.",
+    'status.clickToPlace': "Click the map where you are.",
+    'status.selectZone': "Select a parking zone for your rendezvous.",
+    'status.drive': "We'll help you drive to the selected parking zone.",
+    'status.walk': "We'll help you walk to the selected parking zone.",
+    'status.driveEta': "We'll help you drive to the selected parking zone. ETA: {eta}",
+    'status.walkEta': "We'll help you walk to the selected parking zone. ETA: {eta}",
+    'status.trackingUnsupported': "Geolocation is not supported by your browser. Live tracking is unavailable.",
+    'status.permissionDenied': "Location permission was denied. Live tracking has been turned off.",
+    'status.waitingForGps': "Waiting for a GPS signal...",
+    'status.offRoute': "You left the route. Finding a new route from your position...",
+    'status.arrived': "You have arrived at {name}.",
+    'status.leaveBy': "To meet at {target}, leave by {time} (in {duration}).",
+    'status.leaveNow': "Time to leave for your {target} meeting.",
+    'status.alreadyStop': "{name} is already a pickup stop.",
+    'status.planningStops': "Working out the best order for your stops...",
+    'status.lookingUpAddress': "Looking up the address of the new meeting point...",
+    'status.serverUnavailable': "Routing server unavailable. Using the offline street map...",
+    'status.routingError': "Error calculating route. Creating a straight-line route instead.",
+    'status.offlineFailed': "{error}. Creating a straight-line route instead.",
+    'status.linkedZoneMissing': "The meeting point in this link is not a parking zone any more. Select a parking zone for your rendezvous.",
+
+    'popup.you': "You ({role})",
+    'popup.youLinked': "You ({role}, start from the shared link)",
+    'popup.youPlaced': "You ({role}, placed by hand)",
+    'popup.placeYourself': "Drag me to where you are",
+    'popup.partner': "{role} (shared)",
+    'popup.meetingPoint': "Meeting Point: {name}",
+    'popup.parkingCost': "Estimated parking: {cost}",
+    'popup.stop': "Stop {number}: {name}",
+
+    'zones.loadErrors': "Some parking zones could not be loaded",
+    'zone.capacity': "Capacity: {capacity} spots",
+    'zone.rate': "Rate: {rate}/hour",
+    'zone.select': "Select as meeting point",
+    'zone.addStop': "Add pickup stop",
+    'zone.favourite': "Add to favourites",
+    'zone.unfavourite': "Remove from favourites",
+    'stops.title': "Pickup stops",
+    'stops.remove': "Remove {name}",
+    'stops.clear': "Clear stops",
+    'occupancy.fullNoAlternative': "<strong>{zone}</strong> is full, and no other parking zone has free spots right now.",
+    'occupancy.zoneFull': "<strong>{zone}</strong> is full.",
+    'occupancy.alternative': {
+        one: "{zone} is {distance} away and has {count} free spot.",
+        other: "{zone} is {distance} away and has {count} free spots."
+    },
+    'occupancy.meetThere': "Meet there instead",
+
+    'routes.title': "Routes",
+    'routes.name': "Route {number}",
+    'routes.fastest': "Fastest",
+    'routes.slower': "+{duration}",
+    'routes.details': "{duration} • {distance} • arrive {time}",
+    'routes.optionUnavailable': "Not available for this travel mode or routing server",
+    'routes.optionExclusive': "This routing server can only avoid one of these at a time",
+    'eta.summary': "{time} ({duration})",
+    'directions.estimatedArrival': "Estimated Arrival",
+    'directions.pickupStops': "Pickup Stops",
+    'directions.parkingCost': "Estimated Parking Cost",
+    'directions.title': "Turn-by-Turn Directions",
+    'directions.stopArrival': "{name}: {time} ({duration})",
+
+    // ----- Parking timer -----
+    'timer.title': "Parking session",
+    'timer.parkedAt': "Parked at {name} since {time}",
+    'timer.elapsed': "Time parked",
+    'timer.cost': "{cost} so far",
+    'timer.maxStay': "Maximum stay",
+    'timer.endsAt': "Ends at {time}",
+    'timer.overSince': "Over since {time}",
+    'timer.warning': "Your parking at {name} ends at {time}, in {duration}.",
+    'timer.expired': "Your maximum stay at {name} is over.",
+    'timer.notificationTitle': "Parking reminder",
+    'timer.enableNotifications': "Remind me with a notification",
+    'timer.end': "End parking",
+
+    // ----- Leave by -----
+    'departure.target': "Meet at",
+    'departure.clear': "Clear",
+    'departure.leaveBy': "{who}: leave by {time}, in {duration}",
+    'departure.leaveNow': "{who}: leave now ({time})",
+    'departure.late': "{who}: should have left at {time}",
+    'departure.unknown': "{who}: travel time unknown",
+    'departure.buffer': "Includes {duration} to spare.",
+    'departure.timeToGo': "Time to go! Leave now for your {time} meeting.",
+    'departure.impossible': "Meeting at {time} is no longer possible. {earliest} is the earliest time you can both make it.",
+    'departure.useEarliest': "Meet at {time} instead",
+
+    // ----- Simulation and recording -----
+    'simulation.title': "Simulate and record",
+    'simulation.driveRoute': "Drive the route",
+    'simulation.replayTrace': "Replay a trace (GPX or JSON)",
+    'simulation.play': "Play",
+    'simulation.pause': "Pause",
+    'simulation.speed': "Speed",
+    'simulation.stop': "Back to GPS",
+    'simulation.off': "Using real GPS positions.",
+    'simulation.progress': "Simulating: {played} of {total} ({percent})",
+    'simulation.noRoute': "There is no route to drive yet. Select a meeting point first.",
+    'simulation.traceFailed': "Could not load the trace: {error}",
+    'simulation.traceTooShort': "the trace needs at least two points",
+    'simulation.traceUnreadable': "this is not a GPX or JSON trace",
+    'recording.start': "Record positions",
+    'recording.stop': "Stop recording",
+    'recording.downloadGpx': "Save GPX",
+    'recording.downloadJson': "Save JSON",
+    'recording.recording': {
+        one: "Recording: {positions} position",
+        other: "Recording: {positions} positions"
+    },
+    'recording.recorded': {
+        one: "{positions} position recorded",
+        other: "{positions} positions recorded"
+    },
+    'recording.name': "Recorded positions",
+
+    // ----- Finding your position -----
+    'location.denied': "Location access is blocked for this page. Allow it in your browser's site settings, then try again.",
+    'location.timeout': "Your device took too long to find your position.",
+    'location.unavailable': "Your device can't tell where you are right now. Check that location services are turned on.",
+    'location.unsupported': "This browser can't share your position.",
+    'location.inaccurate': "Your position is only accurate to within {distance}, so the route may not start where you are. Drag your marker to correct it.",
+    'location.manual': "Using the position you placed on the map.",
+    'location.retrying': {
+        one: "Trying again in {count} second.",
+        other: "Trying again in {count} seconds."
+    },
+    'location.retry': "Try again",
+    'location.useDevice': "Use my device's position",
+    'location.place': "Place me on the map",
+    'location.hint': "You can also drag your marker, or search for your address and choose \"Start here\".",
+
+    // ----- Offline map -----
+    'offline.title': "Offline map",
+    'offline.download': "Save the downtown map",
+    'offline.clear': "Delete the saved map",
+    'offline.usage': {
+        one: "Saved for offline use: {count} map tile ({size} of {max}).",
+        other: "Saved for offline use: {count} map tiles ({size} of {max})."
+    },
+    'offline.downloading': "Saving the downtown map: {done} of {total} tiles...",
+    'offline.downloaded': "The downtown map is saved.",
+    'offline.full': "The space for saved tiles is full, so part of downtown was left out.",
+    'offline.failed': {
+        one: "{count} tile could not be downloaded.",
+        other: "{count} tiles could not be downloaded."
+    },
+    'offline.noConnection': "You are offline: the saved map and recent routes are used.",
+    'offline.unsupported': "This page can only be saved for offline use when it is served over HTTPS.",
+
+    // ----- Vehicle and zone amenities -----
+    'vehicle.title': "My vehicle",
+    'vehicle.heightMeters': "Height (m)",
+    'vehicle.heightFeet': "Height (ft)",
+    'vehicle.electric': "Electric, needs a charger",
+    'vehicle.connector': "Plug",
+    'vehicle.permit': "Accessible parking permit",
+    'vehicle.allUsable': "Every parking zone suits your vehicle.",
+    'vehicle.unusable': {
+        one: "{count} parking zone is greyed out: it doesn't suit your vehicle or is closed when you get there.",
+        other: "{count} parking zones are greyed out: they don't suit your vehicle or are closed when you get there."
+    },
+    'vehicle.hidden': {
+        one: "{count} parking zone is hidden: it doesn't suit your vehicle or is closed when you get there.",
+        other: "{count} parking zones are hidden: they don't suit your vehicle or are closed when you get there."
+    },
+    'connector.j1772': "J1772",
+    'connector.ccs': "CCS",
+    'connector.chademo': "CHAdeMO",
+    'connector.nacs': "NACS (Tesla)",
+    'amenity.charging': {
+        one: "{count} EV charging stall ({connectors})",
+        other: "{count} EV charging stalls ({connectors})"
+    },
+    'amenity.accessible': {
+        one: "{count} accessible stall",
+        other: "{count} accessible stalls"
+    },
+    'amenity.clearance': "Height limit {clearance}",
+    'amenity.covered': "Covered",
+    'amenity.openAir': "Open air",
+    'hours.weekdays': "Weekdays",
+    'hours.weekends': "Weekends",
+    'hours.all': "Every day",
+    'hours.period': "{days} {from} – {to}",
+    'hours.allDay': "{days} open 24 hours",
+    'unusable.height': "Too tall for the height limit of {clearance}",
+    'unusable.charger': "No charger for your plug",
+    'unusable.accessible': "No accessible stalls",
+    'unusable.closed': "Closed when you get there ({time})"
+});
@@ -0,0 +1,388 @@
+/**
+ * FRENCH
+ * ======
+ *
+ * Français. Keys missing here are shown in English. See i18n.js.
+ */
+
+registerLocaleBundle('fr', {
+    'language.name': "Français",
+
+    // ----- Shared -----
+    'locale.language': "Langue",
+    'locale.units': "Unités",
+    'units.metric': "Métriques (km)",
+    'units.imperial': "Impériales (mi)",
+    'time.minutes': "{minutes} min",
+    'time.hours': "{hours} h",
+    'time.hoursMinutes': "{hours} h {minutes} min",
+    'role.driver': "Conducteur",
+    'role.passenger': "Passager",
+    'cost.free': "Gratuit",
+    'cost.forStay': "{cost} pour {stay}",
+    'occupancy.unknown': "Disponibilité inconnue",
+    'occupancy.full': "Complet",
+    'occupancy.free': "{free} libres sur {capacity}",
+    'occupancy.updated': "{availability} (mis à jour à {time})",
+    'geocoding.near': "Près de {name}",
+
+    // ----- Route instructions made by the app -----
+    'compass.north': "le nord",
+    'compass.northeast': "le nord-est",
+    'compass.east': "l'est",
+    'compass.southeast': "le sud-est",
+    'compass.south': "le sud",
+    'compass.southwest': "le sud-ouest",
+    'compass.west': "l'ouest",
+    'compass.northwest': "le nord-ouest",
+    'instruction.head': "Dirigez-vous vers {direction}",
+    'instruction.headOn': "Dirigez-vous vers {direction} sur {road}",
+    'instruction.Continue': "Continuez sur {road}",
+    'instruction.SlightRight': "Serrez à droite sur {road}",
+    'instruction.Right': "Tournez à droite sur {road}",
+    'instruction.SharpRight': "Tournez franchement à droite sur {road}",
+    'instruction.TurnAround': "Faites demi-tour sur {road}",
+    'instruction.SharpLeft': "Tournez franchement à gauche sur {road}",
+    'instruction.Left': "Tournez à gauche sur {road}",
+    'instruction.SlightLeft': "Serrez à gauche sur {road}",
+    'instruction.turnRightHead': "Tournez à droite et dirigez-vous vers {direction}",
+    'instruction.turnLeftHead': "Tournez à gauche et dirigez-vous vers {direction}",
+    'instruction.thePath': "le chemin",
+    'instruction.start': "Partez de votre position",
+    'instruction.driveToDestination': "Roulez jusqu'à la destination",
+    'instruction.walkToDestination': "Marchez jusqu'à la destination",
+    'instruction.driveToStop': "Roulez jusqu'à l'arrêt {number}",
+    'instruction.stopNumberReached': "Vous êtes arrivé à l'arrêt {number}",
+    'instruction.stopReached': "Vous êtes arrivé à un arrêt",
+    'instruction.arrived': "Vous êtes arrivé à destination",
+    'route.offlineName': "Itinéraire hors ligne ({name})",
+    'route.mockName': "Itinéraire fictif",
+    'offline.outsideArea': "Cet endroit est en dehors de la carte hors ligne",
+    'offline.noRoute': "Aucun itinéraire trouvé sur la carte hors ligne",
+
+    // ----- Navigation -----
+    'navigation.destinationAhead': "Votre destination est à {distance}",
+    'navigation.inDistance': "Dans {distance}, {instruction}",
+
+    // ----- Route options and meeting point objectives -----
+    'avoid.highways': "Éviter les autoroutes",
+    'avoid.tolls': "Éviter les péages",
+    'objective.latestArrival': "Rencontre au plus tôt (selon le dernier arrivé)",
+    'objective.totalTime': "Temps de trajet total le plus court",
+    'objective.leastWaiting': "Moins d'attente l'un pour l'autre",
+    'objective.lowestCost': "Stationnement le moins cher",
+
+    // ----- Shared sessions -----
+    'session.create': "Créer une session",
+    'session.codePlaceholder': "Code",
+    'session.codeLabel': "Code de session",
+    'session.join': "Rejoindre",
+    'session.codeTitle': "Code de session :",
+    'session.leave': "Quitter",
+    'session.connected.driver': "Connecté avec le conducteur.",
+    'session.connected.passenger': "Connecté avec le passager.",
+    'session.partnerLeft.driver': "Le conducteur a quitté la session.",
+    'session.partnerLeft.passenger': "Le passager a quitté la session.",
+    'session.partnerLeft.unknown': "L'autre personne a quitté la session.",
+    'session.partnerArrived.driver': "Le conducteur est arrivé à {name}.",
+    'session.partnerArrived.passenger': "Le passager est arrivé à {name}.",
+    'session.partnerArrived.unknown': "L'autre personne est arrivée à {name}.",
+    'session.creating': "Création de la session...",
+    'session.waiting': "En attente de l'autre personne...",
+    'session.joining': "Connexion...",
+    'session.youLeft': "Vous avez quitté la session.",
+    'session.disconnected': "Connexion perdue. La session est terminée.",
+    'session.codeLength': "Les codes de session ont {length} caractères",
+    'session.notFound': "Aucune session trouvée avec le code {code}",
+
+    // ----- ETA panel -----
+    'eta.title': "Heure d'arrivée prévue",
+    'eta.you': "Vous",
+    'eta.calculating': "calcul en cours...",
+    'eta.unavailable': "indisponible",
+    'eta.arrivingNow': "arrivée imminente",
+    'eta.lessThanMinute': "moins d'une minute",
+    'eta.youWait.driver': "Vous arriverez en premier et attendrez le conducteur environ {time}.",
+    'eta.youWait.passenger': "Vous arriverez en premier et attendrez le passager environ {time}.",
+    'eta.otherWaits.driver': "Le conducteur arrivera en premier et vous attendra environ {time}.",
+    'eta.otherWaits.passenger': "Le passager arrivera en premier et vous attendra environ {time}.",
+
+    // ----- Navigation pages -----
+    'pages.driverTitle': "Exemple de fenêtre de navigation",
+    'pages.passengerTitle': "Exemple de fenêtre de navigation du passager",
+    'pages.heading': "Navigation du passager",
+    'pages.pickupPopup': "Voici votre lieu de prise en charge",
+    'pages.pickupNamed': "Prise en charge : {name}",
+    'pages.dragPickup': "Faites glisser le drapeau pour déplacer le lieu de prise en charge.",
+    'pages.simulateTrip': "Simuler mon trajet",
+    'pages.passengerPopup': "Voici la position du passager",
+    'pages.driverPopup': "Voici la position du conducteur",
+    'pages.pickupLayer': "Prise en charge",
+    'pages.recenterPassenger': "Recentrer sur le passager",
+    'pages.recenterDriver': "Recentrer sur le conducteur",
+    'pages.widgetTitle': "Exemple de widget de rendez-vous",
+    'pages.widgetHeading': "Deux widgets de rendez-vous",
+
+    // ----- Routing page -----
+    'app.title': "Itinéraires simples avec Leaflet Routing Machine",
+    'tracking.start': "Activer le suivi en direct",
+    'tracking.stop': "Arrêter le suivi en direct",
+    'navigation.start': "Démarrer la navigation",
+    'navigation.stop': "Arrêter la navigation",
+    'navigation.mute': "Couper le son",
+    'navigation.unmute': "Activer le son",
+    'navigation.repeat': "Répéter",
+    'navigation.voice': "Voix",
+    'navigation.hint': "Pas de GPS ? Faites glisser votre marqueur le long de l'itinéraire.",
+    'share.linkLabel': "Lien du rendez-vous",
+    'share.copy': "Copier",
+    'share.copied': "Copié",
+    'share.includeStart': "Inclure ma position",
+    'share.exportGpx': "Exporter en GPX",
+    'share.exportGeoJson': "Exporter en GeoJSON",
+    'share.routeName': "Itinéraire vers {name}",
+    'share.theMeetingPoint': "le point de rencontre",
+    'search.placeholder': "Adresse ou lieu",
+    'search.label': "Rechercher une adresse ou un lieu",
+    'search.submit': "Rechercher",
+    'search.hint': "Cliquez droit ou appuyez longuement sur la carte pour vous retrouver ailleurs.",
+    'search.searching': "Recherche...",
+    'search.unavailable': "La recherche n'est pas disponible pour le moment ({error}).",
+    'search.noResults': "Aucun lieu trouvé.",
+    'search.select': "Choisir",
+    'search.noZonesNearby': "Aucune zone de stationnement à proximité",
+    'search.droppedPin': "Repère ({position})",
+    'search.startHere': "Partir d'ici",
+    'common.meetHere': "Se retrouver ici",
+    'suggest.stay': "Durée de stationnement",
+    'suggest.objective': "Meilleur point de rencontre selon",
+    'suggest.button': "Suggérer un point de rencontre",
+    'suggest.noDriver': "La position du conducteur n'est pas encore connue.",
+    'suggest.noZones': "Aucune zone de stationnement n'est chargée.",
+    'suggest.allFull': "Toutes les zones de stationnement sont complètes.",
+    'suggest.comparing': "Comparaison des zones de stationnement...",
+    'suggest.failed': "Impossible de comparer les zones de stationnement.",
+    'suggest.costUnknown': "Coût du stationnement inconnu",
+    'suggest.cost': "Stationnement : {cost}",
+    'suggest.driver': "Conducteur : {duration} ({time})",
+    'suggest.passenger': "Passager : {duration} à pied ({time})",
+    'suggest.estimated': "Certains temps sont estimés à vol d'oiseau.",
+    'instructions.title': "Instructions",
+    'saved.favourites': "Zones de stationnement favorites",
+    'saved.recent': "Points de rendez-vous récents",
+    'settings.title': "Paramètres",
+    'settings.clearHistory': "Effacer les points de rendez-vous récents",
+    'settings.clearFavourites': "Effacer les favoris",
+
+    'zoneList.title': "Zones de stationnement",
+    'zoneList.filter': "Filtrer par nom",
+    'zoneList.sortBy': "Trier par",
+    'zoneList.byDistance': "Distance",
+    'zoneList.byRate': "Prix",
+    'zoneList.byCapacity': "Capacité",
+    'zoneList.count': {
+        one: "{count} zone affichée sur {total}",
+        other: "{count} zones affichées sur {total}"
+    },
+    'zoneList.noMatch': "Aucune zone de stationnement ne porte ce nom.",
+    'zoneList.away': "À {distance}",
+    'zoneList.spots': {
+        one: "{spots} place",
+        other: "{spots} places"
+    },
+    'zoneList.selectNamed': "Choisir {name} comme point de rencontre",
+
+    'status.locating': "Recherche de votre position...",
+    'status.locatingAgain': "Recherche de votre position (essai {attempt})...",
+    'status.placeYourself': "Votre position est encore inconnue. Placez-vous sur la carte pour obtenir l'itinéraire.",
+    'status.clickToPlace': "Cliquez sur la carte à l'endroit où vous êtes.",
+    'status.selectZone': "Choisissez une zone de stationnement pour votre rendez-vous.",
+    'status.drive': "Nous vous guidons en voiture jusqu'à la zone choisie.",
+    'status.walk': "Nous vous guidons à pied jusqu'à la zone choisie.",
+    'status.driveEta': "Nous vous guidons en voiture jusqu'à la zone choisie. Arrivée : {eta}",
+    'status.walkEta': "Nous vous guidons à pied jusqu'à la zone choisie. Arrivée : {eta}",
+    'status.trackingUnsupported': "Votre navigateur ne prend pas en charge la géolocalisation. Le suivi en direct est indisponible.",
+    'status.permissionDenied': "L'accès à la position a été refusé. Le suivi en direct a été désactivé.",
+    'status.waitingForGps': "En attente du signal GPS...",
+    'status.offRoute': "Vous avez quitté l'itinéraire. Recherche d'un nouvel itinéraire depuis votre position...",
+    'status.arrived': "Vous êtes arrivé à {name}.",
+    'status.leaveBy': "Pour le rendez-vous de {target}, partez avant {time} (dans {duration}).",
+    'status.leaveNow': "Il est temps de partir pour le rendez-vous de {target}.",
+    'status.alreadyStop': "{name} est déjà un arrêt de prise en charge.",
+    'status.planningStops': "Calcul du meilleur ordre pour vos arrêts...",
+    'status.lookingUpAddress': "Recherche de l'adresse du nouveau point de rencontre...",
+    'status.serverUnavailable': "Serveur d'itinéraires indisponible. Utilisation de la carte hors ligne...",
+    'status.routingError': "Erreur de calcul de l'itinéraire. Un itinéraire en ligne droite est utilisé.",
+    'status.offlineFailed': "{error}. Un itinéraire en ligne droite est utilisé.",
+    'status.linkedZoneMissing': "Le point de rencontre de ce lien n'est plus une zone de stationnement. Choisissez une zone de stationnement pour votre rendez-vous.",
+
+    'popup.you': "Vous ({role})",
+    'popup.youLinked': "Vous ({role}, départ du lien partagé)",
+    'popup.youPlaced': "Vous ({role}, placé à la main)",
+    'popup.placeYourself': "Faites-moi glisser jusqu'à votre position",
+    'popup.partner': "{role} (partagé)",
+    'popup.meetingPoint': "Point de rencontre : {name}",
+    'popup.parkingCost': "Stationnement estimé : {cost}",
+    'popup.stop': "Arrêt {number} : {name}",
+
+    'zones.loadErrors': "Certaines zones de stationnement n'ont pas pu être chargées",
+    'zone.capacity': "Capacité : {capacity} places",
+    'zone.rate': "Tarif : {rate}/heure",
+    'zone.select': "Choisir comme point de rencontre",
+    'zone.addStop': "Ajouter un arrêt",
+    'zone.favourite': "Ajouter aux favoris",
+    'zone.unfavourite': "Retirer des favoris",
+    'stops.title': "Arrêts de prise en charge",
+    'stops.remove': "Retirer {name}",
+    'stops.clear': "Effacer les arrêts",
+    'occupancy.fullNoAlternative': "<strong>{zone}</strong> est complet, et aucune autre zone n'a de places libres pour le moment.",
+    'occupancy.zoneFull': "<strong>{zone}</strong> est complet.",
+    'occupancy.alternative': {
+        one: "{zone} est à {distance} et a {count} place libre.",
+        other: "{zone} est à {distance} et a {count} places libres."
+    },
+    'occupancy.meetThere': "Se retrouver là-bas",
+
+    'routes.title': "Itinéraires",
+    'routes.name': "Itinéraire {number}",
+    'routes.fastest': "Le plus rapide",
+    'routes.slower': "+{duration}",
+    'routes.details': "{duration} • {distance} • arrivée {time}",
+    'routes.optionUnavailable': "Non disponible pour ce mode de déplacement ou ce serveur d'itinéraires",
+    'routes.optionExclusive': "Ce serveur d'itinéraires ne peut en éviter qu'un à la fois",
+    'eta.summary': "{time} ({duration})",
+    'directions.estimatedArrival': "Arrivée prévue",
+    'directions.pickupStops': "Arrêts de prise en charge",
+    'directions.parkingCost': "Coût de stationnement estimé",
+    'directions.title': "Instructions détaillées",
+    'directions.stopArrival': "{name} : {time} ({duration})",
+
+    // ----- Parking timer -----
+    'timer.title': "Stationnement",
+    'timer.parkedAt': "Garé à {name} depuis {time}",
+    'timer.elapsed': "Durée de stationnement",
+    'timer.cost': "{cost} jusqu'ici",
+    'timer.maxStay': "Durée maximale",
+    'timer.endsAt': "Se termine à {time}",
+    'timer.overSince': "Terminé depuis {time}",
+    'timer.warning': "Votre stationnement à {name} se termine à {time}, dans {duration}.",
+    'timer.expired': "Votre durée maximale de stationnement à {name} est écoulée.",
+    'timer.notificationTitle': "Rappel de stationnement",
+    'timer.enableNotifications': "Me prévenir par une notification",
+    'timer.end': "Terminer le stationnement",
+
+    // ----- Leave by -----
+    'departure.target': "Rendez-vous à",
+    'departure.clear': "Effacer",
+    'departure.leaveBy': "{who} : partir avant {time}, dans {duration}",
+    'departure.leaveNow': "{who} : partir maintenant ({time})",
+    'departure.late': "{who} : aurait dû partir à {time}",
+    'departure.unknown': "{who} : temps de trajet inconnu",
+    'departure.buffer': "Avec {duration} de marge.",
+    'departure.timeToGo': "C'est l'heure ! Partez maintenant pour le rendez-vous de {time}.",
+    'departure.impossible': "Le rendez-vous de {time} n'est plus possible. Vous pouvez tous deux y être au plus tôt à {earliest}.",
+    'departure.useEarliest': "Se retrouver à {time}",
+
+    // ----- Simulation and recording -----
+    'simulation.title': "Simuler et enregistrer",
+    'simulation.driveRoute': "Parcourir l'itinéraire",
+    'simulation.replayTrace': "Rejouer une trace (GPX ou JSON)",
+    'simulation.play': "Lecture",
+    'simulation.pause': "Pause",
+    'simulation.speed': "Vitesse",
+    'simulation.stop': "Revenir au GPS",
+    'simulation.off': "Positions GPS réelles.",
+    'simulation.progress': "Simulation : {played} sur {total} ({percent})",
+    'simulation.noRoute': "Il n'y a pas encore d'itinéraire à parcourir. Choisissez d'abord un point de rencontre.",
+    'simulation.traceFailed': "Impossible de charger la trace : {error}",
+    'simulation.traceTooShort': "la trace doit compter au moins deux points",
+    'simulation.traceUnreadable': "ce n'est pas une trace GPX ou JSON",
+    'recording.start': "Enregistrer les positions",
+    'recording.stop': "Arrêter l'enregistrement",
+    'recording.downloadGpx': "Enregistrer en GPX",
+    'recording.downloadJson': "Enregistrer en JSON",
+    'recording.recording': {
+        one: "Enregistrement : {positions} position",
+        other: "Enregistrement : {positions} positions"
+    },
+    'recording.recorded': {
+        one: "{positions} position enregistrée",
+        other: "{positions} positions enregistrées"
+    },
+    'recording.name': "Positions enregistrées",
+
+    // ----- Finding your position -----
+    'location.denied': "L'accès à la position est bloqué pour cette page. Autorisez-le dans les paramètres du site de votre navigateur, puis réessayez.",
+    'location.timeout': "Votre appareil a mis trop de temps à trouver votre position.",
+    'location.unavailable': "Votre appareil ne peut pas indiquer où vous êtes pour le moment. Vérifiez que les services de localisation sont activés.",
+    'location.unsupported': "Ce navigateur ne peut pas partager votre position.",
+    'location.inaccurate': "Votre position n'est précise qu'à {distance} près : l'itinéraire risque de ne pas partir de là où vous êtes. Faites glisser votre repère pour la corriger.",
+    'location.manual': "Position placée par vous sur la carte.",
+    'location.retrying': {
+        one: "Nouvel essai dans {count} seconde.",
+        other: "Nouvel essai dans {count} secondes."
+    },
+    'location.retry': "Réessayer",
+    'location.useDevice': "Utiliser la position de l'appareil",
+    'location.place': "Me placer sur la carte",
+    'location.hint': "Vous pouvez aussi faire glisser votre repère, ou chercher votre adresse et choisir « Partir d'ici ».",
+
+    // ----- Offline map -----
+    'offline.title': "Carte hors ligne",
+    'offline.download': "Enregistrer la carte du centre-ville",
+    'offline.clear': "Supprimer la carte enregistrée",
+    'offline.usage': {
+        one: "Enregistré pour une utilisation hors ligne : {count} tuile de carte ({size} sur {max}).",
+        other: "Enregistré pour une utilisation hors ligne : {count} tuiles de carte ({size} sur {max})."
+    },
+    'offline.downloading': "Enregistrement de la carte du centre-ville : {done} tuiles sur {total}...",
+    'offline.downloaded': "La carte du centre-ville est enregistrée.",
+    'offline.full': "L'espace réservé aux tuiles est plein : une partie du centre-ville n'a pas été enregistrée.",
+    'offline.failed': {
+        one: "{count} tuile n'a pas pu être téléchargée.",
+        other: "{count} tuiles n'ont pas pu être téléchargées."
+    },
+    'offline.noConnection': "Vous êtes hors ligne : la carte enregistrée et les itinéraires récents sont utilisés.",
+    'offline.unsupported': "Cette page ne peut être enregistrée pour une utilisation hors ligne que si elle est servie en HTTPS.",
+
+    // ----- Vehicle and zone amenities -----
+    'vehicle.title': "Mon véhicule",
+    'vehicle.heightMeters': "Hauteur (m)",
+    'vehicle.heightFeet': "Hauteur (pi)",
+    'vehicle.electric': "Électrique, doit se recharger",
+    'vehicle.connector': "Prise",
+    'vehicle.permit': "Vignette de stationnement accessible",
+    'vehicle.allUsable': "Toutes les zones de stationnement conviennent à votre véhicule.",
+    'vehicle.unusable': {
+        one: "{count} zone de stationnement est grisée : elle ne convient pas à votre véhicule ou sera fermée à votre arrivée.",
+        other: "{count} zones de stationnement sont grisées : elles ne conviennent pas à votre véhicule ou seront fermées à votre arrivée."
+    },
+    'vehicle.hidden': {
+        one: "{count} zone de stationnement est masquée : elle ne convient pas à votre véhicule ou sera fermée à votre arrivée.",
+        other: "{count} zones de stationnement sont masquées : elles ne conviennent pas à votre véhicule ou seront fermées à votre arrivée."
+    },
+    'connector.j1772': "J1772",
+    'connector.ccs': "CCS",
+    'connector.chademo': "CHAdeMO",
+    'connector.nacs': "NACS (Tesla)",
+    'amenity.charging': {
+        one: "{count} borne de recharge ({connectors})",
+        other: "{count} bornes de recharge ({connectors})"
+    },
+    'amenity.accessible': {
+        one: "{count} place accessible",
+        other: "{count} places accessibles"
+    },
+    'amenity.clearance': "Hauteur maximale {clearance}",
+    'amenity.covered': "Couvert",
+    'amenity.openAir': "À ciel ouvert",
+    'hours.weekdays': "En semaine",
+    'hours.weekends': "La fin de semaine",
+    'hours.all': "Tous les jours",
+    'hours.period': "{days} de {from} à {to}",
+    'hours.allDay': "{days} ouvert 24 heures sur 24",
+    'unusable.height': "Trop haut pour la hauteur maximale de {clearance}",
+    'unusable.charger': "Aucune borne pour votre prise",
+    'unusable.accessible': "Aucune place accessible",
+    'unusable.closed': "Fermé à votre arrivée ({time})"
+});
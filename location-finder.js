@@ -0,0 +1,171 @@
+/**
+ * LOCATION FINDER
+ * ===============
+ *
+ * Asks the browser where the user is, and asks again when it can't tell.
+ * The ways this can fail are told apart, because the user can do
+ * something different about each one:
+ *
+ * - 'denied': the user, or the browser's settings, said no. Asking again
+ *   won't help until the permission changes. Where the browser lets us
+ *   watch the permission, the finder tries again as soon as it does.
+ * - 'timeout': no fix came in time, usually indoors or with a cold GPS.
+ * - 'unavailable': the device has no position right now, for example
+ *   because location services are off.
+ * - 'unsupported': the browser has no geolocation at all.
+ *
+ * Timeouts and missing positions are retried, waiting twice as long
+ * before each new attempt. After a timeout, the next attempts also accept
+ * a rougher fix from Wi-Fi or the mobile network, which comes much
+ * faster than GPS.
+ */
+
+// ----- FINDER -----
+// Events fired:
+// - locating { attempt } when an attempt starts, 1 for the first
+// - found { position } with the browser's GeolocationPosition
+// - failed { reason, retryIn } retryIn is the wait (milliseconds) before
+//   the next attempt, or null when the finder has stopped trying
+
+const LocationFinder = L.Evented.extend({
+
+    // getGeolocation returns what to ask: navigator.geolocation, a
+    // stand-in with the same methods, or nothing when there is none
+    initialize: function(getGeolocation, options) {
+        this._getGeolocation = getGeolocation;
+        this.options = L.extend({
+            // Give up on a single attempt after this many milliseconds
+            timeout: 10000,
+            // Attempts after the first one, and the wait (in milliseconds)
+            // before the first of them
+            retries: 3,
+            retryDelay: 2000
+        }, options);
+
+        this.attempt = 0;
+        this._highAccuracy = true;
+        this._retryTimer = null;
+        this._requestId = 0;
+        this._permission = null;
+    },
+
+    // Starts over with a first attempt now
+    locate: function() {
+        this.cancel();
+        this.attempt = 0;
+        this._highAccuracy = true;
+        this._attempt();
+    },
+
+    // Stops trying, and ignores any answer still on its way
+    cancel: function() {
+        clearTimeout(this._retryTimer);
+        this._retryTimer = null;
+        this._requestId++;
+        this._unwatchPermission();
+    },
+
+    isRetrying: function() {
+        return this._retryTimer !== null;
+    },
+
+    // ----- internals -----
+
+    _attempt: function() {
+        const geolocation = this._getGeolocation();
+        this._retryTimer = null;
+
+        if (!geolocation) {
+            this.fire('failed', { reason: 'unsupported', retryIn: null });
+            return;
+        }
+
+        const requestId = ++this._requestId;
+        this.attempt++;
+        this.fire('locating', { attempt: this.attempt });
+
+        geolocation.getCurrentPosition(
+            position => {
+                if (requestId === this._requestId) {
+                    this.fire('found', { position: position });
+                }
+            },
+            error => {
+                if (requestId === this._requestId) {
+                    this._onError(error);
+                }
+            },
+            {
+                enableHighAccuracy: this._highAccuracy,
+                timeout: this.options.timeout,
+                maximumAge: 0
+            }
+        );
+    },
+
+    _onError: function(error) {
+        const reason = locationErrorReason(error);
+        console.warn(`Location attempt ${this.attempt} failed (${reason}):`, error.message);
+
+        if (reason === 'denied') {
+            this._watchPermission();
+            this.fire('failed', { reason: reason, retryIn: null });
+            return;
+        }
+
+        if (reason === 'timeout') {
+            this._highAccuracy = false;
+        }
+
+        if (this.attempt > this.options.retries) {
+            this.fire('failed', { reason: reason, retryIn: null });
+            return;
+        }
+
+        const retryIn = this.options.retryDelay * Math.pow(2, this.attempt - 1);
+        this._retryTimer = setTimeout(this._attempt.bind(this), retryIn);
+        this.fire('failed', { reason: reason, retryIn: retryIn });
+    },
+
+    // Browsers with the Permissions API tell us when the user allows
+    // location in the site settings, so we can try again straight away
+    _watchPermission: function() {
+        if (this._permission || !navigator.permissions || !navigator.permissions.query) {
+            return;
+        }
+
+        const requestId = this._requestId;
+
+        navigator.permissions.query({ name: 'geolocation' })
+            .then(status => {
+                if (requestId !== this._requestId) {
+                    return;
+                }
+                this._permission = status;
+                status.onchange = () => {
+                    if (status.state !== 'denied') {
+                        this.locate();
+                    }
+                };
+            })
+            .catch(error => {
+                console.warn("Could not watch the location permission:", error);
+            });
+    },
+
+    _unwatchPermission: function() {
+        if (this._permission) {
+            this._permission.onchange = null;
+            this._permission = null;
+        }
+    }
+});
+
+// ----- ERROR REASONS -----
+// The browser's GeolocationPositionError codes, by name
+
+const LOCATION_ERROR_REASONS = { 1: 'denied', 2: 'unavailable', 3: 'timeout' };
+
+function locationErrorReason(error) {
+    return LOCATION_ERROR_REASONS[error && error.code] || 'unavailable';
+}
@@ -0,0 +1,151 @@
+/**
+ * MEETING POINT RECOMMENDER
+ * =========================
+ *
+ * Ranks parking zones by how well they suit both people: the driving
+ * time for the driver and the walking time for the passenger.
+ *
+ * Travel times come from the routing backend's matrix service, which
+ * answers "how long from here to each of these places" in one request.
+ * If the backend has no matrix or can't be reached, a straight-line
+ * estimate is used instead.
+ *
+ * Each zone also gets the parking cost for the driver's arrival time,
+ * so the list can be ordered by price.
+ */
+
+// Average speeds for the straight-line estimate, in km/h.
+// The detour factor accounts for streets not running in straight lines.
+const STRAIGHT_LINE_ESTIMATE = {
+    car: { speed: 30, detourFactor: 1.3 },
+    foot: { speed: 5, detourFactor: 1.2 },
+    bike: { speed: 15, detourFactor: 1.2 }
+};
+
+// The ways zones can be ranked. Each score is "lower is better".
+// cost is null for zones whose rates we don't know. labelKey is the
+// translation key of the name shown in the menu.
+const MEETING_POINT_OBJECTIVES = {
+    'latest-arrival': {
+        labelKey: 'objective.latestArrival',
+        score: (driverTime, passengerTime) => Math.max(driverTime, passengerTime)
+    },
+    'total-time': {
+        labelKey: 'objective.totalTime',
+        score: (driverTime, passengerTime) => driverTime + passengerTime
+    },
+    'least-waiting': {
+        labelKey: 'objective.leastWaiting',
+        score: (driverTime, passengerTime) => Math.abs(driverTime - passengerTime)
+    },
+    'lowest-cost': {
+        labelKey: 'objective.lowestCost',
+        score: (driverTime, passengerTime, cost) => (cost === null ? Infinity : cost)
+    }
+};
+
+// ----- FETCH TRAVEL TIMES -----
+// Returns { times: [seconds per destination], estimated: true/false }.
+// routing is the routing configuration to ask, APP_CONFIG.routing
+// unless given.
+
+function fetchTravelTimes(origin, destinations, mode, routing) {
+    if (destinations.length === 0) {
+        return Promise.resolve({ times: [], estimated: false });
+    }
+
+    return fetchDurationRow(origin, destinations, mode, routing)
+        .then(function(durations) {
+            // The service returns null for places it can't reach;
+            // estimate those individually
+            let estimated = false;
+            const times = durations.map((duration, i) => {
+                if (typeof duration === 'number') {
+                    return duration;
+                }
+                estimated = true;
+                return estimateTravelTime(origin, destinations[i], mode);
+            });
+            return { times: times, estimated: estimated };
+        })
+        .catch(function(error) {
+            console.warn(`Travel time matrix unavailable for ${mode}, using straight-line estimates:`, error);
+            return {
+                times: destinations.map(destination => estimateTravelTime(origin, destination, mode)),
+                estimated: true
+            };
+        });
+}
+
+// ----- STRAIGHT-LINE ESTIMATE -----
+// Travel time in seconds, assuming an average speed along a slightly
+// longer path than the straight line
+
+function estimateTravelTime(from, to, mode) {
+    const estimate = STRAIGHT_LINE_ESTIMATE[mode];
+    const distanceKm = L.latLng(from).distanceTo(to) / 1000 * estimate.detourFactor;
+    return (distanceKm / estimate.speed) * 3600;
+}
+
+// ----- RANK MEETING POINTS -----
+// Combines both people's travel times and sorts the zones by the objective
+
+function rankMeetingPoints(zones, driverTimes, passengerTimes, objectiveName, costs) {
+    const objective = MEETING_POINT_OBJECTIVES[objectiveName];
+
+    const ranked = zones.map((zone, i) => ({
+        zone: zone,
+        driverTime: driverTimes[i],
+        passengerTime: passengerTimes[i],
+        cost: costs[i],
+        score: objective.score(driverTimes[i], passengerTimes[i], costs[i])
+    }));
+
+    // Ties go to the zone where the last person arrives sooner
+    // (Infinity - Infinity is NaN, which counts as a tie too)
+    ranked.sort((a, b) =>
+        ((a.score - b.score) || 0) ||
+        (Math.max(a.driverTime, a.passengerTime) - Math.max(b.driverTime, b.passengerTime))
+    );
+
+    return ranked;
+}
+
+// ----- PARKING COSTS -----
+// What the driver pays at each zone, arriving after the given driving
+// times and staying stayMinutes
+
+function estimateZoneCosts(zones, driverTimes, stayMinutes) {
+    const now = Date.now();
+
+    return zones.map((zone, i) => {
+        if (!zone.rates) {
+            return null;
+        }
+        return estimateParkingCost(zone.rates, new Date(now + driverTimes[i] * 1000), stayMinutes);
+    });
+}
+
+// ----- SUGGEST MEETING POINTS -----
+// Fetches both sets of travel times and ranks the zones.
+// Resolves to { ranked, estimated } where estimated is true if any
+// time came from the straight-line fallback.
+
+function suggestMeetingPoints(zones, driverLocation, passengerLocation, objectiveName, stayMinutes) {
+    const destinations = zones.map(zone => zone.location);
+
+    return Promise.all([
+        fetchTravelTimes(driverLocation, destinations, 'car'),
+        fetchTravelTimes(passengerLocation, destinations, 'foot')
+    ]).then(function(results) {
+        const driving = results[0];
+        const walking = results[1];
+
+        const costs = estimateZoneCosts(zones, driving.times, stayMinutes);
+
+        return {
+            ranked: rankMeetingPoints(zones, driving.times, walking.times, objectiveName, costs),
+            estimated: driving.estimated || walking.estimated
+        };
+    });
+}
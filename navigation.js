@@ -0,0 +1,1215 @@
+/**
+ * PARKING RENDEZVOUS WIDGET
+ * =========================
+ *
+ * The rendezvous map packaged as a class, so it can be dropped into any
+ * page. Each widget builds its own map and side panel inside the element
+ * it is given and keeps all of its state on the instance: no element ids,
+ * no global variables. Several widgets can live on one page.
+ *
+ *     const widget = new ParkingRendezvous(document.querySelector('.pickup'), {
+ *         zones: 'data/parking-zones.geojson',
+ *         routing: { provider: 'valhalla' },
+ *         role: 'driver',
+ *         vehicle: { height: 2.4, electric: false, connector: null, accessiblePermit: false }
+ *     });
+ *     widget.on('etachange', e => console.log(`Arriving at ${e.arrival}`));
+ *     widget.selectMeetingPoint('city-hall-parkade');
+ *
+ * Options:
+ * - zones: a URL, a GeoJSON FeatureCollection, or zones already parsed by
+ *   parseParkingZones(). Defaults to APP_CONFIG.parkingZones.url.
+ * - routing: settings laid over APP_CONFIG.routing for this widget only,
+ *   e.g. { provider: 'osrm', offlineFallback: false }. A backend's
+ *   settings in providers are laid over its configured ones, so
+ *   { providers: { valhalla: { serviceUrl: '...' } } } keeps the profiles.
+ * - occupancy: settings laid over APP_CONFIG.occupancy, or false to
+ *   leave the zones uncolored
+ * - role: 'driver' or 'passenger'
+ * - vehicle: the driver's vehicle profile (see zone-amenities.js), to
+ *   grey out the zones it can't use
+ * - location: where the user starts. Without it the browser is asked,
+ *   again after a failure when that can help (see location-finder.js).
+ *   Nothing is routed until there is a position: when the browser can't
+ *   tell, the panel says why and the user drags their marker instead.
+ * - center, zoom: the first view of the map
+ * - tileUrl, tileSubdomains, tileAttribution: the map tiles, by default
+ *   the app's own (APP_CONFIG.offline). Another tile server needs the
+ *   attribution it asks for.
+ * - stayMinutes: how long the car stays parked, for the parking cost and
+ *   the parking timer
+ * - meetingTime: when both want to be at the meeting point, as a Date
+ *
+ * The route, its progress, the fallback when the router fails and the
+ * panel text are the routing page's own (see rendezvous-map.js), so the
+ * widget needs the same scripts before it: config.js, utils.js, i18n.js
+ * with a locale bundle, geo-utils.js, location-finder.js, local-router.js,
+ * routing-providers.js, parking-rates.js, zone-amenities.js,
+ * parking-zones.js, parking-occupancy.js, meeting-point-recommender.js,
+ * pickup-planner.js, turn-navigation.js, arrival-geofence.js,
+ * parking-timer.js, departure-planner.js and rendezvous-map.js.
+ */
+
+// ----- WIDGET -----
+// Events fired:
+// - zonesload { zones, errors } once the parking zones are on the map
+// - usertypechange { role }
+// - locationchange { latlng }
+// - locationerror { reason, retryIn } when the browser can't tell where
+//   the user is (see LocationFinder's failed event)
+// - meetingpointchange { latlng, name, zone } (all null when cleared)
+// - pickupstopschange { stops } once the stops are in visiting order
+// - routefound { route, alternatives }
+// - routingerror { error } when the router failed and the route is only
+//   a straight-line estimate
+// - etachange { arrival, duration } arrival is a Date, duration in seconds
+// - meetingtimechange { time }
+// - departurealert { advice, plan } when the departure advice changes
+//   ('go', 'impossible' or null, see departureAdvice())
+// - arrived { latlng, name } when the user reaches the meeting point
+// - parkingstart { timer } when the driver's parking timer starts
+// - parkingwarning { text } before and once the parked time runs out
+// - parkingend
+
+const ParkingRendezvous = L.Evented.extend({
+
+    initialize: function(container, options) {
+        this.container = container;
+        this.options = L.extend({
+            zones: APP_CONFIG.parkingZones.url,
+            occupancy: {},
+            role: 'driver',
+            vehicle: null,
+            location: null,
+            center: [51.0525571, -114.0730546],
+            zoom: 13,
+            tileUrl: APP_CONFIG.offline.tileUrl,
+            tileSubdomains: APP_CONFIG.offline.tileSubdomains,
+            tileAttribution: '&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors',
+            stayMinutes: APP_CONFIG.parkingCost.defaultStayMinutes,
+            meetingTime: null
+        }, options);
+        this.routing = mergeRoutingSettings(APP_CONFIG.routing, this.options.routing);
+
+        this.role = this.options.role;
+        this.vehicle = this.options.vehicle;
+        this.meetingTime = this.options.meetingTime;
+        this.userLocation = null;
+        this.locationProblem = null;
+        this.meetingPoint = null;
+        this.pickupStops = [];
+        this.zones = [];
+        this.route = null;
+        this.alternatives = [];
+        this.eta = null;
+        this.parkingTimer = null;
+
+        this._zoneLayers = {};
+        this._zoneErrors = [];
+        this._zoneUsability = {};
+        this._zoneUsabilityKey = null;
+        this._occupancy = null;
+        this._userMarker = null;
+        this._meetingPointMarker = null;
+        this._geofence = null;
+        this._routeControl = null;
+        this._routeLine = null;
+        this._routeLanguage = null;
+        this._routeRequestCount = 0;
+        this._stopPlanCount = 0;
+        this._progress = new RouteProgress();
+        this._departureAlertKey = null;
+
+        this._buildPanel();
+        this._createMap();
+        this._createLocationFinder();
+
+        this._onLocaleChange = this._refreshForLocale.bind(this);
+        onLocaleChange(this._onLocaleChange);
+
+        // Count down to the departure, and follow the zones as they open
+        // and close
+        this._intervals = [
+            setInterval(() => {
+                if (this.meetingTime) {
+                    this._renderDepartures();
+                    this._updateStatus();
+                }
+            }, APP_CONFIG.departure.refreshInterval),
+            setInterval(() => this._updateZoneUsability(), APP_CONFIG.vehicle.refreshInterval)
+        ];
+
+        this._zonesLoaded = this._loadZones();
+
+        if (this.options.location) {
+            this.setUserLocation(this.options.location);
+        } else {
+            this.locate();
+        }
+        this._updateStatus();
+    },
+
+    // ----- role -----
+
+    setUserType: function(role) {
+        if (role !== 'driver' && role !== 'passenger') {
+            throw new Error(`Unknown role "${role}"`);
+        }
+        if (role === this.role) {
+            return this;
+        }
+
+        this.role = role;
+        this._updateRoleButtons();
+
+        if (this._userMarker) {
+            this._userMarker.setIcon(this._createUserIcon());
+            this._updateUserPopup();
+        }
+
+        this.fire('usertypechange', { role: role });
+
+        // Only the driver has a vehicle, and driving and walking take
+        // different routes
+        this._updateZoneUsability();
+        this._calculateRoute();
+        this._updateStatus();
+        return this;
+    },
+
+    getUserType: function() {
+        return this.role;
+    },
+
+    // ----- vehicle -----
+
+    // A vehicle profile (see zone-amenities.js), or null for none
+    setVehicle: function(vehicle) {
+        this.vehicle = vehicle || null;
+        this._updateZoneUsability();
+        return this;
+    },
+
+    getVehicle: function() {
+        return this.vehicle;
+    },
+
+    // Whether the driver's vehicle can park in the zone when it gets there
+    canUseZone: function(zoneId) {
+        return isZoneUsable(this._zoneUsability[zoneId]);
+    },
+
+    // ----- user location -----
+
+    // Moves the user. With a route on the map this also measures progress
+    // along it and updates the ETA. The arrival is noticed once every
+    // pickup stop is behind.
+    setUserLocation: function(latlng, accuracy) {
+        const isFirst = !this.userLocation;
+        this.userLocation = L.latLng(latlng);
+
+        // A position from the browser, the page or the user's drag ends
+        // the asking
+        this._locationFinder.cancel();
+        if (this.locationProblem) {
+            this.locationProblem = null;
+            this._renderLocationPanel();
+        }
+
+        if (this._userMarker) {
+            this._userMarker.setLatLng(this.userLocation);
+            this._userMarker.setOpacity(1);
+        } else {
+            this._userMarker = L.marker(this.userLocation, { icon: this._createUserIcon() }).addTo(this.map);
+        }
+        this._updateUserPopup();
+
+        this.fire('locationchange', { latlng: this.userLocation });
+
+        if (isFirst) {
+            this.map.setView(this.userLocation, 15);
+            // The stop order depends on where the driver sets off
+            if (this.pickupStops.length > 0) {
+                this._planStops();
+            } else {
+                this._calculateRoute();
+            }
+        } else if (this.route) {
+            this._updateProgress(accuracy);
+        }
+
+        if (this._geofence && this._remainingStops().length === 0) {
+            this._geofence.update(this.userLocation);
+        }
+
+        this._updateStatus();
+        return this;
+    },
+
+    getUserLocation: function() {
+        return this.userLocation;
+    },
+
+    // Asks the browser where the user is, and again after a timeout or
+    // a missing position, like the routing page does
+    locate: function() {
+        this._locationFinder.locate();
+        return this;
+    },
+
+    // ----- meeting point -----
+
+    // Takes a zone id or a position. A zone id given before the zones
+    // have loaded is selected as soon as they are in.
+    selectMeetingPoint: function(target, name) {
+        if (typeof target === 'string') {
+            this._zonesLoaded.then(() => {
+                const zone = this.map && this._findZone(target);
+                if (zone) {
+                    this._setMeetingPoint(zone.location, zone.name, zone);
+                }
+            });
+            return this;
+        }
+
+        const latlng = L.latLng(target);
+        this._setMeetingPoint(latlng, name || t('search.droppedPin', { position: formatLatLng(latlng) }), null);
+        return this;
+    },
+
+    clearMeetingPoint: function() {
+        if (!this.meetingPoint) {
+            return this;
+        }
+
+        this.meetingPoint = null;
+        this._geofence = null;
+        this._removeLayer(this._meetingPointMarker);
+        this._meetingPointMarker = null;
+        this._clearRoute();
+        this._renderDirections();
+        this._renderDepartures();
+        this._updateStatus();
+
+        this.fire('meetingpointchange', { latlng: null, name: null, zone: null });
+        return this;
+    },
+
+    // { latlng, name, zone } or null. zone is null for points that aren't
+    // a parking zone.
+    getMeetingPoint: function() {
+        return this.meetingPoint;
+    },
+
+    // ----- pickup stops -----
+
+    // Where the driver picks people up on the way to the meeting point:
+    // zone ids or { latlng, name }. They are visited in the fastest order
+    // from the driver's position (see pickup-planner.js).
+    setPickupStops: function(stops) {
+        this._zonesLoaded.then(() => {
+            if (!this.map) {
+                return;
+            }
+            this.pickupStops.forEach(stop => this._removeLayer(stop.marker));
+            this.pickupStops = [];
+            stops.forEach(stop => this._addStop(stop));
+            this._planStops();
+        });
+        return this;
+    },
+
+    addPickupStop: function(target, name) {
+        this._zonesLoaded.then(() => {
+            if (!this.map) {
+                return;
+            }
+            this._addStop(typeof target === 'string' ? target : { latlng: target, name: name });
+            this._planStops();
+        });
+        return this;
+    },
+
+    clearPickupStops: function() {
+        return this.setPickupStops([]);
+    },
+
+    // [{ latlng, name, visited }] in visiting order
+    getPickupStops: function() {
+        return this.pickupStops.map(stop => ({ latlng: stop.latlng, name: stop.name, visited: stop.visited }));
+    },
+
+    // ----- route and ETA -----
+
+    // The route on the map (coordinates, summary, instructions) or null
+    getRoute: function() {
+        return this.route;
+    },
+
+    // Does the same as clicking the alternative's line or card
+    selectAlternative: function(index) {
+        const route = this.alternatives[index];
+
+        if (!this._routeControl || !route || route === this.route) {
+            return this;
+        }
+
+        this._routeControl.fire('routeselected', {
+            route: route,
+            alternatives: this.alternatives.filter(other => other !== route)
+        });
+        return this;
+    },
+
+    // { arrival, duration } or null while there is no route
+    getEta: function() {
+        return this.eta;
+    },
+
+    // ----- meeting time -----
+
+    // A Date, or null to stop planning the departure
+    setMeetingTime: function(time) {
+        this.meetingTime = time;
+
+        this._updateZoneUsability();
+        this._renderDepartures();
+        this._updateStatus();
+
+        this.fire('meetingtimechange', { time: time });
+        return this;
+    },
+
+    getMeetingTime: function() {
+        return this.meetingTime;
+    },
+
+    // The plan from planDepartures() for our own travel time, or null
+    // without a meeting time
+    getDeparturePlan: function() {
+        if (!this.meetingTime || !this.meetingPoint || this._hasArrived()) {
+            return null;
+        }
+
+        const travelTimes = {};
+        travelTimes[this.role] = this.eta ? this.eta.duration : null;
+        return planDepartures(this.meetingTime, travelTimes, APP_CONFIG.departure);
+    },
+
+    // ----- parking timer -----
+
+    // Runs from the driver's arrival until endParkingTimer()
+    getParkingTimer: function() {
+        return this.parkingTimer;
+    },
+
+    endParkingTimer: function() {
+        if (!this.parkingTimer) {
+            return this;
+        }
+
+        this.parkingTimer.stop();
+        this.parkingTimer = null;
+        this._timerElement.hidden = true;
+        this._timerElement.querySelector('.timer-warning').textContent = '';
+
+        this.fire('parkingend');
+        return this;
+    },
+
+    getZones: function() {
+        return this.zones;
+    },
+
+    getMap: function() {
+        return this.map;
+    },
+
+    // Takes the widget off the page. The instance can't be used afterwards.
+    remove: function() {
+        offLocaleChange(this._onLocaleChange);
+        this._intervals.forEach(clearInterval);
+        this._routeRequestCount++;
+        this._stopPlanCount++;
+        this._locationFinder.cancel();
+        this._clearRoute();
+
+        if (this._occupancy) {
+            this._occupancy.stop();
+        }
+        if (this.parkingTimer) {
+            this.parkingTimer.stop();
+        }
+
+        this.map.remove();
+        this.map = null;
+
+        this.container.innerHTML = '';
+        this.container.classList.remove('rendezvous-widget');
+        this.off();
+        return this;
+    },
+
+    // ----- internals -----
+
+    _buildPanel: function() {
+        this.container.classList.add('rendezvous-widget');
+        this.container.innerHTML = `
+            <div class="rendezvous-widget-map"></div>
+            <div class="rendezvous-widget-panel">
+                <div class="rendezvous-widget-roles">
+                    <button type="button" data-role="driver" data-i18n="role.driver"></button>
+                    <button type="button" data-role="passenger" data-i18n="role.passenger"></button>
+                </div>
+                <p class="rendezvous-widget-status" role="status"></p>
+                <div class="location-panel" hidden>
+                    <p class="location-message"></p>
+                    <button type="button" class="location-retry-btn" data-i18n="location.retry"></button>
+                </div>
+                <div class="rendezvous-widget-errors"></div>
+                <ul class="departure-times"></ul>
+                <div class="departure-alert" role="alert"></div>
+                <div class="parking-timer-panel" hidden>
+                    <h4 data-i18n="timer.title"></h4>
+                    <div class="timer-parked-at"></div>
+                    <div class="timer-clock">
+                        <span data-i18n="timer.elapsed"></span>
+                        <strong class="timer-elapsed" role="timer"></strong>
+                    </div>
+                    <div class="timer-cost"></div>
+                    <div class="timer-ends-at"></div>
+                    <div class="timer-warning" role="alert"></div>
+                    <button type="button" class="timer-end-btn" data-i18n="timer.end"></button>
+                </div>
+                <div class="route-alternatives"></div>
+                <div class="rendezvous-widget-directions"></div>
+            </div>
+        `;
+
+        this._statusElement = this.container.querySelector('.rendezvous-widget-status');
+        this._locationElement = this.container.querySelector('.location-panel');
+        this._errorsElement = this.container.querySelector('.rendezvous-widget-errors');
+        this._departureTimesElement = this.container.querySelector('.departure-times');
+        this._departureAlertElement = this.container.querySelector('.departure-alert');
+        this._timerElement = this.container.querySelector('.parking-timer-panel');
+        this._alternativesElement = this.container.querySelector('.route-alternatives');
+        this._directionsElement = this.container.querySelector('.rendezvous-widget-directions');
+
+        this.container.querySelectorAll('.rendezvous-widget-roles button').forEach(button => {
+            button.addEventListener('click', () => {
+                this.setUserType(button.dataset.role);
+            });
+        });
+
+        this._locationElement.querySelector('.location-retry-btn').addEventListener('click', () => {
+            this.locate();
+        });
+
+        this._timerElement.querySelector('.timer-end-btn').addEventListener('click', () => {
+            this.endParkingTimer();
+        });
+
+        translatePage(this.container);
+        this._updateRoleButtons();
+    },
+
+    _createMap: function() {
+        this.map = L.map(this.container.querySelector('.rendezvous-widget-map'))
+            .setView(this.options.center, this.options.zoom);
+
+        L.tileLayer(this.options.tileUrl, {
+            attribution: this.options.tileAttribution,
+            subdomains: this.options.tileSubdomains,
+            maxZoom: 19
+        }).addTo(this.map);
+    },
+
+    _updateRoleButtons: function() {
+        this.container.querySelectorAll('.rendezvous-widget-roles button').forEach(button => {
+            button.classList.toggle('active', button.dataset.role === this.role);
+        });
+    },
+
+    _createUserIcon: function() {
+        const color = this.role === 'driver' ? '#3388ff' : '#32CD32';
+        return L.divIcon({
+            className: 'user-marker',
+            html: `<div style="background-color: ${color}; width: 16px; height: 16px; border-radius: 50%; border: 2px solid white;"></div>`,
+            iconSize: [20, 20]
+        });
+    },
+
+    // The marker is only a handle to drag until there is a position
+    _updateUserPopup: function() {
+        if (this._userMarker) {
+            this._userMarker.bindPopup(this.userLocation ?
+                t('popup.you', { role: roleLabel(this.role) }) :
+                t('popup.placeYourself'));
+        }
+    },
+
+    // ----- finding the user -----
+
+    _createLocationFinder: function() {
+        this._locationFinder = new LocationFinder(() => navigator.geolocation, APP_CONFIG.location);
+
+        this._locationFinder.on('locating', e => {
+            if (!this.userLocation) {
+                this._setStatus(e.attempt > 1 ? t('status.locatingAgain', { attempt: e.attempt }) : t('status.locating'));
+            }
+        });
+        this._locationFinder.on('found', e => {
+            const coords = e.position.coords;
+            this.setUserLocation([coords.latitude, coords.longitude], coords.accuracy);
+        });
+        this._locationFinder.on('failed', e => this._onLocationFailed(e.reason, e.retryIn));
+    },
+
+    // No route from a made-up start: the user gets a faded marker in the
+    // middle of the map to drag to where they are
+    _onLocationFailed: function(reason, retryIn) {
+        this.locationProblem = { reason: reason, retryIn: retryIn };
+
+        if (!this._userMarker) {
+            this._userMarker = L.marker(this.map.getCenter(), {
+                icon: this._createUserIcon(),
+                opacity: 0.6,
+                draggable: true
+            }).addTo(this.map);
+            this._userMarker.on('dragend', () => this.setUserLocation(this._userMarker.getLatLng()));
+            this._updateUserPopup();
+            this._userMarker.openPopup();
+        }
+
+        this._renderLocationPanel();
+        this._updateStatus();
+        this.fire('locationerror', { reason: reason, retryIn: retryIn });
+    },
+
+    _renderLocationPanel: function() {
+        const problem = this.locationProblem;
+
+        this._locationElement.hidden = !problem;
+        if (!problem) {
+            return;
+        }
+
+        let message = t(`location.${problem.reason}`);
+        if (problem.retryIn) {
+            message += ' ' + t('location.retrying', { count: Math.ceil(problem.retryIn / 1000) });
+        }
+        this._locationElement.querySelector('.location-message').textContent = message;
+
+        // Asking again can't help a browser without geolocation
+        this._locationElement.querySelector('.location-retry-btn').hidden = problem.reason === 'unsupported';
+    },
+
+    // ----- zones -----
+
+    _loadZones: function() {
+        const source = this.options.zones;
+        const settings = { defaultRadius: APP_CONFIG.parkingZones.defaultRadius };
+        let loading;
+
+        if (typeof source === 'string') {
+            loading = loadParkingZones(source, settings);
+        } else if (Array.isArray(source)) {
+            loading = Promise.resolve({ zones: source, errors: [] });
+        } else {
+            loading = new Promise(resolve => resolve(parseParkingZones(source, settings)));
+        }
+
+        return loading
+            .catch(function(error) {
+                console.error("Error loading parking zones:", error);
+                return { zones: [], errors: [{ name: String(source), message: error.message }] };
+            })
+            .then(result => {
+                if (!this.map) {
+                    return;
+                }
+                this.zones = result.zones;
+                this.zones.forEach(zone => this._addZone(zone));
+                this._showZoneErrors(result.errors);
+                this._updateZoneUsability();
+                this._startOccupancy();
+                this.fire('zonesload', { zones: this.zones, errors: result.errors });
+            });
+    },
+
+    _findZone: function(id) {
+        const zone = this.zones.find(candidate => candidate.id === id);
+        if (!zone) {
+            console.warn(`No parking zone with id "${id}"`);
+        }
+        return zone || null;
+    },
+
+    // Colored by how full the zone is, once the occupancy feed reports in
+    _addZone: function(zone) {
+        const layer = createZoneLayer(zone, L.extend({
+            fillOpacity: 0.5,
+            className: 'parking-zone'
+        }, occupancyStyle(null))).addTo(this.map);
+
+        const popup = createZonePopup(zone, [
+            { className: 'select-btn', label: 'zone.select' },
+            { className: 'stop-btn', label: 'zone.addStop' }
+        ]);
+
+        popup.querySelector('.select-btn').addEventListener('click', () => {
+            this._setMeetingPoint(zone.location, zone.name, zone);
+            layer.closePopup();
+        });
+
+        // Pickup stops are for drivers only
+        const stopButton = popup.querySelector('.stop-btn');
+        stopButton.addEventListener('click', () => {
+            this.addPickupStop(zone.id);
+            layer.closePopup();
+        });
+        layer.on('popupopen', () => {
+            stopButton.hidden = this.role !== 'driver';
+        });
+
+        layer.bindPopup(popup);
+        this._zoneLayers[zone.id] = { layer: layer, popup: popup };
+        this._updateZonePopup(zone);
+    },
+
+    _updateZonePopup: function(zone) {
+        fillZonePopup(
+            this._zoneLayers[zone.id].popup,
+            zone,
+            this._occupancy && this._occupancy.get(zone.id),
+            describeUnusableZone(zone, this._zoneUsability[zone.id])
+        );
+    },
+
+    _showZoneErrors: function(errors) {
+        this._zoneErrors = errors;
+
+        if (errors.length === 0) {
+            this._errorsElement.innerHTML = '';
+            return;
+        }
+
+        let html = `<h4>${t('zones.loadErrors')}</h4><ul>`;
+        errors.forEach(error => {
+            html += `<li><strong>${escapeHtml(error.name)}</strong>: ${escapeHtml(error.message)}</li>`;
+        });
+        html += '</ul>';
+
+        this._errorsElement.innerHTML = html;
+        console.warn(`${errors.length} parking zone problem(s):`, errors);
+    },
+
+    // ----- occupancy -----
+
+    _startOccupancy: function() {
+        if (this.options.occupancy === false) {
+            return;
+        }
+
+        const settings = L.extend({}, APP_CONFIG.occupancy, this.options.occupancy);
+        this._occupancy = new ParkingOccupancy(createOccupancySource(settings), this.zones);
+        this._occupancy.on('update', this._onOccupancyUpdate, this);
+        this._occupancy.start();
+    },
+
+    // Every popup shows when it was last updated, so refresh them all
+    _onOccupancyUpdate: function() {
+        this.zones.forEach(zone => {
+            const entry = this._zoneLayers[zone.id];
+            const reading = this._occupancy.get(zone.id);
+
+            entry.layer.setStyle(occupancyStyle(reading));
+            entry.popup.querySelector('.zone-occupancy').textContent = describeOccupancy(reading);
+        });
+    },
+
+    // ----- vehicle -----
+
+    // When the driver would get to a zone: at the meeting time if there
+    // is one, at the ETA for the meeting point, and going by a
+    // straight-line estimate for the other zones
+    _zoneArrivalTime: function(zone) {
+        if (this.meetingTime) {
+            return this.meetingTime;
+        }
+
+        if (this.eta && this.meetingPoint && zone.location.equals(this.meetingPoint.latlng)) {
+            return this.eta.arrival;
+        }
+
+        const travelTime = this.userLocation ? estimateTravelTime(this.userLocation, zone.location, 'car') : 0;
+        return new Date(Date.now() + travelTime * 1000);
+    },
+
+    // Greys out (or hides, with APP_CONFIG.vehicle.hideUnusableZones) the
+    // zones the vehicle can't use. This runs with every new ETA, so the
+    // map is only redrawn when the outcome changes.
+    _updateZoneUsability: function() {
+        const vehicle = this.role === 'driver' ? this.vehicle : null;
+        const hide = APP_CONFIG.vehicle.hideUnusableZones;
+        const result = checkZoneUsability(this.zones, vehicle, zone => this._zoneArrivalTime(zone));
+        const key = result.key + (hide ? '|hidden' : '');
+
+        this._zoneUsability = result.usability;
+        if (key === this._zoneUsabilityKey) {
+            return;
+        }
+        this._zoneUsabilityKey = key;
+
+        this.zones.forEach(zone => {
+            const entry = this._zoneLayers[zone.id];
+            const usable = this.canUseZone(zone.id);
+
+            entry.layer.setStyle(zoneUsabilityStyle(usable));
+            entry.popup.querySelector('.zone-unusable').textContent = describeUnusableZone(zone, result.usability[zone.id]) || '';
+
+            if (hide && usable !== this.map.hasLayer(entry.layer)) {
+                if (usable) {
+                    entry.layer.addTo(this.map);
+                } else {
+                    this.map.removeLayer(entry.layer);
+                }
+            }
+        });
+    },
+
+    // ----- meeting point -----
+
+    _setMeetingPoint: function(latlng, name, zone) {
+        this.meetingPoint = { latlng: L.latLng(latlng), name: name, zone: zone };
+
+        this._removeLayer(this._meetingPointMarker);
+        this._meetingPointMarker = L.marker(this.meetingPoint.latlng, {
+            icon: L.divIcon({
+                className: 'meeting-point-marker',
+                html: '<div style="background-color: #FF8C00; width: 16px; height: 16px; border-radius: 50%; border: 2px solid white;"></div>',
+                iconSize: [20, 20]
+            })
+        }).addTo(this.map);
+        this._meetingPointMarker.bindPopup('');
+        this._updateMeetingPointPopup();
+
+        // The zone itself counts as arrived, not just the point
+        this._geofence = new ArrivalGeofence(this.meetingPoint.latlng, zone, {
+            margin: APP_CONFIG.navigation.arrivalDistance
+        });
+        this._geofence.on('arrived', this._onArrived, this);
+
+        this.fire('meetingpointchange', { latlng: this.meetingPoint.latlng, name: name, zone: zone });
+
+        this._calculateRoute();
+        this._renderDepartures();
+        this._updateStatus();
+    },
+
+    _describeCost: function() {
+        const zone = this.meetingPoint && this.meetingPoint.zone;
+        return describeStayCost(zone, this.eta ? this.eta.arrival : new Date(), this.options.stayMinutes);
+    },
+
+    _updateMeetingPointPopup: function() {
+        if (!this._meetingPointMarker) {
+            return;
+        }
+
+        let content = t('popup.meetingPoint', { name: escapeHtml(this.meetingPoint.name) });
+
+        const cost = this._describeCost();
+        if (cost) {
+            content += `<br>${t('popup.parkingCost', { cost: cost })}`;
+        }
+
+        this._meetingPointMarker.setPopupContent(content);
+    },
+
+    _hasArrived: function() {
+        return this._geofence !== null && this._geofence.hasArrived;
+    },
+
+    // Ends the trip: the ETA means nothing any more and, for the driver,
+    // the parking timer starts
+    _onArrived: function() {
+        this._clearRoute();
+        this._renderDirections();
+        this._renderDepartures();
+        this._updateStatus();
+
+        this.fire('arrived', { latlng: this.meetingPoint.latlng, name: this.meetingPoint.name });
+
+        if (this.role === 'driver') {
+            this._startParkingTimer();
+        }
+    },
+
+    // ----- pickup stops -----
+
+    // Takes a zone id or { latlng, name }
+    _addStop: function(target) {
+        const zone = typeof target === 'string' ? this._findZone(target) : null;
+        if (typeof target === 'string' && !zone) {
+            return;
+        }
+
+        const latlng = zone ? zone.location : L.latLng(target.latlng);
+        const stop = {
+            latlng: latlng,
+            name: zone ? zone.name : (target.name || t('search.droppedPin', { position: formatLatLng(latlng) })),
+            visited: false,
+            marker: L.marker(latlng).bindPopup('').addTo(this.map)
+        };
+        this.pickupStops.push(stop);
+    },
+
+    // The stops still ahead, in visiting order
+    _remainingStops: function() {
+        return this.pickupStops.filter(stop => !stop.visited);
+    },
+
+    // The stops still ahead with the meeting point last, as the route
+    // visits them
+    _tripStops: function() {
+        return this._remainingStops().concat([{ latlng: this.meetingPoint.latlng, name: this.meetingPoint.name }]);
+    },
+
+    // Asks for the fastest order of the stops still ahead, then routes
+    // through them
+    _planStops: function() {
+        const planId = ++this._stopPlanCount;
+        const visited = this.pickupStops.filter(stop => stop.visited);
+        const remaining = this._remainingStops();
+        const start = this.userLocation || L.latLng(this.options.center);
+
+        const useOrder = order => {
+            if (planId !== this._stopPlanCount || !this.map) {
+                return;
+            }
+            this.pickupStops = visited.concat(order.map(index => remaining[index]));
+            this._renderStops();
+            this.fire('pickupstopschange', { stops: this.getPickupStops() });
+            this._calculateRoute();
+        };
+
+        planPickupOrder(start, remaining.map(stop => stop.latlng), 'car', this.routing)
+            .then(plan => useOrder(plan.order))
+            .catch(error => {
+                // Keep the order the stops were given in
+                console.error("Could not plan the stop order:", error);
+                useOrder(remaining.map((stop, i) => i));
+            });
+    },
+
+    _renderStops: function() {
+        this.pickupStops.forEach((stop, i) => {
+            stop.marker.setIcon(createStopIcon(i + 1, stop.visited));
+            stop.marker.setPopupContent(t('popup.stop', { number: i + 1, name: escapeHtml(stop.name) }));
+        });
+    },
+
+    // Ticks off a stop once the driver gets there
+    _markStopsVisited: function() {
+        const next = reachedPickupStop(this._tripStops(), this.userLocation);
+
+        if (next) {
+            next.visited = true;
+            this._renderStops();
+            this.fire('pickupstopschange', { stops: this.getPickupStops() });
+        }
+    },
+
+    // ----- routing -----
+
+    // Routes from the user to the meeting point, through the stops still
+    // ahead, once both are known. Nothing is routed after the arrival.
+    _calculateRoute: function() {
+        this._clearRoute();
+        this._renderDirections();
+
+        if (!this.userLocation || !this.meetingPoint || this._hasArrived()) {
+            return;
+        }
+
+        const requestId = ++this._routeRequestCount;
+        const stops = this._remainingStops().map(stop => stop.latlng);
+        const waypoints = [this.userLocation].concat(stops, [this.meetingPoint.latlng]);
+        const mode = modeForRole(this.role);
+        this._routeLanguage = getLanguage();
+
+        this._routeControl = createRoutingControl(mode, L.extend(routeControlOptions(this.role, line => {
+            this._routeLine = line;
+        }), {
+            waypoints: waypoints,
+            // The widget shows its own directions
+            show: false,
+            collapsible: false,
+            // With pickup stops, the numbered stop markers are shown instead
+            createMarker: function() {
+                return stops.length > 0 ? null : L.Routing.Plan.prototype.options.createMarker.apply(this, arguments);
+            }
+        }), null, this.routing).addTo(this.map);
+
+        this._routeControl.getContainer().style.display = 'none';
+
+        this._routeControl.on('routesfound', e => {
+            this.alternatives = e.routes;
+        });
+
+        this._routeControl.on('routeselected', e => {
+            this._showRoute(e.route);
+        });
+
+        this._routeControl.on('routingerror', e => {
+            console.error("Routing error:", e.error);
+            this._setStatus(t(this.routing.offlineFallback ? 'status.serverUnavailable' : 'status.routingError'));
+
+            findFallbackRoute(waypoints, mode, this.routing, []).then(result => {
+                // A newer route request has started since: drop this one
+                if (requestId !== this._routeRequestCount) {
+                    return;
+                }
+
+                if (result.offlineError) {
+                    console.warn("Offline routing failed:", result.offlineError);
+                }
+
+                this._routeLine = createFallbackRouteLine(result, this.role).addTo(this.map);
+                this.map.fitBounds(this._routeLine.getBounds(), { padding: [50, 50] });
+                this.alternatives = [result.route];
+
+                if (result.approximate) {
+                    this.fire('routingerror', { error: e.error });
+                }
+                this._showRoute(result.route);
+            });
+        });
+    },
+
+    _showRoute: function(route) {
+        this.route = route;
+        this._progress.reset();
+
+        this.fire('routefound', { route: route, alternatives: this.alternatives });
+        this._setEta(route.summary.totalTime);
+        this._renderAlternatives();
+        this._renderDirections();
+        this._updateStatus();
+    },
+
+    _clearRoute: function() {
+        if (this._routeControl) {
+            this.map.removeControl(this._routeControl);
+            this._routeControl = null;
+        }
+        this._removeLayer(this._routeLine);
+
+        this._routeLine = null;
+        this.route = null;
+        this.alternatives = [];
+        this._renderAlternatives();
+
+        if (this.eta) {
+            this.eta = null;
+            this.fire('etachange', { arrival: null, duration: null });
+        }
+    },
+
+    // ----- progress -----
+
+    // Same rules as live tracking on the routing page (see RouteProgress)
+    _updateProgress: function(accuracy) {
+        const progress = this._progress.update(this.route, this.userLocation, accuracy);
+
+        if (!progress) {
+            return;
+        }
+
+        if (progress.offRoute) {
+            if (progress.reroute) {
+                this._setStatus(t('status.offRoute'));
+                this._calculateRoute();
+            }
+            return;
+        }
+
+        this._markStopsVisited();
+
+        // Only keep the part of the route that is still ahead
+        setRouteLineLatLngs(this._routeLine, progress.remaining);
+        this._setEta(progress.remainingTime);
+    },
+
+    // The parking cost, the zones that are open and the time to leave
+    // all depend on when we get there
+    _setEta: function(duration) {
+        this.eta = { arrival: new Date(Date.now() + duration * 1000), duration: duration };
+
+        const etaElement = this._directionsElement.querySelector('.eta-time');
+        if (etaElement) {
+            etaElement.textContent = describeEta(this.eta.arrival, duration);
+        }
+
+        const costElement = this._directionsElement.querySelector('.parking-cost');
+        const cost = this._describeCost();
+        if (costElement && cost) {
+            costElement.textContent = cost;
+        }
+        this._updateMeetingPointPopup();
+        this._updateZoneUsability();
+        this._renderDepartures();
+
+        this.fire('etachange', { arrival: this.eta.arrival, duration: duration });
+    },
+
+    // ----- departure -----
+
+    _renderDepartures: function() {
+        const plan = this.getDeparturePlan();
+        const advice = departureAdvice(plan, this.role);
+        const key = departureAdviceKey(advice, this.meetingTime, plan);
+
+        this._departureTimesElement.innerHTML = plan ? departureTimesHtml(plan, this.role) : '';
+
+        // Only redrawn when the advice changes, so screen readers hear it once
+        if (key === this._departureAlertKey) {
+            return;
+        }
+        this._departureAlertKey = key;
+
+        renderDepartureAlert(this._departureAlertElement, advice, this.meetingTime, plan, earliest => {
+            this.setMeetingTime(earliest);
+        });
+        this.fire('departurealert', { advice: advice, plan: plan });
+    },
+
+    // ----- parking timer -----
+
+    _startParkingTimer: function() {
+        this.endParkingTimer();
+
+        const zone = this.meetingPoint.zone;
+        const timer = new ParkingTimer({ name: this.meetingPoint.name, rates: zone ? zone.rates : null }, {
+            maxStayMinutes: this.options.stayMinutes,
+            warnBeforeMinutes: APP_CONFIG.parkingTimer.warnBeforeMinutes
+        });
+
+        timer.on('tick', this._renderParkingTimer, this);
+        timer.on('warning', e => this._warnAboutParkingTime(describeParkingWarning(timer, e)));
+        timer.on('expired', () => this._warnAboutParkingTime(describeParkingWarning(timer, null)));
+
+        this.parkingTimer = timer;
+        this._timerElement.hidden = false;
+        timer.start();
+
+        this.fire('parkingstart', { timer: timer });
+    },
+
+    _renderParkingTimer: function() {
+        if (!this.parkingTimer) {
+            return;
+        }
+
+        const lines = describeParkingTimer(this.parkingTimer);
+        this._timerElement.querySelector('.timer-parked-at').textContent = lines.parkedAt;
+        this._timerElement.querySelector('.timer-elapsed').textContent = lines.elapsed;
+        this._timerElement.querySelector('.timer-cost').textContent = lines.cost;
+        this._timerElement.querySelector('.timer-ends-at').textContent = lines.endsAt;
+    },
+
+    _warnAboutParkingTime: function(text) {
+        this._timerElement.querySelector('.timer-warning').textContent = text;
+        showBrowserNotification(t('timer.notificationTitle'), text);
+        this.fire('parkingwarning', { text: text });
+    },
+
+    // ----- panel -----
+
+    _setStatus: function(text) {
+        this._statusElement.textContent = text;
+    },
+
+    _updateStatus: function() {
+        if (this._hasArrived()) {
+            this._setStatus(t('status.arrived', { name: this.meetingPoint.name }));
+        } else if (!this.userLocation) {
+            this._setStatus(t(this.locationProblem ? 'status.placeYourself' : 'status.locating'));
+        } else if (!this.meetingPoint) {
+            this._setStatus(t('status.selectZone'));
+        } else {
+            const plan = this.getDeparturePlan();
+            this._setStatus(describeTripStatus(
+                this.role,
+                this.eta ? describeEta(this.eta.arrival, this.eta.duration) : null,
+                plan ? plan.departures[this.role] : null,
+                this.meetingTime
+            ));
+        }
+    },
+
+    _renderAlternatives: function() {
+        renderRouteCards(this._alternativesElement, this.alternatives, this.route, index => {
+            this.selectAlternative(index);
+        });
+    },
+
+    _renderDirections: function() {
+        if (!this.route) {
+            this._directionsElement.innerHTML = '';
+            return;
+        }
+
+        this._directionsElement.innerHTML = directionsHtml(
+            describeEta(this.eta.arrival, this.eta.duration),
+            describeStopArrivals(this.route, this._tripStops()),
+            this._describeCost(),
+            this.route.instructions
+        );
+    },
+
+    _refreshForLocale: function() {
+        translatePage(this.container);
+        this._updateUserPopup();
+        this._renderLocationPanel();
+        this._updateMeetingPointPopup();
+        this.zones.forEach(zone => this._updateZonePopup(zone));
+        this._showZoneErrors(this._zoneErrors);
+        this._renderStops();
+        this._renderParkingTimer();
+
+        this._departureAlertKey = null;
+        this._renderDepartures();
+
+        // Instructions written by the router are in the old language
+        if (this.route && this._routeLanguage !== getLanguage()) {
+            this._calculateRoute();
+        } else {
+            this._renderAlternatives();
+            this._renderDirections();
+        }
+        this._updateStatus();
+    },
+
+    _removeLayer: function(layer) {
+        if (layer && this.map.hasLayer(layer)) {
+            this.map.removeLayer(layer);
+        }
+    }
+});
+
+// ----- ROUTING SETTINGS -----
+// The widget's routing option laid over the app's, one level deeper for
+// providers so a backend can be given just the settings that differ
+
+function mergeRoutingSettings(base, overrides) {
+    const merged = L.extend({}, base, overrides);
+    const providers = (overrides && overrides.providers) || {};
+
+    merged.providers = L.extend({}, base.providers);
+    Object.keys(providers).forEach(name => {
+        merged.providers[name] = L.extend({}, base.providers[name], providers[name]);
+    });
+    return merged;
+}
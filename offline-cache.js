@@ -0,0 +1,115 @@
+/**
+ * OFFLINE CACHE
+ * =============
+ *
+ * The caches that keep the app working in parkades and underground lots,
+ * where the connection drops. They are shared by the page and by the
+ * service worker, which loads this file with importScripts(), so nothing
+ * here may touch the DOM or Leaflet. Only the pages call the
+ * registration functions.
+ *
+ * - The app shell: pages, scripts, data files and the Leaflet libraries,
+ *   stored when the service worker installs (see service-worker.js).
+ * - Map tiles: every tile viewed, plus those pre-downloaded for the
+ *   service area, up to APP_CONFIG.offline.maxTileMegabytes. When the cap
+ *   is reached the oldest tiles make room.
+ *
+ * Recent routes are not kept here but with the rest of the stored data,
+ * see app-storage.js and CachingRouter in routing-providers.js.
+ */
+
+// Raise the version when the list of shell files changes, so the new
+// service worker stores them again and drops the old copy
+const SHELL_CACHE = 'parking-rendezvous-shell-v4';
+const TILE_CACHE = 'parking-rendezvous-tiles';
+
+// Cached tiles carry their size in this header, so the cap can be kept
+// without reading every tile back
+const TILE_SIZE_HEADER = 'X-Tile-Bytes';
+
+// ----- TILE URLS -----
+// Templates are Leaflet's: 'https://{s}.tile.example.org/{z}/{x}/{y}.png'
+
+function tileUrl(template, z, x, y, subdomains) {
+    const servers = subdomains || '';
+    const server = servers.length > 0 ? servers[(x + y) % servers.length] : '';
+
+    return template
+        .replace('{s}', server)
+        .replace('{z}', z)
+        .replace('{x}', x)
+        .replace('{y}', y);
+}
+
+// Matches the URL of any tile made from the template, on any subdomain
+function tileUrlPattern(template) {
+    const escaped = template.replace(/[.*+?^$()|[\]\\]/g, '\\$&');
+    return new RegExp('^' + escaped
+        .replace('{s}', '[a-z0-9-]+')
+        .replace(/\{[zxy]\}/g, '\\d+') + '$');
+}
+
+// The web mercator tile holding a position at a zoom level
+function tileAt(lat, lng, z) {
+    const count = Math.pow(2, z);
+    const latRadians = lat * Math.PI / 180;
+
+    return {
+        x: Math.floor((lng + 180) / 360 * count),
+        y: Math.floor((1 - Math.log(Math.tan(latRadians) + 1 / Math.cos(latRadians)) / Math.PI) / 2 * count)
+    };
+}
+
+// Every tile URL covering bounds ([[south, west], [north, east]]) from
+// minZoom to maxZoom, the whole area at one zoom before the next
+function tileUrlsForArea(template, bounds, minZoom, maxZoom, subdomains) {
+    const urls = [];
+
+    for (let z = minZoom; z <= maxZoom; z++) {
+        const northWest = tileAt(bounds[1][0], bounds[0][1], z);
+        const southEast = tileAt(bounds[0][0], bounds[1][1], z);
+
+        for (let x = northWest.x; x <= southEast.x; x++) {
+            for (let y = northWest.y; y <= southEast.y; y++) {
+                urls.push(tileUrl(template, z, x, y, subdomains));
+            }
+        }
+    }
+
+    return urls;
+}
+
+// ----- TILE CACHE -----
+
+// Resolves with { count, bytes } for the tiles kept so far
+function tileCacheUsage() {
+    return caches.open(TILE_CACHE)
+        .then(cache => cache.keys().then(requests => Promise.all(requests.map(request => cache.match(request)))))
+        .then(responses => ({
+            count: responses.length,
+            bytes: responses.reduce((total, response) => total + (Number(response && response.headers.get(TILE_SIZE_HEADER)) || 0), 0)
+        }));
+}
+
+// ----- REGISTRATION -----
+
+// Service workers only run on pages served over HTTPS (or localhost)
+function canWorkOffline() {
+    return 'serviceWorker' in navigator && window.isSecureContext && typeof caches !== 'undefined';
+}
+
+// Every page of the app registers the same worker, so whichever opens
+// first stores the shell for all of them
+function registerServiceWorker() {
+    if (!canWorkOffline()) {
+        return;
+    }
+
+    navigator.serviceWorker.register('service-worker.js')
+        .then(function(registration) {
+            console.log(`Service worker registered for ${registration.scope}`);
+        })
+        .catch(function(error) {
+            console.warn("Could not register the service worker:", error);
+        });
+}
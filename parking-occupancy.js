@@ -0,0 +1,227 @@
+/**
+ * PARKING OCCUPANCY
+ * =================
+ *
+ * Keeps track of how many spots are taken in each parking zone, so the
+ * map can show which lots are filling up and the app can warn when the
+ * chosen meeting point is full.
+ *
+ * The numbers come from a feed:
+ * - 'poll': a JSON endpoint fetched every few seconds
+ * - 'push': a WebSocket that sends a message whenever something changes
+ * - 'mock': cars coming and going at random, for development
+ *
+ * Every feed speaks the same format. Zones left out keep their last value:
+ *
+ *     {
+ *         "updated": "2026-10-19T15:05:00Z",
+ *         "zones": [
+ *             { "id": "city-hall-parkade", "occupied": 312 },
+ *             { "id": "chinatown-parking", "occupied": 200, "capacity": 210 }
+ *         ]
+ *     }
+ *
+ * "capacity" is optional and overrides the capacity from the zone data.
+ */
+
+// ----- FEED SOURCES -----
+// A source only has to offer start(onMessage) and stop()
+
+// Picks the source named in the configuration
+function createOccupancySource(config) {
+    if (config.source === 'poll') {
+        return createPollingOccupancySource(config.url, config.pollInterval);
+    }
+    if (config.source === 'push') {
+        return createPushOccupancySource(config.url);
+    }
+    return createMockOccupancySource(config.mockUrl, config.mockInterval);
+}
+
+// Fetches the endpoint right away, then again every interval
+function createPollingOccupancySource(url, interval) {
+    let timer = null;
+
+    return {
+        start: function(onMessage) {
+            const poll = function() {
+                fetchJson(url)
+                    .then(onMessage)
+                    .catch(function(error) {
+                        console.warn("Could not fetch parking occupancy:", error);
+                    });
+            };
+
+            poll();
+            timer = setInterval(poll, interval);
+        },
+        stop: function() {
+            clearInterval(timer);
+            timer = null;
+        }
+    };
+}
+
+// Listens on a WebSocket; every message is an update in the feed format
+function createPushOccupancySource(url) {
+    let socket = null;
+
+    return {
+        start: function(onMessage) {
+            socket = new WebSocket(url);
+
+            socket.onmessage = function(event) {
+                try {
+                    onMessage(JSON.parse(event.data));
+                } catch (error) {
+                    console.warn("Ignoring malformed occupancy message:", event.data);
+                }
+            };
+
+            socket.onerror = function() {
+                console.warn(`Could not connect to the occupancy feed at ${url}`);
+            };
+        },
+        stop: function() {
+            if (socket) {
+                socket.close();
+                socket = null;
+            }
+        }
+    };
+}
+
+// Starts from the snapshot in mockUrl, then lets a few cars arrive or
+// leave every interval. Lots drift towards full, so the "meeting point
+// is full" warning can be seen without waiting too long.
+function createMockOccupancySource(mockUrl, interval) {
+    let timer = null;
+
+    return {
+        start: function(onMessage) {
+            fetchJson(mockUrl)
+                .then(function(snapshot) {
+                    const zones = snapshot.zones.map(entry => L.extend({}, entry));
+                    onMessage({ updated: new Date().toISOString(), zones: zones });
+
+                    timer = setInterval(function() {
+                        zones.forEach(entry => {
+                            // Between 3 cars leaving and 4 arriving
+                            const change = Math.floor(Math.random() * 8) - 3;
+                            const capacity = entry.capacity || Infinity;
+                            entry.occupied = Math.min(capacity, Math.max(0, entry.occupied + change));
+                        });
+                        onMessage({ updated: new Date().toISOString(), zones: zones });
+                    }, interval);
+                })
+                .catch(function(error) {
+                    console.warn("Could not load the mock occupancy data:", error);
+                });
+        },
+        stop: function() {
+            clearInterval(timer);
+            timer = null;
+        }
+    };
+}
+
+// ----- OCCUPANCY -----
+// Events fired:
+// - update { zoneIds } after a feed message changed one or more zones
+
+const ParkingOccupancy = L.Evented.extend({
+
+    initialize: function(source, zones) {
+        this.source = source;
+        this.zones = {};
+        this.readings = {};
+
+        zones.forEach(zone => {
+            this.zones[zone.id] = zone;
+        });
+    },
+
+    start: function() {
+        this.source.start(this._receive.bind(this));
+    },
+
+    stop: function() {
+        this.source.stop();
+    },
+
+    // { occupied, capacity, free, ratio, updated } for a zone, or null
+    // while the feed hasn't said anything about it
+    get: function(zoneId) {
+        return this.readings[zoneId] || null;
+    },
+
+    isFull: function(zoneId) {
+        const reading = this.get(zoneId);
+        return reading !== null && reading.free === 0;
+    },
+
+    // ----- internals -----
+
+    _receive: function(message) {
+        if (!message || !Array.isArray(message.zones)) {
+            console.warn("Ignoring occupancy message without zones:", message);
+            return;
+        }
+
+        const updated = message.updated ? new Date(message.updated) : new Date();
+        const changed = [];
+
+        message.zones.forEach(entry => {
+            const zone = this.zones[entry.id];
+            if (!zone || typeof entry.occupied !== 'number') {
+                return;
+            }
+
+            const capacity = typeof entry.capacity === 'number' ? entry.capacity : zone.capacity;
+            const occupied = Math.min(capacity, Math.max(0, Math.round(entry.occupied)));
+            const previous = this.readings[entry.id];
+
+            this.readings[entry.id] = {
+                occupied: occupied,
+                capacity: capacity,
+                free: capacity - occupied,
+                ratio: capacity > 0 ? occupied / capacity : 1,
+                updated: updated
+            };
+
+            if (!previous || previous.occupied !== occupied || previous.capacity !== capacity) {
+                changed.push(entry.id);
+            }
+        });
+
+        // The last-updated time changes even if the numbers didn't
+        this.fire('update', { zoneIds: changed });
+    }
+});
+
+// ----- OCCUPANCY DISPLAY -----
+
+// Map colors for a zone: unknown keeps the plain parking orange
+function occupancyStyle(reading) {
+    if (!reading) {
+        return { color: '#FF8C00', fillColor: '#FFA500' };
+    }
+    if (reading.free === 0) {
+        return { color: '#B22222', fillColor: '#DC143C' };
+    }
+    if (reading.ratio >= APP_CONFIG.occupancy.busyThreshold) {
+        return { color: '#DAA520', fillColor: '#FFD700' };
+    }
+    return { color: '#2E8B57', fillColor: '#3CB371' };
+}
+
+// "12 of 450 free (updated 3:05 PM)" for popups and lists
+function describeOccupancy(reading) {
+    if (!reading) {
+        return t('occupancy.unknown');
+    }
+    const free = reading.free === 0 ?
+        t('occupancy.full') :
+        t('occupancy.free', { free: formatNumber(reading.free), capacity: formatNumber(reading.capacity) });
+    return t('occupancy.updated', { availability: free, time: formatClockTime(reading.updated) });
+}
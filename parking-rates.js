@@ -0,0 +1,241 @@
+/**
+ * PARKING RATES
+ * =============
+ *
+ * Rate schedules for parking zones and the cost estimate built on them.
+ *
+ * A zone's "rates" property in the GeoJSON looks like this:
+ *
+ *     "rates": {
+ *         "currency": "CAD",
+ *         "dailyMaximum": 24.00,
+ *         "periods": [
+ *             { "days": "weekdays", "from": "06:00", "to": "18:00", "hourly": 3.00 },
+ *             { "days": "weekdays", "from": "18:00", "to": "06:00", "flat": 5.00 },
+ *             { "days": ["sat", "sun"], "from": "08:00", "to": "18:00", "hourly": 2.00 },
+ *             { "days": "all", "from": "00:00", "to": "08:00", "free": true }
+ *         ]
+ *     }
+ *
+ * - days: a list of "mon" ... "sun", or "weekdays", "weekends" or "all"
+ * - from / to: local clock times; a period ending before it starts runs
+ *   past midnight, and "to": "24:00" means the end of the day
+ * - hourly: charged for every minute parked in the period
+ * - flat: charged once when the stay enters the period
+ * - free: nothing to pay
+ *
+ * Periods are checked in order and the first match wins. Time that no
+ * period covers is free. dailyMaximum caps what is charged per calendar
+ * day. currency defaults to CAD.
+ *
+ * Zones without "rates" but with an hourlyRate text like "$3.00" are
+ * treated as charging that rate around the clock.
+ */
+
+// Same order as Date.getDay()
+const RATE_DAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+const RATE_DAY_GROUPS = {
+    weekdays: ['mon', 'tue', 'wed', 'thu', 'fri'],
+    weekends: ['sat', 'sun'],
+    all: RATE_DAYS
+};
+
+const DEFAULT_RATE_CURRENCY = 'CAD';
+
+// ----- VALIDATE RATE SCHEDULE -----
+// Returns a short description of what is wrong, or null if it is usable
+
+function validateRateSchedule(rates) {
+    if (!rates || typeof rates !== 'object' || !Array.isArray(rates.periods)) {
+        return "rates must have a list of periods";
+    }
+
+    if (rates.dailyMaximum !== undefined && !isNonNegativeNumber(rates.dailyMaximum)) {
+        return "rates.dailyMaximum must be a positive amount";
+    }
+
+    if (rates.currency !== undefined && !/^[A-Z]{3}$/.test(rates.currency)) {
+        return "rates.currency must be a currency code such as \"CAD\"";
+    }
+
+    for (let i = 0; i < rates.periods.length; i++) {
+        const problem = validateRatePeriod(rates.periods[i]);
+        if (problem) {
+            return `Rate period ${i + 1}: ${problem}`;
+        }
+    }
+
+    return null;
+}
+
+function validateRatePeriod(period) {
+    if (!period || typeof period !== 'object') {
+        return "not an object";
+    }
+
+    if (parseRateDays(period.days) === null) {
+        return "days must be a list of \"mon\" ... \"sun\", \"weekdays\", \"weekends\" or \"all\"";
+    }
+
+    if (parseClockTime(period.from) === null || parseClockTime(period.to) === null) {
+        return "from and to must be times such as \"07:30\"";
+    }
+
+    const charges = ['hourly', 'flat', 'free'].filter(key => period[key] !== undefined);
+    if (charges.length !== 1) {
+        return "needs exactly one of hourly, flat or free";
+    }
+
+    if (period.free !== undefined && period.free !== true) {
+        return "free must be true";
+    }
+
+    if (period.free === undefined && !isNonNegativeNumber(period[charges[0]])) {
+        return `${charges[0]} must be a positive amount`;
+    }
+
+    return null;
+}
+
+function isNonNegativeNumber(value) {
+    return typeof value === 'number' && isFinite(value) && value >= 0;
+}
+
+// "weekdays" or ["mon", "wed"] as day numbers, or null if not understood
+function parseRateDays(days) {
+    const names = typeof days === 'string' ? RATE_DAY_GROUPS[days] : days;
+
+    if (!Array.isArray(names) || names.length === 0) {
+        return null;
+    }
+
+    const numbers = names.map(name => RATE_DAYS.indexOf(name));
+    return numbers.includes(-1) ? null : numbers;
+}
+
+// "07:30" as minutes since midnight, or null. "24:00" is allowed.
+function parseClockTime(text) {
+    const match = /^(\d{2}):(\d{2})$/.exec(text || '');
+    if (!match) {
+        return null;
+    }
+
+    const minutes = Number(match[1]) * 60 + Number(match[2]);
+    return Number(match[2]) < 60 && minutes <= 24 * 60 ? minutes : null;
+}
+
+// ----- NORMALIZE -----
+// Turns a valid "rates" property into the form estimateParkingCost() uses
+
+function normalizeRateSchedule(rates) {
+    return {
+        currency: rates.currency || DEFAULT_RATE_CURRENCY,
+        dailyMaximum: rates.dailyMaximum !== undefined ? rates.dailyMaximum : null,
+        periods: rates.periods.map(period => ({
+            days: parseRateDays(period.days),
+            from: parseClockTime(period.from),
+            to: parseClockTime(period.to),
+            hourly: period.hourly || 0,
+            flat: period.flat || 0
+        }))
+    };
+}
+
+// "$3.00" as an around-the-clock hourly rate, or null for "N/A" and the like
+function rateScheduleFromText(text) {
+    const match = /^\s*\$?\s*(\d+(?:\.\d+)?)\s*$/.exec(text || '');
+    if (!match) {
+        return null;
+    }
+
+    return {
+        currency: DEFAULT_RATE_CURRENCY,
+        dailyMaximum: null,
+        periods: [{ days: parseRateDays('all'), from: 0, to: 24 * 60, hourly: Number(match[1]), flat: 0 }]
+    };
+}
+
+// ----- ESTIMATE PARKING COST -----
+// What a stay of stayMinutes starting at arrival (a Date) costs.
+// Walks through the stay a minute at a time, which is plenty fast for
+// stays of a few days and keeps midnight and overlapping rules simple.
+
+function estimateParkingCost(schedule, arrival, stayMinutes) {
+    const chargedPerDay = {};
+    const flatsCharged = {};
+
+    for (let minute = 0; minute < stayMinutes; minute++) {
+        const time = new Date(arrival.getTime() + minute * 60000);
+        const match = findRatePeriod(schedule, time);
+
+        if (!match) {
+            continue;
+        }
+
+        const dayKey = time.toDateString();
+        let charge = match.period.hourly / 60;
+
+        // A flat rate is paid once per evening (or whatever the period is),
+        // counted from the day the period started
+        const flatKey = `${match.index}|${match.startDay}`;
+        if (match.period.flat && !flatsCharged[flatKey]) {
+            flatsCharged[flatKey] = true;
+            charge += match.period.flat;
+        }
+
+        chargedPerDay[dayKey] = (chargedPerDay[dayKey] || 0) + charge;
+    }
+
+    let total = 0;
+    Object.keys(chargedPerDay).forEach(day => {
+        const charged = chargedPerDay[day];
+        total += schedule.dailyMaximum !== null ? Math.min(charged, schedule.dailyMaximum) : charged;
+    });
+
+    // Round to the cent
+    return Math.round(total * 100) / 100;
+}
+
+// The first period covering this moment, with the day that period started on
+function findRatePeriod(schedule, time) {
+    const minuteOfDay = time.getHours() * 60 + time.getMinutes();
+    const day = time.getDay();
+    const previousDay = (day + 6) % 7;
+
+    for (let i = 0; i < schedule.periods.length; i++) {
+        const period = schedule.periods[i];
+
+        if (period.from < period.to) {
+            if (period.days.includes(day) && minuteOfDay >= period.from && minuteOfDay < period.to) {
+                return { period: period, index: i, startDay: time.toDateString() };
+            }
+            continue;
+        }
+
+        // Runs past midnight (or all day, when from equals to)
+        if (period.days.includes(day) && minuteOfDay >= period.from) {
+            return { period: period, index: i, startDay: time.toDateString() };
+        }
+        if (period.days.includes(previousDay) && minuteOfDay < period.to) {
+            const start = new Date(time.getTime() - 24 * 3600 * 1000);
+            return { period: period, index: i, startDay: start.toDateString() };
+        }
+    }
+
+    return null;
+}
+
+// ----- FORMATTING -----
+
+function formatCost(amount, currency) {
+    if (amount === 0) {
+        return t('cost.free');
+    }
+    return formatNumber(amount, { style: 'currency', currency: currency });
+}
+
+// 90 as "1 h 30 min", 120 as "2 h"
+function formatStayLength(minutes) {
+    return formatDuration(minutes * 60);
+}
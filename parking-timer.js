@@ -0,0 +1,159 @@
+/**
+ * PARKING TIMER
+ * =============
+ *
+ * Runs from the moment the driver reaches the meeting point: how long
+ * the car has been parked and what that has cost so far, using the
+ * zone's rates (see parking-rates.js).
+ *
+ * The driver picks a maximum stay, the time paid for at the meter or
+ * the limit posted at the zone. Shortly before it runs out the timer
+ * warns, and the page can pass the warning on as a browser notification
+ * so it is seen with the phone in a pocket.
+ */
+
+// ----- TIMER -----
+// Events fired:
+// - tick { elapsed, remaining, cost } every second. elapsed and
+//   remaining are in seconds; cost is null when the rates are unknown.
+// - warning { remaining } once, warnBeforeMinutes before the maximum stay ends
+// - expired once the maximum stay is over
+
+const ParkingTimer = L.Evented.extend({
+
+    // place is where the car is parked: { name, rates }, rates being
+    // the zone's rate schedule or null when it is unknown
+    initialize: function(place, options) {
+        this.place = place;
+        this.options = L.extend({
+            maxStayMinutes: 120,
+            warnBeforeMinutes: 10,
+            // How often (in milliseconds) the timer ticks
+            interval: 1000
+        }, options);
+
+        this.startedAt = null;
+        this._intervalId = null;
+        this._warned = false;
+        this._expired = false;
+    },
+
+    start: function(startedAt) {
+        this.stop();
+        this.startedAt = startedAt || new Date();
+        this._intervalId = setInterval(this._tick.bind(this), this.options.interval);
+        this._tick();
+    },
+
+    stop: function() {
+        if (this._intervalId !== null) {
+            clearInterval(this._intervalId);
+            this._intervalId = null;
+        }
+    },
+
+    isRunning: function() {
+        return this._intervalId !== null;
+    },
+
+    // A new limit gets its own warning, even if the old one was given
+    setMaxStay: function(minutes) {
+        this.options.maxStayMinutes = minutes;
+        this._warned = false;
+        this._expired = false;
+
+        if (this.isRunning()) {
+            this._tick();
+        }
+    },
+
+    getElapsed: function() {
+        return this.startedAt ? Math.max(0, Math.floor((Date.now() - this.startedAt.getTime()) / 1000)) : 0;
+    },
+
+    // Seconds left of the maximum stay; negative once it is over
+    getRemaining: function() {
+        return this.options.maxStayMinutes * 60 - this.getElapsed();
+    },
+
+    // When the maximum stay ends, as a Date
+    getEndTime: function() {
+        const start = this.startedAt || new Date();
+        return new Date(start.getTime() + this.options.maxStayMinutes * 60000);
+    },
+
+    // What the stay has cost so far. A minute that has started is charged.
+    getCost: function() {
+        if (!this.place.rates || !this.startedAt) {
+            return null;
+        }
+        return estimateParkingCost(this.place.rates, this.startedAt, Math.ceil(this.getElapsed() / 60));
+    },
+
+    // ----- internals -----
+
+    _tick: function() {
+        const remaining = this.getRemaining();
+
+        this.fire('tick', { elapsed: this.getElapsed(), remaining: remaining, cost: this.getCost() });
+
+        // A stay already over gets the "expired" event instead
+        if (!this._warned && remaining <= this.options.warnBeforeMinutes * 60) {
+            this._warned = true;
+            if (remaining > 0) {
+                this.fire('warning', { remaining: remaining });
+            }
+        }
+
+        if (!this._expired && remaining <= 0) {
+            this._expired = true;
+            this.fire('expired');
+        }
+    }
+});
+
+// ----- BROWSER NOTIFICATIONS -----
+// Notifications need the user's permission, which browsers only let us
+// ask for after a click. Without it, they are simply not shown.
+
+function canNotify() {
+    return typeof Notification !== 'undefined';
+}
+
+function notificationsAllowed() {
+    return canNotify() && Notification.permission === 'granted';
+}
+
+// Resolves with 'granted', 'denied' or 'default'
+function requestNotifications() {
+    if (!canNotify()) {
+        return Promise.resolve('denied');
+    }
+    return Promise.resolve(Notification.requestPermission());
+}
+
+function showBrowserNotification(title, body) {
+    if (!notificationsAllowed()) {
+        return;
+    }
+
+    // Some mobile browsers only allow notifications from a service
+    // worker and throw here
+    try {
+        new Notification(title, { body: body, tag: 'parking-timer' });
+    } catch (error) {
+        console.warn("Could not show a notification:", error);
+    }
+}
+
+// ----- FORMATTING -----
+
+// 3725 seconds as "1:02:05"
+function formatElapsedTime(seconds) {
+    const total = Math.max(0, Math.floor(seconds));
+    const hours = Math.floor(total / 3600);
+    const minutes = Math.floor(total / 60) % 60;
+    const rest = total % 60;
+
+    return `${hours}:${String(minutes).padStart(2, '0')}:${String(rest).padStart(2, '0')}`;
+}
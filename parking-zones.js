@@ -0,0 +1,264 @@
+/**
+ * PARKING ZONES
+ * =============
+ *
+ * Loads parking zones from a GeoJSON FeatureCollection and turns them
+ * into the zone objects used by the rest of the app.
+ *
+ * Each feature is either:
+ * - a Point, drawn as a circle (radius from properties.radius or the default)
+ * - a Polygon, drawn as the real outline of the lot
+ *
+ * Required properties: name (text) and capacity (whole number).
+ * Optional properties: hourlyRate (text), rates (a rate schedule, see
+ * parking-rates.js), radius (meters, Point only) and the amenities
+ * described in zone-amenities.js.
+ *
+ * Features that break these rules are skipped and reported back to the
+ * caller, so one bad entry never hides the others.
+ */
+
+// ----- LOAD PARKING ZONES -----
+// Fetches the GeoJSON file and returns the valid zones plus a list of problems
+
+function loadParkingZones(url, options) {
+    const settings = options || {};
+
+    return fetch(url)
+        .then(function(response) {
+            if (!response.ok) {
+                throw new Error(`Could not load parking zones (HTTP ${response.status})`);
+            }
+            return response.json();
+        })
+        .then(function(geojson) {
+            return parseParkingZones(geojson, settings);
+        });
+}
+
+// ----- PARSE PARKING ZONES -----
+// Validates a FeatureCollection and converts each good feature into a zone
+
+function parseParkingZones(geojson, options) {
+    const settings = options || {};
+    const defaultRadius = settings.defaultRadius || 50;
+
+    if (!geojson || geojson.type !== 'FeatureCollection' || !Array.isArray(geojson.features)) {
+        throw new Error("Parking zone data is not a GeoJSON FeatureCollection");
+    }
+
+    const zones = [];
+    const errors = [];
+    const usedIds = {};
+
+    geojson.features.forEach((feature, index) => {
+        const problem = validateZoneFeature(feature);
+
+        if (problem) {
+            errors.push({ index: index, name: describeFeature(feature, index), message: problem });
+            return;
+        }
+
+        const zone = featureToZone(feature, index, defaultRadius);
+
+        // Two zones with the same id would overwrite each other later on
+        if (usedIds[zone.id]) {
+            errors.push({ index: index, name: zone.name, message: `Duplicate id "${zone.id}"` });
+            return;
+        }
+
+        usedIds[zone.id] = true;
+        zones.push(zone);
+    });
+
+    return { zones: zones, errors: errors };
+}
+
+// ----- VALIDATE ZONE FEATURE -----
+// Returns a short description of what is wrong, or null if the feature is usable
+
+function validateZoneFeature(feature) {
+    if (!feature || feature.type !== 'Feature') {
+        return "Not a GeoJSON Feature";
+    }
+
+    const props = feature.properties;
+    if (!props || typeof props !== 'object') {
+        return "Missing properties";
+    }
+
+    if (typeof props.name !== 'string' || props.name.trim() === '') {
+        return "Missing name";
+    }
+
+    if (!Number.isInteger(props.capacity) || props.capacity < 0) {
+        return "Capacity must be a whole number of spots";
+    }
+
+    if (props.hourlyRate !== undefined && typeof props.hourlyRate !== 'string') {
+        return "hourlyRate must be text such as \"$3.00\"";
+    }
+
+    if (props.rates !== undefined) {
+        const ratesProblem = validateRateSchedule(props.rates);
+        if (ratesProblem) {
+            return ratesProblem;
+        }
+    }
+
+    const amenitiesProblem = validateZoneAmenities(props);
+    if (amenitiesProblem) {
+        return amenitiesProblem;
+    }
+
+    const geometry = feature.geometry;
+    if (!geometry) {
+        return "Missing geometry";
+    }
+
+    if (geometry.type === 'Point') {
+        if (!isValidPosition(geometry.coordinates)) {
+            return "Point has invalid coordinates";
+        }
+        if (props.radius !== undefined && !(typeof props.radius === 'number' && props.radius > 0)) {
+            return "radius must be a positive number of meters";
+        }
+        return null;
+    }
+
+    if (geometry.type === 'Polygon') {
+        if (!Array.isArray(geometry.coordinates) || geometry.coordinates.length === 0) {
+            return "Polygon has no rings";
+        }
+        for (let i = 0; i < geometry.coordinates.length; i++) {
+            const ringProblem = validateRing(geometry.coordinates[i]);
+            if (ringProblem) {
+                return `Polygon ring ${i + 1}: ${ringProblem}`;
+            }
+        }
+        return null;
+    }
+
+    return `Unsupported geometry type "${geometry.type}" (use Point or Polygon)`;
+}
+
+// ----- VALIDATE RING -----
+// A polygon ring needs at least four positions and must end where it starts
+
+function validateRing(ring) {
+    if (!Array.isArray(ring) || ring.length < 4) {
+        return "needs at least 4 positions";
+    }
+    if (!ring.every(isValidPosition)) {
+        return "has invalid coordinates";
+    }
+
+    const first = ring[0];
+    const last = ring[ring.length - 1];
+    if (first[0] !== last[0] || first[1] !== last[1]) {
+        return "is not closed";
+    }
+    return null;
+}
+
+// ----- VALIDATE POSITION -----
+// GeoJSON positions are [longitude, latitude]
+
+function isValidPosition(position) {
+    return Array.isArray(position) &&
+        position.length >= 2 &&
+        typeof position[0] === 'number' && position[0] >= -180 && position[0] <= 180 &&
+        typeof position[1] === 'number' && position[1] >= -90 && position[1] <= 90;
+}
+
+// ----- FEATURE TO ZONE -----
+// Builds the zone object the map code works with
+
+function featureToZone(feature, index, defaultRadius) {
+    const props = feature.properties;
+    const geometry = feature.geometry;
+
+    const zone = {
+        id: String(feature.id !== undefined ? feature.id : (props.id !== undefined ? props.id : `zone-${index}`)),
+        name: props.name.trim(),
+        capacity: props.capacity,
+        hourlyRate: props.hourlyRate || "N/A",
+        // null when we can't tell what parking here costs
+        rates: props.rates ? normalizeRateSchedule(props.rates) : rateScheduleFromText(props.hourlyRate),
+        amenities: normalizeZoneAmenities(props),
+        properties: props
+    };
+
+    if (geometry.type === 'Point') {
+        zone.shape = 'circle';
+        zone.location = L.latLng(geometry.coordinates[1], geometry.coordinates[0]);
+        zone.radius = props.radius || defaultRadius;
+    } else {
+        // GeoJSON rings are [lng, lat]; Leaflet wants [lat, lng]
+        zone.shape = 'polygon';
+        zone.latlngs = geometry.coordinates.map(ring =>
+            ring.map(position => L.latLng(position[1], position[0]))
+        );
+        // The meeting point for a lot outline is the middle of the lot
+        zone.location = computeRingCentroid(zone.latlngs[0]);
+    }
+
+    return zone;
+}
+
+// ----- RING CENTROID -----
+// Area-weighted center of a ring. Good enough at parking lot scale,
+// where the earth's curvature doesn't matter. Coordinates are taken
+// relative to the first vertex to keep the arithmetic precise.
+
+function computeRingCentroid(latlngs) {
+    const origin = latlngs[0];
+    let area = 0;
+    let lat = 0;
+    let lng = 0;
+
+    for (let i = 0; i < latlngs.length - 1; i++) {
+        const aLat = latlngs[i].lat - origin.lat;
+        const aLng = latlngs[i].lng - origin.lng;
+        const bLat = latlngs[i + 1].lat - origin.lat;
+        const bLng = latlngs[i + 1].lng - origin.lng;
+        const cross = aLng * bLat - bLng * aLat;
+        area += cross;
+        lng += (aLng + bLng) * cross;
+        lat += (aLat + bLat) * cross;
+    }
+
+    // Degenerate ring (all points on a line): fall back to the plain average
+    if (area === 0) {
+        const count = latlngs.length;
+        return L.latLng(
+            latlngs.reduce((sum, p) => sum + p.lat, 0) / count,
+            latlngs.reduce((sum, p) => sum + p.lng, 0) / count
+        );
+    }
+
+    return L.latLng(origin.lat + lat / (3 * area), origin.lng + lng / (3 * area));
+}
+
+// ----- CREATE ZONE LAYER -----
+// Returns the Leaflet layer that draws a zone: a circle or the lot outline
+
+function createZoneLayer(zone, style) {
+    if (zone.shape === 'polygon') {
+        return L.polygon(zone.latlngs, style);
+    }
+    return L.circle(zone.location, Object.assign({}, style, { radius: zone.radius }));
+}
+
+// ----- DESCRIBE FEATURE -----
+// A readable label for error messages, even when the feature is broken
+
+function describeFeature(feature, index) {
+    if (feature && feature.properties && typeof feature.properties.name === 'string' && feature.properties.name.trim()) {
+        return feature.properties.name.trim();
+    }
+    if (feature && feature.id !== undefined) {
+        return `Feature "${feature.id}"`;
+    }
+    return `Feature #${index + 1}`;
+}
@@ -0,0 +1,174 @@
+/**
+ * PICKUP PLANNER
+ * ==============
+ *
+ * Works out the order in which a driver should visit several pickup
+ * stops. It asks the routing backend how long it takes between every
+ * pair of places (a duration matrix) and then solves a small
+ * travelling-salesman problem: start at the driver, visit every stop
+ * once, and don't come back.
+ *
+ * Up to MAX_EXACT_STOPS stops every order is tried. Beyond that a
+ * nearest-neighbour tour is improved with 2-opt, which is close enough
+ * for a car full of passengers.
+ */
+
+const MAX_EXACT_STOPS = 7;
+
+// ----- DURATION MATRIX -----
+// durations[i][j] is the travel time in seconds from points[i] to points[j].
+// Rows the backend can't answer use the straight-line estimate, like the
+// meeting point recommender does.
+
+function fetchDurationMatrix(points, mode, routing) {
+    return Promise.all(points.map(origin => fetchTravelTimes(origin, points, mode, routing)))
+        .then(function(rows) {
+            return {
+                durations: rows.map(row => row.times),
+                estimated: rows.some(row => row.estimated)
+            };
+        });
+}
+
+// ----- SOLVE STOP ORDER -----
+// Returns the stop indices (1 .. n-1 of the matrix) in visiting order.
+// Index 0 is the driver's starting position.
+
+function solveStopOrder(durations) {
+    const stops = [];
+    for (let i = 1; i < durations.length; i++) {
+        stops.push(i);
+    }
+
+    if (stops.length <= 1) {
+        return stops;
+    }
+
+    if (stops.length <= MAX_EXACT_STOPS) {
+        return bestPermutation(durations, stops);
+    }
+    return improveWithTwoOpt(durations, nearestNeighbourOrder(durations, stops));
+}
+
+function tourDuration(durations, order) {
+    let total = 0;
+    let previous = 0;
+    order.forEach(stop => {
+        total += durations[previous][stop];
+        previous = stop;
+    });
+    return total;
+}
+
+// Tries every order, skipping any partial order that is already slower
+// than the best complete one
+function bestPermutation(durations, stops) {
+    let best = null;
+    let bestDuration = Infinity;
+
+    function extend(order, remaining, duration) {
+        if (duration >= bestDuration) {
+            return;
+        }
+        if (remaining.length === 0) {
+            best = order.slice();
+            bestDuration = duration;
+            return;
+        }
+
+        const last = order.length > 0 ? order[order.length - 1] : 0;
+        remaining.forEach((stop, i) => {
+            order.push(stop);
+            extend(order, remaining.slice(0, i).concat(remaining.slice(i + 1)), duration + durations[last][stop]);
+            order.pop();
+        });
+    }
+
+    extend([], stops, 0);
+    return best;
+}
+
+// Always drives to the closest stop not visited yet
+function nearestNeighbourOrder(durations, stops) {
+    const order = [];
+    const remaining = stops.slice();
+    let current = 0;
+
+    while (remaining.length > 0) {
+        let nearest = 0;
+        remaining.forEach((stop, i) => {
+            if (durations[current][stop] < durations[current][remaining[nearest]]) {
+                nearest = i;
+            }
+        });
+
+        current = remaining.splice(nearest, 1)[0];
+        order.push(current);
+    }
+
+    return order;
+}
+
+// Reverses stretches of the tour for as long as that makes it faster
+function improveWithTwoOpt(durations, order) {
+    let best = order;
+    let bestDuration = tourDuration(durations, order);
+    let improved = true;
+
+    while (improved) {
+        improved = false;
+
+        for (let i = 0; i < best.length - 1; i++) {
+            for (let j = i + 1; j < best.length; j++) {
+                const candidate = best.slice(0, i)
+                    .concat(best.slice(i, j + 1).reverse())
+                    .concat(best.slice(j + 1));
+                const duration = tourDuration(durations, candidate);
+
+                if (duration < bestDuration) {
+                    best = candidate;
+                    bestDuration = duration;
+                    improved = true;
+                }
+            }
+        }
+    }
+
+    return best;
+}
+
+// ----- PLAN PICKUP ORDER -----
+// Resolves to { order, estimated }: order lists indices into stops
+// (latlngs) in the order the driver should visit them. routing is the
+// routing configuration to ask, APP_CONFIG.routing unless given.
+
+function planPickupOrder(start, stops, mode, routing) {
+    if (stops.length <= 1) {
+        return Promise.resolve({ order: stops.map((stop, i) => i), estimated: false });
+    }
+
+    return fetchDurationMatrix([start].concat(stops), mode, routing)
+        .then(function(matrix) {
+            return {
+                // Matrix index 1 is stops[0]
+                order: solveStopOrder(matrix.durations).map(index => index - 1),
+                estimated: matrix.estimated
+            };
+        });
+}
+
+// ----- WAYPOINT ARRIVAL TIMES -----
+// Seconds from the start of a route to each of its waypoints after the
+// first, adding up the instruction times before that waypoint
+
+function waypointArrivalTimes(route) {
+    if (!route.waypointIndices) {
+        return [];
+    }
+
+    return route.waypointIndices.slice(1).map(coordinateIndex =>
+        route.instructions
+            .filter(instruction => instruction.index < coordinateIndex)
+            .reduce((total, instruction) => total + (instruction.time || 0), 0)
+    );
+}
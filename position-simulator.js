@@ -0,0 +1,313 @@
+/**
+ * POSITION SIMULATOR
+ * ==================
+ *
+ * A stand-in for navigator.geolocation that makes positions up, so
+ * routing, ETAs, navigation and arrival can be tried at a desk. It has
+ * the same getCurrentPosition / watchPosition / clearWatch methods, and
+ * the page uses it exactly like the real thing.
+ *
+ * Positions come from a track: points with a time offset. A track is
+ * either a route driven at a steady speed, or a recorded trace replayed
+ * with its original timing. Playback can be paused and sped up.
+ *
+ * Traces are read from GPX (track points with a <time>) or from the JSON
+ * the routing page writes when it records positions:
+ *
+ *     { "type": "position-trace", "points": [{ "lat": 51.04, "lng": -114.06, "accuracy": 8, "time": "2026-10-19T15:05:00.000Z" }] }
+ *
+ * A GPX file without times, such as an exported route, can still be
+ * driven at a steady speed.
+ */
+
+// ----- SIMULATOR -----
+// Events fired:
+// - play, pause
+// - position { position } for every simulated fix
+// - end once the end of the track is reached
+
+const PositionSimulator = L.Evented.extend({
+
+    initialize: function(options) {
+        this.options = L.extend({
+            // How often (in milliseconds) a fix is sent while playing
+            interval: 1000,
+            // Accuracy (meters) reported for points that don't have their own
+            accuracy: 5
+        }, options);
+
+        this.track = null; // [{ latlng, time, accuracy }], time in seconds from the start
+        this.clock = 0;    // Seconds into the track
+        this.speed = 1;    // Playback speed, 1 is real time
+
+        this._watchers = {};
+        this._nextWatchId = 1;
+        this._intervalId = null;
+        this._lastTick = 0;
+    },
+
+    // ----- tracks -----
+
+    // Drives along the coordinates at a steady speed
+    setRoute: function(coordinates, speedKmh) {
+        const metersPerSecond = speedKmh / 3.6;
+        let time = 0;
+
+        this._setTrack(coordinates.map((point, i) => {
+            if (i > 0) {
+                time += L.latLng(coordinates[i - 1]).distanceTo(point) / metersPerSecond;
+            }
+            return { latlng: L.latLng(point), time: time, accuracy: null };
+        }));
+    },
+
+    // Replays recorded points { latlng, time, accuracy } with their own
+    // timing. time is a Date or a timestamp in milliseconds.
+    setTrace: function(points) {
+        const start = new Date(points[0].time).getTime();
+
+        this._setTrack(points.map(point => ({
+            latlng: L.latLng(point.latlng),
+            time: (new Date(point.time).getTime() - start) / 1000,
+            accuracy: point.accuracy || null
+        })));
+    },
+
+    clear: function() {
+        this.pause();
+        this.track = null;
+        this.clock = 0;
+    },
+
+    hasTrack: function() {
+        return this.track !== null;
+    },
+
+    // Length of the track in seconds
+    getDuration: function() {
+        return this.track ? this.track[this.track.length - 1].time : 0;
+    },
+
+    // How much of the track has been played, from 0 to 1
+    getProgress: function() {
+        const duration = this.getDuration();
+        return duration > 0 ? this.clock / duration : 0;
+    },
+
+    // ----- playback -----
+
+    play: function() {
+        if (!this.track || this.isPlaying()) {
+            return;
+        }
+
+        // Played to the end: start over
+        if (this.clock >= this.getDuration()) {
+            this.clock = 0;
+        }
+
+        this._lastTick = Date.now();
+        this._intervalId = setInterval(this._tick.bind(this), this.options.interval);
+        this.fire('play');
+        this._broadcast();
+    },
+
+    pause: function() {
+        if (!this.isPlaying()) {
+            return;
+        }
+
+        clearInterval(this._intervalId);
+        this._intervalId = null;
+        this.fire('pause');
+    },
+
+    isPlaying: function() {
+        return this._intervalId !== null;
+    },
+
+    setSpeed: function(speed) {
+        this.speed = speed;
+    },
+
+    // ----- geolocation API -----
+    // Answers come asynchronously, like the browser's
+
+    getCurrentPosition: function(success, error) {
+        setTimeout(() => {
+            if (this.track) {
+                success(this._position());
+            } else if (error) {
+                error(simulatorError("Nothing to simulate"));
+            }
+        }, 0);
+    },
+
+    watchPosition: function(success, error) {
+        const id = this._nextWatchId++;
+        this._watchers[id] = { success: success, error: error };
+
+        // Like a GPS, the first fix comes right away; the others while playing
+        setTimeout(() => {
+            if (this._watchers[id] && this.track) {
+                success(this._position());
+            }
+        }, 0);
+
+        return id;
+    },
+
+    clearWatch: function(id) {
+        delete this._watchers[id];
+    },
+
+    // ----- internals -----
+
+    _setTrack: function(points) {
+        if (points.length === 0) {
+            throw new Error("A track needs at least one point");
+        }
+
+        this.pause();
+        this.track = points;
+        this.clock = 0;
+    },
+
+    _tick: function() {
+        const now = Date.now();
+        const duration = this.getDuration();
+
+        this.clock = Math.min(duration, this.clock + (now - this._lastTick) / 1000 * this.speed);
+        this._lastTick = now;
+        this._broadcast();
+
+        if (this.clock >= duration) {
+            this.pause();
+            this.fire('end');
+        }
+    },
+
+    _broadcast: function() {
+        const position = this._position();
+
+        Object.keys(this._watchers).forEach(id => {
+            this._watchers[id].success(position);
+        });
+        this.fire('position', { position: position });
+    },
+
+    // A fix shaped like the browser's GeolocationPosition, between the
+    // two track points around the clock
+    _position: function() {
+        const track = this.track;
+
+        let i = 0;
+        while (i < track.length - 1 && track[i + 1].time < this.clock) {
+            i++;
+        }
+
+        const a = track[i];
+        const b = track[Math.min(i + 1, track.length - 1)];
+        const span = b.time - a.time;
+        const fraction = span > 0 ? Math.max(0, Math.min(1, (this.clock - a.time) / span)) : 0;
+
+        return {
+            coords: {
+                latitude: a.latlng.lat + fraction * (b.latlng.lat - a.latlng.lat),
+                longitude: a.latlng.lng + fraction * (b.latlng.lng - a.latlng.lng),
+                accuracy: a.accuracy || this.options.accuracy,
+                altitude: null,
+                altitudeAccuracy: null,
+                heading: null,
+                speed: span > 0 ? a.latlng.distanceTo(b.latlng) / span : 0
+            },
+            timestamp: Date.now()
+        };
+    }
+});
+
+// Shaped like the browser's GeolocationPositionError
+function simulatorError(message) {
+    return { code: 2, message: message, PERMISSION_DENIED: 1, POSITION_UNAVAILABLE: 2, TIMEOUT: 3 };
+}
+
+// ----- READ TRACES -----
+// Returns { points, timed }: points are { latlng, time, accuracy }, and
+// timed is false when some point has no time (drive it as a route then).
+// Throws when the file can't be used.
+
+function parseTrace(text) {
+    const trimmed = text.trim();
+    const points = trimmed.startsWith('<') ? parseGpxTrace(trimmed) : parseJsonTrace(trimmed);
+
+    if (points.length < 2) {
+        throw new Error(t('simulation.traceTooShort'));
+    }
+
+    if (points.some(point => point.time !== null && isNaN(point.time.getTime()))) {
+        throw new Error(t('simulation.traceUnreadable'));
+    }
+
+    return { points: points, timed: points.every(point => point.time !== null) };
+}
+
+function parseGpxTrace(text) {
+    const doc = new DOMParser().parseFromString(text, 'application/xml');
+    if (doc.getElementsByTagName('parsererror').length > 0) {
+        throw new Error(t('simulation.traceUnreadable'));
+    }
+
+    // Track points are what a GPS logs; an exported route also has them,
+    // a plain route only has route points
+    let nodes = Array.from(doc.getElementsByTagName('trkpt'));
+    if (nodes.length === 0) {
+        nodes = Array.from(doc.getElementsByTagName('rtept'));
+    }
+
+    return nodes.map(node => {
+        const time = node.getElementsByTagName('time')[0];
+        return {
+            latlng: traceLatLng(node.getAttribute('lat'), node.getAttribute('lon')),
+            time: time ? new Date(time.textContent.trim()) : null,
+            accuracy: null
+        };
+    });
+}
+
+function parseJsonTrace(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (error) {
+        throw new Error(t('simulation.traceUnreadable'));
+    }
+
+    const points = Array.isArray(data) ? data : data && data.points;
+    if (!Array.isArray(points)) {
+        throw new Error(t('simulation.traceUnreadable'));
+    }
+
+    return points.map(point => {
+        if (!point || typeof point !== 'object') {
+            throw new Error(t('simulation.traceUnreadable'));
+        }
+        return {
+            latlng: traceLatLng(point.lat, point.lng),
+            time: point.time !== undefined && point.time !== null ? new Date(point.time) : null,
+            accuracy: typeof point.accuracy === 'number' ? point.accuracy : null
+        };
+    });
+}
+
+// Checked before L.latLng, which throws its own error for bad numbers.
+// Missing values are caught first: Number(null) and Number('') are 0.
+function traceLatLng(lat, lng) {
+    const missing = value => value === null || value === undefined || String(value).trim() === '';
+    const latitude = Number(lat);
+    const longitude = Number(lng);
+
+    if (missing(lat) || missing(lng) || !Number.isFinite(latitude) || !Number.isFinite(longitude)) {
+        throw new Error(t('simulation.traceUnreadable'));
+    }
+    return L.latLng(latitude, longitude);
+}
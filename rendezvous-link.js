@@ -0,0 +1,80 @@
+/**
+ * RENDEZVOUS LINKS
+ * ================
+ *
+ * Keeps the important bits of the app's state in the page URL, so a
+ * rendezvous can be sent to someone else or bookmarked:
+ *
+ *     leaflet-routing-tutorial.html?role=driver&zone=city-hall-parkade&from=51.04000,-114.07000
+ *
+ * - role: 'driver' or 'passenger'
+ * - zone: the id of the parking zone chosen as the meeting point
+ * - to: a meeting point that is not a parking zone, as "lat,lng"
+ * - from: an optional start position, used instead of asking the browser
+ *
+ * Anything missing or not understood is left out, so a link that is
+ * half broken still opens the app.
+ */
+
+const LINK_ROLES = ['driver', 'passenger'];
+
+// ----- READ LINK -----
+// Returns { role, zoneId, meetingPoint, start } from a query string such
+// as location.search; each is null when the link doesn't set it
+
+function readRendezvousLink(search) {
+    const params = new URLSearchParams(search);
+    const role = params.get('role');
+
+    return {
+        role: LINK_ROLES.includes(role) ? role : null,
+        zoneId: params.get('zone') || null,
+        meetingPoint: parseLinkPosition(params.get('to')),
+        start: parseLinkPosition(params.get('from'))
+    };
+}
+
+// "51.04,-114.07" as a LatLng, or null
+function parseLinkPosition(text) {
+    const match = /^\s*(-?\d+(?:\.\d+)?)\s*,\s*(-?\d+(?:\.\d+)?)\s*$/.exec(text || '');
+    if (!match) {
+        return null;
+    }
+
+    const lat = Number(match[1]);
+    const lng = Number(match[2]);
+    if (Math.abs(lat) > 90 || Math.abs(lng) > 180) {
+        return null;
+    }
+    return L.latLng(lat, lng);
+}
+
+// ----- BUILD LINK -----
+// The page URL with the given state in its query string. Parameters
+// this module doesn't own are kept as they are.
+
+function buildRendezvousLink(pageUrl, state) {
+    const url = new URL(pageUrl);
+
+    ['role', 'zone', 'to', 'from'].forEach(name => url.searchParams.delete(name));
+
+    if (state.role) {
+        url.searchParams.set('role', state.role);
+    }
+    if (state.zoneId) {
+        url.searchParams.set('zone', state.zoneId);
+    } else if (state.meetingPoint) {
+        url.searchParams.set('to', formatLinkPosition(state.meetingPoint));
+    }
+    if (state.start) {
+        url.searchParams.set('from', formatLinkPosition(state.start));
+    }
+
+    url.hash = '';
+    return url.toString();
+}
+
+// Five decimals is about a meter
+function formatLinkPosition(latlng) {
+    return `${latlng.lat.toFixed(5)},${latlng.lng.toFixed(5)}`;
+}
@@ -0,0 +1,558 @@
+/**
+ * RENDEZVOUS MAP
+ * ==============
+ *
+ * What the routing page (leaflet-routing-tutorial.js) and the embeddable
+ * widget (navigation.js) have in common: how routes are drawn and
+ * followed, what to fall back on when the router fails, and the text of
+ * the ETA, the directions, the route cards, the zone popups, the
+ * departure times and the parking timer. Neither keeps its state here;
+ * they pass in what each function needs.
+ */
+
+// ----- ROUTE LINES -----
+
+// The selected route, in the color of the role
+function routeLineStyle(role) {
+    return { color: role === 'driver' ? '#3388ff' : '#32CD32', weight: 6, opacity: 0.7 };
+}
+
+// The other routes the router found, drawn underneath
+const ALTERNATIVE_ROUTE_STYLE = { color: '#666', weight: 5, opacity: 0.6, dashArray: '8, 8' };
+
+// Options for createRoutingControl(). onLine gets the line of the
+// selected route, so live tracking can trim it.
+function routeControlOptions(role, onLine) {
+    return {
+        lineOptions: {
+            styles: [routeLineStyle(role)],
+            addWaypoints: false,
+            // Live tracking trims the line, so skip the dashed connectors
+            extendToWaypoints: false
+        },
+        altLineOptions: {
+            styles: [ALTERNATIVE_ROUTE_STYLE],
+            extendToWaypoints: false
+        },
+        routeLine: function(route, options) {
+            const line = L.Routing.line(route, options);
+            if (!options.isAlternative) {
+                onLine(line);
+            }
+            return line;
+        },
+        routeWhileDragging: false,
+        showAlternatives: true,
+        // Instructions in the user's language and units
+        formatter: new L.Routing.Formatter({
+            language: getLanguage(),
+            units: getUnits(),
+            distanceTemplate: '{value} {unit}',
+            timeTemplate: '{time}'
+        })
+    };
+}
+
+// Replaces the points of a route line. Routing Machine lines are a group
+// of polylines (one per style), the straight-line route is a single one.
+function setRouteLineLatLngs(line, latlngs) {
+    if (!line) {
+        return;
+    }
+
+    if (line.eachLayer) {
+        line.eachLayer(layer => {
+            if (layer.setLatLngs) {
+                layer.setLatLngs(latlngs);
+            }
+        });
+    } else {
+        line.setLatLngs(latlngs);
+    }
+}
+
+// ----- FALLBACK ROUTES -----
+// For when the routing server fails: the bundled street graph if
+// routing.offlineFallback allows it, a straight line otherwise or when
+// the street graph fails too. Resolves with { route, approximate,
+// offlineError }: approximate for the straight line, and offlineError
+// the reason the street graph couldn't help (null if it wasn't asked).
+
+function findFallbackRoute(waypoints, mode, routing, avoid) {
+    const straightLine = error => ({
+        route: createStraightLineRoute(waypoints, mode),
+        approximate: true,
+        offlineError: error
+    });
+
+    if (!routing.offlineFallback) {
+        return Promise.resolve(straightLine(null));
+    }
+
+    return routeOnLocalGraph(waypoints, mode, avoid, routing).then(
+        route => ({ route: route, approximate: false, offlineError: null }),
+        straightLine
+    );
+}
+
+// Draws a fallback route like a router's, so live tracking can trim it.
+// The straight line is dashed: it is only an estimate.
+function createFallbackRouteLine(result, role) {
+    const style = routeLineStyle(role);
+
+    if (result.approximate) {
+        return L.polyline(result.route.coordinates, L.extend({ dashArray: '10, 10' }, style));
+    }
+    return L.Routing.line(result.route, {
+        styles: [style],
+        addWaypoints: false,
+        extendToWaypoints: false
+    });
+}
+
+// Straight from each point to the next, at 30 km/h by car and 5 km/h on
+// foot, with one instruction per stretch
+function createStraightLineRoute(waypoints, mode) {
+    const points = waypoints.map(point => L.latLng(point.lat, point.lng));
+    const speed = mode === 'car' ? 30 : 5; // km/h
+
+    const instructions = [{ type: "Head", text: t('instruction.start'), distance: 0, time: 0, index: 0 }];
+    let totalDistance = 0;
+    let totalTime = 0;
+
+    for (let i = 1; i < points.length; i++) {
+        const distance = points[i - 1].distanceTo(points[i]);
+        const time = (distance / 1000 / speed) * 3600;
+        const isLast = i === points.length - 1;
+
+        let text;
+        if (isLast) {
+            text = mode === 'car' ? t('instruction.driveToDestination') : t('instruction.walkToDestination');
+        } else {
+            text = t('instruction.driveToStop', { number: i });
+        }
+
+        instructions.push({ type: "WayPoint", text: text, distance: Math.round(distance), time: Math.round(time), index: i - 1 });
+
+        if (!isLast) {
+            instructions.push({
+                type: "WaypointReached",
+                text: t('instruction.stopNumberReached', { number: i }),
+                distance: 0,
+                time: 0,
+                index: i
+            });
+        }
+
+        totalDistance += distance;
+        totalTime += time;
+    }
+
+    // The end of the straight line
+    instructions.push({ type: "DestinationReached", text: t('instruction.arrived'), distance: 0, time: 0, index: points.length - 1 });
+
+    return {
+        coordinates: points,
+        waypointIndices: points.map((point, i) => i),
+        summary: { totalDistance: totalDistance, totalTime: totalTime },
+        instructions: instructions
+    };
+}
+
+// ----- ROUTE PROGRESS -----
+// Follows positions along a route. Positions off the route count towards
+// a reroute, but a single stray fix is not enough, and a new route is
+// never asked for more often than APP_CONFIG.tracking.rerouteMinInterval.
+
+const RouteProgress = L.Class.extend({
+
+    initialize: function() {
+        this.offRouteCount = 0; // Positions in a row that were off the route
+        this.lastRerouteTime = 0;
+    },
+
+    reset: function() {
+        this.offRouteCount = 0;
+    },
+
+    // Null when the position can't be placed on the route. Off the route:
+    // { offRoute: true, distance, count, reroute }, where reroute means
+    // it is time for a new route (and counts as asked for). On it:
+    // { offRoute: false, remaining, remainingTime }, the part still
+    // ahead and the seconds it should take.
+    update: function(route, latlng, accuracy) {
+        const options = APP_CONFIG.tracking;
+        const closest = closestPointOnRoute(latlng, route.coordinates);
+
+        if (!closest) {
+            return null;
+        }
+
+        // A fix that is off by 30 m can't tell us we are 30 m off the
+        // route, so the allowed distance grows with the reported accuracy
+        if (closest.distance > Math.max(options.offRouteDistance, accuracy || 0)) {
+            const count = ++this.offRouteCount;
+            const reroute = count >= options.offRouteConfirmations &&
+                Date.now() - this.lastRerouteTime >= options.rerouteMinInterval;
+
+            if (reroute) {
+                this.lastRerouteTime = Date.now();
+                this.offRouteCount = 0;
+            }
+            return { offRoute: true, distance: closest.distance, count: count, reroute: reroute };
+        }
+
+        this.offRouteCount = 0;
+
+        // Scale the router's time estimate by the share of distance left
+        const remaining = remainingRoute(route.coordinates, closest);
+        const summary = route.summary;
+        const remainingTime = summary.totalDistance > 0 ?
+            summary.totalTime * (routeLength(remaining) / summary.totalDistance) :
+            0;
+
+        return { offRoute: false, remaining: remaining, remainingTime: remainingTime };
+    }
+});
+
+// ----- ETA AND COST -----
+
+// "5:42 p.m. (12 min)"
+function describeEta(arrival, duration) {
+    return t('eta.summary', { time: formatClockTime(arrival), duration: formatDuration(duration) });
+}
+
+// What parking in the zone costs for the stay, from the arrival: "$5.00
+// for 2 h". Null without a zone, or for a zone without rates.
+function describeStayCost(zone, arrival, stayMinutes) {
+    if (!zone || !zone.rates) {
+        return null;
+    }
+
+    const cost = estimateParkingCost(zone.rates, arrival, stayMinutes);
+    return t('cost.forStay', { cost: formatCost(cost, zone.rates.currency), stay: formatStayLength(stayMinutes) });
+}
+
+// The status line once the user and the meeting point are known: the
+// countdown to the departure while there is time to spare, the ETA
+// otherwise. eta is the text from describeEta(), or null; departure
+// comes from planDepartures(), or is null.
+function describeTripStatus(role, eta, departure, target) {
+    if (departure && departure.slack >= 0) {
+        return t(departure.slack < 60 ? 'status.leaveNow' : 'status.leaveBy', {
+            time: formatClockTime(departure.leaveBy),
+            duration: formatDuration(departure.slack),
+            target: formatClockTime(target)
+        });
+    }
+
+    const walking = role !== 'driver';
+    if (eta) {
+        return t(walking ? 'status.walkEta' : 'status.driveEta', { eta: eta });
+    }
+    return t(walking ? 'status.walk' : 'status.drive');
+}
+
+// ----- DIRECTIONS -----
+// The directions panel: the ETA, the arrival at each pickup stop, the
+// parking cost and the steps. eta and cost are ready-made text (or
+// null); the instructions come from the router, whose street names may
+// have markup in them.
+
+function directionsHtml(eta, stopArrivals, cost, instructions) {
+    let html = '';
+
+    if (eta) {
+        html += `<div class="eta-info">
+            <h4>${t('directions.estimatedArrival')}</h4>
+            <div class="eta-time">${eta}</div>
+        </div>`;
+    }
+
+    if (stopArrivals.length > 0) {
+        html += `<div class="eta-info"><h4>${t('directions.pickupStops')}</h4><ol class="stop-etas">`;
+        stopArrivals.forEach(arrival => {
+            html += `<li>${t('directions.stopArrival', {
+                name: escapeHtml(arrival.name),
+                time: arrival.clock,
+                duration: arrival.duration
+            })}</li>`;
+        });
+        html += '</ol></div>';
+    }
+
+    if (cost) {
+        html += `<div class="eta-info">
+            <h4>${t('directions.parkingCost')}</h4>
+            <div class="parking-cost">${cost}</div>
+        </div>`;
+    }
+
+    html += `<h4>${t('directions.title')}</h4><ul class="directions-list">`;
+    instructions.forEach((instruction, i) => {
+        html += `
+            <li class="direction-step" data-step="${i}">
+                <div class="direction-icon">
+                    ${getDirectionIcon(instruction.type)}
+                </div>
+                <div class="direction-text">
+                    <span class="instruction">${escapeHtml(instruction.text)}</span>
+                    <span class="distance">${formatDistance(instruction.distance)} • ${formatDuration(instruction.time)}</span>
+                </div>
+            </li>
+        `;
+    });
+    html += '</ul>';
+
+    return html;
+}
+
+// ----- ROUTE ALTERNATIVES -----
+// One card per route the router found, to compare them at a glance.
+// onSelect gets the index of the route whose card was clicked.
+
+function renderRouteCards(container, routes, selectedRoute, onSelect) {
+    // A single route has nothing to compare with
+    if (routes.length < 2) {
+        container.innerHTML = '';
+        return;
+    }
+
+    const fastest = Math.min(...routes.map(route => route.summary.totalTime));
+    const now = Date.now();
+
+    let html = `<h4>${t('routes.title')}</h4>`;
+    routes.forEach((route, i) => {
+        const summary = route.summary;
+        const extraTime = summary.totalTime - fastest;
+        const arrival = new Date(now + summary.totalTime * 1000);
+        const selected = route === selectedRoute;
+
+        html += `<button class="route-card${selected ? ' selected' : ''}" data-index="${i}" aria-pressed="${selected}">
+            <span class="route-card-title">${escapeHtml(route.name || t('routes.name', { number: i + 1 }))}</span>
+            <span class="route-card-delay">${extraTime >= 30 ? t('routes.slower', { duration: formatDuration(extraTime) }) : t('routes.fastest')}</span>
+            <span class="route-card-details">${t('routes.details', {
+                duration: formatDuration(summary.totalTime),
+                distance: formatDistance(summary.totalDistance),
+                time: formatClockTime(arrival)
+            })}</span>
+        </button>`;
+    });
+
+    container.innerHTML = html;
+    container.querySelectorAll('.route-card').forEach(card => {
+        card.addEventListener('click', () => onSelect(Number(card.dataset.index)));
+    });
+}
+
+// ----- PICKUP STOPS -----
+// A stop is { latlng, name, visited }. The last stop of a trip is the
+// meeting point itself.
+
+function createStopIcon(number, visited) {
+    return L.divIcon({
+        className: 'stop-marker',
+        html: `<div class="stop-marker-label${visited ? ' visited' : ''}">${number}</div>`,
+        iconSize: [24, 24]
+    });
+}
+
+// The next stop, when latlng is close enough to tick it off. stops are
+// the ones still ahead; the last is the arrival, not a pickup.
+function reachedPickupStop(stops, latlng) {
+    const next = stops.length > 1 ? stops[0] : null;
+    return next && latlng.distanceTo(next.latlng) <= APP_CONFIG.pickups.stopRadius ? next : null;
+}
+
+// When the route gets to each of the stops still ahead: [{ name, clock,
+// duration }]. Empty when there is only the meeting point.
+function describeStopArrivals(route, stops) {
+    const times = waypointArrivalTimes(route);
+
+    if (stops.length < 2 || times.length !== stops.length) {
+        return [];
+    }
+
+    const now = Date.now();
+    return stops.map((stop, i) => ({
+        name: stop.name,
+        clock: formatClockTime(new Date(now + times[i] * 1000)),
+        duration: formatDuration(times[i])
+    }));
+}
+
+// ----- DEPARTURES -----
+
+// "You: leave by 5:40 p.m., in 12 min"
+function describeDeparture(role, departure, ownRole) {
+    const who = role === ownRole ? t('eta.you') : roleLabel(role);
+
+    if (!departure) {
+        return t('departure.unknown', { who: who });
+    }
+
+    const time = formatClockTime(departure.leaveBy);
+    if (departure.slack < 0) {
+        return t('departure.late', { who: who, time: time });
+    }
+    if (departure.slack < 60) {
+        return t('departure.leaveNow', { who: who, time: time });
+    }
+    return t('departure.leaveBy', { who: who, time: time, duration: formatDuration(departure.slack) });
+}
+
+// The departure list items for a plan, ours first, then the buffer
+function departureTimesHtml(plan, ownRole) {
+    const roles = [ownRole].concat(Object.keys(plan.departures).filter(role => role !== ownRole));
+
+    return roles.map(role =>
+        `<li>${escapeHtml(describeDeparture(role, plan.departures[role], ownRole))}</li>`
+    ).join('') + `<li class="departure-buffer">${t('departure.buffer', { duration: formatStayLength(APP_CONFIG.departure.bufferMinutes) })}</li>`;
+}
+
+// 'impossible' when the target can't be made any more, 'go' when it is
+// time for the role to leave, null otherwise
+function departureAdvice(plan, role) {
+    const own = plan ? plan.departures[role] : null;
+
+    if (plan && !plan.feasible) {
+        return 'impossible';
+    }
+    return own && own.slack <= APP_CONFIG.departure.warnBeforeMinutes * 60 ? 'go' : null;
+}
+
+// Changes only when the advice does. Like the occupancy alert, the
+// departure alert is only redrawn then, so screen readers hear it once.
+function departureAdviceKey(advice, target, plan) {
+    return advice ? `${advice}|${target.getTime()}|${advice === 'impossible' ? plan.earliest.getTime() : ''}` : null;
+}
+
+// onUseEarliest moves the target to the earliest time both can make
+function renderDepartureAlert(element, advice, target, plan, onUseEarliest) {
+    if (!advice) {
+        element.innerHTML = '';
+        return;
+    }
+
+    const time = formatClockTime(target);
+
+    if (advice === 'go') {
+        element.innerHTML = `<p>${t('departure.timeToGo', { time: time })}</p>`;
+        return;
+    }
+
+    const earliest = formatClockTime(plan.earliest);
+    element.innerHTML = `
+        <p>${t('departure.impossible', { time: time, earliest: earliest })}</p>
+        <button type="button">${t('departure.useEarliest', { time: earliest })}</button>
+    `;
+    element.querySelector('button').addEventListener('click', () => onUseEarliest(plan.earliest));
+}
+
+// ----- PARKING TIMER -----
+
+// The lines of the timer panel: { parkedAt, elapsed, cost, endsAt }
+function describeParkingTimer(timer) {
+    const place = timer.place;
+    const cost = timer.getCost();
+    const endTime = formatClockTime(timer.getEndTime());
+
+    return {
+        parkedAt: t('timer.parkedAt', { name: place.name, time: formatClockTime(timer.startedAt) }),
+        elapsed: formatElapsedTime(timer.getElapsed()),
+        cost: cost === null ?
+            t('suggest.costUnknown') :
+            t('timer.cost', { cost: formatCost(cost, place.rates.currency) }),
+        endsAt: timer.getRemaining() > 0 ?
+            t('timer.endsAt', { time: endTime }) :
+            t('timer.overSince', { time: endTime })
+    };
+}
+
+// For the timer's 'warning' event, or once the stay is over without one
+function describeParkingWarning(timer, e) {
+    if (!e) {
+        return t('timer.expired', { name: timer.place.name });
+    }
+    return t('timer.warning', {
+        name: timer.place.name,
+        duration: formatDuration(Math.ceil(Math.max(0, e.remaining) / 60) * 60),
+        time: formatClockTime(timer.getEndTime())
+    });
+}
+
+// ----- ZONE POPUPS -----
+// buttons go at the bottom: [{ className, label }], label being the
+// translation key. The text is filled in by fillZonePopup(), which runs
+// again when the language changes.
+
+function createZonePopup(zone, buttons) {
+    const popup = document.createElement('div');
+    popup.className = 'popup-content';
+    popup.innerHTML = `
+        <h3>${escapeHtml(zone.name)}</h3>
+        <p class="zone-capacity"></p>
+        <p class="zone-occupancy"></p>
+        <p class="zone-rate"></p>
+        <ul class="zone-amenities"></ul>
+        <p class="zone-unusable"></p>
+    ` + buttons.map(button => `<button class="${button.className}" data-i18n="${button.label}"></button>`).join('');
+
+    return popup;
+}
+
+// reading is the zone's occupancy (or null), unusable why the vehicle
+// can't park there (or null)
+function fillZonePopup(popup, zone, reading, unusable) {
+    popup.querySelector('.zone-capacity').textContent = t('zone.capacity', { capacity: formatNumber(zone.capacity) });
+    popup.querySelector('.zone-rate').textContent = t('zone.rate', { rate: zone.hourlyRate });
+    popup.querySelector('.zone-occupancy').textContent = describeOccupancy(reading);
+    popup.querySelector('.zone-amenities').innerHTML = describeZoneAmenities(zone.amenities)
+        .map(line => `<li><span class="amenity-icon" aria-hidden="true">${line.icon}</span> ${escapeHtml(line.text)}</li>`)
+        .join('');
+    popup.querySelector('.zone-unusable').textContent = unusable || '';
+
+    translatePage(popup);
+}
+
+// ----- ZONE USABILITY -----
+// Checks every zone against the vehicle (null for none), arriving at
+// arrivalFor(zone). Returns { usability, key }: usability maps zone ids
+// to { reasons, arrival }, and key only changes when the outcome does,
+// so the map and lists need not be redrawn with every new ETA.
+
+function checkZoneUsability(zones, vehicle, arrivalFor) {
+    const usability = {};
+    zones.forEach(zone => {
+        const arrival = arrivalFor(zone);
+        usability[zone.id] = { reasons: checkZoneForVehicle(zone, vehicle, arrival), arrival: arrival };
+    });
+
+    // A closed zone says when the driver would get there, to the minute
+    const key = zones.map(zone => {
+        const entry = usability[zone.id];
+        const closedAt = entry.reasons.includes('closed') ? `@${Math.floor(entry.arrival.getTime() / 60000)}` : '';
+        return `${zone.id}:${entry.reasons.join(',')}${closedAt}`;
+    }).join('|');
+
+    return { usability: usability, key: key };
+}
+
+// entry is the zone's from checkZoneUsability(), or undefined before it ran
+function isZoneUsable(entry) {
+    return !entry || entry.reasons.length === 0;
+}
+
+// Why the driver can't park in the zone, or null when they can
+function describeUnusableZone(zone, entry) {
+    if (isZoneUsable(entry)) {
+        return null;
+    }
+    return entry.reasons.map(reason => describeUnusableReason(reason, zone, entry.arrival)).join(' • ');
+}
+
+function zoneUsabilityStyle(usable) {
+    return usable ?
+        { opacity: 1, fillOpacity: 0.5, dashArray: null } :
+        { opacity: 0.4, fillOpacity: 0.15, dashArray: '4, 6' };
+}
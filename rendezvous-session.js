@@ -0,0 +1,380 @@
+/**
+ * RENDEZVOUS SESSION
+ * ==================
+ *
+ * Lets a driver and a passenger share one rendezvous. One side creates
+ * a session and gets a short code, the other side joins with that code.
+ * From then on both sides see each other's position and the chosen
+ * meeting point.
+ *
+ * The messages travel over a pluggable transport:
+ * - 'broadcast': BroadcastChannel, for testing with two tabs of the same browser
+ * - 'websocket': a WebSocket connection to the relay in server/relay-server.js
+ *
+ * A transport only has to offer open(code, onMessage, identity, onDrop),
+ * send(message) and close(). onDrop is called when the connection is
+ * lost without close() being called. Everything else (who joined, what
+ * to resend) lives in the session.
+ *
+ * Messages are plain objects with a type, the sender's id and role:
+ * - join / welcome: the handshake when the second party arrives
+ * - position: the sender's current location
+ * - meeting-point: the sender picked a meeting point
+ * - meeting-time: the sender set (or cleared) the time to meet
+ * - arrived: the sender reached the meeting point
+ * - leave: the sender left the session
+ */
+
+// Letters and digits that can't be confused with each other when read aloud
+const SESSION_CODE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+const SESSION_CODE_LENGTH = 6;
+
+// ----- SESSION CODES -----
+
+function generateSessionCode() {
+    const values = new Uint32Array(SESSION_CODE_LENGTH);
+    crypto.getRandomValues(values);
+
+    let code = '';
+    values.forEach(value => {
+        code += SESSION_CODE_ALPHABET[value % SESSION_CODE_ALPHABET.length];
+    });
+    return code;
+}
+
+// Tidies up what the user typed: "abc 123" becomes "ABC123"
+function normalizeSessionCode(code) {
+    return String(code || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+}
+
+// ----- TRANSPORTS -----
+
+// Picks the transport named in the configuration
+function createSessionTransport(config) {
+    if (config.transport === 'websocket') {
+        return createWebSocketTransport(config.relayUrl);
+    }
+    return createBroadcastTransport();
+}
+
+// BroadcastChannel: every tab of this browser on the same code shares a channel
+function createBroadcastTransport() {
+    let channel = null;
+
+    return {
+        open: function(code, onMessage) {
+            if (typeof BroadcastChannel === 'undefined') {
+                return Promise.reject(new Error("This browser does not support BroadcastChannel"));
+            }
+
+            channel = new BroadcastChannel(`parking-rendezvous-${code}`);
+            channel.onmessage = function(event) {
+                onMessage(event.data);
+            };
+            return Promise.resolve();
+        },
+        send: function(message) {
+            if (channel) {
+                channel.postMessage(message);
+            }
+        },
+        close: function() {
+            if (channel) {
+                channel.close();
+                channel = null;
+            }
+        }
+    };
+}
+
+// WebSocket: the relay server forwards messages to the others in the same room
+function createWebSocketTransport(url) {
+    let socket = null;
+
+    return {
+        open: function(code, onMessage, identity, onDrop) {
+            return new Promise(function(resolve, reject) {
+                const connection = new WebSocket(url);
+                let wasOpen = false;
+                socket = connection;
+
+                connection.onopen = function() {
+                    wasOpen = true;
+
+                    // Tell the relay which room we are in, and who we are so
+                    // it can announce us as gone if the connection drops
+                    connection.send(JSON.stringify({
+                        type: 'subscribe',
+                        room: code,
+                        from: identity.clientId,
+                        role: identity.role
+                    }));
+                    resolve();
+                };
+
+                connection.onerror = function() {
+                    reject(new Error(`Could not connect to the relay at ${url}`));
+                };
+
+                // The relay went away or closed us. close() clears socket
+                // first, and a failed connect is reported by onerror.
+                connection.onclose = function() {
+                    if (socket === connection) {
+                        socket = null;
+                        if (wasOpen) {
+                            onDrop();
+                        }
+                    }
+                };
+
+                connection.onmessage = function(event) {
+                    try {
+                        onMessage(JSON.parse(event.data));
+                    } catch (error) {
+                        console.warn("Ignoring malformed relay message:", event.data);
+                    }
+                };
+            });
+        },
+        send: function(message) {
+            if (socket && socket.readyState === WebSocket.OPEN) {
+                socket.send(JSON.stringify(message));
+            }
+        },
+        close: function() {
+            if (socket) {
+                const closing = socket;
+                socket = null;
+                closing.close();
+            }
+        }
+    };
+}
+
+// ----- SESSION -----
+// Events fired:
+// - partnerjoined { role }
+// - partnerposition { role, latlng, accuracy }
+// - meetingpoint { latlng, name }
+// - meetingtime { time } a Date, or null when cleared
+// - partnerarrived { role, name } the other party reached the meeting point
+// - partnerleft { role }
+// - disconnect: the connection was lost, and the session with it
+
+const RendezvousSession = L.Evented.extend({
+
+    initialize: function(transport, role, options) {
+        this.transport = transport;
+        this.role = role;
+        this.options = L.extend({ joinTimeout: 5000 }, options);
+
+        this.clientId = generateSessionCode() + generateSessionCode();
+        this.code = null;
+        this.partner = null;
+
+        // Last values we sent, so a partner joining later can catch up
+        this.lastPosition = null;
+        this.meetingPoint = null;
+        this.meetingTime = null;
+    },
+
+    // Starts a new session and returns its code
+    create: function() {
+        const code = generateSessionCode();
+
+        return this._open(code).then(() => {
+            console.log(`Rendezvous session ${code} created`);
+            return code;
+        });
+    },
+
+    // Joins an existing session. Fails if nobody answers within the timeout.
+    join: function(rawCode) {
+        const code = normalizeSessionCode(rawCode);
+
+        if (code.length !== SESSION_CODE_LENGTH) {
+            return Promise.reject(new Error(t('session.codeLength', { length: SESSION_CODE_LENGTH })));
+        }
+
+        return this._open(code).then(() => {
+            return new Promise((resolve, reject) => {
+                const timer = setTimeout(() => {
+                    this.off('partnerjoined', onJoined);
+                    this.leave();
+                    reject(new Error(t('session.notFound', { code: code })));
+                }, this.options.joinTimeout);
+
+                const onJoined = function() {
+                    clearTimeout(timer);
+                    console.log(`Joined rendezvous session ${code}`);
+                    resolve(code);
+                };
+
+                this.once('partnerjoined', onJoined);
+                this._send({ type: 'join' });
+            });
+        });
+    },
+
+    // Leaves the session and closes the transport
+    leave: function() {
+        if (!this.code) {
+            return;
+        }
+
+        this._send({ type: 'leave' });
+        this.transport.close();
+
+        console.log(`Left rendezvous session ${this.code}`);
+        this.code = null;
+        this.partner = null;
+    },
+
+    isActive: function() {
+        return this.code !== null;
+    },
+
+    setRole: function(role) {
+        this.role = role;
+        if (this.lastPosition) {
+            this.sendPosition(this.lastPosition.latlng, this.lastPosition.accuracy);
+        }
+    },
+
+    sendPosition: function(latlng, accuracy) {
+        this.lastPosition = { latlng: L.latLng(latlng), accuracy: accuracy || null };
+        this._send({
+            type: 'position',
+            lat: latlng.lat,
+            lng: latlng.lng,
+            accuracy: accuracy || null
+        });
+    },
+
+    sendMeetingPoint: function(latlng, name) {
+        this.meetingPoint = { latlng: L.latLng(latlng), name: name };
+        this._send({
+            type: 'meeting-point',
+            lat: latlng.lat,
+            lng: latlng.lng,
+            name: name
+        });
+    },
+
+    sendMeetingTime: function(time) {
+        this.meetingTime = time;
+        this._send({
+            type: 'meeting-time',
+            time: time ? time.toISOString() : null
+        });
+    },
+
+    sendArrival: function(name) {
+        this._send({ type: 'arrived', name: name });
+    },
+
+    // ----- internals -----
+
+    _open: function(code) {
+        this.leave();
+        this.code = code;
+
+        const identity = { clientId: this.clientId, role: this.role };
+        return this.transport.open(code, this._receive.bind(this), identity, this._dropped.bind(this)).catch(error => {
+            this.code = null;
+            throw error;
+        });
+    },
+
+    _send: function(message) {
+        if (!this.code) {
+            return;
+        }
+        this.transport.send(L.extend({ from: this.clientId, role: this.role }, message));
+    },
+
+    _receive: function(message) {
+        if (!message || message.from === this.clientId) {
+            return;
+        }
+
+        switch (message.type) {
+            case 'join':
+                // Someone arrived: greet them and bring them up to date
+                this._setPartner(message.role);
+                this._send({ type: 'welcome' });
+                this._resendState(true);
+                break;
+
+            case 'welcome':
+                // The creator's meeting point wins, so the joiner only
+                // shares its position
+                this._setPartner(message.role);
+                this._resendState(false);
+                break;
+
+            case 'position':
+                this.partner = this.partner || { role: message.role };
+                this.partner.role = message.role;
+                this.fire('partnerposition', {
+                    role: message.role,
+                    latlng: L.latLng(message.lat, message.lng),
+                    accuracy: message.accuracy
+                });
+                break;
+
+            case 'meeting-point':
+                this.meetingPoint = { latlng: L.latLng(message.lat, message.lng), name: message.name };
+                this.fire('meetingpoint', {
+                    latlng: this.meetingPoint.latlng,
+                    name: message.name
+                });
+                break;
+
+            case 'meeting-time':
+                this.meetingTime = message.time ? new Date(message.time) : null;
+                this.fire('meetingtime', { time: this.meetingTime });
+                break;
+
+            case 'arrived':
+                this.fire('partnerarrived', { role: message.role, name: message.name });
+                break;
+
+            case 'leave':
+                this.partner = null;
+                this.fire('partnerleft', { role: message.role });
+                break;
+
+            default:
+                console.warn("Unknown session message:", message);
+        }
+    },
+
+    _dropped: function() {
+        if (!this.code) {
+            return;
+        }
+
+        console.warn(`Lost the connection to rendezvous session ${this.code}`);
+        this.code = null;
+        this.partner = null;
+        this.fire('disconnect');
+    },
+
+    _setPartner: function(role) {
+        this.partner = { role: role };
+        this.fire('partnerjoined', { role: role });
+    },
+
+    _resendState: function(includeMeetingPoint) {
+        if (this.lastPosition) {
+            this.sendPosition(this.lastPosition.latlng, this.lastPosition.accuracy);
+        }
+        if (includeMeetingPoint && this.meetingPoint) {
+            this.sendMeetingPoint(this.meetingPoint.latlng, this.meetingPoint.name);
+        }
+        if (includeMeetingPoint && this.meetingTime) {
+            this.sendMeetingTime(this.meetingTime);
+        }
+    }
+});
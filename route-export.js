@@ -0,0 +1,177 @@
+/**
+ * ROUTE EXPORT
+ * ============
+ *
+ * Saves a route and its turn-by-turn instructions in formats other
+ * navigation apps can open:
+ *
+ * - GPX 1.1: a <rte> with one point per instruction, plus a <trk> with
+ *   the full route line
+ * - GeoJSON: a LineString for the route and a Point per instruction
+ *
+ * Routes are the usual Leaflet Routing Machine routes: coordinates,
+ * instructions whose index points at a coordinate, and a summary.
+ *
+ * Recorded positions are saved the same two ways, as a GPX track with a
+ * time per point or as the JSON trace the position simulator replays.
+ */
+
+const EXPORT_CREATOR = 'Parking Rendezvous';
+
+// ----- GPX -----
+
+function routeToGpx(route, name) {
+    const coordinates = route.coordinates.map(point => L.latLng(point));
+    const point = latlng => `lat="${latlng.lat.toFixed(6)}" lon="${latlng.lng.toFixed(6)}"`;
+
+    const lines = [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        `<gpx version="1.1" creator="${escapeHtml(EXPORT_CREATOR)}" xmlns="http://www.topografix.com/GPX/1/1">`,
+        '  <metadata>',
+        `    <name>${escapeHtml(name)}</name>`,
+        `    <time>${new Date().toISOString()}</time>`,
+        '  </metadata>',
+        '  <rte>',
+        `    <name>${escapeHtml(name)}</name>`
+    ];
+
+    route.instructions.forEach(instruction => {
+        lines.push(`    <rtept ${point(instructionLatLng(route, instruction))}>`);
+        lines.push(`      <name>${escapeHtml(instruction.text)}</name>`);
+        lines.push(`      <desc>${escapeHtml(describeInstructionLeg(instruction))}</desc>`);
+        if (instruction.type) {
+            lines.push(`      <type>${escapeHtml(instruction.type)}</type>`);
+        }
+        lines.push('    </rtept>');
+    });
+
+    lines.push('  </rte>');
+    lines.push('  <trk>');
+    lines.push(`    <name>${escapeHtml(name)}</name>`);
+    lines.push('    <trkseg>');
+    coordinates.forEach(latlng => {
+        lines.push(`      <trkpt ${point(latlng)}/>`);
+    });
+    lines.push('    </trkseg>');
+    lines.push('  </trk>');
+    lines.push('</gpx>');
+
+    return lines.join('\n') + '\n';
+}
+
+// ----- GEOJSON -----
+
+function routeToGeoJson(route, name) {
+    const position = latlng => [roundCoordinate(latlng.lng), roundCoordinate(latlng.lat)];
+
+    const line = {
+        type: 'Feature',
+        geometry: {
+            type: 'LineString',
+            coordinates: route.coordinates.map(point => position(L.latLng(point)))
+        },
+        properties: {
+            name: name,
+            distance: Math.round(route.summary.totalDistance),
+            duration: Math.round(route.summary.totalTime)
+        }
+    };
+
+    const steps = route.instructions.map((instruction, i) => ({
+        type: 'Feature',
+        geometry: {
+            type: 'Point',
+            coordinates: position(instructionLatLng(route, instruction))
+        },
+        properties: {
+            step: i + 1,
+            text: instruction.text,
+            type: instruction.type || null,
+            distance: Math.round(instruction.distance || 0),
+            duration: Math.round(instruction.time || 0)
+        }
+    }));
+
+    return JSON.stringify({ type: 'FeatureCollection', features: [line].concat(steps) }, null, 2) + '\n';
+}
+
+// ----- RECORDED TRACES -----
+// points are { latlng, time, accuracy }, time a Date or a timestamp in
+// milliseconds
+
+function traceToGpx(points, name) {
+    const lines = [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        `<gpx version="1.1" creator="${escapeHtml(EXPORT_CREATOR)}" xmlns="http://www.topografix.com/GPX/1/1">`,
+        '  <trk>',
+        `    <name>${escapeHtml(name)}</name>`,
+        '    <trkseg>'
+    ];
+
+    points.forEach(point => {
+        lines.push(`      <trkpt lat="${point.latlng.lat.toFixed(6)}" lon="${point.latlng.lng.toFixed(6)}">`);
+        lines.push(`        <time>${new Date(point.time).toISOString()}</time>`);
+        lines.push('      </trkpt>');
+    });
+
+    lines.push('    </trkseg>');
+    lines.push('  </trk>');
+    lines.push('</gpx>');
+
+    return lines.join('\n') + '\n';
+}
+
+function traceToJson(points) {
+    return JSON.stringify({
+        type: 'position-trace',
+        points: points.map(point => ({
+            lat: roundCoordinate(point.latlng.lat),
+            lng: roundCoordinate(point.latlng.lng),
+            accuracy: typeof point.accuracy === 'number' ? Math.round(point.accuracy) : null,
+            time: new Date(point.time).toISOString()
+        }))
+    }, null, 2) + '\n';
+}
+
+// ----- DOWNLOAD -----
+// Hands the text to the browser as a file download
+
+function downloadTextFile(fileName, text, mimeType) {
+    const url = URL.createObjectURL(new Blob([text], { type: mimeType }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+
+    // Give the browser a moment to start the download
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// "Route to City Hall Parkade" as "route-to-city-hall-parkade.gpx".
+// Accents are dropped: "Itinéraire" becomes "itineraire".
+function exportFileName(name, extension) {
+    const base = name.normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'route';
+    return `${base}.${extension}`;
+}
+
+// ----- HELPERS -----
+
+// Where on the route an instruction happens
+function instructionLatLng(route, instruction) {
+    const index = Math.min(instruction.index || 0, route.coordinates.length - 1);
+    return L.latLng(route.coordinates[index]);
+}
+
+// "450 m, 2 min" for what follows the instruction
+function describeInstructionLeg(instruction) {
+    return `${formatDistance(instruction.distance || 0)}, ${formatDuration(instruction.time || 0)}`;
+}
+
+// Six decimals is about 10 cm
+function roundCoordinate(value) {
+    return Math.round(value * 1e6) / 1e6;
+}
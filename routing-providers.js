@@ -0,0 +1,775 @@
+/**
+ * ROUTING PROVIDERS
+ * =================
+ *
+ * One place that decides how routes are calculated. Every page asks this
+ * file for a router instead of building its own L.Routing.osrmv1.
+ *
+ * Supported backends (chosen with APP_CONFIG.routing.provider):
+ * - 'osrm': OSRM servers, one server per travel mode
+ * - 'graphhopper': a GraphHopper server (or the hosted API with a key)
+ * - 'valhalla': a Valhalla server
+ * - 'local': the street graph bundled with the app (local-router.js)
+ * - 'mock': canned or made-up routes, for working without a network
+ *
+ * The app uses three travel modes: 'car', 'foot' and 'bike'. Each backend
+ * has its own name for them (OSRM 'driving', Valhalla 'pedestrian' ...),
+ * and the configuration maps our modes to those names.
+ *
+ * Every router returns routes in the shape Leaflet Routing Machine uses:
+ * coordinates, instructions (type, text, distance in m, time in s) and
+ * a summary with totalDistance and totalTime. Backends that can find
+ * alternative routes return them after the main one.
+ *
+ * Routers also take preferences: { avoid: ['highways', 'tolls'], language }.
+ * Each backend lists the avoid options it understands in avoidOptions,
+ * and can refuse some of them together (see avoidCombinationSupported).
+ * The language is the interface language from i18n.js; backends that
+ * write their own turn instructions are asked for that language.
+ *
+ * A CachingRouter in front of any router remembers the routes it found,
+ * so the same trip isn't asked of the backend twice.
+ *
+ * The functions below read APP_CONFIG.routing, unless they are given
+ * another routing configuration of the same shape as their last
+ * argument (an embedded ParkingRendezvous widget can have its own).
+ */
+
+const ROUTING_MODES = ['car', 'foot', 'bike'];
+
+// Things a route can be asked to stay away from, with the
+// translation keys of their labels
+const ROUTE_AVOID_OPTIONS = {
+    highways: 'avoid.highways',
+    tolls: 'avoid.tolls'
+};
+
+// ----- MODE FOR ROLE -----
+// Drivers drive, passengers walk
+
+function modeForRole(role) {
+    return role === 'driver' ? 'car' : 'foot';
+}
+
+// ----- PROVIDER LOOKUP -----
+
+function getRoutingProvider(routing) {
+    const name = (routing || APP_CONFIG.routing).provider;
+    const provider = ROUTING_PROVIDERS[name];
+
+    if (!provider) {
+        throw new Error(`Unknown routing provider "${name}"`);
+    }
+    return provider;
+}
+
+function getProviderSettings(routing) {
+    const config = routing || APP_CONFIG.routing;
+    return config.providers[config.provider];
+}
+
+// ----- AVOID OPTIONS -----
+// The avoid options the configured backend supports for a travel mode.
+// Walking and cycling never use highways or toll roads anyway.
+
+function supportedAvoidOptions(mode, routing) {
+    if (mode !== 'car') {
+        return [];
+    }
+    return getRoutingProvider(routing).avoidOptions || [];
+}
+
+// Whether the backend can avoid all of these options on one route.
+// Backends without a canAvoidTogether check take any combination.
+function avoidCombinationSupported(avoid, routing) {
+    const provider = getRoutingProvider(routing);
+    return avoid.length < 2 || !provider.canAvoidTogether ||
+        provider.canAvoidTogether(getProviderSettings(routing), avoid);
+}
+
+// The options the backend can take together, dropping the last ones
+// asked for until the rest fit
+function combinableAvoidOptions(avoid, routing) {
+    const combinable = avoid.slice();
+    while (!avoidCombinationSupported(combinable, routing)) {
+        combinable.pop();
+    }
+    return combinable;
+}
+
+// The avoid options of the preferences the backend will actually use
+function usableAvoidOptions(mode, preferences, routing) {
+    const supported = supportedAvoidOptions(mode, routing);
+    const avoid = ((preferences && preferences.avoid) || []).filter(option => supported.includes(option));
+    return combinableAvoidOptions(avoid, routing);
+}
+
+// ----- CREATE ROUTER -----
+// Returns a router for Leaflet Routing Machine in the given travel mode.
+// Avoid options the backend doesn't support are left out. Instructions
+// come in the current interface language.
+
+function createRouter(mode, preferences, routing) {
+    if (ROUTING_MODES.indexOf(mode) === -1) {
+        throw new Error(`Unknown travel mode "${mode}"`);
+    }
+
+    return getRoutingProvider(routing).createRouter(getProviderSettings(routing), mode, {
+        avoid: usableAvoidOptions(mode, preferences, routing),
+        language: getLanguage()
+    }, routing || APP_CONFIG.routing);
+}
+
+// The same router behind a CachingRouter. The cache key covers
+// everything that changes the answer apart from the waypoints.
+function createCachingRouter(mode, preferences, store, routing) {
+    const config = routing || APP_CONFIG.routing;
+    const key = [config.provider, mode, usableAvoidOptions(mode, preferences, routing).join('+'), getLanguage()].join('|');
+
+    return new CachingRouter(createRouter(mode, preferences, routing), store, key);
+}
+
+// ----- CREATE ROUTING CONTROL -----
+// L.Routing.control with the configured router filled in, unless the
+// options bring their own (such as a CachingRouter)
+
+function createRoutingControl(mode, options, preferences, routing) {
+    const router = options.router || createRouter(mode, preferences, routing);
+    return L.Routing.control(L.extend({}, options, { router: router }));
+}
+
+// ----- FETCH DURATION ROW -----
+// Travel times (in seconds) from one origin to many destinations.
+// Entries the backend can't reach are null. Rejects when the backend
+// has no matrix service, so callers can fall back to an estimate.
+
+function fetchDurationRow(origin, destinations, mode, routing) {
+    const config = routing || APP_CONFIG.routing;
+    const provider = getRoutingProvider(config);
+
+    if (!provider.fetchDurations) {
+        return Promise.reject(new Error(`${config.provider} has no travel time matrix`));
+    }
+    return provider.fetchDurations(getProviderSettings(config), origin, destinations, mode, config);
+}
+
+// ----- FETCH ROUTER -----
+// Adapts a "latlngs in, routes out" promise function to the callback
+// interface Leaflet Routing Machine expects from a router
+
+const FetchRouter = L.Class.extend({
+
+    initialize: function(fetchRoutes) {
+        this._fetchRoutes = fetchRoutes;
+    },
+
+    route: function(waypoints, callback, context, options) {
+        // Copy the waypoints: the originals can change while we wait
+        const inputWaypoints = waypoints.map(wp => new L.Routing.Waypoint(wp.latLng, wp.name, wp.options));
+        const done = context || callback;
+        let aborted = false;
+
+        this._fetchRoutes(inputWaypoints.map(wp => wp.latLng), options || {})
+            .then(function(routes) {
+                if (aborted) {
+                    return;
+                }
+                routes.forEach(route => completeRoute(route, inputWaypoints));
+                callback.call(done, null, routes);
+            })
+            .catch(function(error) {
+                if (aborted) {
+                    return;
+                }
+                callback.call(done, { status: -1, message: error.message });
+            });
+
+        // Routing Machine aborts the old request when a new one starts
+        return {
+            abort: function() {
+                aborted = true;
+            }
+        };
+    }
+});
+
+// ----- CACHING ROUTER -----
+// Sits in front of another router and keeps the routes it finds in a
+// store: { find(key, latlngs), add(key, latlngs, routes) }. The store
+// decides which waypoints count as the same trip (see app-storage.js).
+// A store without find only records, for requests that need a new
+// answer, such as a reroute from near where the last route started.
+// Routes are stored as plain JSON and completed again when reused.
+
+const CachingRouter = L.Class.extend({
+
+    initialize: function(router, store, key) {
+        this._router = router;
+        this._store = store;
+        this._key = key;
+    },
+
+    route: function(waypoints, callback, context, options) {
+        const latlngs = waypoints.map(wp => wp.latLng);
+        const done = context || callback;
+        const cached = this._store.find ? this._store.find(this._key, latlngs) : null;
+
+        if (!cached) {
+            return this._router.route(waypoints, (error, routes) => {
+                if (!error) {
+                    this._store.add(this._key, latlngs, routes.map(toPlainRoute));
+                }
+                callback.call(done, error, routes);
+            }, null, options);
+        }
+
+        console.log("Using a recent route for this trip");
+
+        // Answer later, like a router that asks a server
+        const inputWaypoints = waypoints.map(wp => new L.Routing.Waypoint(wp.latLng, wp.name, wp.options));
+        let aborted = false;
+        setTimeout(function() {
+            if (!aborted) {
+                callback.call(done, null, cached.map(route => completeRoute(fromPlainRoute(route), inputWaypoints)));
+            }
+        }, 0);
+
+        return {
+            abort: function() {
+                aborted = true;
+            }
+        };
+    }
+});
+
+// Only what a route needs to be drawn and followed again
+function toPlainRoute(route) {
+    return {
+        name: route.name,
+        coordinates: route.coordinates.map(latlng => [latlng.lat, latlng.lng]),
+        instructions: route.instructions,
+        summary: { totalDistance: route.summary.totalDistance, totalTime: route.summary.totalTime }
+    };
+}
+
+function fromPlainRoute(route) {
+    return {
+        name: route.name,
+        coordinates: route.coordinates.map(point => L.latLng(point[0], point[1])),
+        instructions: route.instructions.map(instruction => L.extend({}, instruction)),
+        summary: L.extend({}, route.summary)
+    };
+}
+
+// ----- COMPLETE ROUTE -----
+// Fills in the waypoint fields Routing Machine's route line relies on
+
+function completeRoute(route, inputWaypoints) {
+    route.name = route.name || '';
+    route.inputWaypoints = inputWaypoints;
+    route.waypoints = inputWaypoints;
+    route.actualWaypoints = inputWaypoints;
+    route.waypointIndices = findWaypointIndices(route.coordinates, inputWaypoints.map(wp => wp.latLng));
+    route.properties = { isSimplified: false };
+    return route;
+}
+
+// For each waypoint, the index of the nearest route coordinate,
+// searching forward so a route that loops back stays in order
+function findWaypointIndices(coordinates, latlngs) {
+    const indices = [];
+    let start = 0;
+
+    latlngs.forEach((latlng, i) => {
+        // The first and last waypoints are the ends of the route
+        if (i === 0) {
+            indices.push(0);
+            return;
+        }
+        if (i === latlngs.length - 1) {
+            indices.push(coordinates.length - 1);
+            return;
+        }
+
+        let bestIndex = start;
+        let bestDistance = Infinity;
+        for (let j = start; j < coordinates.length; j++) {
+            const distance = latlng.distanceTo(coordinates[j]);
+            if (distance < bestDistance) {
+                bestDistance = distance;
+                bestIndex = j;
+            }
+        }
+        indices.push(bestIndex);
+        start = bestIndex;
+    });
+
+    return indices;
+}
+
+// =====================================================================
+// BACKENDS
+// =====================================================================
+// Each backend gets its own settings from routing.providers, and the
+// whole routing configuration last for what they share (the timeout).
+
+const ROUTING_PROVIDERS = {
+
+    // ----- OSRM -----
+    // An OSRM server only knows the profile it was built with, so each
+    // mode has its own server URL. The profile in the URL is ignored by
+    // OSRM itself but kept for servers that proxy several profiles.
+    // Avoiding roads uses OSRM's "exclude", which only works for the
+    // combinations of classes the server's car profile lists as
+    // excludable (settings.excludable). A request for any other
+    // combination fails.
+    osrm: {
+        avoidOptions: ['highways', 'tolls'],
+
+        canAvoidTogether: function(settings, avoid) {
+            const classes = avoid.map(option => OSRM_EXCLUDE_CLASSES[option]);
+            return (settings.excludable || []).some(combination =>
+                combination.length === classes.length &&
+                classes.every(name => combination.includes(name))
+            );
+        },
+
+        createRouter: function(settings, mode, preferences, routing) {
+            const server = osrmServer(settings, mode);
+            const exclude = preferences.avoid.map(option => OSRM_EXCLUDE_CLASSES[option]);
+
+            return L.Routing.osrmv1({
+                serviceUrl: server.serviceUrl,
+                profile: server.profile,
+                timeout: routing.timeout,
+                // Routing Machine writes the instructions from OSRM's steps
+                language: preferences.language,
+                requestParameters: exclude.length > 0 ? { exclude: exclude.join(',') } : undefined
+            });
+        },
+
+        fetchDurations: function(settings, origin, destinations, mode, routing) {
+            const server = osrmServer(settings, mode);
+
+            // The table service sits next to the route service
+            const tableUrl = server.tableUrl || server.serviceUrl.replace(/\/route\/v1\/?$/, '/table/v1');
+
+            // OSRM wants lng,lat pairs separated by semicolons, origin first
+            const coordinates = [origin].concat(destinations)
+                .map(point => `${point.lng},${point.lat}`)
+                .join(';');
+            const destinationIndexes = destinations.map((point, i) => i + 1).join(';');
+            const url = `${tableUrl}/${server.profile}/${coordinates}` +
+                `?sources=0&destinations=${destinationIndexes}&annotations=duration`;
+
+            return fetchJson(url, {}, routing.timeout).then(function(data) {
+                if (data.code !== 'Ok' || !data.durations || !data.durations[0]) {
+                    throw new Error(`OSRM table request failed (${data.code || 'no durations'})`);
+                }
+                return data.durations[0];
+            });
+        }
+    },
+
+    // ----- GRAPHHOPPER -----
+    graphhopper: {
+        avoidOptions: ['highways', 'tolls'],
+
+        createRouter: function(settings, mode, preferences, routing) {
+            return new FetchRouter(function(latlngs) {
+                const request = {
+                    points: latlngs.map(latlng => [latlng.lng, latlng.lat]),
+                    profile: settings.profiles[mode],
+                    points_encoded: false,
+                    instructions: true,
+                    locale: settings.locale || preferences.language
+                };
+
+                // GraphHopper only finds alternatives between two points
+                if (latlngs.length === 2) {
+                    request.algorithm = 'alternative_route';
+                }
+
+                // Avoiding roads takes a custom model, which needs the
+                // flexible (non-CH) mode
+                if (preferences.avoid.length > 0) {
+                    request['ch.disable'] = true;
+                    request.custom_model = {
+                        priority: preferences.avoid.map(option => GRAPHHOPPER_AVOID_RULES[option])
+                    };
+                }
+
+                const key = settings.apiKey ? `?key=${encodeURIComponent(settings.apiKey)}` : '';
+
+                return fetchJson(`${settings.serviceUrl}/route${key}`, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify(request)
+                }, routing.timeout).then(function(data) {
+                    if (!data.paths || data.paths.length === 0) {
+                        throw new Error(data.message || "GraphHopper found no route");
+                    }
+                    return data.paths.map(convertGraphHopperPath);
+                });
+            });
+        },
+
+        // Only the hosted GraphHopper API has a matrix service
+        fetchDurations: function(settings, origin, destinations, mode, routing) {
+            if (!settings.matrix) {
+                return Promise.reject(new Error("GraphHopper matrix is not enabled"));
+            }
+
+            const params = [`from_point=${origin.lat},${origin.lng}`]
+                .concat(destinations.map(point => `to_point=${point.lat},${point.lng}`));
+            params.push(`profile=${encodeURIComponent(settings.profiles[mode])}`);
+            params.push('out_array=times');
+            if (settings.apiKey) {
+                params.push(`key=${encodeURIComponent(settings.apiKey)}`);
+            }
+
+            const url = `${settings.serviceUrl}/matrix?${params.join('&')}`;
+            return fetchJson(url, {}, routing.timeout).then(function(data) {
+                if (!data.times || !data.times[0]) {
+                    throw new Error(data.message || "GraphHopper matrix returned no times");
+                }
+                return data.times[0];
+            });
+        }
+    },
+
+    // ----- VALHALLA -----
+    valhalla: {
+        avoidOptions: ['highways', 'tolls'],
+
+        createRouter: function(settings, mode, preferences, routing) {
+            return new FetchRouter(function(latlngs) {
+                const costing = settings.profiles[mode];
+                const request = {
+                    locations: latlngs.map(latlng => ({ lat: latlng.lat, lon: latlng.lng })),
+                    costing: costing,
+                    directions_options: { units: 'kilometers', language: settings.language || preferences.language }
+                };
+
+                // Valhalla only finds alternatives between two points
+                if (latlngs.length === 2) {
+                    request.alternates = 2;
+                }
+
+                // 0 means "stay off these roads if at all possible"
+                if (preferences.avoid.length > 0) {
+                    const costingOptions = {};
+                    if (preferences.avoid.includes('highways')) {
+                        costingOptions.use_highways = 0;
+                    }
+                    if (preferences.avoid.includes('tolls')) {
+                        costingOptions.use_tolls = 0;
+                    }
+                    request.costing_options = {};
+                    request.costing_options[costing] = costingOptions;
+                }
+
+                return fetchJson(`${settings.serviceUrl}/route`, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify(request)
+                }, routing.timeout).then(function(data) {
+                    if (!data.trip) {
+                        throw new Error(data.error || "Valhalla found no route");
+                    }
+                    const alternates = (data.alternates || []).map(alternate => alternate.trip);
+                    return [data.trip].concat(alternates).map(convertValhallaTrip);
+                });
+            });
+        },
+
+        fetchDurations: function(settings, origin, destinations, mode, routing) {
+            const request = {
+                sources: [{ lat: origin.lat, lon: origin.lng }],
+                targets: destinations.map(point => ({ lat: point.lat, lon: point.lng })),
+                costing: settings.profiles[mode]
+            };
+
+            return fetchJson(`${settings.serviceUrl}/sources_to_targets`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(request)
+            }, routing.timeout).then(function(data) {
+                if (!data.sources_to_targets || !data.sources_to_targets[0]) {
+                    throw new Error(data.error || "Valhalla matrix returned no times");
+                }
+                return data.sources_to_targets[0].map(cell => cell.time);
+            });
+        }
+    },
+
+    // ----- LOCAL -----
+    // No server at all: A* on the bundled street graph
+    // The bundled graph has road classes but no toll information
+    local: {
+        avoidOptions: ['highways'],
+
+        createRouter: function(settings, mode, preferences, routing) {
+            return new FetchRouter(function(latlngs) {
+                return routeOnLocalGraph(latlngs, mode, preferences.avoid, routing).then(route => [route]);
+            });
+        },
+
+        fetchDurations: function(settings, origin, destinations, mode, routing) {
+            return localDurationRow(origin, destinations, mode, routing);
+        }
+    },
+
+    // ----- MOCK -----
+    // Returns a canned route when one matches the request, otherwise
+    // makes up an L-shaped route along the street grid
+    mock: {
+        createRouter: function(settings, mode, preferences, routing) {
+            return new FetchRouter(function(latlngs) {
+                return loadMockResponses(settings.responsesUrl, routing.timeout).then(function(responses) {
+                    const canned = findCannedRoute(responses, latlngs, mode);
+                    const route = canned || buildGridRoute(latlngs, settings.speeds[mode]);
+
+                    // Pretend to be a server taking a moment to answer
+                    return new Promise(resolve => setTimeout(() => resolve([route]), settings.delay));
+                });
+            });
+        },
+
+        fetchDurations: function(settings, origin, destinations, mode) {
+            return Promise.resolve(destinations.map(destination =>
+                buildGridRoute([origin, destination], settings.speeds[mode]).summary.totalTime
+            ));
+        }
+    }
+};
+
+// ----- OSRM HELPERS -----
+
+// Our avoid options as OSRM exclude classes
+const OSRM_EXCLUDE_CLASSES = {
+    highways: 'motorway',
+    tolls: 'toll'
+};
+
+function osrmServer(settings, mode) {
+    const server = settings[mode];
+    if (!server) {
+        throw new Error(`No OSRM server is configured for ${mode}`);
+    }
+    return server;
+}
+
+// ----- GRAPHHOPPER HELPERS -----
+
+// Our avoid options as GraphHopper custom model rules
+const GRAPHHOPPER_AVOID_RULES = {
+    highways: { if: 'road_class == MOTORWAY || road_class == TRUNK', multiply_by: '0' },
+    tolls: { if: 'toll != NO', multiply_by: '0' }
+};
+
+// GraphHopper's turn "sign" numbers, as Routing Machine instruction types
+const GRAPHHOPPER_SIGNS = {
+    '-98': 'TurnAround',
+    '-8': 'TurnAround',
+    '-7': 'SlightLeft',
+    '-3': 'SharpLeft',
+    '-2': 'Left',
+    '-1': 'SlightLeft',
+    '0': 'Continue',
+    '1': 'SlightRight',
+    '2': 'Right',
+    '3': 'SharpRight',
+    '4': 'DestinationReached',
+    '5': 'WayPoint',
+    '6': 'Roundabout',
+    '7': 'SlightRight',
+    '8': 'TurnAround'
+};
+
+function convertGraphHopperPath(path) {
+    const coordinates = path.points.coordinates.map(position => L.latLng(position[1], position[0]));
+
+    const instructions = path.instructions.map((instruction, i) => ({
+        type: i === 0 ? 'Head' : (GRAPHHOPPER_SIGNS[instruction.sign] || 'Continue'),
+        text: instruction.text,
+        road: instruction.street_name || '',
+        distance: instruction.distance,
+        time: instruction.time / 1000, // GraphHopper uses milliseconds
+        index: instruction.interval[0]
+    }));
+
+    return {
+        coordinates: coordinates,
+        instructions: instructions,
+        summary: {
+            totalDistance: path.distance,
+            totalTime: path.time / 1000
+        }
+    };
+}
+
+// ----- VALHALLA HELPERS -----
+
+// Valhalla maneuver type numbers, as Routing Machine instruction types
+const VALHALLA_MANEUVERS = {
+    1: 'Head', 2: 'Head', 3: 'Head',
+    4: 'DestinationReached', 5: 'DestinationReached', 6: 'DestinationReached',
+    7: 'Continue', 8: 'Continue',
+    9: 'SlightRight', 10: 'Right', 11: 'SharpRight',
+    12: 'TurnAround', 13: 'TurnAround',
+    14: 'SharpLeft', 15: 'Left', 16: 'SlightLeft',
+    17: 'Continue', 18: 'SlightRight', 19: 'SlightLeft',
+    20: 'SlightRight', 21: 'SlightLeft',
+    22: 'Continue', 23: 'SlightRight', 24: 'SlightLeft',
+    25: 'Continue', 26: 'Roundabout', 27: 'Roundabout',
+    36: 'WayPoint'
+};
+
+function convertValhallaTrip(trip) {
+    const coordinates = [];
+    const instructions = [];
+
+    // A trip has one leg per pair of waypoints; join them into one route
+    trip.legs.forEach(leg => {
+        const offset = coordinates.length;
+        const shape = decodePolyline(leg.shape, 6);
+
+        leg.maneuvers.forEach(maneuver => {
+            instructions.push({
+                type: VALHALLA_MANEUVERS[maneuver.type] || 'Continue',
+                text: maneuver.instruction,
+                road: (maneuver.street_names || []).join(', '),
+                distance: maneuver.length * 1000, // kilometers to meters
+                time: maneuver.time,
+                index: offset + maneuver.begin_shape_index
+            });
+        });
+
+        shape.forEach(point => coordinates.push(point));
+    });
+
+    return {
+        coordinates: coordinates,
+        instructions: instructions,
+        summary: {
+            totalDistance: trip.summary.length * 1000,
+            totalTime: trip.summary.time
+        }
+    };
+}
+
+// ----- MOCK HELPERS -----
+
+// Loaded canned responses, by URL
+const mockResponsesCache = {};
+
+// The canned responses file is optional; without it every route is made up
+function loadMockResponses(url, timeout) {
+    if (!url) {
+        return Promise.resolve([]);
+    }
+    if (!mockResponsesCache[url]) {
+        mockResponsesCache[url] = fetchJson(url, {}, timeout).catch(function(error) {
+            console.warn("No canned mock routes, making routes up instead:", error);
+            return [];
+        });
+    }
+    return mockResponsesCache[url];
+}
+
+// A canned route matches when its mode is the same and its start and end
+// are within 50 m of the requested ones
+function findCannedRoute(responses, latlngs, mode) {
+    const from = latlngs[0];
+    const to = latlngs[latlngs.length - 1];
+
+    const match = responses.find(response =>
+        response.mode === mode &&
+        from.distanceTo(response.from) < 50 &&
+        to.distanceTo(response.to) < 50
+    );
+
+    if (!match) {
+        return null;
+    }
+
+    // Copy it, so Routing Machine can't change the cached version
+    return {
+        name: match.name || '',
+        coordinates: match.coordinates.map(position => L.latLng(position[0], position[1])),
+        instructions: match.instructions.map(instruction => Object.assign({}, instruction)),
+        summary: Object.assign({}, match.summary)
+    };
+}
+
+// Goes north/south first, then east/west, between each pair of waypoints
+function buildGridRoute(latlngs, speedKmh) {
+    const metersPerSecond = speedKmh / 3.6;
+    const coordinates = [L.latLng(latlngs[0])];
+    const instructions = [];
+    let totalDistance = 0;
+
+    for (let i = 0; i < latlngs.length - 1; i++) {
+        const from = L.latLng(latlngs[i]);
+        const to = L.latLng(latlngs[i + 1]);
+        const corner = L.latLng(to.lat, from.lng);
+
+        const northSouth = from.distanceTo(corner);
+        const eastWest = corner.distanceTo(to);
+        const headingNorth = to.lat > from.lat;
+        const headingEast = to.lng > from.lng;
+
+        instructions.push({
+            type: i === 0 ? 'Head' : 'Continue',
+            text: t('instruction.head', { direction: t(headingNorth ? 'compass.north' : 'compass.south') }),
+            distance: northSouth,
+            time: northSouth / metersPerSecond,
+            index: coordinates.length - 1
+        });
+        coordinates.push(corner);
+
+        // Going north, east is on the right; going south it's on the left
+        const turnRight = headingNorth === headingEast;
+        instructions.push({
+            type: turnRight ? 'Right' : 'Left',
+            text: t(turnRight ? 'instruction.turnRightHead' : 'instruction.turnLeftHead', {
+                direction: t(headingEast ? 'compass.east' : 'compass.west')
+            }),
+            distance: eastWest,
+            time: eastWest / metersPerSecond,
+            index: coordinates.length - 1
+        });
+        coordinates.push(to);
+
+        totalDistance += northSouth + eastWest;
+
+        if (i < latlngs.length - 2) {
+            instructions.push({
+                type: 'WayPoint',
+                text: t('instruction.stopReached'),
+                distance: 0,
+                time: 0,
+                index: coordinates.length - 1
+            });
+        }
+    }
+
+    instructions.push({
+        type: 'DestinationReached',
+        text: t('instruction.arrived'),
+        distance: 0,
+        time: 0,
+        index: coordinates.length - 1
+    });
+
+    return {
+        name: t('route.mockName'),
+        coordinates: coordinates,
+        instructions: instructions,
+        summary: {
+            totalDistance: totalDistance,
+            totalTime: totalDistance / metersPerSecond
+        }
+    };
+}
@@ -0,0 +1,333 @@
+/**
+ * RENDEZVOUS RELAY SERVER
+ * =======================
+ *
+ * A small WebSocket relay for shared rendezvous sessions. Each browser
+ * subscribes to a room (the session code) and every message it sends is
+ * forwarded to the other browsers in that room. The relay does not look
+ * inside the messages; the session logic lives in rendezvous-session.js.
+ *
+ * It only uses Node's built-in modules, so there is nothing to install:
+ *
+ *     node server/relay-server.js            (listens on port 8080)
+ *     PORT=9000 node server/relay-server.js
+ *
+ * Then set APP_CONFIG.session.transport to 'websocket' in config.js.
+ *
+ * Only what the app needs from the WebSocket protocol (RFC 6455) is
+ * implemented: text frames (fragmented or not), ping/pong and close.
+ * Binary frames are refused with close code 1003.
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+
+const PORT = Number(process.env.PORT) || 8080;
+
+// Largest message we accept. Session messages are a few hundred bytes.
+const MAX_MESSAGE_BYTES = 64 * 1024;
+
+// The magic string every WebSocket handshake is hashed with
+const WEBSOCKET_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+
+// Frame opcodes
+const OPCODE_CONTINUATION = 0x0;
+const OPCODE_TEXT = 0x1;
+const OPCODE_BINARY = 0x2;
+const OPCODE_CLOSE = 0x8;
+const OPCODE_PING = 0x9;
+const OPCODE_PONG = 0xA;
+
+// room code -> Set of clients
+const rooms = new Map();
+
+// ----- HTTP SERVER -----
+// Plain HTTP requests just get a short description
+
+const server = http.createServer(function(request, response) {
+    response.writeHead(200, { 'Content-Type': 'text/plain' });
+    response.end('Parking rendezvous relay. Connect with a WebSocket.\n');
+});
+
+// ----- WEBSOCKET HANDSHAKE -----
+
+server.on('upgrade', function(request, socket) {
+    const key = request.headers['sec-websocket-key'];
+
+    if (request.headers.upgrade.toLowerCase() !== 'websocket' || !key) {
+        socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+        return;
+    }
+
+    const accept = crypto.createHash('sha1').update(key + WEBSOCKET_GUID).digest('base64');
+
+    socket.write(
+        'HTTP/1.1 101 Switching Protocols\r\n' +
+        'Upgrade: websocket\r\n' +
+        'Connection: Upgrade\r\n' +
+        `Sec-WebSocket-Accept: ${accept}\r\n` +
+        '\r\n'
+    );
+
+    const client = {
+        socket: socket,
+        buffer: Buffer.alloc(0),
+        fragments: null, // Parts of a text message split over several frames
+        room: null,
+        id: null,
+        role: null
+    };
+
+    socket.on('data', function(chunk) {
+        client.buffer = Buffer.concat([client.buffer, chunk]);
+        readFrames(client);
+    });
+
+    socket.on('close', function() {
+        leaveRoom(client);
+    });
+
+    socket.on('error', function(error) {
+        console.error('Socket error:', error.message);
+        leaveRoom(client);
+    });
+});
+
+// ----- FRAME READING -----
+// Pulls every complete frame out of the client's buffer
+
+function readFrames(client) {
+    while (true) {
+        const frame = parseFrame(client.buffer);
+
+        if (frame === null) {
+            return; // Wait for more data
+        }
+
+        if (frame.error) {
+            closeClient(client, 1009, frame.error);
+            return;
+        }
+
+        client.buffer = client.buffer.subarray(frame.length);
+
+        switch (frame.opcode) {
+            case OPCODE_TEXT:
+                if (client.fragments) {
+                    closeClient(client, 1002, 'Expected a continuation frame');
+                    return;
+                }
+                if (frame.fin) {
+                    handleMessage(client, frame.payload.toString('utf8'));
+                } else {
+                    client.fragments = [frame.payload];
+                }
+                break;
+            case OPCODE_CONTINUATION: {
+                if (!client.fragments) {
+                    closeClient(client, 1002, 'Unexpected continuation frame');
+                    return;
+                }
+                client.fragments.push(frame.payload);
+
+                const message = Buffer.concat(client.fragments);
+                if (message.length > MAX_MESSAGE_BYTES) {
+                    closeClient(client, 1009, 'Message too large');
+                    return;
+                }
+                if (frame.fin) {
+                    client.fragments = null;
+                    handleMessage(client, message.toString('utf8'));
+                }
+                break;
+            }
+            case OPCODE_PING:
+                client.socket.write(encodeFrame(OPCODE_PONG, frame.payload));
+                break;
+            case OPCODE_CLOSE:
+                closeClient(client, 1000, '');
+                return;
+            case OPCODE_BINARY:
+                closeClient(client, 1003, 'Binary messages are not supported');
+                return;
+            default:
+                // Unsolicited pongs need no answer; reserved opcodes are an error
+                if (frame.opcode !== OPCODE_PONG) {
+                    closeClient(client, 1002, 'Unknown opcode');
+                    return;
+                }
+                break;
+        }
+    }
+}
+
+// Returns null when the buffer doesn't hold a whole frame yet
+function parseFrame(buffer) {
+    if (buffer.length < 2) {
+        return null;
+    }
+
+    const fin = (buffer[0] & 0x80) !== 0;
+    const opcode = buffer[0] & 0x0F;
+    const masked = (buffer[1] & 0x80) !== 0;
+    let payloadLength = buffer[1] & 0x7F;
+    let offset = 2;
+
+    if (payloadLength === 126) {
+        if (buffer.length < 4) {
+            return null;
+        }
+        payloadLength = buffer.readUInt16BE(2);
+        offset = 4;
+    } else if (payloadLength === 127) {
+        if (buffer.length < 10) {
+            return null;
+        }
+        const bigLength = buffer.readBigUInt64BE(2);
+        if (bigLength > BigInt(MAX_MESSAGE_BYTES)) {
+            return { error: 'Message too large' };
+        }
+        payloadLength = Number(bigLength);
+        offset = 10;
+    }
+
+    if (payloadLength > MAX_MESSAGE_BYTES) {
+        return { error: 'Message too large' };
+    }
+
+    // Browsers always mask what they send
+    const maskLength = masked ? 4 : 0;
+    if (buffer.length < offset + maskLength + payloadLength) {
+        return null;
+    }
+
+    const payload = Buffer.from(buffer.subarray(offset + maskLength, offset + maskLength + payloadLength));
+
+    if (masked) {
+        const mask = buffer.subarray(offset, offset + 4);
+        for (let i = 0; i < payload.length; i++) {
+            payload[i] ^= mask[i % 4];
+        }
+    }
+
+    return {
+        fin: fin,
+        opcode: opcode,
+        payload: payload,
+        length: offset + maskLength + payloadLength
+    };
+}
+
+// ----- FRAME WRITING -----
+// Server frames are never masked
+
+function encodeFrame(opcode, payload) {
+    let header;
+
+    if (payload.length < 126) {
+        header = Buffer.from([0x80 | opcode, payload.length]);
+    } else if (payload.length < 65536) {
+        header = Buffer.alloc(4);
+        header[0] = 0x80 | opcode;
+        header[1] = 126;
+        header.writeUInt16BE(payload.length, 2);
+    } else {
+        header = Buffer.alloc(10);
+        header[0] = 0x80 | opcode;
+        header[1] = 127;
+        header.writeBigUInt64BE(BigInt(payload.length), 2);
+    }
+
+    return Buffer.concat([header, payload]);
+}
+
+function sendText(client, text) {
+    if (!client.socket.destroyed) {
+        client.socket.write(encodeFrame(OPCODE_TEXT, Buffer.from(text, 'utf8')));
+    }
+}
+
+function closeClient(client, code, reason) {
+    const payload = Buffer.alloc(2 + Buffer.byteLength(reason));
+    payload.writeUInt16BE(code, 0);
+    payload.write(reason, 2);
+
+    if (!client.socket.destroyed) {
+        client.socket.end(encodeFrame(OPCODE_CLOSE, payload));
+    }
+    leaveRoom(client);
+}
+
+// ----- ROOMS -----
+
+function handleMessage(client, text) {
+    let message;
+    try {
+        message = JSON.parse(text);
+    } catch (error) {
+        return; // Not JSON: ignore it
+    }
+
+    // The first message puts the client into a room
+    if (message.type === 'subscribe') {
+        if (typeof message.room !== 'string' || !/^[A-Z0-9]{4,12}$/.test(message.room)) {
+            closeClient(client, 1008, 'Invalid room code');
+            return;
+        }
+        joinRoom(client, message.room, message.from, message.role);
+        return;
+    }
+
+    if (!client.room) {
+        return; // Must subscribe first
+    }
+
+    // Forward the original text to everybody else in the room
+    rooms.get(client.room).forEach(other => {
+        if (other !== client) {
+            sendText(other, text);
+        }
+    });
+}
+
+function joinRoom(client, room, id, role) {
+    leaveRoom(client);
+
+    client.room = room;
+    client.id = typeof id === 'string' ? id : null;
+    client.role = typeof role === 'string' ? role : null;
+
+    if (!rooms.has(room)) {
+        rooms.set(room, new Set());
+    }
+    rooms.get(room).add(client);
+
+    console.log(`Client joined room ${room} (${rooms.get(room).size} connected)`);
+}
+
+function leaveRoom(client) {
+    if (!client.room || !rooms.has(client.room)) {
+        return;
+    }
+
+    const room = client.room;
+    const members = rooms.get(room);
+    members.delete(client);
+    client.room = null;
+
+    // Tell the others, in the same format a browser uses when it leaves
+    if (client.id) {
+        const goodbye = JSON.stringify({ type: 'leave', from: client.id, role: client.role });
+        members.forEach(other => sendText(other, goodbye));
+    }
+
+    if (members.size === 0) {
+        rooms.delete(room);
+    }
+
+    console.log(`Client left room ${room}`);
+}
+
+server.listen(PORT, function() {
+    console.log(`Rendezvous relay listening on ws://localhost:${PORT}`);
+});
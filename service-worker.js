@@ -0,0 +1,266 @@
+/**
+ * SERVICE WORKER
+ * ==============
+ *
+ * Keeps the app's pages working where the connection drops, and makes
+ * them installable as an app together with manifest.webmanifest.
+ *
+ * - The app shell (SHELL_FILES) is stored when the worker installs. The
+ *   app's own files are answered from the cache straight away and
+ *   refreshed in the background, so a new version shows up on the next
+ *   visit. The libraries have their version in the URL and are fetched
+ *   only once.
+ * - Map tiles are answered from the cache when they are there, and
+ *   stored as they are fetched, within APP_CONFIG.offline.maxTileMegabytes.
+ * - Everything else, such as the routing servers, address search and
+ *   occupancy feeds, goes to the network as usual.
+ *
+ * Messages from the page:
+ * - { type: 'download-tiles', urls } fetches and stores the tiles one by
+ *   one, answering { type: 'tile-progress', done, total, failed, full }
+ *   after each. full is true when the cap stopped the download.
+ * - { type: 'clear-tiles' } empties the tile cache, answered with
+ *   { type: 'tiles-cleared' }
+ */
+
+importScripts('config.js', 'offline-cache.js');
+
+// Everything the pages need to start. Relative paths are resolved
+// against this file.
+const SHELL_FILES = [
+    'leaflet-routing-tutorial.html',
+    'driver.html',
+    'passenger.html',
+    'manifest.webmanifest',
+    'style.css',
+    'img/icon-192.png',
+    'img/icon-512.png',
+    'config.js',
+    'utils.js',
+    'i18n.js',
+    'locales/en.js',
+    'locales/fr.js',
+    'geo-utils.js',
+    'local-router.js',
+    'routing-providers.js',
+    'parking-rates.js',
+    'zone-amenities.js',
+    'parking-zones.js',
+    'parking-occupancy.js',
+    'rendezvous-session.js',
+    'session-controls.js',
+    'eta-panel.js',
+    'meeting-point-recommender.js',
+    'pickup-planner.js',
+    'turn-navigation.js',
+    'rendezvous-link.js',
+    'geocoding.js',
+    'route-export.js',
+    'app-storage.js',
+    'zone-list.js',
+    'arrival-geofence.js',
+    'parking-timer.js',
+    'departure-planner.js',
+    'position-simulator.js',
+    'location-finder.js',
+    'offline-cache.js',
+    'rendezvous-map.js',
+    'leaflet-routing-tutorial.js',
+    'data/parking-zones.geojson',
+    'data/downtown-graph.json',
+    'data/mock-occupancy.json',
+    'data/mock-routes.json',
+    'data/geocoding-stub.json',
+    'https://unpkg.com/leaflet@1.9.4/dist/leaflet.css',
+    'https://unpkg.com/leaflet@1.9.4/dist/leaflet.js',
+    'https://unpkg.com/leaflet@1.9.4/dist/images/marker-icon.png',
+    'https://unpkg.com/leaflet@1.9.4/dist/images/marker-icon-2x.png',
+    'https://unpkg.com/leaflet@1.9.4/dist/images/marker-shadow.png',
+    'https://unpkg.com/leaflet-routing-machine@3.2.12/dist/leaflet-routing-machine.css',
+    'https://unpkg.com/leaflet-routing-machine@3.2.12/dist/leaflet-routing-machine.js',
+    'https://unpkg.com/leaflet-routing-machine@3.2.12/dist/leaflet.routing.icons.png',
+    'https://cdnjs.cloudflare.com/ajax/libs/font-awesome/6.5.1/css/all.min.css',
+    'https://cdnjs.cloudflare.com/ajax/libs/font-awesome/6.5.1/webfonts/fa-solid-900.woff2'
+];
+
+const SHELL_URLS = SHELL_FILES.map(file => new URL(file, self.location).href);
+const TILE_PATTERN = tileUrlPattern(APP_CONFIG.offline.tileUrl);
+const MAX_TILE_BYTES = APP_CONFIG.offline.maxTileMegabytes * 1024 * 1024;
+
+let tileIndex = null; // Promise of a Map from tile URL to size in bytes, oldest first
+
+// ----- LIFECYCLE -----
+
+self.addEventListener('install', event => {
+    event.waitUntil(
+        caches.open(SHELL_CACHE)
+            .then(cache => cache.addAll(SHELL_URLS))
+            .then(() => self.skipWaiting())
+    );
+});
+
+// Drops the shells of older versions
+self.addEventListener('activate', event => {
+    event.waitUntil(
+        caches.keys()
+            .then(names => Promise.all(names
+                .filter(name => name.startsWith('parking-rendezvous-shell-') && name !== SHELL_CACHE)
+                .map(name => caches.delete(name))))
+            .then(() => self.clients.claim())
+    );
+});
+
+// ----- REQUESTS -----
+
+self.addEventListener('fetch', event => {
+    const request = event.request;
+
+    if (request.method !== 'GET') {
+        return;
+    }
+
+    if (TILE_PATTERN.test(request.url)) {
+        event.respondWith(fetchTile(request.url));
+        return;
+    }
+
+    // A rendezvous link is the page with a query string; it is still the page
+    const url = new URL(request.url);
+    const key = url.origin + url.pathname;
+
+    if (SHELL_URLS.includes(key)) {
+        event.respondWith(fetchShellFile(event, key));
+    }
+});
+
+function fetchShellFile(event, key) {
+    return caches.open(SHELL_CACHE).then(cache => cache.match(key).then(cached => {
+        // Versioned libraries never change
+        if (cached && new URL(key).origin !== self.location.origin) {
+            return cached;
+        }
+
+        const update = fetch(event.request).then(response => {
+            if (response.ok) {
+                cache.put(key, response.clone());
+            }
+            return response;
+        });
+
+        if (cached) {
+            event.waitUntil(update.catch(error => console.warn(`Could not refresh ${key}:`, error)));
+            return cached;
+        }
+        return update;
+    }));
+}
+
+// ----- TILES -----
+
+function fetchTile(url) {
+    return caches.open(TILE_CACHE)
+        .then(cache => cache.match(url))
+        .then(cached => cached || downloadTile(url));
+}
+
+// Tile servers allow CORS, so the tile can be read to learn its size,
+// which the page's own <img> request wouldn't allow
+function downloadTile(url) {
+    return fetch(url, { mode: 'cors', credentials: 'omit' }).then(response => {
+        if (!response.ok) {
+            return response;
+        }
+
+        return response.blob().then(blob => {
+            const headers = new Headers(response.headers);
+            headers.set(TILE_SIZE_HEADER, String(blob.size));
+
+            const tile = new Response(blob, { status: response.status, statusText: response.statusText, headers: headers });
+            return storeTile(url, tile.clone(), blob.size).then(() => tile);
+        });
+    });
+}
+
+function getTileIndex() {
+    if (!tileIndex) {
+        tileIndex = caches.open(TILE_CACHE)
+            .then(cache => cache.keys().then(requests => Promise.all(requests.map(request =>
+                cache.match(request).then(response => [request.url, Number(response.headers.get(TILE_SIZE_HEADER)) || 0])
+            ))))
+            .then(entries => new Map(entries));
+    }
+    return tileIndex;
+}
+
+// Keeps a tile, then drops the oldest ones until the cache is under the cap
+function storeTile(url, response, bytes) {
+    return Promise.all([caches.open(TILE_CACHE), getTileIndex()]).then(([cache, index]) => {
+        return cache.put(url, response).then(() => {
+            index.delete(url);
+            index.set(url, bytes);
+
+            let total = 0;
+            index.forEach(size => {
+                total += size;
+            });
+
+            const removals = [];
+            for (const [oldUrl, size] of index) {
+                if (total <= MAX_TILE_BYTES || oldUrl === url) {
+                    break;
+                }
+                total -= size;
+                index.delete(oldUrl);
+                removals.push(cache.delete(oldUrl));
+            }
+            return Promise.all(removals);
+        });
+    });
+}
+
+// One tile at a time: the tile servers ask apps not to hammer them.
+// Stops once this download alone would fill the cache, as its own
+// first tiles would then make room for its last ones.
+function downloadTiles(urls, client) {
+    const progress = { type: 'tile-progress', done: 0, total: urls.length, failed: 0, full: false };
+    let bytes = 0;
+
+    return caches.open(TILE_CACHE).then(cache => urls.reduce((previous, url) => previous.then(() => {
+        if (progress.full) {
+            return;
+        }
+
+        return cache.match(url)
+            .then(cached => cached || downloadTile(url))
+            .then(response => {
+                if (!response.ok) {
+                    progress.failed++;
+                }
+                bytes += Number(response.headers.get(TILE_SIZE_HEADER)) || 0;
+                progress.full = bytes > MAX_TILE_BYTES;
+            })
+            .catch(error => {
+                console.warn(`Could not download ${url}:`, error);
+                progress.failed++;
+            })
+            .then(() => {
+                progress.done++;
+                client.postMessage(progress);
+            });
+    }), Promise.resolve()));
+}
+
+// ----- MESSAGES -----
+
+self.addEventListener('message', event => {
+    const message = event.data || {};
+
+    if (message.type === 'download-tiles') {
+        event.waitUntil(downloadTiles(message.urls, event.source));
+    } else if (message.type === 'clear-tiles') {
+        tileIndex = null;
+        event.waitUntil(caches.delete(TILE_CACHE).then(() => {
+            event.source.postMessage({ type: 'tiles-cleared' });
+        }));
+    }
+});
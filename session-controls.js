@@ -0,0 +1,307 @@
+/**
+ * SESSION CONTROLS
+ * ================
+ *
+ * The small "Create session / Join with code" panel shared by all pages.
+ * It owns the RendezvousSession and tells the page when a session starts
+ * or ends; what to do with positions and meeting points is up to the page.
+ *
+ * The driver and passenger pages all do the same with them, which
+ * createPageSession() below takes care of.
+ */
+
+// ----- CREATE SESSION CONTROLS -----
+// options:
+// - getRole(): the role to announce ('driver' or 'passenger')
+// - onStart(session): a session was created or joined
+// - onEnd(): the session was left
+
+function createSessionControls(container, options) {
+    const config = APP_CONFIG.session;
+    let session = null;
+
+    container.classList.add('session-controls');
+    container.innerHTML = `
+        <div class="session-idle">
+            <button type="button" class="session-create" data-i18n="session.create"></button>
+            <div class="session-join">
+                <input type="text" class="session-code-input"
+                    autocomplete="off" autocapitalize="characters"
+                    data-i18n-placeholder="session.codePlaceholder" data-i18n-aria-label="session.codeLabel">
+                <button type="button" class="session-join-btn" data-i18n="session.join"></button>
+            </div>
+        </div>
+        <div class="session-active" hidden>
+            <div><span data-i18n="session.codeTitle"></span> <strong class="session-code"></strong></div>
+            <button type="button" class="session-leave" data-i18n="session.leave"></button>
+        </div>
+        <div class="session-status" role="status"></div>
+    `;
+    translatePage(container);
+
+    const idlePanel = container.querySelector('.session-idle');
+    const activePanel = container.querySelector('.session-active');
+    const codeInput = container.querySelector('.session-code-input');
+    const status = container.querySelector('.session-status');
+
+    function setStatus(text) {
+        status.textContent = text;
+    }
+
+    function newSession() {
+        const transport = createSessionTransport(config);
+        const created = new RendezvousSession(transport, options.getRole(), {
+            joinTimeout: config.joinTimeout
+        });
+
+        created.on('partnerjoined', function(e) {
+            setStatus(t(`session.connected.${e.role}`));
+        });
+        created.on('partnerarrived', function(e) {
+            setStatus(t(`session.partnerArrived.${e.role}`, { name: e.name }));
+        });
+        created.on('partnerleft', function(e) {
+            setStatus(t(`session.partnerLeft.${e.role || 'unknown'}`));
+        });
+        created.on('disconnect', function() {
+            if (session === created) {
+                session = null;
+                showIdle();
+                setStatus(t('session.disconnected'));
+                options.onEnd();
+            }
+        });
+
+        return created;
+    }
+
+    function showActive(code) {
+        idlePanel.hidden = true;
+        activePanel.hidden = false;
+        container.querySelector('.session-code').textContent = code;
+    }
+
+    function showIdle() {
+        idlePanel.hidden = false;
+        activePanel.hidden = true;
+    }
+
+    container.querySelector('.session-create').addEventListener('click', function() {
+        session = newSession();
+        setStatus(t('session.creating'));
+
+        session.create()
+            .then(function(code) {
+                showActive(code);
+                setStatus(t('session.waiting'));
+                options.onStart(session);
+            })
+            .catch(function(error) {
+                console.error("Could not create session:", error);
+                session = null;
+                setStatus(error.message);
+            });
+    });
+
+    container.querySelector('.session-join-btn').addEventListener('click', function() {
+        session = newSession();
+        setStatus(t('session.joining'));
+
+        // Listeners must be in place before the join, so the page
+        // doesn't miss the partner's first position
+        options.onStart(session);
+
+        // No length limit on the input: a pasted "ab3-k9p" only becomes six
+        // characters once join() normalizes it
+        session.join(codeInput.value)
+            .then(function(code) {
+                showActive(code);
+            })
+            .catch(function(error) {
+                console.error("Could not join session:", error);
+                session = null;
+                options.onEnd();
+                setStatus(error.message);
+            });
+    });
+
+    container.querySelector('.session-leave').addEventListener('click', function() {
+        if (session) {
+            session.leave();
+            session = null;
+        }
+        showIdle();
+        setStatus(t('session.youLeft'));
+        options.onEnd();
+    });
+
+    // Let the other side know right away when the page is closed
+    window.addEventListener('pagehide', function() {
+        if (session) {
+            session.leave();
+        }
+    });
+
+    return {
+        getSession: function() {
+            return session;
+        }
+    };
+}
+
+// ----- PAGE SESSION -----
+// The session of driver.html and passenger.html. Their map has a marker
+// for each person and for the meeting point, and a route from each
+// person to it. Once a session is running, the other person's marker
+// and route follow the positions they share, the meeting point follows
+// theirs, and our own position is followed and shared.
+//
+// Either side picks the meeting point by dragging its marker (make it
+// draggable). When both pick one before the session starts, the
+// creator's wins, as on the routing page.
+//
+// Our position comes from the browser, or from a PositionSimulator
+// driving our route while simulateTrip() is on, so the pages can be
+// tried at a desk. Simulated positions are shared like real ones.
+//
+// page:
+// - role: this page's role, 'driver' or 'passenger'
+// - markers: { driver, passenger, meetingPoint }
+// - routes: { driver, passenger } the routing controls to the meeting point
+// - onMeetingPoint(name): the meeting point was moved to a named place
+//
+// Returns { simulateTrip(), stopSimulation(), isSimulating() }.
+// simulateTrip() returns false while there is no route to drive yet.
+
+function createPageSession(container, page) {
+    const config = APP_CONFIG.simulation;
+    const simulator = new PositionSimulator({ interval: config.interval, accuracy: config.accuracy });
+    let session = null;
+    let positionSource = null; // What positionWatchId watches: the browser or the simulator
+    let positionWatchId = null;
+    let meetingPointName = null; // Set once a meeting point is picked here or comes in
+    let ownRoute = null; // The latest route from us to the meeting point
+
+    page.routes[page.role].on('routesfound', function(e) {
+        ownRoute = e.routes[0];
+    });
+
+    // Only ask for a new route when someone has really moved
+    const rerouteDistance = 25; // meters
+    const lastRouted = {
+        driver: page.markers.driver.getLatLng(),
+        passenger: page.markers.passenger.getLatLng()
+    };
+
+    function updateRoute(role) {
+        lastRouted[role] = page.markers[role].getLatLng();
+        page.routes[role].setWaypoints([lastRouted[role], page.markers.meetingPoint.getLatLng()]);
+    }
+
+    function movePersonMarker(role, latlng) {
+        page.markers[role].setLatLng(latlng);
+
+        if (lastRouted[role].distanceTo(latlng) > rerouteDistance) {
+            updateRoute(role);
+        }
+    }
+
+    function moveMeetingPoint(latlng, name) {
+        page.markers.meetingPoint.setLatLng(latlng);
+        meetingPointName = name;
+        page.onMeetingPoint(name);
+        updateRoute('driver');
+        updateRoute('passenger');
+    }
+
+    page.markers.meetingPoint.on('dragend', function() {
+        const latlng = page.markers.meetingPoint.getLatLng();
+        moveMeetingPoint(latlng, t('search.droppedPin', { position: formatLatLng(latlng) }));
+
+        if (session) {
+            session.sendMeetingPoint(latlng, meetingPointName);
+        }
+    });
+
+    function onPosition(position) {
+        const latlng = L.latLng(position.coords.latitude, position.coords.longitude);
+        movePersonMarker(page.role, latlng);
+
+        if (session) {
+            session.sendPosition(latlng, position.coords.accuracy);
+        }
+    }
+
+    // Follows our position from the simulator while it has a track, or
+    // from the browser while a session runs. Called whenever either changes.
+    function followPosition() {
+        if (positionWatchId !== null) {
+            positionSource.clearWatch(positionWatchId);
+            positionWatchId = null;
+        }
+
+        positionSource = simulator.hasTrack() ? simulator : (session ? navigator.geolocation : null);
+        if (!positionSource) {
+            return;
+        }
+
+        positionWatchId = positionSource.watchPosition(
+            onPosition,
+            function(error) {
+                console.error("Error getting location:", error);
+            },
+            { enableHighAccuracy: true, maximumAge: 2000 }
+        );
+    }
+
+    createSessionControls(container, {
+        getRole: function() {
+            return page.role;
+        },
+        onStart: function(newSession) {
+            session = newSession;
+
+            session.on('partnerposition', function(e) {
+                movePersonMarker(e.role, e.latlng);
+            });
+
+            // A new meeting point was chosen on the other side
+            session.on('meetingpoint', function(e) {
+                moveMeetingPoint(e.latlng, e.name);
+            });
+
+            // Ours, if we picked one, for the other side to get when they join
+            if (meetingPointName) {
+                session.sendMeetingPoint(page.markers.meetingPoint.getLatLng(), meetingPointName);
+            }
+
+            // Follow our own position and share it
+            followPosition();
+        },
+        onEnd: function() {
+            session = null;
+            followPosition();
+        }
+    });
+
+    return {
+        simulateTrip: function() {
+            if (!ownRoute) {
+                return false;
+            }
+
+            simulator.setRoute(ownRoute.coordinates, config.routeSpeeds[modeForRole(page.role)]);
+            followPosition();
+            simulator.play();
+            console.log(`Simulating the ${page.role}'s trip`);
+            return true;
+        },
+        stopSimulation: function() {
+            simulator.clear();
+            followPosition();
+        },
+        isSimulating: function() {
+            return simulator.hasTrack();
+        }
+    };
+}
@@ -0,0 +1,149 @@
+/**
+ * OSM ROAD GRAPH EXPORTER
+ * =======================
+ *
+ * Turns OpenStreetMap data into the compact road graph read by
+ * local-router.js. Run it with Node, no packages needed:
+ *
+ *     node tools/export-osm-graph.js overpass.json data/downtown-graph.json "Calgary downtown"
+ *
+ * The input is Overpass API JSON. A query for the downtown service area:
+ *
+ *     [out:json];
+ *     way["highway"](51.0390,-114.0900,51.0570,-114.0480);
+ *     (._;>;);
+ *     out body;
+ *
+ * which can be fetched with:
+ *
+ *     curl -o overpass.json https://overpass-api.de/api/interpreter \
+ *         --data-urlencode 'data=[out:json];way["highway"](51.0390,-114.0900,51.0570,-114.0480);(._;>;);out body;'
+ *
+ * Only roads and paths that someone can drive or walk on are kept,
+ * and only the nodes those ways use.
+ *
+ * OpenStreetMap data is under the Open Database License, which asks for
+ * attribution: the "source" field of the output says where it came from.
+ */
+
+const fs = require('fs');
+
+// Road classes the local router knows about (see LOCAL_ROUTING_PROFILES)
+const KEPT_HIGHWAYS = [
+    'motorway', 'trunk', 'primary', 'secondary', 'tertiary', 'unclassified',
+    'residential', 'living_street', 'service', 'pedestrian', 'footway',
+    'path', 'cycleway', 'track', 'steps',
+    // Ramps are routed like the road class they belong to
+    'motorway_link', 'trunk_link', 'primary_link', 'secondary_link', 'tertiary_link'
+];
+
+// Attribution the ODbL requires for anything made from OpenStreetMap data
+const OSM_ATTRIBUTION = '© OpenStreetMap contributors, available under the Open Database License ' +
+    '(ODbL, https://www.openstreetmap.org/copyright)';
+
+// ----- READ ARGUMENTS -----
+
+const inputPath = process.argv[2];
+const outputPath = process.argv[3];
+const graphName = process.argv[4] || 'Exported road graph';
+
+if (!inputPath || !outputPath) {
+    console.error('Usage: node tools/export-osm-graph.js <overpass.json> <output.json> [name]');
+    process.exit(1);
+}
+
+const osm = JSON.parse(fs.readFileSync(inputPath, 'utf8'));
+
+// ----- COLLECT NODES AND WAYS -----
+
+const osmNodes = new Map();
+const osmWays = [];
+
+osm.elements.forEach(element => {
+    if (element.type === 'node') {
+        osmNodes.set(element.id, [element.lat, element.lon]);
+    } else if (element.type === 'way' && element.tags && KEPT_HIGHWAYS.includes(element.tags.highway)) {
+        osmWays.push(element);
+    }
+});
+
+// ----- BUILD THE COMPACT GRAPH -----
+
+const nodes = [];
+const nodeIndex = new Map();
+const ways = [];
+let minLat = Infinity, minLng = Infinity, maxLat = -Infinity, maxLng = -Infinity;
+
+// Gives each OSM node used by a way a small index in the output
+function indexOf(osmId) {
+    if (!nodeIndex.has(osmId)) {
+        const position = osmNodes.get(osmId);
+        // About 10 cm of precision is plenty for routing
+        const lat = Math.round(position[0] * 1e6) / 1e6;
+        const lng = Math.round(position[1] * 1e6) / 1e6;
+
+        nodeIndex.set(osmId, nodes.length);
+        nodes.push([lat, lng]);
+
+        minLat = Math.min(minLat, lat);
+        maxLat = Math.max(maxLat, lat);
+        minLng = Math.min(minLng, lng);
+        maxLng = Math.max(maxLng, lng);
+    }
+    return nodeIndex.get(osmId);
+}
+
+function onewayValue(tags) {
+    if (tags.oneway === '-1') {
+        return -1;
+    }
+    if (['yes', 'true', '1'].includes(tags.oneway) || tags.junction === 'roundabout' || tags.highway === 'motorway') {
+        return 1;
+    }
+    return 0;
+}
+
+let skipped = 0;
+
+osmWays.forEach(way => {
+    // Ways clipped by the query bounds may refer to nodes we don't have
+    const present = way.nodes.filter(id => osmNodes.has(id));
+    if (present.length < 2) {
+        skipped++;
+        return;
+    }
+
+    ways.push([
+        way.tags.name || way.tags.ref || '',
+        way.tags.highway.replace(/_link$/, ''),
+        onewayValue(way.tags),
+        present.map(indexOf)
+    ]);
+});
+
+// ----- WRITE -----
+// One node or way per line keeps the file readable and diffs small.
+// Overpass says how recent its data is; that date goes in the source.
+
+const exportDate = ((osm.osm3s && osm.osm3s.timestamp_osm_base) || new Date().toISOString()).slice(0, 10);
+
+const lines = [
+    '{',
+    '    "format": "parking-rendezvous-graph",',
+    '    "version": 1,',
+    `    "name": ${JSON.stringify(graphName)},`,
+    `    "source": ${JSON.stringify(`${OSM_ATTRIBUTION}. Exported ${exportDate}.`)},`,
+    `    "bounds": ${JSON.stringify([[minLat, minLng], [maxLat, maxLng]])},`,
+    '    "nodes": [',
+    nodes.map(node => '        ' + JSON.stringify(node)).join(',\n'),
+    '    ],',
+    '    "ways": [',
+    ways.map(way => '        ' + JSON.stringify(way)).join(',\n'),
+    '    ]',
+    '}'
+];
+
+fs.writeFileSync(outputPath, lines.join('\n') + '\n');
+
+console.log(`Wrote ${nodes.length} nodes and ${ways.length} ways to ${outputPath}` +
+    (skipped ? ` (skipped ${skipped} ways outside the data)` : ''));
@@ -0,0 +1,282 @@
+/**
+ * TURN-BY-TURN NAVIGATION
+ * =======================
+ *
+ * Follows a position along a route and works out which manoeuvre comes
+ * next and how far away it is. Upcoming turns are read out loud with the
+ * Web Speech API.
+ *
+ * The navigator doesn't care where positions come from: a GPS fix, a
+ * marker dragged around the map or a simulated drive all go through
+ * update(latlng).
+ *
+ * Routes are the usual Leaflet Routing Machine routes: coordinates plus
+ * instructions whose index points at the coordinate where the
+ * manoeuvre happens.
+ */
+
+// ----- NAVIGATOR -----
+// Events fired:
+// - stepchange { index, instruction, distance } when the next manoeuvre changes
+// - progress { index, instruction, distance } after every position
+// - announce { text } when something should be said out loud
+// - arrived when the destination is reached
+
+const TurnByTurnNavigator = L.Evented.extend({
+
+    initialize: function(route, options) {
+        this.route = route;
+        this.options = L.extend({
+            // Say the next turn when it gets this close (meters, largest first).
+            // The last distance reads the instruction itself.
+            announceDistances: [500, 150, 30],
+            // This close to the destination counts as arrived
+            arrivalDistance: 20,
+            // A manoeuvre stays "next" until we are this far past it, so a
+            // fix that lands just beyond the corner still gets it read out
+            passedDistance: 10
+        }, options);
+
+        // Distance from the start of the route to every coordinate
+        this.distances = [0];
+        for (let i = 1; i < route.coordinates.length; i++) {
+            this.distances.push(this.distances[i - 1] + L.latLng(route.coordinates[i - 1]).distanceTo(route.coordinates[i]));
+        }
+
+        this.stepIndex = null;
+        this.announced = {};
+        this.hasArrived = false;
+    },
+
+    // Says the first instruction, so the driver knows which way to go
+    start: function() {
+        const first = this.route.instructions[0];
+        if (first) {
+            this.fire('announce', { text: first.text });
+        }
+    },
+
+    update: function(latlng) {
+        const instructions = this.route.instructions;
+        const closest = closestPointOnRoute(latlng, this.route.coordinates);
+
+        if (!closest || instructions.length === 0 || this.hasArrived) {
+            return;
+        }
+
+        // How far along the route we are, in meters
+        const segmentLength = this.distances[closest.index + 1] !== undefined ?
+            this.distances[closest.index + 1] - this.distances[closest.index] :
+            0;
+        const travelled = this.distances[closest.index] + closest.fraction * segmentLength;
+
+        // The next manoeuvre is the first one we haven't passed yet.
+        // Anything at the very start is where we set off from, not a turn.
+        let index = instructions.findIndex((instruction, i) => {
+            const at = this._distanceAt(instruction);
+            return i > 0 && at > 0 && at + this.options.passedDistance > travelled;
+        });
+        if (index === -1) {
+            index = instructions.length - 1;
+        }
+
+        const instruction = instructions[index];
+        const distance = Math.max(0, this._distanceAt(instruction) - travelled);
+        const step = { index: index, instruction: instruction, distance: distance };
+
+        if (index !== this.stepIndex) {
+            this.stepIndex = index;
+            this.fire('stepchange', step);
+        }
+
+        this.fire('progress', step);
+
+        if (index === instructions.length - 1 && distance <= this.options.arrivalDistance) {
+            this.hasArrived = true;
+            this.fire('announce', { text: instruction.text });
+            this.fire('arrived');
+            return;
+        }
+
+        this._announce(step);
+    },
+
+    // ----- internals -----
+
+    _distanceAt: function(instruction) {
+        const index = Math.min(instruction.index || 0, this.distances.length - 1);
+        return this.distances[index];
+    },
+
+    // Announces each distance once per manoeuvre. When several are crossed
+    // at once (a jump in position), only the closest one is said.
+    _announce: function(step) {
+        const distances = this.options.announceDistances;
+        const last = distances[distances.length - 1];
+
+        const reached = distances.filter(limit => step.distance <= limit);
+        if (reached.length === 0) {
+            return;
+        }
+
+        const limit = reached[reached.length - 1];
+        const key = `${step.index}|${limit}`;
+        if (this.announced[key]) {
+            return;
+        }
+        reached.forEach(crossed => {
+            this.announced[`${step.index}|${crossed}`] = true;
+        });
+
+        let text;
+        if (step.index === this.route.instructions.length - 1) {
+            // Arriving is announced by update() itself
+            text = t('navigation.destinationAhead', { distance: formatNavigationDistance(step.distance) });
+        } else if (limit === last) {
+            text = step.instruction.text;
+        } else {
+            text = t('navigation.inDistance', {
+                distance: formatNavigationDistance(step.distance),
+                instruction: lowerFirst(step.instruction.text)
+            });
+        }
+
+        this.fire('announce', { text: text });
+    }
+});
+
+// ----- VOICE ANNOUNCER -----
+// Reads instructions out loud. Remembers the last one so it can be
+// repeated, and stays quiet while muted.
+
+function createVoiceAnnouncer(language) {
+    const speech = window.speechSynthesis;
+    let muted = false;
+    let lastText = null;
+
+    function speak(text) {
+        if (!speech) {
+            return;
+        }
+
+        const utterance = new SpeechSynthesisUtterance(text);
+        utterance.lang = language;
+
+        // Pick a voice for the language if the browser has one
+        const voice = speech.getVoices().find(candidate => candidate.lang === language) ||
+            speech.getVoices().find(candidate => candidate.lang.split('-')[0] === language.split('-')[0]);
+        if (voice) {
+            utterance.voice = voice;
+        }
+
+        // A new instruction replaces one that is still being read
+        speech.cancel();
+        speech.speak(utterance);
+    }
+
+    return {
+        isSupported: function() {
+            return Boolean(speech);
+        },
+        announce: function(text) {
+            lastText = text;
+            if (!muted) {
+                speak(text);
+            }
+        },
+        repeat: function() {
+            if (lastText) {
+                speak(lastText);
+            }
+        },
+        setMuted: function(value) {
+            muted = value;
+            if (muted && speech) {
+                speech.cancel();
+            }
+        },
+        isMuted: function() {
+            return muted;
+        },
+        setLanguage: function(value) {
+            language = value;
+        },
+        // Languages the browser has voices for, e.g. ['en-US', 'fr-CA']
+        getLanguages: function() {
+            if (!speech) {
+                return [];
+            }
+            const languages = speech.getVoices().map(voice => voice.lang);
+            return languages.filter((lang, i) => languages.indexOf(lang) === i).sort();
+        },
+        stop: function() {
+            if (speech) {
+                speech.cancel();
+            }
+        }
+    };
+}
+
+// ----- FORMATTING -----
+
+// Rounded the way a navigation voice says it: "80 m", "450 m", "1.2 km",
+// or "300 ft" and "0.5 mi" in imperial units
+function formatNavigationDistance(meters) {
+    if (getUnits() === 'imperial') {
+        const feet = meters * FEET_PER_METER;
+        if (feet >= 1000) {
+            return formatUnit(meters / METERS_PER_MILE, 'mile', 1);
+        }
+        if (feet >= 300) {
+            return formatUnit(Math.round(feet / 100) * 100, 'foot', 0);
+        }
+        return formatUnit(Math.max(30, Math.round(feet / 10) * 10), 'foot', 0);
+    }
+
+    if (meters >= 1000) {
+        return formatUnit(meters / 1000, 'kilometer', 1);
+    }
+    if (meters >= 100) {
+        return formatUnit(Math.round(meters / 50) * 50, 'meter', 0);
+    }
+    return formatUnit(Math.max(10, Math.round(meters / 10) * 10), 'meter', 0);
+}
+
+function lowerFirst(text) {
+    return text.charAt(0).toLocaleLowerCase(getLocale()) + text.slice(1);
+}
+
+// Symbol for a manoeuvre type, for direction lists and the next-turn banner
+function getDirectionIcon(type) {
+    // Map instruction types to appropriate symbols
+    // Leaflet Routing Machine uses different types than OpenRouteService
+
+    switch(type) {
+        case "Head":
+        case "Continue":
+            return '↑';
+        case "SlightRight":
+            return '↗';
+        case "Right":
+            return '→';
+        case "SharpRight":
+            return '↘';
+        case "TurnAround":
+            return '↓';
+        case "SharpLeft":
+            return '↙';
+        case "Left":
+            return '←';
+        case "SlightLeft":
+            return '↖';
+        case "WayPoint":
+        case "DestinationReached":
+            return '🏁';
+        case "WaypointReached":
+            return '📍';
+        case "Roundabout":
+            return '⭕';
+        default:
+            return '•';
+    }
+}
@@ -0,0 +1,73 @@
+/**
+ * SHARED UTILITIES
+ * ================
+ *
+ * Small helpers used by several scripts of the app.
+ */
+
+// ----- ESCAPE HTML -----
+// Makes text from external data safe to put inside innerHTML
+
+function escapeHtml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+// ----- FORMAT CLOCK TIME -----
+// Formats a Date as a time of day the way the user's locale writes it:
+// "3:05 PM" in English, "15 h 05" in Canadian French
+
+function formatClockTime(date) {
+    return new Intl.DateTimeFormat(getLocale(), { hour: 'numeric', minute: '2-digit' }).format(date);
+}
+
+// ----- FORMAT DATE AND TIME -----
+// "Oct 19, 2026, 3:05 PM" in English, "19 oct. 2026, 15 h 05" in Canadian French
+
+function formatDateTime(date) {
+    return new Intl.DateTimeFormat(getLocale(), { dateStyle: 'medium', timeStyle: 'short' }).format(date);
+}
+
+// ----- ROLE LABEL -----
+// "Driver" or "Passenger" for display
+
+function roleLabel(role) {
+    return role === 'driver' ? t('role.driver') : t('role.passenger');
+}
+
+// ----- FORMAT LAT LNG -----
+// "51.04512, -114.06001" for places without a name. Coordinates stay in
+// this form in every language, so they can be pasted elsewhere.
+
+function formatLatLng(latlng) {
+    return `${latlng.lat.toFixed(5)}, ${latlng.lng.toFixed(5)}`;
+}
+
+// ----- FETCH JSON -----
+// fetch() with a time limit and an error for non-2xx answers
+
+function fetchJson(url, options, timeout) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeout || 10000);
+
+    return fetch(url, Object.assign({}, options, { signal: controller.signal }))
+        .then(function(response) {
+            if (!response.ok) {
+                throw new Error(`Request failed (HTTP ${response.status})`);
+            }
+            return response.json();
+        })
+        .catch(function(error) {
+            if (error.name === 'AbortError') {
+                throw new Error(`Request timed out after ${timeout || 10000} ms`);
+            }
+            throw error;
+        })
+        .finally(function() {
+            clearTimeout(timer);
+        });
+}
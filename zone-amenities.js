@@ -0,0 +1,215 @@
+/**
+ * ZONE AMENITIES
+ * ==============
+ *
+ * What a parking zone offers besides spots, and whether the driver's
+ * vehicle can park there. A zone's GeoJSON properties may describe:
+ *
+ *     "evCharging": { "stalls": 6, "connectors": ["j1772", "ccs"] },
+ *     "accessibleStalls": 12,
+ *     "heightClearance": 2.1,
+ *     "covered": true,
+ *     "openingHours": [
+ *         { "days": "weekdays", "from": "06:00", "to": "23:00" },
+ *         { "days": "weekends", "from": "08:00", "to": "20:00" }
+ *     ]
+ *
+ * - evCharging: stalls with a charger, and the plugs they have (see
+ *   VEHICLE_CONNECTORS)
+ * - accessibleStalls: stalls kept for accessible parking permit holders
+ * - heightClearance: the lowest point on the way in, in meters
+ * - covered: true for a parkade or an underground lot, false in the open
+ * - openingHours: when cars can get in. days, from and to work like the
+ *   periods of a rate schedule (see parking-rates.js); from equal to to
+ *   means all day.
+ *
+ * A zone that leaves one out has no chargers, no accessible stalls and
+ * no height limit, and is always open. Whether it is covered is unknown.
+ */
+
+// The plugs an electric vehicle can have, with the key of their label
+const VEHICLE_CONNECTORS = {
+    j1772: 'connector.j1772',
+    ccs: 'connector.ccs',
+    chademo: 'connector.chademo',
+    nacs: 'connector.nacs'
+};
+
+// ----- VALIDATE AMENITIES -----
+// Returns a short description of what is wrong, or null if they are usable
+
+function validateZoneAmenities(props) {
+    const charging = props.evCharging;
+    if (charging !== undefined) {
+        if (!charging || !Number.isInteger(charging.stalls) || charging.stalls < 0) {
+            return "evCharging.stalls must be a whole number of stalls";
+        }
+        if (!Array.isArray(charging.connectors) || !charging.connectors.every(plug => VEHICLE_CONNECTORS[plug])) {
+            return `evCharging.connectors must be a list of ${Object.keys(VEHICLE_CONNECTORS).map(plug => `"${plug}"`).join(', ')}`;
+        }
+    }
+
+    if (props.accessibleStalls !== undefined && !(Number.isInteger(props.accessibleStalls) && props.accessibleStalls >= 0)) {
+        return "accessibleStalls must be a whole number of stalls";
+    }
+
+    if (props.heightClearance !== undefined && !(typeof props.heightClearance === 'number' && props.heightClearance > 0)) {
+        return "heightClearance must be a positive number of meters";
+    }
+
+    if (props.covered !== undefined && typeof props.covered !== 'boolean') {
+        return "covered must be true or false";
+    }
+
+    if (props.openingHours !== undefined) {
+        if (!Array.isArray(props.openingHours) || props.openingHours.length === 0) {
+            return "openingHours must be a list of periods";
+        }
+        for (let i = 0; i < props.openingHours.length; i++) {
+            const period = props.openingHours[i] || {};
+            if (parseRateDays(period.days) === null) {
+                return `Opening hours ${i + 1}: days must be a list of "mon" ... "sun", "weekdays", "weekends" or "all"`;
+            }
+            if (parseClockTime(period.from) === null || parseClockTime(period.to) === null) {
+                return `Opening hours ${i + 1}: from and to must be times such as "07:30"`;
+            }
+        }
+    }
+
+    return null;
+}
+
+// ----- NORMALIZE -----
+// The amenities of valid properties, in the form the functions below use
+
+function normalizeZoneAmenities(props) {
+    return {
+        evCharging: props.evCharging && props.evCharging.stalls > 0 ?
+            { stalls: props.evCharging.stalls, connectors: props.evCharging.connectors.slice() } :
+            null,
+        accessibleStalls: props.accessibleStalls || 0,
+        heightClearance: props.heightClearance || null,
+        covered: typeof props.covered === 'boolean' ? props.covered : null,
+        // Shaped like rate periods, so findRatePeriod() can check them
+        openingHours: props.openingHours ? props.openingHours.map(period => ({
+            days: parseRateDays(period.days),
+            from: parseClockTime(period.from),
+            to: parseClockTime(period.to)
+        })) : null
+    };
+}
+
+// ----- OPENING HOURS -----
+
+function isZoneOpen(amenities, time) {
+    return !amenities.openingHours || findRatePeriod({ periods: amenities.openingHours }, time) !== null;
+}
+
+// ----- VEHICLE FIT -----
+// A vehicle profile is { height, electric, connector, accessiblePermit }:
+// height in meters (null when not given), electric when the driver
+// needs to charge, connector the car's plug, and accessiblePermit when
+// the driver needs an accessible stall.
+//
+// Lists why the vehicle can't use a zone when arriving at arrival (a
+// Date): 'height', 'charger', 'accessible' and 'closed'. Empty when it can.
+
+function checkZoneForVehicle(zone, vehicle, arrival) {
+    const amenities = zone.amenities;
+    const reasons = [];
+
+    if (vehicle && vehicle.height && amenities.heightClearance && vehicle.height > amenities.heightClearance) {
+        reasons.push('height');
+    }
+
+    if (vehicle && vehicle.electric &&
+        !(amenities.evCharging && amenities.evCharging.connectors.includes(vehicle.connector))) {
+        reasons.push('charger');
+    }
+
+    if (vehicle && vehicle.accessiblePermit && amenities.accessibleStalls === 0) {
+        reasons.push('accessible');
+    }
+
+    if (!isZoneOpen(amenities, arrival)) {
+        reasons.push('closed');
+    }
+
+    return reasons;
+}
+
+function describeUnusableReason(reason, zone, arrival) {
+    if (reason === 'height') {
+        return t('unusable.height', { clearance: formatHeight(zone.amenities.heightClearance) });
+    }
+    if (reason === 'closed') {
+        return t('unusable.closed', { time: formatClockTime(arrival) });
+    }
+    return t(reason === 'charger' ? 'unusable.charger' : 'unusable.accessible');
+}
+
+// ----- FORMATTING -----
+
+// 2.1 as "2.1 m", or "6.9 ft" in imperial units
+function formatHeight(meters) {
+    if (getUnits() === 'imperial') {
+        return formatUnit(meters * FEET_PER_METER, 'foot', 1);
+    }
+    return formatUnit(meters, 'meter', 1);
+}
+
+// One line per amenity for popups: [{ icon, text }]
+function describeZoneAmenities(amenities) {
+    const lines = [];
+
+    if (amenities.evCharging) {
+        lines.push({
+            icon: '⚡',
+            text: t('amenity.charging', {
+                count: amenities.evCharging.stalls,
+                connectors: amenities.evCharging.connectors.map(plug => t(VEHICLE_CONNECTORS[plug])).join(', ')
+            })
+        });
+    }
+
+    if (amenities.accessibleStalls > 0) {
+        lines.push({ icon: '♿', text: t('amenity.accessible', { count: amenities.accessibleStalls }) });
+    }
+
+    if (amenities.heightClearance) {
+        lines.push({ icon: '↕', text: t('amenity.clearance', { clearance: formatHeight(amenities.heightClearance) }) });
+    }
+
+    if (amenities.covered !== null) {
+        lines.push(amenities.covered ?
+            { icon: '☂', text: t('amenity.covered') } :
+            { icon: '☀', text: t('amenity.openAir') });
+    }
+
+    if (amenities.openingHours) {
+        lines.push({ icon: '🕘', text: amenities.openingHours.map(describeOpeningPeriod).join(' • ') });
+    }
+
+    return lines;
+}
+
+// "Weekdays 6:00 a.m. – 11:00 p.m." or "Sat, Sun open 24 hours"
+function describeOpeningPeriod(period) {
+    const group = Object.keys(RATE_DAY_GROUPS).find(name =>
+        RATE_DAY_GROUPS[name].length === period.days.length &&
+        RATE_DAY_GROUPS[name].every(day => period.days.includes(RATE_DAYS.indexOf(day)))
+    );
+
+    // January 4, 2026 was a Sunday, day 0
+    const weekday = new Intl.DateTimeFormat(getLocale(), { weekday: 'short' });
+    const days = group ?
+        t(`hours.${group}`) :
+        period.days.map(day => weekday.format(new Date(2026, 0, 4 + day))).join(', ');
+
+    if (period.from === period.to) {
+        return t('hours.allDay', { days: days });
+    }
+
+    const clockTime = minutes => formatClockTime(new Date(2026, 0, 4, 0, minutes));
+    return t('hours.period', { days: days, from: clockTime(period.from), to: clockTime(period.to) });
+}
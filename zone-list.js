@@ -0,0 +1,257 @@
+/**
+ * PARKING ZONE LIST
+ * =================
+ *
+ * Every parking zone as a row in the sidebar, so zones can be found and
+ * picked without aiming at the circles on the map: on a small screen,
+ * with the keyboard or with a screen reader. The list can be filtered
+ * by name and sorted by distance, price or capacity. The price is what
+ * the expected stay costs, starting when the user would get there.
+ *
+ * The page tells the list which zones there are and where the user is.
+ * The list tells the page which zone is pointed at and which one is
+ * picked; what that means on the map is up to the page.
+ */
+
+// Sort orders for the menu, with the key of their label
+const ZONE_LIST_SORTS = {
+    distance: 'zoneList.byDistance',
+    rate: 'zoneList.byRate',
+    capacity: 'zoneList.byCapacity'
+};
+
+// ----- CREATE ZONE LIST -----
+// options:
+// - getOrigin(): the user's position, or null while it isn't known
+// - isFavourite(zone): favourites are listed first
+// - getArrival(zone): when the user would get to the zone (a Date)
+// - getStayMinutes(): how long the car will stay parked
+// - getStatus(zone): an extra line for a zone (its availability), or null
+// - getWarning(zone): why the zone won't do (say, the vehicle doesn't
+//   fit), or null. Such zones are greyed out.
+// - onHighlight(zone): a row was hovered or focused; null once it is left
+// - onSelect(zone): "Select as meeting point" was pressed
+//
+// Returns { setZones(zones), refresh() }. refresh() redraws the rows,
+// for example after the user moved, the availability changed or the
+// expected stay is longer.
+
+function createZoneList(container, options) {
+    let zones = [];
+
+    container.classList.add('zone-list');
+    container.innerHTML = `
+        <h4 data-i18n="zoneList.title"></h4>
+        <div class="zone-list-controls">
+            <input type="search" class="zone-list-filter" autocomplete="off"
+                data-i18n-placeholder="zoneList.filter" data-i18n-aria-label="zoneList.filter">
+            <label>
+                <span data-i18n="zoneList.sortBy"></span>
+                <select class="zone-list-sort"></select>
+            </label>
+        </div>
+        <p class="zone-list-count" role="status"></p>
+        <ul class="zone-list-items"></ul>
+    `;
+
+    const filterInput = container.querySelector('.zone-list-filter');
+    const sortSelect = container.querySelector('.zone-list-sort');
+    const count = container.querySelector('.zone-list-count');
+    const list = container.querySelector('.zone-list-items');
+
+    Object.keys(ZONE_LIST_SORTS).forEach(name => {
+        const option = document.createElement('option');
+        option.value = name;
+        option.dataset.i18n = ZONE_LIST_SORTS[name];
+        sortSelect.appendChild(option);
+    });
+    translatePage(container);
+
+    filterInput.addEventListener('input', render);
+    sortSelect.addEventListener('change', render);
+
+    // "Cité" matches "cite" and "CITÉ"
+    function simplify(text) {
+        return text.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLocaleLowerCase(getLocale());
+    }
+
+    // What the stay here costs from the arrival on, or null when unknown
+    function stayCost(zone) {
+        return zone.rates ? estimateParkingCost(zone.rates, options.getArrival(zone), options.getStayMinutes()) : null;
+    }
+
+    function distanceTo(zone) {
+        const origin = options.getOrigin();
+        return origin ? origin.distanceTo(zone.location) : null;
+    }
+
+    function compare(a, b, costs) {
+        const sort = sortSelect.value;
+        let difference = 0;
+
+        if (sort === 'distance' && options.getOrigin()) {
+            difference = distanceTo(a) - distanceTo(b);
+        } else if (sort === 'rate') {
+            // Zones of unknown price go last
+            const costA = costs.get(a.id);
+            const costB = costs.get(b.id);
+            difference = (costA === null ? Infinity : costA) - (costB === null ? Infinity : costB);
+            if (isNaN(difference)) {
+                difference = 0;
+            }
+        } else if (sort === 'capacity') {
+            difference = b.capacity - a.capacity;
+        }
+
+        return difference || a.name.localeCompare(b.name, getLocale());
+    }
+
+    function visibleZones(costs) {
+        const filter = simplify(filterInput.value.trim());
+        const rank = zone => (options.isFavourite(zone) ? 0 : 1);
+
+        return zones
+            .filter(zone => simplify(zone.name).includes(filter))
+            .sort((a, b) => rank(a) - rank(b) || compare(a, b, costs));
+    }
+
+    function describe(zone, cost) {
+        const parts = [];
+
+        const distance = distanceTo(zone);
+        if (distance !== null) {
+            parts.push(t('zoneList.away', { distance: formatDistance(distance) }));
+        }
+
+        parts.push(cost === null ?
+            t('suggest.costUnknown') :
+            t('cost.forStay', { cost: formatCost(cost, zone.rates.currency), stay: formatStayLength(options.getStayMinutes()) }));
+
+        parts.push(t('zoneList.spots', { count: zone.capacity, spots: formatNumber(zone.capacity) }));
+        return parts.join(' • ');
+    }
+
+    // One row per zone, kept between renders: a row that stays in the
+    // list keeps its hover, its focus and the screen reader's place in it
+    const rows = new Map();
+
+    function createRow(zoneId) {
+        const item = document.createElement('li');
+        item.className = 'zone-list-item';
+        item.dataset.zone = zoneId;
+        item.innerHTML = `
+            <div class="zone-list-name"></div>
+            <div class="zone-list-details"></div>
+            <div class="zone-list-status" hidden></div>
+            <div class="zone-list-warning" hidden></div>
+            <button type="button" class="zone-list-select"></button>
+        `;
+
+        // The zone object is replaced when the zones are loaded again
+        const rowZone = () => zones.find(zone => zone.id === zoneId);
+
+        item.querySelector('.zone-list-select').addEventListener('click', function() {
+            options.onSelect(rowZone());
+        });
+
+        item.addEventListener('mouseenter', function() {
+            options.onHighlight(rowZone());
+        });
+        item.addEventListener('mouseleave', function() {
+            options.onHighlight(null);
+        });
+        item.addEventListener('focusin', function() {
+            options.onHighlight(rowZone());
+        });
+        item.addEventListener('focusout', function(event) {
+            if (!item.contains(event.relatedTarget)) {
+                options.onHighlight(null);
+            }
+        });
+
+        return item;
+    }
+
+    // Only touch what changed, so nothing is read out again for no reason
+    function setText(element, text) {
+        if (element.textContent !== text) {
+            element.textContent = text;
+        }
+    }
+
+    function setLine(element, text) {
+        element.hidden = !text;
+        setText(element, text || '');
+    }
+
+    function updateRow(item, zone, cost) {
+        const warning = options.getWarning(zone);
+        item.classList.toggle('zone-list-unusable', warning !== null);
+
+        setText(item.querySelector('.zone-list-name'), `${options.isFavourite(zone) ? '★ ' : ''}${zone.name}`);
+        setText(item.querySelector('.zone-list-details'), describe(zone, cost));
+        setLine(item.querySelector('.zone-list-status'), options.getStatus(zone));
+        setLine(item.querySelector('.zone-list-warning'), warning);
+
+        const button = item.querySelector('.zone-list-select');
+        setText(button, t('zone.select'));
+        const label = t('zoneList.selectNamed', { name: zone.name });
+        if (button.getAttribute('aria-label') !== label) {
+            button.setAttribute('aria-label', label);
+        }
+    }
+
+    function render() {
+        // Moving a row can take the keyboard focus away from it
+        const focused = list.contains(document.activeElement) ? document.activeElement : null;
+
+        // Each zone's cost once, rather than at every comparison
+        const costs = new Map(zones.map(zone => [zone.id, stayCost(zone)]));
+        const shown = visibleZones(costs);
+
+        // The count is a live region: only touch it when it says something new
+        setText(count, shown.length === 0 && zones.length > 0 ?
+            t('zoneList.noMatch') :
+            t('zoneList.count', { count: shown.length, total: zones.length }));
+
+        // Rows of zones that are gone for good
+        rows.forEach((item, id) => {
+            if (!zones.some(zone => zone.id === id)) {
+                rows.delete(id);
+            }
+        });
+
+        shown.forEach((zone, i) => {
+            if (!rows.has(zone.id)) {
+                rows.set(zone.id, createRow(zone.id));
+            }
+            const item = rows.get(zone.id);
+            updateRow(item, zone, costs.get(zone.id));
+
+            // Only move rows that are out of place
+            if (list.children[i] !== item) {
+                list.insertBefore(item, list.children[i] || null);
+            }
+        });
+
+        // Filtered out rows end up after the shown ones
+        while (list.children.length > shown.length) {
+            list.lastElementChild.remove();
+        }
+
+        if (focused && focused !== document.activeElement && list.contains(focused)) {
+            focused.focus();
+        }
+    }
+
+    return {
+        setZones: function(newZones) {
+            zones = newZones.slice();
+            render();
+        },
+        refresh: function() {
+            translatePage(container);
+            render();
+        }
+    };
+}